@@ -6,6 +6,11 @@ const cors = require('cors');
 const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
+const { promisify } = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+const { EventEmitter } = require('events');
+const readline = require('readline');
+const zlib = require('zlib');
 
 const app = express();
 const server = http.createServer(app);
@@ -16,15 +21,109 @@ const io = socketIo(server, {
   }
 });
 
+// List and category events for the event-stream and long-poll feeds ('event': listId (null = all lists), type, data)
+const feedEvents = new EventEmitter();
+feedEvents.setMaxListeners(0);
+// Open event streams and long-polls ({ deviceId, close }), closed when their device is revoked
+const feedClients = new Set();
+
 const PORT = process.env.PORT || 3002;
-const DATA_FILE = path.join(__dirname, 'shopping-list.json');
-const LOCK_FILE = path.join(__dirname, 'shopping-list.lock');
-const CATEGORIES_FILE = path.join(__dirname, 'categories.json');
-const API_KEY = process.env.API_KEY || 'your-secret-api-key-here'; // Change in production!
+const DATA_DIR = process.env.DATA_DIR || __dirname;
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'json'; // 'json' or 'sqlite'
+const SQLITE_FILE = process.env.SQLITE_FILE || path.join(DATA_DIR, 'hangry.db');
+const JOURNAL_FILE = 'storage-journal.json'; // JSON backend: commits of several documents in progress
+const SNAPSHOT_DIR = process.env.SNAPSHOT_DIR || path.join(DATA_DIR, 'snapshots');
+const SNAPSHOT_INTERVAL = parseInt(process.env.SNAPSHOT_INTERVAL, 10) || 60 * 60 * 1000; // ms, only taken if the lists changed
+const SNAPSHOT_RETENTION = parseInt(process.env.SNAPSHOT_RETENTION, 10) || 48; // newest snapshots kept
+const PRODUCT_DB_DIR = process.env.PRODUCT_DB_DIR || path.join(DATA_DIR, 'products'); // barcode lookups
+const PRODUCT_IMPORT_BUFFER = 8 * 1024 * 1024; // product lines collected before they are written (bytes)
+
+// Storage documents (the JSON backend keeps each one in <key>.json)
+const STORAGE_KEYS = {
+  shoppingList: 'shopping-list',
+  categories: 'categories',
+  purchaseHistory: 'purchase-history',
+  recurringItems: 'recurring-items',
+  recipes: 'recipes',
+  trash: 'trash',
+  undoLog: 'undo-log',
+  accounts: 'accounts',
+  apiKeys: 'api-keys',
+  learnedCategories: 'learned-categories',
+  storeProfiles: 'store-profiles',
+  webhooks: 'webhooks',
+  webhookQueue: 'webhook-queue',
+  webhookLog: 'webhook-log',
+  prices: 'prices',
+  budget: 'budget',
+  trips: 'trips',
+  pantry: 'pantry',
+  barcodes: 'barcodes',
+  migration: 'json-migration'
+};
+const DEFAULT_LIST_ID = 'default';
+const DEFAULT_LIST_NAME = 'Einkaufsliste';
+const MAX_CHANGE_LOG = 500; // per list, older changes force a full snapshot on sync
+const IDEMPOTENCY_KEY_TTL = 7 * 24 * 60 * 60 * 1000; // how long replayed mutations are recognised (ms)
+const MAX_BATCH_OPERATIONS = 500;
+const MAX_IMPORT_ITEMS = 1000;
+const MAX_PRICE = 100000; // upper bound for prices and budgets
+const MAX_ITEM_NAME_LENGTH = 200;
+const MAX_QUANTITY_LENGTH = 50;
+const MAX_DETAILS_LENGTH = 1000;
+const MAX_BRAND_LENGTH = 100;
+const MAX_LIST_NAME_LENGTH = 100;
+const MAX_TEXT_LENGTH = 10000; // free text for the parser
+const CURRENCY = 'EUR'; // prices and budgets are plain amounts in this currency
+const TRIP_TIMEOUT = 4 * 60 * 60 * 1000; // active trips end automatically after this (ms)
+const TRIP_SWEEP_INTERVAL = parseInt(process.env.TRIP_SWEEP_INTERVAL, 10) || 5 * 60 * 1000; // how often expired trips are ended (ms)
+const MAX_TRIP_ENTRIES = 500; // ended trips kept with their summary
+const PANTRY_EXPIRY_WARNING_DAYS = parseInt(process.env.PANTRY_EXPIRY_WARNING_DAYS, 10) || 2; // "expiring" this many days ahead
+const MAX_PANTRY_LOG_ENTRIES = 500; // used/discarded pantry entries kept
+const MAX_HISTORY_ENTRIES = 10000; // oldest purchases are dropped beyond this
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SERVER_STARTED_AT = new Date().toISOString();
+const FEED_HEARTBEAT_INTERVAL = 25 * 1000; // comment lines keep event streams open through proxies (ms)
+const LONG_POLL_TIMEOUT = 30 * 1000; // default wait of a long-poll request (ms)
+const MAX_LONG_POLL_TIMEOUT = 60 * 1000;
+const RECURRING_CHECK_INTERVAL = parseInt(process.env.RECURRING_CHECK_INTERVAL, 10) || 60 * 1000; // ms
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+const MAX_UNDO_ENTRIES = 20; // per client
+const MAX_LOGIN_FAILURES = 5; // failed password checks per account name before it is locked for the window
+const MAX_LOGIN_FAILURES_PER_IP = 20; // same per client address
+const LOGIN_FAILURE_WINDOW = 15 * 60 * 1000; // ms
+const PAIRING_CODE_TTL = 10 * 60 * 1000; // how long a device pairing code stays valid (ms)
+const USAGE_WRITE_INTERVAL = 5 * 60 * 1000; // lastSeenAt/lastUsedAt are only written this often (ms)
+const API_KEY_SCOPES = ['add-only', 'read-list', 'full'];
+const API_KEY_RATE_LIMIT = parseInt(process.env.API_KEY_RATE_LIMIT, 10) || 60; // default requests per minute and key
+const WEBHOOK_EVENTS = ['item.added', 'item.checked', 'list.cleared', 'category.changed'];
+const WEBHOOK_RETRY_INTERVAL = parseInt(process.env.WEBHOOK_RETRY_INTERVAL, 10) || 15 * 1000; // ms
+const WEBHOOK_TIMEOUT = 10 * 1000; // ms per delivery attempt
+const MAX_WEBHOOK_ATTEMPTS = 8; // retries back off from 30s up to ~1h, then the delivery is given up
+const MAX_WEBHOOK_LOG_ENTRIES = 1000;
+const CALDAV_ROOT = '/caldav'; // shopping lists as CalDAV task lists (VTODO)
+const CALDAV_PRODID = '-//Hangry//Shopping List//DE';
+const CALDAV_COMPLIANCE = '1, 3, calendar-access';
+const CALDAV_METHODS = 'OPTIONS, GET, HEAD, PUT, DELETE, PROPFIND, PROPPATCH, REPORT';
+const CALDAV_SYNC_TOKEN_PREFIX = 'urn:hangry:sync:'; // followed by the list revision
+const DAV_NAMESPACES = {
+  d: 'DAV:',
+  c: 'urn:ietf:params:xml:ns:caldav',
+  cs: 'http://calendarserver.org/ns/'
+};
+// Server key from .env: needed for the first account setup, imported once as a "full" API key.
+// The value from .env.example counts as unset: everyone knows it.
+const EXAMPLE_API_KEY = 'your-secret-api-key-here';
+const API_KEY = process.env.API_KEY && process.env.API_KEY !== EXAMPLE_API_KEY ? process.env.API_KEY : null;
+// Without a server key the first setup needs this one-time token, printed to the console on startup
+const SETUP_TOKEN = API_KEY ? null : crypto.randomBytes(16).toString('hex');
 
 // Middleware
+app.options([CALDAV_ROOT, `${CALDAV_ROOT}/*`], sendDavOptions);
 app.use(cors());
 app.use(express.json());
+// CalDAV bodies (XML requests, iCalendar resources) are read as plain text
+app.use(CALDAV_ROOT, express.text({ type: () => true, limit: '1mb' }));
 
 // Request ID middleware for tracking parallel requests
 app.use((req, res, next) => {
@@ -33,598 +132,8669 @@ app.use((req, res, next) => {
   next();
 });
 
-// File-based locking mechanism to prevent race conditions
-class FileLock {
-  constructor(lockFile, options = {}) {
-    this.lockFile = lockFile;
-    this.maxRetries = options.maxRetries || 50;
-    this.retryDelay = options.retryDelay || 50; // ms
-    this.lockTimeout = options.lockTimeout || 5000; // ms
+// Errors with an HTTP status and a stable, machine-readable code (see "Fehlercodes" in API.md).
+// Routes throw them (or pass them to next), the central error handler at the end of the routes answers
+// { success: false, error, code, details? }. Anything else is answered as 500 internal-error.
+class ApiError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    if (details) {
+      this.details = details;
+    }
   }
+}
+
+// Helper: 400 for invalid input; details lists the problems per field ([{ field, error }])
+function invalidInput(message, details) {
+  return new ApiError(400, 'validation-failed', message, details);
+}
+
+// Helper: 404 for a missing resource ('Trash entry' -> "Trash entry not found", code 'trash-entry-not-found')
+function notFoundError(resource) {
+  return new ApiError(404, `${resource.toLowerCase().replace(/\s+/g, '-')}-not-found`, `${resource} not found`);
+}
 
-  async acquire(requestId) {
-    const lockId = `${requestId}-${Date.now()}`;
-    const startTime = Date.now();
+// Helper: Check one value against a validation rule, returns [error message] or [null, cleaned value]
+// Rules: { type: 'string' | 'quantity' | 'integer' | 'number' | 'boolean' | 'price' | 'date' | 'url' | 'array' | 'object' | 'any',
+//          required, nullable, maxLength, min, max, values (allowed values), category (must be a known category id),
+//          pattern + format (regular expression and how to describe it: "must be <format>"), lowercase,
+//          items (rule for array entries), minItems, maxItems, unique (drop repeated entries),
+//          fields (schema for objects), trim (false keeps strings as sent, e.g. passwords) }
+function checkField(value, rule, context) {
+  if (value === null) {
+    return rule.nullable ? [null, null] : ['must not be null'];
+  }
 
-    for (let attempt = 0; attempt < this.maxRetries; attempt++) {
+  switch (rule.type) {
+    case 'string':
+    case 'quantity': {
+      // Quantities may also be sent as plain numbers
+      const text = rule.type === 'quantity' && typeof value === 'number' && Number.isFinite(value) ? String(value) : value;
+      if (typeof text !== 'string') {
+        return ['must be a string'];
+      }
+      const trimmed = text.trim();
+      if (!trimmed) {
+        return rule.nullable ? [null, null] : ['must not be empty'];
+      }
+      if (rule.maxLength && trimmed.length > rule.maxLength) {
+        return [`must be at most ${rule.maxLength} characters`];
+      }
+      if (rule.values && !rule.values.includes(trimmed)) {
+        return [`must be one of: ${rule.values.join(', ')}`];
+      }
+      if (rule.pattern && !rule.pattern.test(trimmed)) {
+        return [`must be ${rule.format}`];
+      }
+      if (rule.category && context.categoryIds && !context.categoryIds.includes(trimmed)) {
+        return [`unknown category: ${trimmed}`];
+      }
+      const cleaned = rule.trim === false ? text : trimmed;
+      return [null, rule.lowercase ? cleaned.toLowerCase() : cleaned];
+    }
+    case 'integer':
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value) || (rule.type === 'integer' && !Number.isInteger(value))) {
+        return [`must be ${rule.type === 'integer' ? 'an integer' : 'a number'}`];
+      }
+      if (rule.min !== undefined && value < rule.min) {
+        return [`must be at least ${rule.min}`];
+      }
+      if (rule.max !== undefined && value > rule.max) {
+        return [`must be at most ${rule.max}`];
+      }
+      return [null, value];
+    case 'boolean':
+      return typeof value === 'boolean' ? [null, value] : ['must be a boolean'];
+    case 'price': {
+      const { price, error } = parsePrice(value, 'amount');
+      return error ? [`must be an amount between 0 and ${MAX_PRICE}`] : [null, price];
+    }
+    case 'date':
+      return typeof value === 'string' && !Number.isNaN(new Date(value).getTime())
+        ? [null, new Date(value).toISOString()]
+        : ['must be a date (ISO 8601)'];
+    case 'url': {
+      let url;
       try {
-        // Try to create lock file (fails if exists)
-        await fs.writeFile(this.lockFile, lockId, { flag: 'wx' });
-        console.log(`[${requestId}] Lock acquired (attempt ${attempt + 1})`);
-        return lockId;
+        url = new URL(typeof value === 'string' ? value.trim() : '');
       } catch (error) {
-        if (error.code !== 'EEXIST') {
-          throw error;
+        return ['must be an http(s) URL'];
+      }
+      return url.protocol === 'http:' || url.protocol === 'https:' ? [null, url.toString()] : ['must be an http(s) URL'];
+    }
+    case 'array': {
+      if (!Array.isArray(value)) {
+        return ['must be an array'];
+      }
+      if (rule.minItems && value.length < rule.minItems) {
+        return [`must have at least ${rule.minItems} ${rule.minItems === 1 ? 'entry' : 'entries'}`];
+      }
+      if (rule.maxItems && value.length > rule.maxItems) {
+        return [`must have at most ${rule.maxItems} entries`];
+      }
+      const entries = [];
+      for (const [index, entry] of value.entries()) {
+        const [error, cleaned] = rule.items ? checkField(entry, rule.items, context) : [null, entry];
+        if (error) {
+          return [`entry ${index} ${error}`];
         }
+        entries.push(cleaned);
+      }
+      return [null, rule.unique ? [...new Set(entries)] : entries];
+    }
+    case 'object': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return ['must be an object'];
+      }
+      if (!rule.fields) {
+        return [null, value];
+      }
+      const { values, details } = checkInput(rule.fields, value, { categoryIds: context.categoryIds });
+      return details ? [details.map(({ field, error }) => `${field} ${error}`).join(', ')] : [null, values];
+    }
+    case 'any':
+      return [null, value];
+    default:
+      throw new Error(`Unknown validation type: ${rule.type}`);
+  }
+}
 
-        // Check if lock is stale (older than timeout)
-        try {
-          const stat = await fs.stat(this.lockFile);
-          const lockAge = Date.now() - stat.mtimeMs;
+// Helper: Validate a request body, query or socket payload against a schema ({ field: rule })
+// Returns only the schema's fields (with trimmed strings); fields that are not sent stay absent.
+// Unknown fields and all invalid ones are reported together as one validation-failed error.
+// options.partial: required fields may be left out (updates); options.categoryIds: known categories;
+// options.ignore: fields that are accepted but not returned (e.g. server-managed fields sent back by clients);
+// options.path: prefix for the reported field names when validating nested entries ('items.2')
+function validateInput(schema, input, options = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw invalidInput(`${options.path || 'Input'} must be a JSON object`);
+  }
 
-          if (lockAge > this.lockTimeout) {
-            console.log(`[${requestId}] Breaking stale lock (age: ${lockAge}ms)`);
-            await fs.unlink(this.lockFile).catch(() => {});
-            continue;
-          }
-        } catch (statError) {
-          // Lock file might have been deleted, retry
-        }
+  const values = {};
+  const details = [];
+  const fieldName = field => (options.path ? `${options.path}.${field}` : field);
 
-        // Wait before retry
-        if (attempt < this.maxRetries - 1) {
-          await new Promise(resolve => setTimeout(resolve, this.retryDelay));
-        }
+  for (const [field, rule] of Object.entries(schema)) {
+    const value = input[field];
+
+    if (value === undefined) {
+      if (rule.required && !options.partial) {
+        details.push({ field: fieldName(field), error: 'is required' });
       }
+      continue;
+    }
+
+    const [error, cleaned] = checkField(value, rule, options);
+    if (error) {
+      details.push({ field: fieldName(field), error: rule.required && error === 'must not be empty' ? 'is required' : error });
+    } else {
+      values[field] = cleaned;
+    }
+  }
+
+  for (const field of Object.keys(input)) {
+    if (!schema[field] && !(options.ignore || []).includes(field)) {
+      details.push({ field: fieldName(field), error: 'is not allowed' });
+    }
+  }
+
+  if (details.length > 0) {
+    throw invalidInput(details.map(({ field, error }) => `${field} ${error}`).join(', '), details);
+  }
+
+  return values;
+}
+
+// Helper: validateInput for places that report errors instead of throwing them (batch operations)
+// Returns { values } or { error, code, details }
+function checkInput(schema, input, options) {
+  try {
+    return { values: validateInput(schema, input, options) };
+  } catch (error) {
+    if (!(error instanceof ApiError)) throw error;
+    return { error: error.message, code: error.code, details: error.details };
+  }
+}
+
+// Helper: Optional fields sent as null are removed (set to undefined, which is not stored)
+function clearNullFields(values, fields) {
+  for (const field of fields) {
+    if (values[field] === null) {
+      values[field] = undefined;
     }
+  }
+  return values;
+}
+
+// Helper: Map any error to an ApiError (body parser errors get their own codes, unknown errors are internal-error)
+function toApiError(error) {
+  if (error instanceof ApiError) {
+    return error;
+  }
+  if (error.type === 'entity.parse.failed') {
+    return new ApiError(400, 'invalid-json', 'Request body is not valid JSON');
+  }
+  if (error.type === 'entity.too.large') {
+    return new ApiError(413, 'payload-too-large', 'Request body is too large');
+  }
+  return new ApiError(500, 'internal-error', error.message);
+}
+
+// Helper: Error response body shared by HTTP routes and socket acks
+// Server errors only keep their code: messages may contain file paths or stored data (they are logged instead)
+function describeError(apiError) {
+  if (apiError.status >= 500) {
+    return { success: false, error: 'Internal server error - see the server log', code: apiError.code };
+  }
 
-    const waitTime = Date.now() - startTime;
-    throw new Error(`Failed to acquire lock after ${waitTime}ms`);
+  return {
+    success: false,
+    error: apiError.message,
+    code: apiError.code,
+    ...(apiError.details && { details: apiError.details })
+  };
+}
+
+// Item fields clients may send when adding or updating items (see validateInput)
+const ITEM_FIELDS = {
+  name: { type: 'string', required: true, maxLength: MAX_ITEM_NAME_LENGTH },
+  categoryId: { type: 'string', category: true },
+  quantity: { type: 'quantity', nullable: true, maxLength: MAX_QUANTITY_LENGTH },
+  details: { type: 'string', nullable: true, maxLength: MAX_DETAILS_LENGTH },
+  checked: { type: 'boolean' },
+  price: { type: 'price', nullable: true },
+  paidPrice: { type: 'price', nullable: true }
+};
+
+// What users can tell about a barcode (see PUT /api/shopping/barcodes/:barcode)
+const BARCODE_FIELDS = {
+  name: ITEM_FIELDS.name,
+  brand: { type: 'string', nullable: true, maxLength: MAX_BRAND_LENGTH },
+  packSize: { type: 'string', nullable: true, maxLength: MAX_QUANTITY_LENGTH },
+  categoryId: ITEM_FIELDS.categoryId
+};
+
+// List fields clients may send when creating or renaming lists
+const LIST_FIELDS = {
+  name: { type: 'string', required: true, maxLength: MAX_LIST_NAME_LENGTH }
+};
+
+// Item fields integrations may send via the external API
+const EXTERNAL_ITEM_FIELDS = {
+  name: ITEM_FIELDS.name,
+  categoryId: ITEM_FIELDS.categoryId,
+  quantity: ITEM_FIELDS.quantity
+};
+
+// Body of the free-text endpoints ("2L Milch, Brot und 10 Eier")
+const TEXT_INPUT_FIELDS = {
+  text: { type: 'string', required: true, maxLength: MAX_TEXT_LENGTH },
+  merge: { type: 'boolean' },
+  dryRun: { type: 'boolean' }
+};
+
+// Item fields only the server sets; clients sending a whole item back may include them, they are ignored
+const ITEM_SERVER_FIELDS = [
+  'id', 'version', 'createdAt', 'checkedAt', 'addedBy', 'checkedBy', 'amount', 'unit',
+  'claimedBy', 'claimedAt', 'claimTripId', 'caldavName', 'caldavUid', 'recipePlanId'
+];
+
+// Helper: Replace a file atomically: write a temp file, flush it to disk, then rename it over the old one.
+// The directory is flushed as well so the rename survives a power loss.
+async function writeFileAtomic(file, data) {
+  const tempFile = `${file}.${process.pid}.tmp`;
+  const handle = await fs.open(tempFile, 'w');
+
+  try {
+    await handle.writeFile(data);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+
+  await fs.rename(tempFile, file);
+
+  // Not every platform can open directories (Windows); the rename itself is still atomic there
+  const directory = await fs.open(path.dirname(file), 'r').catch(() => null);
+  if (directory) {
+    await directory.sync().catch(() => {});
+    await directory.close();
+  }
+}
+
+// Storage backend: one JSON file per document (<key>.json in DATA_DIR)
+class JsonFileBackend {
+  constructor(dataDir) {
+    this.name = 'json';
+    this.dataDir = dataDir;
+  }
+
+  filePath(key) {
+    return path.join(this.dataDir, `${key}.json`);
   }
 
-  async release(lockId, requestId) {
+  async read(key) {
     try {
-      const currentLock = await fs.readFile(this.lockFile, 'utf8');
-      if (currentLock === lockId) {
-        await fs.unlink(this.lockFile);
-        console.log(`[${requestId}] Lock released`);
-      } else {
-        console.warn(`[${requestId}] Lock ID mismatch, not releasing`);
-      }
+      return await fs.readFile(this.filePath(key), 'utf8');
     } catch (error) {
-      if (error.code !== 'ENOENT') {
-        console.error(`[${requestId}] Error releasing lock:`, error);
+      if (error.code === 'ENOENT') {
+        return undefined;
+      }
+      throw error;
+    }
+  }
+
+  journalPath() {
+    return path.join(this.dataDir, JOURNAL_FILE);
+  }
+
+  // Each file is replaced atomically (see writeFileAtomic). A commit of several documents is first
+  // written to a journal, so a crash between two files is completed on the next start (replayJournal).
+  async write(entries) {
+    const journaled = entries.size > 1;
+    if (journaled) {
+      const journal = Object.fromEntries([...entries].map(([key, value]) => [key, value === undefined ? null : value]));
+      await writeFileAtomic(this.journalPath(), JSON.stringify(journal));
+    }
+
+    await this.applyEntries(entries);
+
+    if (journaled) {
+      await fs.unlink(this.journalPath());
+    }
+  }
+
+  async applyEntries(entries) {
+    for (const [key, value] of entries) {
+      const file = this.filePath(key);
+
+      if (value === undefined) {
+        await fs.unlink(file).catch(error => {
+          if (error.code !== 'ENOENT') throw error;
+        });
+        continue;
       }
+
+      await writeFileAtomic(file, value);
+    }
+  }
+
+  // Complete a commit that was interrupted by a crash, returns the keys written again.
+  // The journal is only renamed into place once it is complete, so it is either whole or absent.
+  async replayJournal() {
+    let raw;
+    try {
+      raw = await fs.readFile(this.journalPath(), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
     }
+
+    const entries = new Map(Object.entries(JSON.parse(raw)).map(([key, value]) => [key, value === null ? undefined : value]));
+    await this.applyEntries(entries);
+    await fs.unlink(this.journalPath());
+    return [...entries.keys()];
+  }
+
+  // Remove temp files left behind by a crash during a write (the old file is still intact)
+  async cleanup() {
+    const files = await fs.readdir(this.dataDir).catch(() => []);
+    const stale = files.filter(file => /\.json\.\d+\.tmp$/.test(file));
+
+    for (const file of stale) {
+      await fs.unlink(path.join(this.dataDir, file)).catch(() => {});
+    }
+    return stale;
+  }
+}
+
+// Storage backend: documents table in an embedded SQLite database
+class SqliteBackend {
+  constructor(dbFile) {
+    // Only required when this backend is selected (optional dependency)
+    const Database = require('better-sqlite3');
+
+    this.name = 'sqlite';
+    this.db = new Database(dbFile);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS documents (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )
+    `);
+
+    this.selectStatement = this.db.prepare('SELECT value FROM documents WHERE key = ?');
+    this.upsertStatement = this.db.prepare(`
+      INSERT INTO documents (key, value, updated_at) VALUES (?, ?, ?)
+      ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+    `);
+    this.deleteStatement = this.db.prepare('DELETE FROM documents WHERE key = ?');
+
+    // All writes of one storage transaction are committed in a single SQLite transaction
+    this.writeTransaction = this.db.transaction(entries => {
+      const now = new Date().toISOString();
+      for (const [key, value] of entries) {
+        if (value === undefined) {
+          this.deleteStatement.run(key);
+        } else {
+          this.upsertStatement.run(key, value, now);
+        }
+      }
+    });
+  }
+
+  async read(key) {
+    const row = this.selectStatement.get(key);
+    return row ? row.value : undefined;
+  }
+
+  async write(entries) {
+    this.writeTransaction([...entries]);
+  }
+
+  // SQLite recovers interrupted transactions itself
+  async replayJournal() {
+    return [];
+  }
+
+  async cleanup() {
+    return [];
   }
+}
+
+// Document storage on top of a backend
+// Writes go through transaction(), which runs one callback at a time (in-process queue)
+// and commits everything the callback wrote at once when it resolves.
+class Storage {
+  constructor(backend) {
+    this.backend = backend;
+    this.queue = Promise.resolve();
+    this.context = new AsyncLocalStorage();
+  }
+
+  async get(key, fallback) {
+    const transaction = this.context.getStore();
+    const raw = transaction && transaction.writes.has(key)
+      ? transaction.writes.get(key)
+      : await this.backend.read(key);
 
-  async withLock(requestId, callback) {
-    let lockId;
+    if (raw === undefined) {
+      return fallback;
+    }
+
+    // Corrupt data must never be mistaken for "nothing stored yet": the next save would overwrite it
     try {
-      lockId = await this.acquire(requestId);
-      return await callback();
-    } finally {
-      if (lockId) {
-        await this.release(lockId, requestId);
+      return JSON.parse(raw);
+    } catch (error) {
+      throw new ApiError(500, 'storage-corrupt', `Stored data "${key}" is corrupt (${error.message})`);
+    }
+  }
+
+  // Check that every document can be read, returns the keys of corrupt ones
+  async check(keys) {
+    const corrupt = [];
+
+    for (const key of keys) {
+      try {
+        await this.get(key);
+      } catch (error) {
+        if (error.code !== 'storage-corrupt') throw error;
+        corrupt.push(key);
       }
     }
+    return corrupt;
+  }
+
+  async set(key, value) {
+    const transaction = this.context.getStore();
+    if (!transaction) {
+      return this.transaction(`set-${key}`, () => this.set(key, value));
+    }
+
+    transaction.writes.set(key, JSON.stringify(value, null, 2));
+    return value;
+  }
+
+  async delete(key) {
+    const transaction = this.context.getStore();
+    if (!transaction) {
+      return this.transaction(`delete-${key}`, () => this.delete(key));
+    }
+
+    transaction.writes.set(key, undefined);
+  }
+
+  // Run callback once the transaction has been committed (right away outside a transaction)
+  afterCommit(callback) {
+    const transaction = this.context.getStore();
+    if (transaction) {
+      transaction.afterCommit.push(callback);
+    } else {
+      callback();
+    }
+  }
+
+  async transaction(requestId, callback) {
+    // Nested calls join the running transaction
+    if (this.context.getStore()) {
+      return callback();
+    }
+
+    const run = async () => {
+      const transaction = { requestId, writes: new Map(), afterCommit: [] };
+      const result = await this.context.run(transaction, callback);
+
+      if (transaction.writes.size > 0) {
+        await this.backend.write(transaction.writes);
+      }
+
+      for (const hook of transaction.afterCommit) {
+        hook();
+      }
+
+      return result;
+    };
+
+    const result = this.queue.then(run, run);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+}
+
+// Helper: Create the configured storage backend
+function createStorage() {
+  if (STORAGE_BACKEND === 'sqlite') {
+    return new Storage(new SqliteBackend(SQLITE_FILE));
+  }
+  if (STORAGE_BACKEND !== 'json') {
+    throw new Error(`Unknown STORAGE_BACKEND "${STORAGE_BACKEND}" (use "json" or "sqlite")`);
   }
+  return new Storage(new JsonFileBackend(DATA_DIR));
 }
 
-const fileLock = new FileLock(LOCK_FILE);
+const storage = createStorage();
 
-// API Key Authentication Middleware (for external API calls)
-function requireApiKey(req, res, next) {
-  const apiKey = req.headers['x-api-key'] || req.query.apiKey;
+// Helper: One-time import of existing JSON files into a fresh SQLite database
+async function migrateJsonToStorage() {
+  if (storage.backend.name !== 'sqlite') {
+    return;
+  }
+
+  if (await storage.get(STORAGE_KEYS.migration)) {
+    return;
+  }
+
+  const jsonBackend = new JsonFileBackend(DATA_DIR);
+  const imported = [];
+
+  await storage.transaction('migration', async () => {
+    for (const key of Object.values(STORAGE_KEYS)) {
+      if (key === STORAGE_KEYS.migration) continue;
+
+      const raw = await jsonBackend.read(key);
+      if (raw === undefined) continue;
+
+      // Don't overwrite data that already lives in the database
+      if ((await storage.backend.read(key)) !== undefined) continue;
+
+      await storage.set(key, JSON.parse(raw));
+      imported.push(`${key}.json`);
+    }
 
-  if (!apiKey || apiKey !== API_KEY) {
-    return res.status(401).json({
-      success: false,
-      error: 'Unauthorized - Invalid or missing API key'
+    await storage.set(STORAGE_KEYS.migration, {
+      importedAt: new Date().toISOString(),
+      files: imported
     });
+  });
+
+  if (imported.length > 0) {
+    console.log(`Storage: Imported ${imported.join(', ')} into ${SQLITE_FILE}`);
+  }
+}
+
+// Helper: Startup check of the stored data: completes interrupted commits, removes temp files of interrupted writes and
+// reports corrupt documents loudly (requests using them fail until they are restored)
+async function checkStorage() {
+  const replayed = await storage.backend.replayJournal();
+  if (replayed.length > 0) {
+    console.warn(`Storage: Completed an interrupted write of ${replayed.join(', ')}`);
+  }
+
+  const stale = await storage.backend.cleanup();
+  if (stale.length > 0) {
+    console.warn(`Storage: Removed ${stale.length} temp file(s) of interrupted writes: ${stale.join(', ')}`);
+  }
+
+  const corrupt = await storage.check(Object.values(STORAGE_KEYS));
+  for (const key of corrupt) {
+    console.error(`Storage: "${key}" is CORRUPT - requests that use it fail until it is ` +
+      (key === STORAGE_KEYS.shoppingList
+        ? 'restored from a snapshot (POST /api/admin/snapshots/:id/restore)'
+        : `repaired by hand or removed (${storage.backend.name === 'sqlite' ? `row "${key}" in ${SQLITE_FILE}` : `${key}.json`}, see README)`));
+  }
+}
+
+// Helper: Run a startup step that reads stored data. A corrupt document was already reported by
+// checkStorage, so the step is skipped instead of stopping the server (its requests fail with storage-corrupt).
+function unlessCorrupt(step) {
+  return async () => {
+    try {
+      await step();
+    } catch (error) {
+      if (error.code !== 'storage-corrupt') throw error;
+      console.error(`Storage: Skipped ${step.name} on startup - ${error.message}`);
+    }
+  };
+}
+
+// Server Key Middleware (for the first account setup only)
+// Accepts API_KEY from .env, or the one-time SETUP_TOKEN from the console if no key is set
+function requireSetupKey(req, res, next) {
+  const setupKey = req.headers['x-api-key'];
+  const matches = typeof setupKey === 'string' &&
+    crypto.timingSafeEqual(Buffer.from(hashToken(setupKey), 'hex'), Buffer.from(hashToken(API_KEY || SETUP_TOKEN), 'hex'));
+
+  if (!matches) {
+    return next(new ApiError(401, 'unauthorized', 'Unauthorized - Invalid or missing API key'));
   }
 
   next();
 }
 
-// Helper: Load shopping list from file
-async function loadShoppingList() {
-  try {
-    const data = await fs.readFile(DATA_FILE, 'utf8');
-    return JSON.parse(data);
+const scrypt = promisify(crypto.scrypt);
+
+// Helper: Load users, paired devices and open pairing codes
+async function loadAccounts() {
+  const accounts = await storage.get(STORAGE_KEYS.accounts, {});
+  const now = Date.now();
+
+  return {
+    users: accounts.users || [],
+    devices: accounts.devices || [],
+    pairingCodes: (accounts.pairingCodes || []).filter(code => new Date(code.expiresAt).getTime() > now)
+  };
+}
+
+// Helper: Save accounts to storage
+async function saveAccounts(accounts) {
+  await storage.set(STORAGE_KEYS.accounts, accounts);
+  return accounts;
+}
+
+// Helper: Hash a password as "salt:hash" (scrypt)
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, 64);
+  return `${salt}:${hash.toString('hex')}`;
+}
+
+// Helper: Check a password against a stored "salt:hash"
+async function verifyPassword(password, passwordHash) {
+  if (!passwordHash) {
+    return false;
+  }
+
+  const [salt, hash] = passwordHash.split(':');
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Failed password checks (login and CalDAV) in the current window: 'name:<name>' / 'ip:<address>' -> { windowStart, count }
+const loginFailures = new Map();
+
+// Helper: Seconds until password checks for a name / from an address are allowed again (0 = now)
+function loginRetryAfter(name, ip, now = Date.now()) {
+  const limits = [[`name:${name.trim().toLowerCase()}`, MAX_LOGIN_FAILURES], [`ip:${ip}`, MAX_LOGIN_FAILURES_PER_IP]];
+  let retryAfter = 0;
+
+  for (const [key, limit] of limits) {
+    const failures = loginFailures.get(key);
+    if (failures && failures.count >= limit && now - failures.windowStart < LOGIN_FAILURE_WINDOW) {
+      retryAfter = Math.max(retryAfter, Math.ceil((failures.windowStart + LOGIN_FAILURE_WINDOW - now) / 1000));
+    }
+  }
+
+  return retryAfter;
+}
+
+// Helper: Throw 429 (with Retry-After) while too many password checks for a name / from an address failed
+function requireLoginAllowed(res, name, ip) {
+  const retryAfter = loginRetryAfter(name, ip);
+
+  if (retryAfter > 0) {
+    res.set('Retry-After', String(retryAfter));
+    throw new ApiError(429, 'too-many-login-attempts', 'Too many failed login attempts - try again later');
+  }
+}
+
+// Helper: Count a failed password check for the name and the address
+function recordLoginFailure(name, ip, now = Date.now()) {
+  for (const [key, failures] of loginFailures) {
+    if (now - failures.windowStart >= LOGIN_FAILURE_WINDOW) {
+      loginFailures.delete(key);
+    }
+  }
+
+  for (const key of [`name:${name.trim().toLowerCase()}`, `ip:${ip}`]) {
+    const failures = loginFailures.get(key) || { windowStart: now, count: 0 };
+    failures.count++;
+    loginFailures.set(key, failures);
+  }
+}
+
+// Helper: A correct password resets the failures of the name
+function clearLoginFailures(name) {
+  loginFailures.delete(`name:${name.trim().toLowerCase()}`);
+}
+
+// Helper: Device tokens are only stored as SHA-256 hash
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Helper: User without password hash (for responses)
+function publicUser(user) {
+  const { passwordHash, ...rest } = user;
+  return { ...rest, hasPassword: Boolean(passwordHash) };
+}
+
+// Helper: Device without token hash (for responses)
+function publicDevice(device) {
+  const { tokenHash, ...rest } = device;
+  return rest;
+}
+
+// Helper: Find a user by name (case-insensitive)
+function findUserByName(accounts, name) {
+  const normalized = name.trim().toLowerCase();
+  return accounts.users.find(user => user.name.toLowerCase() === normalized);
+}
+
+// Account fields clients may send (setup, login, user management); the rules are checked by validateUserInput
+const ACCOUNT_FIELDS = {
+  name: { type: 'string', maxLength: 100 },
+  password: { type: 'string', trim: false },
+  role: { type: 'string' }
+};
+const DEVICE_NAME_RULE = { type: 'string', nullable: true, maxLength: 100 };
+
+// Helper: Validate name/password/role of a new user (no userId) or a changed one
+// Returns an error message or null
+function validateUserInput({ name, password, role }, accounts, userId) {
+  if (name !== undefined || !userId) {
+    if (typeof name !== 'string' || !name.trim()) {
+      return 'name is required';
+    }
+    const existing = findUserByName(accounts, name);
+    if (existing && existing.id !== userId) {
+      return 'User name already taken';
+    }
+  }
+
+  if (password !== undefined && (typeof password !== 'string' || password.length < 8)) {
+    return 'password must be at least 8 characters';
+  }
+
+  if (role !== undefined && role !== 'admin' && role !== 'member') {
+    return 'role must be "admin" or "member"';
+  }
+
+  return null;
+}
+
+// Helper: Register a new device for a user and return its token (only shown once)
+function issueDeviceToken(accounts, userId, deviceName) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const device = {
+    id: generateId(),
+    userId,
+    name: (typeof deviceName === 'string' && deviceName.trim()) || 'Unbenanntes Gerät',
+    tokenHash: hashToken(token),
+    createdAt: new Date().toISOString(),
+    lastSeenAt: new Date().toISOString()
+  };
+
+  accounts.devices.push(device);
+  return { device, token };
+}
+
+// Helper: Resolve a device token to { user, device } (null if unknown or revoked)
+async function authenticateToken(token) {
+  if (typeof token !== 'string' || !token) {
+    return null;
+  }
+
+  const accounts = await loadAccounts();
+  const tokenHash = hashToken(token);
+  const device = accounts.devices.find(d => d.tokenHash === tokenHash);
+  const user = device && accounts.users.find(u => u.id === device.userId);
+
+  if (!user) {
+    return null;
+  }
+
+  // Refresh lastSeenAt now and then instead of writing on every request
+  if (Date.now() - new Date(device.lastSeenAt).getTime() > USAGE_WRITE_INTERVAL) {
+    storage.transaction(`device-seen-${device.id}`, async () => {
+      const current = await loadAccounts();
+      const seenDevice = current.devices.find(d => d.id === device.id);
+      if (seenDevice) {
+        seenDevice.lastSeenAt = new Date().toISOString();
+        await saveAccounts(current);
+      }
+    }).catch(error => console.error('Error updating device lastSeenAt:', error));
+  }
+
+  return { user, device };
+}
+
+// Helper: Read the bearer token from an Authorization header
+function getBearerToken(header) {
+  const match = /^Bearer\s+(.+)$/i.exec(header || '');
+  return match ? match[1].trim() : undefined;
+}
+
+// Helper: Drop socket connections, event streams and long-polls of revoked devices
+function disconnectDevices(deviceIds) {
+  for (const socket of io.sockets.sockets.values()) {
+    if (socket.data.device && deviceIds.includes(socket.data.device.id)) {
+      socket.disconnect(true);
+    }
+  }
+
+  for (const client of feedClients) {
+    if (deviceIds.includes(client.deviceId)) {
+      client.close();
+    }
+  }
+}
+
+// Device Token Authentication Middleware (for the internal API)
+// Sets req.user and req.device
+async function requireAuth(req, res, next) {
+  try {
+    const auth = await authenticateToken(getBearerToken(req.headers.authorization));
+
+    if (!auth) {
+      throw new ApiError(401, 'unauthorized', 'Unauthorized - Invalid or missing device token');
+    }
+
+    req.user = auth.user;
+    req.device = auth.device;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Admin-only routes (use after requireAuth)
+function requireAdmin(req, res, next) {
+  if (req.user.role !== 'admin') {
+    return next(new ApiError(403, 'admin-required', 'Forbidden - Admin role required'));
+  }
+
+  next();
+}
+
+// Helper: Load external API keys from storage
+async function loadApiKeys() {
+  return storage.get(STORAGE_KEYS.apiKeys, []);
+}
+
+// Helper: Save external API keys to storage
+async function saveApiKeys(apiKeys) {
+  await storage.set(STORAGE_KEYS.apiKeys, apiKeys);
+  return apiKeys;
+}
+
+// Helper: API key without hash (for responses)
+function publicApiKey(apiKey) {
+  const { keyHash, ...rest } = apiKey;
+  return rest;
+}
+
+// Helper: Generate a new secret for an API key record (only returned once, stored as hash)
+function assignApiKeySecret(apiKey) {
+  const secret = `hk_${crypto.randomBytes(24).toString('hex')}`;
+  apiKey.keyHash = hashToken(secret);
+  apiKey.prefix = secret.slice(0, 9);
+  return secret;
+}
+
+// Fields of an API key clients may send; null removes the list restriction or the own rate limit
+const API_KEY_FIELDS = {
+  name: LIST_FIELDS.name,
+  scope: { type: 'string', required: true, values: API_KEY_SCOPES },
+  listIds: { type: 'array', nullable: true, minItems: 1, unique: true, items: { type: 'string' } },
+  rateLimit: { type: 'integer', nullable: true, min: 1 } // requests per minute
+};
+
+// API key fields set by the server, ignored when clients send them back
+const API_KEY_SERVER_FIELDS = ['id', 'key', 'prefix', 'createdBy', 'createdAt', 'lastUsedAt', 'rotatedAt'];
+
+// Helper: Does a key's scope allow an action ('add' or 'read')?
+function apiKeyAllows(apiKey, action) {
+  return apiKey.scope === 'full' ||
+    (apiKey.scope === 'add-only' && action === 'add') ||
+    (apiKey.scope === 'read-list' && action === 'read');
+}
+
+// Helper: Target list of an external request, respecting the key's list restriction
+// Without listId, restricted keys use their first allowed list
+function resolveApiKeyListId(apiKey, requestedListId) {
+  if (!apiKey.listIds) {
+    return requestedListId || DEFAULT_LIST_ID;
+  }
+
+  const listId = requestedListId || apiKey.listIds[0];
+  if (!apiKey.listIds.includes(listId)) {
+    throw new ApiError(403, 'list-not-allowed', 'API key is not allowed to access this list');
+  }
+
+  return listId;
+}
+
+// Per-key request counters for the current minute: keyId -> { windowStart, count }
+const apiKeyUsage = new Map();
+
+// Helper: Count a request against the key's rate limit, returns the remaining requests (-1 = limit exceeded)
+function consumeRateLimit(apiKey, now = Date.now()) {
+  const limit = apiKey.rateLimit || API_KEY_RATE_LIMIT;
+  const windowStart = now - (now % 60000);
+  const usage = apiKeyUsage.get(apiKey.id);
+
+  if (!usage || usage.windowStart !== windowStart) {
+    apiKeyUsage.set(apiKey.id, { windowStart, count: 1 });
+    return limit - 1;
+  }
+
+  usage.count++;
+  return usage.count > limit ? -1 : limit - usage.count;
+}
+
+// API Key Authentication Middleware (for external API calls)
+// action: 'add' or 'read' - checked against the key's scope. Sets req.apiKey
+function requireApiKey(action) {
+  return async (req, res, next) => {
+    try {
+      // Already checked (request forwarded internally)
+      if (req.apiKey) {
+        return next();
+      }
+
+      const secret = req.headers['x-api-key'];
+      const apiKeys = typeof secret === 'string' ? await loadApiKeys() : [];
+      const apiKey = typeof secret === 'string' && apiKeys.find(key => key.keyHash === hashToken(secret));
+
+      if (!apiKey) {
+        throw new ApiError(401, 'unauthorized', 'Unauthorized - Invalid or missing API key');
+      }
+
+      if (!apiKeyAllows(apiKey, action)) {
+        throw new ApiError(403, 'scope-not-allowed', `Forbidden - API key scope "${apiKey.scope}" does not allow this request`);
+      }
+
+      const remaining = consumeRateLimit(apiKey);
+      res.set('X-RateLimit-Limit', String(apiKey.rateLimit || API_KEY_RATE_LIMIT));
+      res.set('X-RateLimit-Remaining', String(Math.max(remaining, 0)));
+
+      if (remaining < 0) {
+        res.set('Retry-After', String(Math.ceil((60000 - (Date.now() % 60000)) / 1000)));
+        throw new ApiError(429, 'rate-limited', 'Too many requests - rate limit exceeded');
+      }
+
+      // Refresh lastUsedAt now and then instead of writing on every request
+      if (!apiKey.lastUsedAt || Date.now() - new Date(apiKey.lastUsedAt).getTime() > USAGE_WRITE_INTERVAL) {
+        storage.transaction(`api-key-used-${apiKey.id}`, async () => {
+          const current = await loadApiKeys();
+          const usedKey = current.find(key => key.id === apiKey.id);
+          if (usedKey) {
+            usedKey.lastUsedAt = new Date().toISOString();
+            await saveApiKeys(current);
+          }
+        }).catch(error => console.error('Error updating API key lastUsedAt:', error));
+      }
+
+      req.apiKey = apiKey;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// Helper: Import the single .env API key as a "full" key, so existing integrations keep working
+async function migrateLegacyApiKey() {
+  if (!API_KEY) {
+    if (process.env.API_KEY) {
+      console.warn('API keys: API_KEY in .env is the example value and is ignored - set a random key');
+    }
+    return;
+  }
+
+  await storage.transaction('api-key-migration', async () => {
+    if (await storage.get(STORAGE_KEYS.apiKeys)) {
+      return;
+    }
+
+    await saveApiKeys([{
+      id: generateId(),
+      name: 'Legacy (.env)',
+      scope: 'full',
+      keyHash: hashToken(API_KEY),
+      prefix: API_KEY.slice(0, 4),
+      createdAt: new Date().toISOString()
+    }]);
+    console.log('API keys: Imported API_KEY from .env as "Legacy (.env)"');
+  });
+}
+
+// Helper: Print the one-time setup token while no account exists and no API_KEY is set
+async function announceSetupToken() {
+  if (SETUP_TOKEN && (await loadAccounts()).users.length === 0) {
+    console.log(`Setup: No API_KEY set - create the first admin with "X-API-Key: ${SETUP_TOKEN}" (valid until restart)`);
+  }
+}
+
+// Helper: Generate a unique id for items and lists
+function generateId() {
+  return Date.now().toString() + '-' + Math.random().toString(36).substr(2, 9);
+}
+
+// Helper: Create an empty shopping list record
+function createList(id, name, now = new Date().toISOString()) {
+  return {
+    id,
+    name,
+    items: [],
+    revision: 0,
+    createdAt: now,
+    lastModified: now
+  };
+}
+
+// Helper: Socket.io room name for a list
+function listRoom(listId) {
+  return `list:${listId}`;
+}
+
+// Helper: Load all shopping lists from storage
+async function loadStore() {
+  // If nothing is stored yet, start with no lists
+  let store = await storage.get(STORAGE_KEYS.shoppingList, { lists: [] });
+
+  // Migrate legacy single-list format ({ items, lastModified })
+  if (!Array.isArray(store.lists)) {
+    store = {
+      lists: [{
+        ...createList(DEFAULT_LIST_ID, DEFAULT_LIST_NAME),
+        items: store.items || [],
+        lastModified: store.lastModified || new Date().toISOString()
+      }]
+    };
+  }
+
+  // The default list always exists (until it is first saved its timestamps are the server start,
+  // so its lastModified stays the same between requests, e.g. for long-polls)
+  if (!store.lists.some(list => list.id === DEFAULT_LIST_ID)) {
+    store.lists.unshift(createList(DEFAULT_LIST_ID, DEFAULT_LIST_NAME, SERVER_STARTED_AT));
+  }
+
+  // Recent changes per list for delta sync: { [listId]: [{ type, revision, ... }] }
+  if (!store.changeLog) {
+    store.changeLog = {};
+  }
+
+  // Applied batch mutations by list and idempotency key: { ['<listId>:<key>']: { listId, itemId, processedAt } }
+  if (!store.idempotencyKeys) {
+    store.idempotencyKeys = {};
+  }
+
+  return store;
+}
+
+// Helper: Save all shopping lists to storage
+async function saveStore(store) {
+  await storage.set(STORAGE_KEYS.shoppingList, store);
+  return store;
+}
+
+// Helper: Load a single shopping list
+async function loadShoppingList(listId = DEFAULT_LIST_ID) {
+  const store = await loadStore();
+  const list = store.lists.find(l => l.id === listId);
+
+  if (!list) {
+    throw notFoundError('List');
+  }
+
+  return list;
+}
+
+// Helper: Save a single shopping list (must be called inside storage.transaction)
+// Bumps the list revision and records the given changes
+// ({ type: 'item-added' | 'item-updated' | 'item-deleted' | 'items-cleared' | 'list-renamed', ... })
+// options.idempotencyKeys are stored in the same write as the list
+async function saveShoppingList(list, changes = [], options = {}) {
+  const store = await loadStore();
+  const listIndex = store.lists.findIndex(l => l.id === list.id);
+
+  if (listIndex === -1) {
+    throw notFoundError('List');
+  }
+
+  const previousList = store.lists[listIndex];
+  const revision = (previousList.revision || 0) + 1;
+  const updatedList = {
+    ...list,
+    revision,
+    lastModified: new Date().toISOString()
+  };
+  store.lists[listIndex] = updatedList;
+
+  await enqueueListWebhooks(previousList, updatedList, changes);
+
+  const changeLog = (store.changeLog[list.id] || [])
+    .concat(changes.map(change => ({ ...change, revision })));
+  store.changeLog[list.id] = changeLog.slice(-MAX_CHANGE_LOG);
+
+  if (options.idempotencyKeys) {
+    const cutoff = Date.now() - IDEMPOTENCY_KEY_TTL;
+    for (const [key, record] of Object.entries(store.idempotencyKeys)) {
+      if (new Date(record.processedAt).getTime() < cutoff) {
+        delete store.idempotencyKeys[key];
+      }
+    }
+    Object.assign(store.idempotencyKeys, options.idempotencyKeys);
+  }
+
+  await saveStore(store);
+  return updatedList;
+}
+
+// Helper: Load the changes of a list after a revision
+// Returns null if the change log no longer reaches back that far
+async function loadChangesSince(listId, sinceRevision) {
+  const store = await loadStore();
+  const list = store.lists.find(l => l.id === listId);
+
+  if (!list) {
+    throw notFoundError('List');
+  }
+
+  const currentRevision = list.revision || 0;
+  if (sinceRevision > currentRevision) {
+    return null;
+  }
+
+  const changeLog = store.changeLog[listId] || [];
+  const oldestRevision = changeLog.length > 0 ? changeLog[0].revision : currentRevision + 1;
+  if (sinceRevision < currentRevision && oldestRevision > sinceRevision + 1) {
+    return null;
+  }
+
+  return {
+    listId,
+    revision: currentRevision,
+    changes: changeLog.filter(change => change.revision > sinceRevision)
+  };
+}
+
+// Helper: Send an event to the socket room of a list and to its event-stream/long-poll clients
+function emitListEvent(listId, type, data) {
+  io.to(listRoom(listId)).emit(type, data);
+  feedEvents.emit('event', listId, type, data);
+}
+
+// Helper: Broadcast changes of a saved list to all clients that joined its room
+// (once the surrounding transaction has been committed)
+function broadcastChanges(list, changes) {
+  storage.afterCommit(() => {
+    for (const { type, ...data } of changes) {
+      emitListEvent(list.id, type, { listId: list.id, revision: list.revision, ...data });
+    }
+
+    // Clients that are in a store also get the list in walking order
+    broadcastRoute(list).catch(error => console.error('Error sending store route:', error));
+  });
+}
+
+// Helper: Read the item filter of an event stream or long-poll from the query
+// (?categoryId=a,b only items of these categories, ?unchecked=true only open items)
+function parseFeedFilter(query, categoryIds) {
+  const filter = {};
+
+  if (query.categoryId !== undefined) {
+    const ids = String(query.categoryId).split(',').map(id => id.trim()).filter(Boolean);
+    const unknown = ids.find(id => !categoryIds.includes(id));
+    if (ids.length === 0 || unknown) {
+      throw invalidInput('Invalid feed filter', [{ field: 'categoryId', error: unknown ? `unknown category: ${unknown}` : 'must not be empty' }]);
+    }
+    filter.categoryIds = ids;
+  }
+
+  if (query.unchecked !== undefined) {
+    if (query.unchecked !== 'true' && query.unchecked !== 'false') {
+      throw invalidInput('Invalid feed filter', [{ field: 'unchecked', error: 'must be true or false' }]);
+    }
+    filter.unchecked = query.unchecked === 'true';
+  }
+
+  return filter;
+}
+
+// Helper: Whether an item passes a feed filter
+function matchesFeedFilter(item, filter) {
+  return (!filter.categoryIds || filter.categoryIds.includes(item.categoryId)) &&
+    (!filter.unchecked || !item.checked);
+}
+
+// Helper: A list with only the items that pass a feed filter
+function filterFeedList(list, filter) {
+  return { ...list, items: list.items.filter(item => matchesFeedFilter(item, filter)) };
+}
+
+// Helper: Apply a feed filter to a list event, returns { type, data } or null to skip it.
+// Items that stop matching (e.g. checked with ?unchecked=true) arrive as 'item-deleted'.
+function filterFeedEvent(type, data, filter) {
+  if (type === 'list-updated') {
+    return { type, data: filterFeedList(data, filter) };
+  }
+
+  if (type === 'item-added' || type === 'item-updated') {
+    if (matchesFeedFilter(data.item, filter)) {
+      return { type, data };
+    }
+    return type === 'item-added'
+      ? null
+      : { type: 'item-deleted', data: { listId: data.listId, revision: data.revision, itemId: data.item.id } };
+  }
+
+  return { type, data };
+}
+
+// Helper: Broadcast list overview (names/counts) to all clients
+async function broadcastListSummaries() {
+  const store = await loadStore();
+  io.emit('lists-updated', store.lists.map(summarizeList));
+}
+
+// Helper: Compact list info without items
+function summarizeList(list) {
+  return {
+    id: list.id,
+    name: list.name,
+    itemCount: list.items.length,
+    uncheckedCount: list.items.filter(item => !item.checked).length,
+    createdAt: list.createdAt,
+    lastModified: list.lastModified
+  };
+}
+
+// Helper: Snapshot ids are their creation time, usable as file names (2026-10-19T17-08-00-000Z)
+function snapshotIdFromDate(date) {
+  return date.toISOString().replace(/[:.]/g, '-');
+}
+
+// Helper: File of a snapshot, null for ids that aren't snapshot ids (keeps paths inside SNAPSHOT_DIR)
+function snapshotFile(snapshotId) {
+  return /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z$/.test(snapshotId)
+    ? path.join(SNAPSHOT_DIR, `${snapshotId}.json`)
+    : null;
+}
+
+// Helper: Ids of all snapshots, newest first
+async function listSnapshotIds() {
+  const files = await fs.readdir(SNAPSHOT_DIR).catch(error => {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  });
+
+  return files
+    .map(file => file.replace(/\.json$/, ''))
+    .filter(snapshotId => snapshotFile(snapshotId) && files.includes(`${snapshotId}.json`))
+    .sort()
+    .reverse();
+}
+
+// Helper: Load a snapshot ({ id, createdAt, reason, lists }), throws snapshot-not-found
+async function loadSnapshot(snapshotId) {
+  const file = snapshotFile(snapshotId);
+  const raw = file && await fs.readFile(file, 'utf8').catch(error => {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  });
+
+  if (!raw) {
+    throw notFoundError('Snapshot');
+  }
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    throw new ApiError(500, 'storage-corrupt', `Snapshot ${snapshotId} is corrupt (${error.message})`);
+  }
+}
+
+// Helper: Snapshot metadata for the API (lists without items)
+function describeSnapshot(snapshot) {
+  return {
+    id: snapshot.id,
+    createdAt: snapshot.createdAt,
+    reason: snapshot.reason,
+    lists: snapshot.lists.map(summarizeList)
+  };
+}
+
+// Fingerprint of the lists in the newest snapshot, so unchanged lists aren't snapshotted again
+let lastSnapshotHash;
+
+// Helper: Write a snapshot of all lists to SNAPSHOT_DIR and drop the oldest beyond SNAPSHOT_RETENTION
+// reason: 'scheduled' (skipped if nothing changed since the last one), 'manual' or 'pre-restore'
+// Returns the snapshot, or null if it was skipped
+async function takeSnapshot(reason) {
+  const { lists } = await loadStore();
+  const hash = crypto.createHash('sha256').update(JSON.stringify(lists)).digest('hex');
+
+  if (reason === 'scheduled' && hash === lastSnapshotHash) {
+    return null;
+  }
+
+  // Two snapshots in the same millisecond would share a file name
+  let createdAt = new Date();
+  const existing = await listSnapshotIds();
+  while (existing.includes(snapshotIdFromDate(createdAt))) {
+    createdAt = new Date(createdAt.getTime() + 1);
+  }
+
+  const snapshot = { id: snapshotIdFromDate(createdAt), createdAt: createdAt.toISOString(), reason, lists };
+  await fs.mkdir(SNAPSHOT_DIR, { recursive: true });
+  await writeFileAtomic(snapshotFile(snapshot.id), JSON.stringify(snapshot, null, 2));
+  lastSnapshotHash = hash;
+
+  for (const snapshotId of [snapshot.id, ...existing].slice(SNAPSHOT_RETENTION)) {
+    await fs.unlink(snapshotFile(snapshotId)).catch(() => {});
+  }
+
+  return snapshot;
+}
+
+// Helper: Copy a corrupt document into SNAPSHOT_DIR (<key>-corrupt-<time>.json) before it is replaced
+async function preserveCorruptDocument(key) {
+  const raw = await storage.backend.read(key);
+  const file = path.join(SNAPSHOT_DIR, `${key}-corrupt-${snapshotIdFromDate(new Date())}.json`);
+
+  await fs.mkdir(SNAPSHOT_DIR, { recursive: true });
+  await writeFileAtomic(file, raw);
+  console.error(`Snapshots: Kept corrupt ${key} as ${file}`);
+}
+
+// Item fields compared by snapshot diffs
+const SNAPSHOT_DIFF_FIELDS = ['name', 'categoryId', 'quantity', 'details', 'checked', 'price', 'paidPrice'];
+
+// Helper: Compare a list in a snapshot with its current state (either may be missing)
+// added/removed/changed describe what happened since the snapshot; restoring reverts exactly these
+function diffSnapshotList(snapshotList, currentList) {
+  const beforeItems = (snapshotList && snapshotList.items) || [];
+  const currentItems = (currentList && currentList.items) || [];
+  const changed = [];
+
+  for (const item of currentItems) {
+    const before = beforeItems.find(i => i.id === item.id);
+    if (!before) continue;
+
+    const fields = {};
+    for (const field of SNAPSHOT_DIFF_FIELDS) {
+      if (JSON.stringify(before[field]) !== JSON.stringify(item[field])) {
+        fields[field] = { snapshot: before[field], current: item[field] };
+      }
+    }
+    if (Object.keys(fields).length > 0) {
+      changed.push({ id: item.id, name: item.name, fields });
+    }
+  }
+
+  const added = currentItems.filter(item => !beforeItems.some(i => i.id === item.id));
+  const removed = beforeItems.filter(item => !currentItems.some(i => i.id === item.id));
+  const renamed = snapshotList && currentList && snapshotList.name !== currentList.name;
+
+  let status = 'unchanged';
+  if (!currentList) status = 'deleted';
+  else if (!snapshotList) status = 'created';
+  else if (added.length > 0 || removed.length > 0 || changed.length > 0 || renamed) status = 'changed';
+
+  return {
+    listId: (currentList || snapshotList).id,
+    name: (currentList || snapshotList).name,
+    status,
+    snapshotName: snapshotList ? snapshotList.name : undefined,
+    added,
+    removed,
+    changed
+  };
+}
+
+// Helper: Put lists back to their state in a snapshot (must be called inside storage.transaction)
+// listId restores one list, otherwise all lists are restored and lists created since are deleted.
+// Revisions keep counting up and the change log is reset, so clients do a full sync.
+// Returns { restored: [list], deleted: [listId] }
+async function restoreSnapshot(snapshot, listId) {
+  let store;
+  try {
+    store = await loadStore();
+  } catch (error) {
+    // A corrupt store can only be replaced as a whole; its raw content is kept next to the snapshots
+    if (error.code !== 'storage-corrupt' || listId) throw error;
+    await preserveCorruptDocument(STORAGE_KEYS.shoppingList);
+    store = { lists: [], changeLog: {}, idempotencyKeys: {} };
+  }
+  const snapshotLists = listId ? snapshot.lists.filter(list => list.id === listId) : snapshot.lists;
+
+  if (listId && snapshotLists.length === 0) {
+    throw notFoundError('List');
+  }
+
+  const now = new Date().toISOString();
+  const restored = snapshotLists.map(list => {
+    const current = store.lists.find(l => l.id === list.id);
+    return {
+      ...list,
+      revision: Math.max(list.revision || 0, current ? current.revision || 0 : 0) + 1,
+      lastModified: now
+    };
+  });
+
+  const deleted = listId
+    ? []
+    : store.lists.filter(list => !snapshot.lists.some(l => l.id === list.id)).map(list => list.id);
+
+  store.lists = [
+    ...store.lists
+      .filter(list => !deleted.includes(list.id))
+      .map(list => restored.find(l => l.id === list.id) || list),
+    ...restored.filter(list => !store.lists.some(l => l.id === list.id))
+  ];
+
+  for (const id of [...restored.map(list => list.id), ...deleted]) {
+    delete store.changeLog[id];
+  }
+
+  await saveStore(store);
+
+  storage.afterCommit(() => {
+    for (const list of restored) {
+      emitListEvent(list.id, 'list-updated', list);
+      broadcastRoute(list).catch(error => console.error('Error sending store route:', error));
+    }
+    for (const id of deleted) {
+      emitListEvent(id, 'list-deleted', { listId: id });
+      io.in(listRoom(id)).socketsLeave(listRoom(id));
+    }
+  });
+
+  return { restored, deleted };
+}
+
+// Built-in categories; stored records with the same id override their fields.
+// shelfLifeDays estimates when stocked pantry items expire (null: they don't).
+const BUILT_IN_CATEGORIES = [
+  { id: 'fruits-vegetables', name: 'Obst & Gemüse', icon: '🥦', color: '#4caf50', sortOrder: 10, shelfLifeDays: 7 },
+  { id: 'dairy-cheese', name: 'Milchprodukte', icon: '🧀', color: '#ffc107', sortOrder: 20, shelfLifeDays: 10 },
+  { id: 'meat-fish', name: 'Fleisch & Fisch', icon: '🥩', color: '#e53935', sortOrder: 30, shelfLifeDays: 3 },
+  { id: 'bakery', name: 'Brot & Backwaren', icon: '🥖', color: '#a1887f', sortOrder: 40, shelfLifeDays: 4 },
+  { id: 'pantry', name: 'Vorratskammer', icon: '🥫', color: '#ff9800', sortOrder: 50, shelfLifeDays: 180 },
+  { id: 'frozen', name: 'Tiefkühlprodukte', icon: '🧊', color: '#29b6f6', sortOrder: 60, shelfLifeDays: 90 },
+  { id: 'beverages', name: 'Getränke', icon: '🥤', color: '#3f51b5', sortOrder: 70, shelfLifeDays: 180 },
+  { id: 'snacks', name: 'Snacks & Süßigkeiten', icon: '🍫', color: '#8d6e63', sortOrder: 80, shelfLifeDays: 90 },
+  { id: 'household', name: 'Haushalt', icon: '🧽', color: '#26a69a', sortOrder: 90, shelfLifeDays: null },
+  { id: 'personal-care', name: 'Körperpflege', icon: '🧴', color: '#ec407a', sortOrder: 100, shelfLifeDays: null },
+  { id: 'other', name: 'Sonstiges', icon: '📦', color: '#9e9e9e', sortOrder: 1000, shelfLifeDays: null }
+];
+
+// Items of deleted categories end up here; it cannot be deleted itself
+const FALLBACK_CATEGORY_ID = 'other';
+
+// Helper: Load custom categories from storage
+async function loadCategories() {
+  // If nothing is stored, return empty array (client will use defaults)
+  return storage.get(STORAGE_KEYS.categories, []);
+}
+
+// Helper: Save custom categories to storage (their keywords are used by classifyItem)
+async function saveCategories(categories) {
+  await storage.set(STORAGE_KEYS.categories, categories);
+  storage.afterCommit(() => {
+    classifierState.customKeywords = collectCustomKeywords(categories);
+  });
+  return categories;
+}
+
+// Fields of a custom category or of an override of a built-in one; null resets icon/color to the default,
+// shelfLifeDays: null means items of the category don't expire
+const CATEGORY_FIELDS = {
+  name: { type: 'string', required: true, maxLength: 40 },
+  icon: { type: 'string', nullable: true, maxLength: 16 },
+  color: { type: 'string', nullable: true, lowercase: true, pattern: /^#[0-9a-f]{6}$/i, format: 'a hex color like #4caf50' },
+  sortOrder: { type: 'integer' },
+  shelfLifeDays: { type: 'integer', nullable: true, min: 1, max: 3650 },
+  keywords: { type: 'array', items: { type: 'string', lowercase: true } }
+};
+
+// New categories also need an id
+const NEW_CATEGORY_FIELDS = {
+  id: { type: 'string', required: true, pattern: /^[a-z0-9][a-z0-9-]{0,39}$/, format: '1-40 lower-case letters, digits or dashes' },
+  ...CATEGORY_FIELDS
+};
+
+// Category fields set by the server, ignored when clients send a category back
+const CATEGORY_SERVER_FIELDS = ['builtIn'];
+
+// Helper: Validate a new category (options.path: field prefix for entries of a batch)
+function validateCategory(input, options = {}) {
+  return clearNullFields(validateInput(NEW_CATEGORY_FIELDS, input, { ...options, ignore: CATEGORY_SERVER_FIELDS }), ['icon', 'color']);
+}
+
+// Helper: Built-in and custom categories merged, sorted by sortOrder
+function mergeCategories(records) {
+  const byId = new Map(BUILT_IN_CATEGORIES.map(category => [category.id, { ...category, builtIn: true }]));
+
+  for (const record of records) {
+    if (!record || typeof record.id !== 'string') continue;
+    const builtIn = byId.get(record.id);
+    byId.set(record.id, builtIn
+      ? { ...builtIn, ...record, builtIn: true }
+      : { ...record, sortOrder: Number.isInteger(record.sortOrder) ? record.sortOrder : 500, builtIn: false });
+  }
+
+  return [...byId.values()].sort((a, b) =>
+    a.sortOrder - b.sortOrder || String(a.name).localeCompare(String(b.name), 'de'));
+}
+
+// Helper: All categories (built-in + custom) as clients should show them
+async function loadCategoryRegistry() {
+  return mergeCategories(await loadCategories());
+}
+
+// Helper: Ids of all categories (built-in and custom), for validating categoryId fields
+async function loadCategoryIds() {
+  return (await loadCategoryRegistry()).map(category => category.id);
+}
+
+// Helper: Broadcast the merged category list once the transaction is committed
+// and notify webhooks (change: { action, categoryId, ... })
+async function broadcastCategories(records, change) {
+  storage.afterCommit(() => {
+    io.emit('categories-updated', mergeCategories(records));
+    feedEvents.emit('event', null, 'categories-updated', mergeCategories(records));
+  });
+
+  const category = mergeCategories(records).find(c => c.id === change.categoryId);
+  await enqueueWebhookEvent('category.changed', { ...change, category });
+}
+
+// Helper: Point everything that uses a category at another one (must be called inside storage.transaction)
+// Moves list items (broadcast as item-updated), recurring items, recipe ingredients, store profiles,
+// learned mappings, budgets, trash and purchase history. Returns the number of moved list items.
+async function reassignCategory(fromId, toId) {
+  const store = await loadStore();
+  let movedItems = 0;
+
+  for (const list of store.lists) {
+    const changes = [];
+
+    list.items = list.items.map(item => {
+      if (item.categoryId !== fromId) return item;
+      const moved = { ...item, categoryId: toId, version: (item.version || 1) + 1 };
+      changes.push({ type: 'item-updated', item: moved });
+      return moved;
+    });
+
+    if (changes.length > 0) {
+      const updatedList = await saveShoppingList(list, changes);
+      broadcastChanges(updatedList, changes);
+      movedItems += changes.length;
+    }
+  }
+
+  const recurringItems = await loadRecurringItems();
+  if (recurringItems.some(recurring => recurring.categoryId === fromId)) {
+    await saveRecurringItems(recurringItems.map(recurring =>
+      recurring.categoryId === fromId ? { ...recurring, categoryId: toId } : recurring));
+  }
+
+  const recipeStore = await loadRecipeStore();
+  if (recipeStore.recipes.some(recipe => recipe.ingredients.some(i => i.categoryId === fromId))) {
+    for (const recipe of recipeStore.recipes) {
+      recipe.ingredients = recipe.ingredients.map(ingredient =>
+        ingredient.categoryId === fromId ? { ...ingredient, categoryId: toId } : ingredient);
+    }
+    await saveRecipeStore(recipeStore);
+  }
+
+  const storeProfiles = await loadStoreProfiles();
+  if (storeProfiles.some(profile => profile.categoryOrder.includes(fromId) ||
+      profile.itemOverrides.some(override => override.categoryId === fromId))) {
+    for (const profile of storeProfiles) {
+      // The deleted aisle becomes the target, duplicates are dropped
+      const order = profile.categoryOrder.map(id => (id === fromId ? toId : id));
+      profile.categoryOrder = order.filter((id, index) => order.indexOf(id) === index);
+      profile.itemOverrides = profile.itemOverrides.map(override =>
+        override.categoryId === fromId ? { ...override, categoryId: toId } : override);
+    }
+    await saveStoreProfiles(storeProfiles);
+  }
+
+  const learned = await loadLearnedCategories();
+  if (Object.values(learned).some(mapping => mapping.categoryId === fromId)) {
+    for (const mapping of Object.values(learned)) {
+      if (mapping.categoryId === fromId) mapping.categoryId = toId;
+    }
+    await saveLearnedCategories(learned);
+  }
+
+  // A budget of the old category is added to the target's
+  const budget = await loadBudget();
+  if (budget.categories[fromId] !== undefined) {
+    budget.categories[toId] = roundPrice((budget.categories[toId] || 0) + budget.categories[fromId]);
+    delete budget.categories[fromId];
+    await storage.set(STORAGE_KEYS.budget, budget);
+  }
+
+  const trash = await loadTrash();
+  if (trash.some(entry => entry.item.categoryId === fromId)) {
+    await saveTrash(trash.map(entry => entry.item.categoryId === fromId
+      ? { ...entry, item: { ...entry.item, categoryId: toId } }
+      : entry));
+  }
+
+  const pantry = await loadPantry();
+  if (pantry.items.some(entry => entry.categoryId === fromId) ||
+      Object.values(pantry.staples).some(staple => staple.categoryId === fromId)) {
+    for (const entry of pantry.items) {
+      if (entry.categoryId === fromId) entry.categoryId = toId;
+    }
+    for (const staple of Object.values(pantry.staples)) {
+      if (staple.categoryId === fromId) staple.categoryId = toId;
+    }
+    await savePantry(pantry);
+  }
+
+  const history = await loadPurchaseHistory();
+  if (history.some(entry => entry.categoryId === fromId)) {
+    await savePurchaseHistory(history.map(entry =>
+      entry.categoryId === fromId ? { ...entry, categoryId: toId } : entry));
+  }
+
+  return movedItems;
+}
+
+// Helper: Delete a custom category and move everything using it to targetId (must be called inside storage.transaction)
+// action ('deleted' or 'merged') is reported to webhooks
+async function removeCategory(id, targetId, action = 'deleted') {
+  const records = await loadCategories();
+  const categories = mergeCategories(records);
+  const category = categories.find(c => c.id === id);
+
+  if (!category) {
+    throw notFoundError('Category');
+  }
+  if (category.builtIn) {
+    throw new ApiError(400, 'category-built-in', 'Built-in categories cannot be deleted');
+  }
+  if (targetId === id || !categories.some(c => c.id === targetId)) {
+    throw invalidInput('Target category not found', [{ field: 'targetId', error: 'unknown category' }]);
+  }
+
+  const movedItems = await reassignCategory(id, targetId);
+  const remaining = records.filter(record => record.id !== id);
+
+  await saveCategories(remaining);
+  await broadcastCategories(remaining, { action, categoryId: id, targetId });
+
+  return { deletedId: id, targetId, movedItems };
+}
+
+// Helper: Load purchase history from storage
+async function loadPurchaseHistory() {
+  // If nothing is stored, nothing has been bought yet
+  return storage.get(STORAGE_KEYS.purchaseHistory, []);
+}
+
+// Helper: Save purchase history to storage
+async function savePurchaseHistory(history) {
+  const trimmed = history.slice(-MAX_HISTORY_ENTRIES);
+  await storage.set(STORAGE_KEYS.purchaseHistory, trimmed);
+  return trimmed;
+}
+
+// Helper: Archive checked items into the purchase history (must be called inside storage.transaction)
+async function archivePurchases(listId, items) {
+  if (items.length === 0) {
+    return [];
+  }
+
+  const archivedAt = new Date().toISOString();
+  const entries = items.map(item => ({
+    id: generateId(),
+    name: item.name,
+    categoryId: item.categoryId,
+    quantity: item.quantity,
+    amount: item.amount,
+    unit: item.unit,
+    price: item.price,
+    paidPrice: item.paidPrice,
+    listId,
+    itemId: item.id,
+    checkedBy: item.checkedBy,
+    checkedAt: item.checkedAt || archivedAt,
+    archivedAt
+  }));
+
+  const history = await loadPurchaseHistory();
+  await savePurchaseHistory(history.concat(entries));
+  return entries;
+}
+
+// Helper: Remove history entries again (when cleared items are restored)
+async function unarchivePurchases(historyEntryIds) {
+  if (historyEntryIds.length === 0) {
+    return;
+  }
+
+  const history = await loadPurchaseHistory();
+  await savePurchaseHistory(history.filter(entry => !historyEntryIds.includes(entry.id)));
+}
+
+// Helper: Round an amount of money to cents
+function roundPrice(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// Helper: Normalise a price from a request (number or "2,49")
+// Returns { price } (null = remove, undefined = not given) or { error }
+function parsePrice(value, field) {
+  if (value === undefined || value === null || value === '') {
+    return { price: value === '' ? null : value };
+  }
+
+  const number = typeof value === 'string' ? Number(value.trim().replace(',', '.')) : value;
+  if (typeof number !== 'number' || !Number.isFinite(number) || number < 0 || number > MAX_PRICE) {
+    return { error: `${field} must be an amount between 0 and ${MAX_PRICE}` };
+  }
+
+  return { price: roundPrice(number) };
+}
+
+// Helper: Load the last paid price per item name from storage
+async function loadPrices() {
+  return storage.get(STORAGE_KEYS.prices, {});
+}
+
+// Helper: Remember what was paid for an item name (must be called inside storage.transaction)
+async function learnPrice(name, paidPrice, userId) {
+  const prices = await loadPrices();
+
+  prices[normalizeItemName(name)] = {
+    name: name.trim(),
+    price: paidPrice,
+    paidBy: userId,
+    paidAt: new Date().toISOString()
+  };
+
+  await storage.set(STORAGE_KEYS.prices, prices);
+}
+
+// Helper: Estimated price of an open item: its own price, otherwise the last price paid for its name
+// Returns { price, source: 'item' | 'last-paid' } or null
+function estimateItemPrice(item, prices) {
+  if (typeof item.price === 'number') {
+    return { price: item.price, source: 'item' };
+  }
+
+  const lastPaid = prices[normalizeItemName(item.name)];
+  return lastPaid ? { price: lastPaid.price, source: 'last-paid' } : null;
+}
+
+// Helper: Price totals of a list, overall and per category (in category order)
+// Open items count with their estimate, checked items with the price paid on this trip
+function summarizeListPrices(list, categories, prices) {
+  const totals = {
+    currency: CURRENCY,
+    estimatedTotal: 0,
+    paidTotal: 0,
+    unpricedItems: 0,
+    byCategory: [],
+    estimates: {}
+  };
+  const byCategory = new Map();
+
+  for (const item of list.items) {
+    if (!byCategory.has(item.categoryId)) {
+      byCategory.set(item.categoryId, { categoryId: item.categoryId, estimatedTotal: 0, paidTotal: 0, unpricedItems: 0 });
+    }
+    const categoryTotals = byCategory.get(item.categoryId);
+
+    if (item.checked) {
+      if (typeof item.paidPrice === 'number') {
+        categoryTotals.paidTotal += item.paidPrice;
+        totals.paidTotal += item.paidPrice;
+      }
+      continue;
+    }
+
+    const estimate = estimateItemPrice(item, prices);
+    if (estimate) {
+      totals.estimates[item.id] = estimate;
+      categoryTotals.estimatedTotal += estimate.price;
+      totals.estimatedTotal += estimate.price;
+    } else {
+      categoryTotals.unpricedItems++;
+      totals.unpricedItems++;
+    }
+  }
+
+  const order = categories.map(category => category.id);
+  totals.estimatedTotal = roundPrice(totals.estimatedTotal);
+  totals.paidTotal = roundPrice(totals.paidTotal);
+  totals.byCategory = [...byCategory.values()]
+    .sort((a, b) => (order.indexOf(a.categoryId) + 1 || Infinity) - (order.indexOf(b.categoryId) + 1 || Infinity))
+    .map(entry => ({
+      ...entry,
+      estimatedTotal: roundPrice(entry.estimatedTotal),
+      paidTotal: roundPrice(entry.paidTotal)
+    }));
+
+  return totals;
+}
+
+// Helper: Load the monthly budget ({ monthly, categories: { categoryId: amount } }) from storage
+async function loadBudget() {
+  return storage.get(STORAGE_KEYS.budget, { monthly: null, categories: {} });
+}
+
+// Budget fields clients may send (PUT replaces the whole budget), categories: { categoryId: amount }
+const BUDGET_FIELDS = {
+  monthly: { type: 'price', nullable: true },
+  categories: { type: 'object', nullable: true }
+};
+
+// Budget fields set by the server, ignored when clients send the budget back
+const BUDGET_SERVER_FIELDS = ['currency', 'updatedBy', 'updatedAt'];
+
+// Helper: Validate a budget against the known category ids, returns { monthly, categories }
+// Missing or null amounts mean no budget (overall or for that category)
+function validateBudget(input, categoryIds) {
+  const { monthly, categories } = validateInput(BUDGET_FIELDS, input, { ignore: BUDGET_SERVER_FIELDS });
+
+  // Every known category may have an amount, other keys are reported as categories.<id>
+  const categorySchema = Object.fromEntries(categoryIds.map(id => [id, BUDGET_FIELDS.monthly]));
+  const amounts = validateInput(categorySchema, categories || {}, { path: 'categories' });
+
+  return {
+    monthly: monthly === undefined ? null : monthly,
+    categories: Object.fromEntries(Object.entries(amounts).filter(([, amount]) => amount !== null))
+  };
+}
+
+// Helper: Month of a date in server time ("2025-10")
+function monthKey(date) {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+}
+
+// Helper: Everything bought so far: archived purchases and items checked off but not cleared yet
+async function loadPurchases() {
+  const history = await loadPurchaseHistory();
+  const store = await loadStore();
+
+  const openPurchases = store.lists.flatMap(list => list.items
+    .filter(item => item.checked)
+    .map(item => ({
+      name: item.name,
+      categoryId: item.categoryId,
+      paidPrice: item.paidPrice,
+      listId: list.id,
+      checkedAt: item.checkedAt || item.createdAt
+    })));
+
+  return history.concat(openPurchases);
+}
+
+// Helper: Spending of one month against the budget, overall and per category
+// Categories show up if something was bought in them or they have a budget
+function summarizeSpending(purchases, month, budget, categories) {
+  const monthPurchases = purchases.filter(purchase => monthKey(purchase.checkedAt) === month);
+  const byCategory = new Map(Object.keys(budget.categories).map(categoryId =>
+    [categoryId, { categoryId, spent: 0, purchases: 0, unpricedPurchases: 0 }]));
+  let spent = 0;
+
+  for (const purchase of monthPurchases) {
+    if (!byCategory.has(purchase.categoryId)) {
+      byCategory.set(purchase.categoryId, { categoryId: purchase.categoryId, spent: 0, purchases: 0, unpricedPurchases: 0 });
+    }
+    const categorySpending = byCategory.get(purchase.categoryId);
+    categorySpending.purchases++;
+
+    if (typeof purchase.paidPrice === 'number') {
+      categorySpending.spent += purchase.paidPrice;
+      spent += purchase.paidPrice;
+    } else {
+      categorySpending.unpricedPurchases++;
+    }
+  }
+
+  const order = categories.map(category => category.id);
+  const withBudget = (amount, limit) => ({
+    spent: roundPrice(amount),
+    budget: typeof limit === 'number' ? limit : null,
+    remaining: typeof limit === 'number' ? roundPrice(limit - amount) : null
+  });
+
+  return {
+    month,
+    currency: CURRENCY,
+    ...withBudget(spent, budget.monthly),
+    purchases: monthPurchases.length,
+    unpricedPurchases: monthPurchases.filter(purchase => typeof purchase.paidPrice !== 'number').length,
+    byCategory: [...byCategory.values()]
+      .sort((a, b) => (order.indexOf(a.categoryId) + 1 || Infinity) - (order.indexOf(b.categoryId) + 1 || Infinity))
+      .map(entry => {
+        const category = categories.find(c => c.id === entry.categoryId);
+        return {
+          categoryId: entry.categoryId,
+          name: category ? category.name : entry.categoryId,
+          ...withBudget(entry.spent, budget.categories[entry.categoryId]),
+          purchases: entry.purchases,
+          unpricedPurchases: entry.unpricedPurchases
+        };
+      })
+  };
+}
+
+// Helper: Load trash entries (deleted and cleared items) from storage
+async function loadTrash() {
+  const cutoff = Date.now() - TRASH_RETENTION_DAYS * DAY_MS;
+  const trash = await storage.get(STORAGE_KEYS.trash, []);
+  return trash.filter(entry => new Date(entry.deletedAt).getTime() >= cutoff);
+}
+
+// Helper: Save trash entries to storage
+async function saveTrash(trash) {
+  await storage.set(STORAGE_KEYS.trash, trash);
+  return trash;
+}
+
+// Helper: Move removed items to the trash (must be called inside storage.transaction)
+// reason: 'deleted', 'cleared' or 'replaced' (import); historyEntries link cleared items to their purchase history entry
+async function trashItems(listId, items, reason, historyEntries = []) {
+  if (items.length === 0) {
+    return [];
+  }
+
+  const deletedAt = new Date().toISOString();
+  const entries = items.map(item => {
+    const historyEntry = historyEntries.find(entry => entry.itemId === item.id);
+    return {
+      id: generateId(),
+      listId,
+      reason,
+      item,
+      historyEntryId: historyEntry ? historyEntry.id : undefined,
+      deletedAt
+    };
+  });
+
+  const trash = await loadTrash();
+  await saveTrash(trash.concat(entries));
+  return entries;
+}
+
+// Helper: Identify the calling client for undo (each paired device has its own undo stack)
+function getClientId(req) {
+  return req.device.id;
+}
+
+// Helper: Copy of all items of a list by id, taken before a mutation (for undo)
+function snapshotItems(list) {
+  return new Map(list.items.map(item => [item.id, JSON.parse(JSON.stringify(item))]));
+}
+
+// Helper: Remember how to reverse a mutation (must be called inside storage.transaction)
+// Stores the state of every affected item before the mutation (null = item did not exist).
+async function recordUndo(clientId, listId, previousItems, itemIds, historyEntryIds = []) {
+  const uniqueIds = [...new Set(itemIds)];
+  if (uniqueIds.length === 0) {
+    return;
+  }
+
+  const undoLog = await storage.get(STORAGE_KEYS.undoLog, []);
+  undoLog.push({
+    id: generateId(),
+    clientId,
+    listId,
+    items: uniqueIds.map(itemId => ({ itemId, before: previousItems.get(itemId) || null })),
+    historyEntryIds,
+    createdAt: new Date().toISOString()
+  });
+
+  // Keep only the most recent entries per client
+  const clientEntries = undoLog.filter(entry => entry.clientId === clientId);
+  const dropped = new Set(clientEntries.slice(0, -MAX_UNDO_ENTRIES).map(entry => entry.id));
+  await storage.set(STORAGE_KEYS.undoLog, undoLog.filter(entry => !dropped.has(entry.id)));
+}
+
+// Helper: Put item snapshots back onto a loaded list, returns the changes to broadcast
+function restoreItems(list, snapshots) {
+  const changes = [];
+
+  for (const snapshot of snapshots) {
+    const index = list.items.findIndex(item => item.id === snapshot.id);
+    const current = index === -1 ? undefined : list.items[index];
+    const restored = {
+      ...snapshot,
+      version: Math.max(snapshot.version || 1, current ? current.version || 1 : 0) + 1
+    };
+
+    if (current) {
+      list.items[index] = restored;
+      changes.push({ type: 'item-updated', item: restored });
+    } else {
+      list.items.push(restored);
+      changes.push({ type: 'item-added', item: restored });
+    }
+  }
+
+  return changes;
+}
+
+// Helper: Reverse the most recent mutation of a client (must be called inside storage.transaction)
+async function undoLastOperation(clientId) {
+  const undoLog = await storage.get(STORAGE_KEYS.undoLog, []);
+  const entryIndex = undoLog.map(entry => entry.clientId).lastIndexOf(clientId);
+
+  if (entryIndex === -1) {
+    throw new ApiError(404, 'nothing-to-undo', 'Nothing to undo');
+  }
+
+  const entry = undoLog[entryIndex];
+  const list = await loadShoppingList(entry.listId);
+
+  // Items that did not exist before are removed, all others get their old state back
+  const createdIds = entry.items.filter(({ before }) => before === null).map(({ itemId }) => itemId);
+  const removedItemIds = list.items.filter(item => createdIds.includes(item.id)).map(item => item.id);
+  list.items = list.items.filter(item => !createdIds.includes(item.id));
+
+  const changes = [
+    ...removedItemIds.map(itemId => ({ type: 'item-deleted', itemId })),
+    ...restoreItems(list, entry.items.filter(({ before }) => before !== null).map(({ before }) => before))
+  ];
+
+  // Restored items leave the trash and the purchase history again
+  const restoredIds = entry.items.map(({ itemId }) => itemId);
+  const trash = await loadTrash();
+  await saveTrash(trash.filter(trashEntry =>
+    !(trashEntry.listId === entry.listId && restoredIds.includes(trashEntry.item.id))));
+  await unarchivePurchases(entry.historyEntryIds || []);
+  await unstockPantry(entry.listId, restoredIds);
+
+  undoLog.splice(entryIndex, 1);
+  await storage.set(STORAGE_KEYS.undoLog, undoLog);
+
+  const updatedList = await saveShoppingList(list, changes);
+
+  // Broadcast to all clients viewing this list
+  broadcastChanges(updatedList, changes);
+
+  return {
+    listId: updatedList.id,
+    revision: updatedList.revision,
+    restoredItems: changes.filter(change => change.item).map(change => change.item),
+    removedItemIds
+  };
+}
+
+// Helper: Load store profiles (aisle order per store) from storage
+async function loadStoreProfiles() {
+  return storage.get(STORAGE_KEYS.storeProfiles, []);
+}
+
+// Helper: Save store profiles to storage and tell all clients once committed
+// (clients in a store get their lists again in the new order)
+async function saveStoreProfiles(storeProfiles) {
+  await storage.set(STORAGE_KEYS.storeProfiles, storeProfiles);
+  storage.afterCommit(() => {
+    io.emit('stores-updated', storeProfiles);
+    loadStore()
+      .then(store => Promise.all(store.lists.map(broadcastRoute)))
+      .catch(error => console.error('Error sending store routes:', error));
+  });
+  return storeProfiles;
+}
+
+// Fields of a store profile clients may send (arrays replace the stored ones)
+const STORE_PROFILE_FIELDS = {
+  name: LIST_FIELDS.name,
+  categoryOrder: { type: 'array', unique: true, items: { type: 'string', category: true } },
+  // "Eier are next to the milk at Rewe": { name: 'Eier', categoryId: 'dairy-cheese' }
+  itemOverrides: {
+    type: 'array',
+    items: {
+      type: 'object',
+      fields: {
+        name: ITEM_FIELDS.name,
+        categoryId: { type: 'string', required: true, category: true }
+      }
+    }
+  }
+};
+
+// Store profile fields set by the server, ignored when clients send a profile back
+const STORE_PROFILE_SERVER_FIELDS = ['id', 'createdAt', 'updatedAt'];
+
+// Helper: A list in walking order for a store profile
+// Unchecked items are grouped by aisle (the store's category order, then the remaining
+// categories by sortOrder); checked items come last. Returns { store, groups, checkedItems, items }.
+function buildStoreRoute(list, storeProfile, categories) {
+  const overrides = new Map((storeProfile.itemOverrides || [])
+    .map(override => [normalizeItemName(override.name), override.categoryId]));
+  const order = storeProfile.categoryOrder || [];
+  const rank = categoryId => {
+    const index = order.indexOf(categoryId);
+    if (index !== -1) return index;
+    const categoryIndex = categories.findIndex(category => category.id === categoryId);
+    return order.length + (categoryIndex === -1 ? categories.length : categoryIndex);
+  };
+
+  const groupsById = new Map();
+  for (const item of list.items.filter(i => !i.checked)) {
+    const aisleId = overrides.get(normalizeItemName(item.name)) || item.categoryId;
+    if (!groupsById.has(aisleId)) {
+      const category = categories.find(c => c.id === aisleId) || { id: aisleId, name: aisleId };
+      groupsById.set(aisleId, {
+        categoryId: aisleId,
+        name: category.name,
+        icon: category.icon,
+        color: category.color,
+        items: []
+      });
+    }
+    groupsById.get(aisleId).items.push(item);
+  }
+
+  const groups = [...groupsById.values()].sort((a, b) => rank(a.categoryId) - rank(b.categoryId));
+  const checkedItems = list.items.filter(item => item.checked);
+
+  return {
+    store: { id: storeProfile.id, name: storeProfile.name },
+    groups,
+    checkedItems,
+    items: [...groups.flatMap(group => group.items), ...checkedItems]
+  };
+}
+
+// Helper: Load what buildStoreRoute needs, throws store-not-found
+async function loadStoreRoute(list, storeId) {
+  const storeProfiles = await loadStoreProfiles();
+  const storeProfile = storeProfiles.find(profile => profile.id === storeId);
+
+  if (!storeProfile) {
+    throw notFoundError('Store');
+  }
+
+  return buildStoreRoute(list, storeProfile, await loadCategoryRegistry());
+}
+
+// Helper: Send a socket the list in walking order of the store it is in ('list-route')
+async function emitRoute(socket, list) {
+  if (!socket.data.storeId) {
+    return;
+  }
+
+  try {
+    const route = await loadStoreRoute(list, socket.data.storeId);
+    socket.emit('list-route', { listId: list.id, revision: list.revision, ...route });
+  } catch (error) {
+    // The store profile was deleted in the meantime
+    if (error.code !== 'store-not-found') throw error;
+    socket.data.storeId = undefined;
+  }
+}
+
+// Helper: Send the walking-order view of a list to every client in its room that is in a store
+async function broadcastRoute(list) {
+  for (const socket of io.sockets.sockets.values()) {
+    if (socket.data.storeId && socket.rooms.has(listRoom(list.id))) {
+      await emitRoute(socket, list);
+    }
+  }
+}
+
+// Helper: Load the pantry from storage
+// { items: [{ id, name, categoryId, quantity, amount, unit, expiresAt, ... }], staples: { [name]: {...} }, log: [...] }
+async function loadPantry() {
+  const pantry = await storage.get(STORAGE_KEYS.pantry, {});
+  return { items: pantry.items || [], staples: pantry.staples || {}, log: pantry.log || [] };
+}
+
+// Helper: Save the pantry and send its items to all clients once committed
+async function savePantry(pantry) {
+  pantry.log = pantry.log.slice(-MAX_PANTRY_LOG_ENTRIES);
+  await storage.set(STORAGE_KEYS.pantry, pantry);
+  storage.afterCommit(() => {
+    io.emit('pantry-updated', pantry.items);
+  });
+  return pantry;
+}
+
+// Helper: Expiry date of something stocked now, from the shelfLifeDays of its category
+// (undefined if the category has none)
+function estimateExpiry(categoryId, categories, from = Date.now()) {
+  const category = categories.find(c => c.id === categoryId);
+  return category && Number.isInteger(category.shelfLifeDays)
+    ? new Date(from + category.shelfLifeDays * DAY_MS).toISOString()
+    : undefined;
+}
+
+// Helper: Pantry entry for responses, with days until it expires and whether it is a staple
+function describePantryItem(entry, staples, now = Date.now()) {
+  const daysLeft = entry.expiresAt ? Math.ceil((new Date(entry.expiresAt).getTime() - now) / DAY_MS) : null;
+  return {
+    ...entry,
+    daysLeft,
+    expiring: daysLeft !== null && daysLeft <= PANTRY_EXPIRY_WARNING_DAYS,
+    staple: Boolean(staples[normalizeItemName(entry.name)])
+  };
+}
+
+// Fields of a pantry entry clients may send; null removes the quantity, expiresAt: null means it does not expire
+const PANTRY_ITEM_FIELDS = {
+  name: ITEM_FIELDS.name,
+  quantity: ITEM_FIELDS.quantity,
+  categoryId: ITEM_FIELDS.categoryId,
+  expiresAt: { type: 'date', nullable: true }
+};
+
+// Pantry entry fields set by the server (or added for responses), ignored when clients send an entry back
+const PANTRY_ITEM_SERVER_FIELDS = ['id', 'amount', 'unit', 'listId', 'itemId', 'addedBy', 'addedAt', 'daysLeft', 'expiring', 'staple'];
+
+// Helper: Validate a new or changed pantry entry (options as for validateInput)
+// amount/unit follow the quantity
+function validatePantryItem(input, options) {
+  const values = clearNullFields(
+    validateInput(PANTRY_ITEM_FIELDS, input, { ...options, ignore: PANTRY_ITEM_SERVER_FIELDS }),
+    ['quantity', 'expiresAt']
+  );
+
+  if ('quantity' in values) {
+    const structured = parseQuantity(values.quantity);
+    values.amount = structured ? structured.amount : undefined;
+    values.unit = structured ? structured.unit : undefined;
+  }
+
+  return values;
+}
+
+// Fields of a staple clients may send (the name is part of the URL); null removes the quantity
+const STAPLE_FIELDS = {
+  autoAdd: { type: 'boolean' },
+  listId: { type: 'string' },
+  quantity: ITEM_FIELDS.quantity,
+  categoryId: ITEM_FIELDS.categoryId
+};
+
+// Staple fields set by the server (or added for responses), ignored when clients send a staple back
+const STAPLE_SERVER_FIELDS = ['name', 'createdBy', 'createdAt', 'restockedAt', 'inStock', 'nextExpiry'];
+
+// Helper: Validate a staple against the known categories and lists
+function validateStaple(input, categoryIds, listIds) {
+  const values = clearNullFields(validateInput(STAPLE_FIELDS, input, { categoryIds, ignore: STAPLE_SERVER_FIELDS }), ['quantity']);
+
+  if (values.listId !== undefined && !listIds.includes(values.listId)) {
+    throw invalidInput(`listId unknown list: ${values.listId}`, [{ field: 'listId', error: `unknown list: ${values.listId}` }]);
+  }
+
+  return values;
+}
+
+// Helper: Put cleared list items into the pantry (must be called inside storage.transaction)
+// Each item becomes its own entry, its expiry is estimated from the category
+async function stockPantry(listId, items, userId) {
+  if (items.length === 0) {
+    return [];
+  }
+
+  const categories = await loadCategoryRegistry();
+  const pantry = await loadPantry();
+  const addedAt = new Date().toISOString();
+
+  const entries = items.map(item => ({
+    id: generateId(),
+    name: item.name,
+    categoryId: item.categoryId,
+    quantity: item.quantity,
+    amount: item.amount,
+    unit: item.unit,
+    expiresAt: estimateExpiry(item.categoryId, categories),
+    listId,
+    itemId: item.id,
+    addedBy: userId,
+    addedAt
+  }));
+
+  pantry.items.push(...entries);
+
+  // Restocked staples may be added to the list again once they run out
+  for (const entry of entries) {
+    const staple = pantry.staples[normalizeItemName(entry.name)];
+    if (staple) {
+      delete staple.restockedAt;
+    }
+  }
+
+  await savePantry(pantry);
+  return entries;
+}
+
+// Helper: Take pantry entries of list items out again (when cleared items are restored)
+async function unstockPantry(listId, itemIds) {
+  const pantry = await loadPantry();
+
+  if (pantry.items.some(entry => entry.listId === listId && itemIds.includes(entry.itemId))) {
+    pantry.items = pantry.items.filter(entry => !(entry.listId === listId && itemIds.includes(entry.itemId)));
+    await savePantry(pantry);
+  }
+}
+
+// Helper: Staples to buy again: out of stock, or all of their stock expires within PANTRY_EXPIRY_WARNING_DAYS
+// Returns [{ name, categoryId, quantity, listId, reason: 'out-of-stock' | 'expiring', expiresAt?, autoAdd, restockedAt? }]
+function collectPantrySuggestions(pantry, now = Date.now()) {
+  const warnUntil = now + PANTRY_EXPIRY_WARNING_DAYS * DAY_MS;
+  const suggestions = [];
+
+  for (const [key, staple] of Object.entries(pantry.staples)) {
+    const stock = pantry.items.filter(entry => normalizeItemName(entry.name) === key);
+    const expiring = stock.length > 0 &&
+      stock.every(entry => entry.expiresAt && new Date(entry.expiresAt).getTime() <= warnUntil);
+
+    if (stock.length > 0 && !expiring) continue;
+
+    suggestions.push({
+      name: staple.name,
+      categoryId: staple.categoryId,
+      quantity: staple.quantity,
+      listId: staple.listId,
+      reason: stock.length === 0 ? 'out-of-stock' : 'expiring',
+      expiresAt: expiring
+        ? stock.map(entry => entry.expiresAt).sort()[0]
+        : undefined,
+      autoAdd: staple.autoAdd,
+      restockedAt: staple.restockedAt
+    });
+  }
+
+  return suggestions;
+}
+
+// Helper: Add staples with autoAdd to their list once they run out or expire (must be called inside storage.transaction)
+// Each shortage is handled once: the staple is only added again after it was stocked again.
+// Returns the names that were put on a list.
+async function restockStaples(requestId, now = Date.now()) {
+  const pantry = await loadPantry();
+  const due = collectPantrySuggestions(pantry, now).filter(suggestion => suggestion.autoAdd && !suggestion.restockedAt);
+
+  if (due.length === 0) {
+    return [];
+  }
+
+  const lists = (await loadStore()).lists;
+  const byList = new Map();
+  for (const suggestion of due) {
+    // Staples of deleted lists go to the default list
+    const listId = lists.some(list => list.id === suggestion.listId) ? suggestion.listId : DEFAULT_LIST_ID;
+    byList.set(listId, (byList.get(listId) || []).concat(suggestion));
+  }
+
+  const restocked = [];
+  for (const [listId, suggestions] of byList) {
+    const result = await addItemsToList(requestId, listId, suggestions.map(({ name, categoryId, quantity }) =>
+      ({ name, categoryId, quantity })), { skipExisting: true });
+    restocked.push(...result.addedItems.map(item => item.name));
+  }
+
+  const restockedAt = new Date(now).toISOString();
+  for (const suggestion of due) {
+    pantry.staples[normalizeItemName(suggestion.name)].restockedAt = restockedAt;
+  }
+  await savePantry(pantry);
+
+  if (restocked.length > 0) {
+    console.log(`[${requestId}] Pantry: added ${restocked.join(', ')} to the list`);
+  }
+  return restocked;
+}
+
+// Helper: Use up or throw away (part of) a pantry entry (must be called inside storage.transaction)
+// action: 'used' or 'discarded'; quantity in the entry's unit ("200 g"), default: all of it.
+// Returns { item (null once nothing is left), restocked }
+async function takeFromPantry(requestId, id, action, quantity, userId) {
+  const pantry = await loadPantry();
+  const entry = pantry.items.find(e => e.id === id);
+
+  if (!entry) {
+    throw notFoundError('Pantry item');
+  }
+
+  let taken = entry.quantity;
+  let remaining = 0;
+
+  if (quantity !== undefined && quantity !== null) {
+    const wanted = parseQuantity(quantity);
+    const stock = entry.quantity ? parseQuantity(entry.quantity) : { amount: 1, unit: 'Stück' };
+
+    if (!wanted || !stock || wanted.unit !== stock.unit) {
+      throw invalidInput('quantity must be an amount in the same unit as the pantry item', [{ field: 'quantity', error: 'must be in the unit of the pantry item' }]);
+    }
+
+    remaining = Math.round((stock.amount - wanted.amount) * 1000) / 1000;
+    taken = formatQuantity(Math.min(wanted.amount, stock.amount), stock.unit);
+
+    if (remaining > 0) {
+      Object.assign(entry, { quantity: formatQuantity(remaining, stock.unit), amount: remaining, unit: stock.unit });
+    }
+  }
+
+  if (remaining <= 0) {
+    pantry.items = pantry.items.filter(e => e.id !== id);
+  }
+
+  pantry.log.push({
+    id: generateId(),
+    pantryItemId: id,
+    name: entry.name,
+    categoryId: entry.categoryId,
+    action,
+    quantity: taken,
+    by: userId,
+    at: new Date().toISOString()
+  });
+  await savePantry(pantry);
+
+  return {
+    item: remaining > 0 ? entry : null,
+    restocked: await restockStaples(requestId)
+  };
+}
+
+// Helper: Load shopping trips (active and ended) from storage
+async function loadTrips() {
+  return storage.get(STORAGE_KEYS.trips, []);
+}
+
+// Helper: Save trips (only the most recent ended ones are kept) and send the
+// new presence of the given lists to their rooms once committed
+async function saveTrips(trips, listIds) {
+  const ended = trips.filter(trip => trip.status === 'ended');
+  const dropped = new Set(ended.slice(0, -MAX_TRIP_ENTRIES).map(trip => trip.id));
+  const kept = trips.filter(trip => !dropped.has(trip.id));
+
+  await storage.set(STORAGE_KEYS.trips, kept);
+  storage.afterCommit(() => {
+    Promise.all([...new Set(listIds)].map(async listId => {
+      io.to(listRoom(listId)).emit('presence', await loadPresence(listId));
+    })).catch(error => console.error('Error sending presence:', error));
+  });
+  return kept;
+}
+
+// Helper: Trips with the names of their shopper and store (for responses and presence)
+async function describeTrips(trips) {
+  const { users } = await loadAccounts();
+  const storeProfiles = await loadStoreProfiles();
+
+  return trips.map(trip => {
+    const user = users.find(u => u.id === trip.userId);
+    const storeProfile = trip.storeId && storeProfiles.find(profile => profile.id === trip.storeId);
+    return {
+      ...trip,
+      userName: user ? user.name : undefined,
+      storeName: storeProfile ? storeProfile.name : undefined
+    };
+  });
+}
+
+// Helper: Who is shopping for a list right now ({ listId, shoppers })
+async function loadPresence(listId) {
+  const trips = (await loadTrips()).filter(trip => trip.status === 'active' && trip.listId === listId);
+  return { listId, shoppers: await describeTrips(trips) };
+}
+
+// Helper: Start a shopping trip for a user, optionally in a store (must be called inside storage.transaction)
+// via: 'socket' or 'rest'; a user can only have one active trip
+async function startTrip({ user, device, listId, storeId, via }) {
+  await loadShoppingList(listId);
+
+  if (storeId && !(await loadStoreProfiles()).some(profile => profile.id === storeId)) {
+    throw notFoundError('Store');
+  }
+
+  const trips = await loadTrips();
+  if (trips.some(trip => trip.status === 'active' && trip.userId === user.id)) {
+    throw new ApiError(409, 'trip-already-active', 'You already have an active trip');
+  }
+
+  const trip = {
+    id: generateId(),
+    userId: user.id,
+    deviceId: device.id,
+    listId,
+    storeId: storeId || undefined,
+    via,
+    status: 'active',
+    startedAt: new Date().toISOString()
+  };
+
+  trips.push(trip);
+  await saveTrips(trips, [listId]);
+  return trip;
+}
+
+// Helper: What happened during a trip: items the shopper checked off since it started
+// (still on the list or already cleared into the history), the time it took and what is left
+function summarizeTrip(trip, list, history, endedAt) {
+  const startedTime = new Date(trip.startedAt).getTime();
+  const checkedDuringTrip = entry => entry.checkedBy === trip.userId &&
+    new Date(entry.checkedAt).getTime() >= startedTime;
+
+  const checkedItems = [
+    ...(list ? list.items.filter(item => item.checked && checkedDuringTrip(item)) : []),
+    ...history.filter(entry => entry.listId === trip.listId && checkedDuringTrip(entry))
+      .map(entry => ({ ...entry, id: entry.itemId }))
+  ].map(({ id, name, quantity, categoryId, paidPrice }) => ({ id, name, quantity, categoryId, paidPrice }));
+
+  const leftItems = (list ? list.items.filter(item => !item.checked) : [])
+    .map(({ id, name, quantity, categoryId, claimedBy }) => ({ id, name, quantity, categoryId, claimedBy }));
+
+  return {
+    durationMinutes: Math.round((new Date(endedAt).getTime() - startedTime) / 60000),
+    checkedCount: checkedItems.length,
+    paidTotal: roundPrice(checkedItems.reduce((sum, item) => sum + (item.paidPrice || 0), 0)),
+    checkedItems,
+    leftCount: leftItems.length,
+    leftItems
+  };
+}
+
+// Helper: Remove the claim fields from an item (returns a new version)
+function releaseClaim(item) {
+  const { claimedBy, claimedAt, claimTripId, ...released } = item;
+  return { ...released, version: (item.version || 1) + 1 };
+}
+
+// Helper: End an active trip, release its claims and store its summary (must be called inside storage.transaction)
+// reason: 'ended', 'disconnected' (last socket of the device closed) or 'expired'
+async function endTrip(tripId, reason) {
+  const trips = await loadTrips();
+  const trip = trips.find(t => t.id === tripId && t.status === 'active');
+
+  if (!trip) {
+    throw notFoundError('Trip');
+  }
+
+  // The list may have been deleted in the meantime
+  const store = await loadStore();
+  const list = store.lists.find(l => l.id === trip.listId);
+
+  if (list && list.items.some(item => item.claimTripId === trip.id)) {
+    const changes = [];
+    list.items = list.items.map(item => {
+      if (item.claimTripId !== trip.id) return item;
+      const released = releaseClaim(item);
+      changes.push({ type: 'item-updated', item: released });
+      return released;
+    });
+
+    const updatedList = await saveShoppingList(list, changes);
+    broadcastChanges(updatedList, changes);
+  }
+
+  const endedAt = new Date().toISOString();
+  Object.assign(trip, {
+    status: 'ended',
+    endedAt,
+    endReason: reason,
+    summary: summarizeTrip(trip, list, await loadPurchaseHistory(), endedAt)
+  });
+
+  await saveTrips(trips, [trip.listId]);
+
+  storage.afterCommit(() => {
+    describeTrips([trip])
+      .then(([described]) => io.to(listRoom(trip.listId)).emit('trip-ended', described))
+      .catch(error => console.error('Error sending trip summary:', error));
+  });
+
+  return trip;
+}
+
+// Helper: End the trips of a device once its last socket is gone
+async function endDeviceTrips(deviceId) {
+  const stillConnected = [...io.sockets.sockets.values()]
+    .some(socket => socket.data.device && socket.data.device.id === deviceId);
+
+  if (stillConnected) {
+    return;
+  }
+
+  await storage.transaction(`disconnect-${deviceId}`, async () => {
+    const trips = (await loadTrips()).filter(trip => trip.status === 'active' && trip.deviceId === deviceId);
+    for (const trip of trips) {
+      await endTrip(trip.id, 'disconnected');
+      console.log(`Trips: Ended trip ${trip.id} (device disconnected)`);
+    }
+  });
+}
+
+// Helper: End trips that ran longer than TRIP_TIMEOUT, and trips of sockets that were
+// connected before a server restart
+async function endStaleTrips(startup = false) {
+  await storage.transaction('trip-sweep', async () => {
+    const cutoff = Date.now() - TRIP_TIMEOUT;
+    const stale = (await loadTrips()).filter(trip => trip.status === 'active' &&
+      (new Date(trip.startedAt).getTime() < cutoff || (startup && trip.via === 'socket')));
+
+    for (const trip of stale) {
+      const reason = new Date(trip.startedAt).getTime() < cutoff ? 'expired' : 'disconnected';
+      await endTrip(trip.id, reason);
+      console.log(`Trips: Ended trip ${trip.id} (${reason})`);
+    }
+  });
+}
+
+// Helper: Claim items for the user's active trip on the list, or release them (must be called inside storage.transaction)
+// Claimed items show others who is getting them; only the claimer (or an admin) can release a claim.
+async function setItemClaims(listId, itemIds, user, claim) {
+  const list = await loadShoppingList(listId);
+  let trip;
+
+  if (claim) {
+    trip = (await loadTrips()).find(t => t.status === 'active' && t.userId === user.id && t.listId === listId);
+    if (!trip) {
+      throw new ApiError(409, 'trip-required', 'Start a trip on this list to claim items');
+    }
+  }
+
+  const changes = [];
+  for (const itemId of [...new Set(itemIds)]) {
+    const index = list.items.findIndex(item => item.id === itemId);
+    if (index === -1) {
+      throw notFoundError('Item');
+    }
+
+    const item = list.items[index];
+    if (item.claimedBy && item.claimedBy !== user.id && (claim || user.role !== 'admin')) {
+      throw new ApiError(409, 'item-claimed', 'Item is claimed by someone else');
+    }
+
+    let updated;
+    if (claim) {
+      if (item.checked) {
+        throw new ApiError(409, 'item-already-checked', 'Item is already checked');
+      }
+      if (item.claimTripId === trip.id) continue;
+      updated = {
+        ...item,
+        claimedBy: user.id,
+        claimedAt: new Date().toISOString(),
+        claimTripId: trip.id,
+        version: (item.version || 1) + 1
+      };
+    } else {
+      if (!item.claimedBy) continue;
+      updated = releaseClaim(item);
+    }
+
+    list.items[index] = updated;
+    changes.push({ type: 'item-updated', item: updated });
+  }
+
+  if (changes.length > 0) {
+    const updatedList = await saveShoppingList(list, changes);
+    broadcastChanges(updatedList, changes);
+  }
+
+  return changes.map(change => change.item);
+}
+
+// Helper: Load registered webhooks from storage
+async function loadWebhooks() {
+  return storage.get(STORAGE_KEYS.webhooks, []);
+}
+
+// Helper: Save webhooks to storage
+async function saveWebhooks(webhooks) {
+  await storage.set(STORAGE_KEYS.webhooks, webhooks);
+  return webhooks;
+}
+
+// Helper: Webhook without secret (for listings)
+function publicWebhook(webhook) {
+  const { secret, ...rest } = webhook;
+  return rest;
+}
+
+// Fields of a webhook clients may send; listIds: null removes the list filter
+const WEBHOOK_FIELDS = {
+  name: LIST_FIELDS.name,
+  url: { type: 'url', required: true },
+  events: { type: 'array', required: true, minItems: 1, unique: true, items: { type: 'string', values: WEBHOOK_EVENTS } },
+  listIds: API_KEY_FIELDS.listIds,
+  active: { type: 'boolean' }
+};
+
+// Webhook fields set by the server, ignored when clients send a webhook back
+const WEBHOOK_SERVER_FIELDS = ['id', 'secret', 'createdBy', 'createdAt'];
+
+// Helper: Queue an event for every webhook subscribed to it (must be called inside storage.transaction)
+// listId limits delivery to webhooks without list filter or with that list
+async function enqueueWebhookEvent(event, data, listId) {
+  const webhooks = (await loadWebhooks()).filter(webhook =>
+    webhook.active !== false &&
+    webhook.events.includes(event) &&
+    (!listId || !webhook.listIds || webhook.listIds.includes(listId)));
+
+  await queueWebhookDeliveries(webhooks, event, data);
+}
+
+// Helper: Queue one delivery of an event per given webhook (must be called inside storage.transaction)
+async function queueWebhookDeliveries(webhooks, event, data) {
+  if (webhooks.length === 0) {
+    return;
+  }
+
+  const createdAt = new Date().toISOString();
+  const queue = await storage.get(STORAGE_KEYS.webhookQueue, []);
+
+  for (const webhook of webhooks) {
+    const id = generateId();
+    queue.push({
+      id,
+      webhookId: webhook.id,
+      event,
+      payload: { id, event, createdAt, data },
+      attempts: 0,
+      nextAttemptAt: createdAt,
+      createdAt
+    });
+  }
+
+  await storage.set(STORAGE_KEYS.webhookQueue, queue);
+
+  // Deliver right after the commit instead of waiting for the next retry tick
+  storage.afterCommit(() => {
+    setImmediate(processWebhookQueue);
+  });
+}
+
+// Helper: Queue webhook events for a saved list (called by saveShoppingList)
+// item.checked is only sent when an item goes from unchecked to checked
+async function enqueueListWebhooks(previousList, list, changes) {
+  const listInfo = { listId: list.id, listName: list.name };
+
+  for (const change of changes) {
+    if (change.type === 'item-added') {
+      await enqueueWebhookEvent('item.added', { ...listInfo, item: change.item }, list.id);
+    } else if (change.type === 'item-updated' && change.item.checked) {
+      const before = previousList.items.find(item => item.id === change.item.id);
+      if (!before || !before.checked) {
+        await enqueueWebhookEvent('item.checked', {
+          ...listInfo,
+          item: change.item,
+          remainingItems: list.items.filter(item => !item.checked).length
+        }, list.id);
+      }
+    } else if (change.type === 'items-cleared' && change.itemIds.length > 0) {
+      await enqueueWebhookEvent('list.cleared', { ...listInfo, itemIds: change.itemIds }, list.id);
+    }
+  }
+}
+
+// Helper: Signature header value: HMAC-SHA256 over "<timestamp>.<body>" with the webhook secret
+function signWebhookPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Helper: Send one delivery, returns { ok, statusCode?, error?, durationMs }
+async function sendWebhook(webhook, delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const startedAt = Date.now();
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'hangry-server-webhooks',
+        'X-Hangry-Event': delivery.event,
+        'X-Hangry-Delivery': delivery.id,
+        'X-Hangry-Timestamp': timestamp,
+        'X-Hangry-Signature': signWebhookPayload(webhook.secret, timestamp, body)
+      },
+      body,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT)
+    });
+
+    // The answer body is not used; unread bodies keep the connection (and its socket) open
+    await response.body?.cancel();
+
+    return { ok: response.ok, statusCode: response.status, durationMs: Date.now() - startedAt };
+  } catch (error) {
+    return { ok: false, error: error.message, durationMs: Date.now() - startedAt };
+  }
+}
+
+// Helper: Record the outcome of a delivery attempt and reschedule or drop it (must be called inside storage.transaction)
+// result.dropped: the webhook is gone or paused, the delivery is not retried
+async function finishWebhookAttempt(delivery, result) {
+  const attempts = delivery.attempts + 1;
+  const gaveUp = !result.ok && (result.dropped || attempts >= MAX_WEBHOOK_ATTEMPTS);
+  const status = result.ok ? 'delivered' : (result.dropped ? 'dropped' : (gaveUp ? 'gave-up' : 'failed'));
+
+  const queue = await storage.get(STORAGE_KEYS.webhookQueue, []);
+  const entry = queue.find(e => e.id === delivery.id);
+
+  if (entry) {
+    if (result.ok || gaveUp) {
+      queue.splice(queue.indexOf(entry), 1);
+    } else {
+      // 30s, 1m, 2m, 4m, ... up to 1h
+      entry.attempts = attempts;
+      entry.nextAttemptAt = new Date(Date.now() + Math.min(30000 * 2 ** (attempts - 1), 60 * 60 * 1000)).toISOString();
+    }
+    await storage.set(STORAGE_KEYS.webhookQueue, queue);
+  }
+
+  const log = await storage.get(STORAGE_KEYS.webhookLog, []);
+  log.push({
+    id: generateId(),
+    deliveryId: delivery.id,
+    webhookId: delivery.webhookId,
+    event: delivery.event,
+    attempt: attempts,
+    status,
+    statusCode: result.statusCode,
+    error: result.error,
+    durationMs: result.durationMs,
+    nextAttemptAt: entry && !result.ok && !gaveUp ? entry.nextAttemptAt : undefined,
+    at: new Date().toISOString()
+  });
+  await storage.set(STORAGE_KEYS.webhookLog, log.slice(-MAX_WEBHOOK_LOG_ENTRIES));
+
+  return status;
+}
+
+let webhookWorkerRunning = false;
+
+// Helper: Deliver all due webhook events (one run at a time)
+async function processWebhookQueue() {
+  if (webhookWorkerRunning) {
+    return;
+  }
+  webhookWorkerRunning = true;
+
+  try {
+    const now = Date.now();
+    const queue = await storage.get(STORAGE_KEYS.webhookQueue, []);
+    const due = queue.filter(delivery => new Date(delivery.nextAttemptAt).getTime() <= now);
+
+    if (due.length === 0) {
+      return;
+    }
+
+    const webhooks = await loadWebhooks();
+
+    for (const delivery of due) {
+      const webhook = webhooks.find(w => w.id === delivery.webhookId);
+
+      // Webhook deleted or paused: drop its pending deliveries
+      const result = webhook && webhook.active !== false
+        ? await sendWebhook(webhook, delivery)
+        : { ok: false, dropped: true, error: 'Webhook deleted or inactive', durationMs: 0 };
+
+      const status = await storage.transaction(`webhook-${delivery.id}`, () => finishWebhookAttempt(delivery, result));
+
+      if (status !== 'delivered') {
+        console.log(`Webhooks: ${delivery.event} to ${webhook ? webhook.name : delivery.webhookId} ${status} (${result.statusCode || result.error})`);
+      }
+    }
+  } catch (error) {
+    console.error('Webhooks: Queue run failed:', error);
+  } finally {
+    webhookWorkerRunning = false;
+  }
+}
+
+// Helper: Load recurring items from storage
+async function loadRecurringItems() {
+  // If nothing is stored, no recurring items are defined
+  return storage.get(STORAGE_KEYS.recurringItems, []);
+}
+
+// Helper: Save recurring items to storage
+async function saveRecurringItems(recurringItems) {
+  await storage.set(STORAGE_KEYS.recurringItems, recurringItems);
+  return recurringItems;
+}
+
+// Fields of a recurring item clients may send (schedule is checked by validateSchedule)
+const RECURRING_FIELDS = {
+  name: ITEM_FIELDS.name,
+  categoryId: ITEM_FIELDS.categoryId,
+  quantity: ITEM_FIELDS.quantity,
+  details: ITEM_FIELDS.details,
+  listId: { type: 'string' },
+  schedule: { type: 'object', required: true },
+  active: { type: 'boolean' },
+  startsAt: { type: 'date', nullable: true }
+};
+
+// Recurring item fields set by the server, ignored when clients send them back
+const RECURRING_SERVER_FIELDS = ['id', 'createdAt', 'lastRunAt', 'lastAddedAt', 'nextDueAt'];
+
+// Helper: Validate a recurring schedule, returns an error message or null
+// { type: 'interval', everyDays: 7 } or { type: 'weekdays', weekdays: [1, 4] } (0 = Sunday)
+function validateSchedule(schedule) {
+  if (!schedule || typeof schedule !== 'object') {
+    return 'schedule is required';
+  }
+
+  if (schedule.type === 'interval') {
+    if (!Number.isInteger(schedule.everyDays) || schedule.everyDays < 1) {
+      return 'schedule.everyDays must be a positive integer';
+    }
+    return null;
+  }
+
+  if (schedule.type === 'weekdays') {
+    const { weekdays } = schedule;
+    if (!Array.isArray(weekdays) || weekdays.length === 0 ||
+        !weekdays.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+      return 'schedule.weekdays must be a non-empty array of days (0 = Sunday ... 6 = Saturday)';
+    }
+    return null;
+  }
+
+  return 'schedule.type must be "interval" or "weekdays"';
+}
+
+// Helper: Next time a recurring item is due, counting from its last run (or its start)
+function getNextDueTime(recurring) {
+  const { schedule } = recurring;
+  const startTime = new Date(recurring.startsAt || recurring.createdAt).getTime();
+
+  if (schedule.type === 'interval') {
+    return recurring.lastRunAt
+      ? new Date(recurring.lastRunAt).getTime() + schedule.everyDays * DAY_MS
+      : startTime;
+  }
+
+  // Weekdays: midnight (server time) of the first matching day after the last run
+  const date = new Date(recurring.lastRunAt || startTime);
+  date.setHours(0, 0, 0, 0);
+  if (recurring.lastRunAt) {
+    date.setDate(date.getDate() + 1);
+  }
+  for (let i = 0; i < 7 && !schedule.weekdays.includes(date.getDay()); i++) {
+    date.setDate(date.getDate() + 1);
+  }
+  return date.getTime();
+}
+
+// Helper: Add recurring item with computed nextDueAt for responses
+function describeRecurringItem(recurring) {
+  return {
+    ...recurring,
+    nextDueAt: new Date(getNextDueTime(recurring)).toISOString()
+  };
+}
+
+// Helper: Add all due recurring items to their lists
+// Items that are already on the list (unchecked) are skipped; both count as a run.
+async function runRecurringItems(now = Date.now()) {
+  const requestId = `recurring-${now}`;
+  const recurringItems = await loadRecurringItems();
+  const dueItems = recurringItems.filter(recurring =>
+    recurring.active !== false && getNextDueTime(recurring) <= now);
+
+  if (dueItems.length === 0) {
+    return [];
+  }
+
+  const byList = new Map();
+  for (const recurring of dueItems) {
+    const listId = recurring.listId || DEFAULT_LIST_ID;
+    if (!byList.has(listId)) {
+      byList.set(listId, []);
+    }
+    byList.get(listId).push(recurring);
+  }
+
+  const runs = [];
+
+  for (const [listId, items] of byList) {
+    try {
+      const result = await addItemsToList(requestId, listId, items.map(recurring => ({
+        name: recurring.name,
+        categoryId: recurring.categoryId,
+        quantity: recurring.quantity,
+        details: recurring.details
+      })), { skipExisting: true });
+
+      const added = new Set(result.addedItems.map(item => normalizeItemName(item.name)));
+      for (const recurring of items) {
+        runs.push({ id: recurring.id, listId, added: added.has(normalizeItemName(recurring.name)) });
+      }
+      console.log(`[${requestId}] Recurring: added ${result.addedItems.length}, skipped ${result.skippedItems.length} item(s) on list ${listId}`);
+    } catch (error) {
+      // Keep the items due so they are retried on the next run
+      console.error(`[${requestId}] Recurring: Error adding items to list ${listId}:`, error.message);
+    }
+  }
+
+  if (runs.length === 0) {
+    return runs;
+  }
+
+  await storage.transaction(requestId, async () => {
+    const current = await loadRecurringItems();
+    const runAt = new Date(now).toISOString();
+
+    for (const run of runs) {
+      const recurring = current.find(r => r.id === run.id);
+      if (!recurring) continue;
+      recurring.lastRunAt = runAt;
+      if (run.added) {
+        recurring.lastAddedAt = runAt;
+      }
+    }
+
+    await saveRecurringItems(current);
+  });
+
+  return runs;
+}
+
+// Helper: Load recipes and planned recipes from storage
+async function loadRecipeStore() {
+  // If nothing is stored, start without recipes
+  return storage.get(STORAGE_KEYS.recipes, { recipes: [], plans: [] });
+}
+
+// Helper: Save recipes and planned recipes to storage
+async function saveRecipeStore(recipeStore) {
+  await storage.set(STORAGE_KEYS.recipes, recipeStore);
+  return recipeStore;
+}
+
+// Helper: Validate and normalise a recipe from a request body
+// Returns { recipe } or { error }
+function sanitizeRecipe({ name, servings, ingredients }) {
+  if (typeof name !== 'string' || !name.trim()) {
+    return { error: 'name is required' };
+  }
+
+  if (typeof servings !== 'number' || !(servings > 0)) {
+    return { error: 'servings must be a positive number' };
+  }
+
+  if (!Array.isArray(ingredients) || ingredients.length === 0) {
+    return { error: 'ingredients must be a non-empty array' };
+  }
+
+  const sanitizedIngredients = [];
+  for (const ingredient of ingredients) {
+    if (!ingredient || typeof ingredient.name !== 'string' || !ingredient.name.trim()) {
+      return { error: 'Every ingredient needs a name' };
+    }
+    if (ingredient.amount !== undefined && (typeof ingredient.amount !== 'number' || ingredient.amount < 0)) {
+      return { error: `Invalid amount for ingredient "${ingredient.name}"` };
+    }
+
+    sanitizedIngredients.push({
+      name: ingredient.name.trim(),
+      amount: ingredient.amount,
+      unit: typeof ingredient.unit === 'string' && ingredient.unit.trim() ? ingredient.unit.trim() : undefined,
+      categoryId: ingredient.categoryId || undefined
+    });
+  }
+
+  return {
+    recipe: { name: name.trim(), servings, ingredients: sanitizedIngredients }
+  };
+}
+
+// Helper: Quantity text for an ingredient scaled by a factor
+// Known units are normalised ("1500 g" -> "1,5 kg"); countable units are rounded up.
+function scaleIngredient(ingredient, factor) {
+  if (typeof ingredient.amount !== 'number') {
+    return ingredient.unit;
+  }
+
+  const scaled = ingredient.amount * factor;
+  const structured = parseQuantity(`${scaled} ${ingredient.unit || ''}`.trim());
+
+  if (structured) {
+    const amount = structured.unit === 'g' || structured.unit === 'ml'
+      ? structured.amount
+      : Math.ceil(structured.amount - 0.001);
+    return formatQuantity(amount, structured.unit);
+  }
+
+  // Units we can't normalise ("EL", "Prise") are kept as written
+  const rounded = String(Math.round(scaled * 100) / 100).replace('.', ',');
+  return `${rounded} ${ingredient.unit}`;
+}
+
+// Helper: Rank regularly bought items that are not on the list
+// Score grows with how often an item was bought and how overdue it is
+// compared to its usual buying interval.
+function rankSuggestions(history, currentItems, now = Date.now()) {
+  const onList = new Set(currentItems.map(item => normalizeItemName(item.name)));
+  const groups = new Map();
+
+  for (const entry of history) {
+    const key = normalizeItemName(entry.name);
+    if (onList.has(key)) continue;
+
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(entry);
+  }
+
+  const suggestions = [];
+
+  for (const entries of groups.values()) {
+    // Only suggest things that were bought more than once
+    if (entries.length < 2) continue;
+
+    entries.sort((a, b) => new Date(a.checkedAt) - new Date(b.checkedAt));
+    const first = new Date(entries[0].checkedAt).getTime();
+    const latest = entries[entries.length - 1];
+    const last = new Date(latest.checkedAt).getTime();
+
+    const averageIntervalDays = Math.max((last - first) / DAY_MS / (entries.length - 1), 1);
+    const daysSinceLastPurchase = Math.max((now - last) / DAY_MS, 0);
+    const dueRatio = daysSinceLastPurchase / averageIntervalDays;
+    const score = Math.log2(1 + entries.length) * Math.min(dueRatio, 3);
+
+    suggestions.push({
+      name: latest.name,
+      categoryId: latest.categoryId,
+      quantity: latest.quantity,
+      purchaseCount: entries.length,
+      lastPurchasedAt: latest.checkedAt,
+      averageIntervalDays: Math.round(averageIntervalDays * 10) / 10,
+      daysSinceLastPurchase: Math.round(daysSinceLastPurchase * 10) / 10,
+      score: Math.round(score * 1000) / 1000
+    });
+  }
+
+  return suggestions.sort((a, b) => b.score - a.score);
+}
+
+// Keywords per built-in category. Multi-word keywords must appear as a phrase;
+// single words match whole words, their plural forms and the end (head) of compounds.
+const CATEGORY_KEYWORDS = {
+  'fruits-vegetables': [
+    'apfel', 'äpfel', 'banane', 'orange', 'tomate', 'gurke', 'salat', 'karotte', 'möhre',
+    'zwiebel', 'kartoffel', 'paprika', 'zucchini', 'brokkoli', 'blumenkohl', 'spinat',
+    'avocado', 'mango', 'erdbeere', 'trauben', 'birne', 'kiwi', 'ananas', 'melone',
+    'zitrone', 'limette', 'knoblauch', 'lauch', 'pilze', 'champignons', 'obst', 'gemüse'
+  ],
+  'dairy-cheese': [
+    'milch', 'käse', 'butter', 'joghurt', 'quark', 'sahne', 'schmand', 'frischkäse',
+    'mozzarella', 'gouda', 'emmentaler', 'parmesan', 'feta', 'mascarpone', 'ricotta',
+    'camembert', 'pudding', 'crème fraîche', 'creme fraiche', 'kefir', 'buttermilch'
+  ],
+  'meat-fish': [
+    'fleisch', 'wurst', 'hähnchen', 'huhn', 'pute', 'rind', 'schwein', 'hackfleisch',
+    'hack', 'schnitzel', 'steak', 'bratwurst', 'salami', 'schinken', 'speck', 'lachs',
+    'thunfisch', 'fisch', 'garnele', 'forelle'
+  ],
+  'bakery': [
+    'brot', 'brötchen', 'croissant', 'toast', 'baguette', 'kuchen', 'torte', 'gebäck',
+    'muffin', 'donut', 'brezel', 'semmel'
+  ],
+  'pantry': [
+    'reis', 'nudeln', 'pasta', 'spaghetti', 'mehl', 'zucker', 'salz', 'pfeffer', 'öl',
+    'essig', 'honig', 'marmelade', 'nutella', 'konserve', 'dose', 'sauce', 'soße',
+    'ketchup', 'senf', 'mayo', 'mayonnaise', 'müsli', 'cornflakes', 'haferflocken',
+    'gewürz', 'tee', 'kaffee', 'ei', 'eier', 'hefe', 'backpulver', 'linsen', 'bohnen',
+    'brühe', 'olivenöl', 'rapsöl', 'sonnenblumenöl', 'kokosmilch', 'erdnussbutter'
+  ],
+  'frozen': [
+    'tk', 'tiefkühl', 'pizza', 'pommes', 'eis', 'eiscreme', 'tiefgefroren',
+    'fischstäbchen', 'spinat tk', 'tk spinat'
+  ],
+  'beverages': [
+    'wasser', 'saft', 'limo', 'limonade', 'cola', 'sprite', 'fanta', 'bier', 'wein',
+    'sprudel', 'mineralwasser', 'schorle', 'getränk', 'smoothie', 'energydrink', 'eistee'
+  ],
+  'snacks': [
+    'chips', 'schokolade', 'schoko', 'keks', 'gummibärchen', 'bonbon', 'süßigkeit',
+    'riegel', 'snack', 'knabber', 'nüsse', 'erdnüsse', 'mandeln', 'popcorn', 'nachos',
+    'waffeln', 'cracker', 'salzstangen'
+  ],
+  'household': [
+    'spülmittel', 'waschmittel', 'putzmittel', 'reiniger', 'schwamm', 'müllbeutel',
+    'mülltüte', 'toilettenpapier', 'klopapier', 'küchenrolle', 'serviette', 'alufolie',
+    'frischhaltefolie', 'backpapier', 'batterien', 'glühbirne'
+  ],
+  'personal-care': [
+    'shampoo', 'duschgel', 'seife', 'zahnpasta', 'zahnbürste', 'deo', 'creme',
+    'bodylotion', 'rasierer', 'rasierschaum', 'tampons', 'binden', 'windel', 'parfüm',
+    'spülung', 'sonnencreme'
+  ]
+};
+
+// Learned name -> category mappings and keywords of custom categories, kept in memory
+// so classifyItem can stay synchronous. Updated whenever either is saved.
+const classifierState = {
+  learned: {},
+  customKeywords: []
+};
+
+// Helper: Lower-case words of an item name ("Bio-Hähnchenbrust" -> ['bio', 'hähnchenbrust'])
+function tokenizeItemName(name) {
+  return name.toLowerCase().split(/[^a-zäöüß0-9]+/).filter(Boolean);
+}
+
+// Helper: A word and its likely singular forms ("tomaten" -> ['tomaten', 'tomate', 'tomat'])
+function wordForms(word) {
+  const forms = [word];
+  for (const suffix of ['en', 'n', 'e', 's']) {
+    if (word.length > suffix.length + 2 && word.endsWith(suffix)) {
+      forms.push(word.slice(0, -suffix.length));
+    }
+  }
+  return forms;
+}
+
+// Helper: How specifically a keyword matches a tokenized name (0 = no match)
+// Phrase > whole word > singular form > compound head ("Reiswaffeln" -> waffeln) > compound start
+function scoreKeyword(keyword, tokens) {
+  const keywordTokens = tokenizeItemName(keyword);
+
+  if (keywordTokens.length > 1) {
+    const phrase = ` ${keywordTokens.join(' ')} `;
+    return ` ${tokens.join(' ')} `.includes(phrase) ? 300 + keyword.length : 0;
+  }
+
+  const [word] = keywordTokens;
+  let best = 0;
+
+  for (const token of tokens) {
+    if (token === word) {
+      best = Math.max(best, 200 + word.length);
+    } else if (wordForms(token).includes(word)) {
+      best = Math.max(best, 150 + word.length);
+    } else if (word.length >= 3 && wordForms(token).some(form => form.length > word.length && form.endsWith(word))) {
+      best = Math.max(best, 100 + word.length);
+    } else if (word.length >= 4 && token.length > word.length && token.startsWith(word)) {
+      best = Math.max(best, 50 + word.length);
+    }
+  }
+
+  return best;
+}
+
+// Helper: Classify an item and explain why
+// Returns { categoryId, source: 'learned' | 'keyword' | 'default', keyword? }
+function explainClassification(itemName) {
+  const learned = classifierState.learned[normalizeItemName(itemName)];
+  if (learned) {
+    return { categoryId: learned.categoryId, source: 'learned' };
+  }
+
+  const tokens = tokenizeItemName(itemName);
+  let best = { categoryId: 'other', source: 'default', score: 0 };
+
+  // Custom categories come first, so they win ties against built-in ones
+  const candidates = [
+    ...classifierState.customKeywords,
+    ...Object.entries(CATEGORY_KEYWORDS).flatMap(([categoryId, keywords]) =>
+      keywords.map(keyword => ({ categoryId, keyword })))
+  ];
+
+  for (const { categoryId, keyword } of candidates) {
+    const score = scoreKeyword(keyword, tokens);
+    if (score > best.score) {
+      best = { categoryId, source: 'keyword', keyword, score };
+    }
+  }
+
+  const { score, ...result } = best;
+  return result;
+}
+
+// Helper: Auto-classify item into category (learned mappings first, then best keyword match)
+function classifyItem(itemName) {
+  return explainClassification(itemName).categoryId;
+}
+
+// Helper: Keywords of custom categories from categories.json ({ id, keywords: [...] })
+function collectCustomKeywords(categories) {
+  return categories
+    .filter(category => category && typeof category.id === 'string' && Array.isArray(category.keywords))
+    .flatMap(category => category.keywords
+      .filter(keyword => typeof keyword === 'string' && keyword.trim())
+      .map(keyword => ({ categoryId: category.id, keyword: keyword.trim().toLowerCase() })));
+}
+
+// Helper: Load learned name -> category mappings from storage
+async function loadLearnedCategories() {
+  return storage.get(STORAGE_KEYS.learnedCategories, {});
+}
+
+// Helper: Save learned mappings and use them for classification once committed
+async function saveLearnedCategories(learned) {
+  await storage.set(STORAGE_KEYS.learnedCategories, learned);
+  storage.afterCommit(() => {
+    classifierState.learned = learned;
+  });
+  return learned;
+}
+
+// Helper: Remember which category a user picked for an item name (must be called inside storage.transaction)
+async function learnCategory(name, categoryId, userId) {
+  const learned = await loadLearnedCategories();
+  const key = normalizeItemName(name);
+
+  learned[key] = {
+    name: name.trim(),
+    categoryId,
+    learnedBy: userId,
+    updatedAt: new Date().toISOString()
+  };
+
+  await saveLearnedCategories(learned);
+}
+
+// Helper: Load learned mappings and custom category keywords into the classifier (on startup)
+async function loadClassifierState() {
+  classifierState.learned = await loadLearnedCategories();
+  classifierState.customKeywords = collectCustomKeywords(await loadCategories());
+}
+
+// Open Food Facts category tags -> our category ids, the first rule with a matching tag wins
+// (more specific groups like frozen food and drinks before the broad ones)
+const PRODUCT_CATEGORY_TAGS = [
+  ['frozen', ['en:frozen-foods', 'en:frozen-desserts', 'en:ice-creams']],
+  ['beverages', ['en:beverages', 'en:waters', 'en:sodas', 'en:juices', 'en:alcoholic-beverages', 'en:coffees', 'en:teas']],
+  ['snacks', ['en:snacks', 'en:sweet-snacks', 'en:salty-snacks', 'en:chocolates', 'en:confectioneries', 'en:biscuits-and-cakes']],
+  ['dairy-cheese', ['en:dairies', 'en:cheeses', 'en:milks', 'en:yogurts', 'en:butters', 'en:creams', 'en:eggs']],
+  ['meat-fish', ['en:meats', 'en:poultries', 'en:sausages', 'en:hams', 'en:fishes', 'en:seafood']],
+  ['bakery', ['en:breads', 'en:pastries', 'en:viennoiseries']],
+  ['pantry', ['en:canned-foods', 'en:pastas', 'en:rices', 'en:cereals-and-their-products', 'en:breakfast-cereals',
+    'en:flours', 'en:sugars', 'en:condiments', 'en:sauces', 'en:spreads', 'en:fats', 'en:spices', 'en:legumes']],
+  ['fruits-vegetables', ['en:fresh-fruits', 'en:fresh-vegetables', 'en:fruits', 'en:vegetables']],
+  ['personal-care', ['en:cosmetics', 'en:hygiene', 'en:shampoos', 'en:toothpastes', 'en:deodorants', 'en:soaps']],
+  ['household', ['en:cleaning-products', 'en:detergents', 'en:dishwashing-products', 'en:household-products']]
+];
+
+// Product database imported from an Open Food Facts dump: PRODUCT_DB_DIR holds the products as
+// JSON lines, split into shard files by barcode digits, so a lookup reads one small file and an
+// import never needs the whole dump in memory. Only the status (meta.json) is kept in memory.
+const productDatabase = {
+  productCount: 0,
+  importedAt: null,
+  country: null
+};
+let productImportRunning = false;
+
+// Helper: Normalise a scanned EAN-8, EAN-13, UPC-A or GTIN-14 code to the form Open Food Facts uses
+// (UPC-A gets a leading zero, GTIN-14 loses it). Returns null for anything else or a wrong check digit.
+function normalizeBarcode(value) {
+  const digits = String(value || '').replace(/[\s-]/g, '');
+  if (!/^(?:\d{8}|\d{12,14})$/.test(digits)) {
+    return null;
+  }
+
+  let code = digits.length === 12 ? `0${digits}` : digits;
+  if (code.length === 14 && code.startsWith('0')) {
+    code = code.slice(1);
+  }
+
+  // GS1 check digit: weights 3 and 1 alternate from the right, starting next to the check digit
+  const sum = [...code.slice(0, -1)].reverse()
+    .reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === Number(code.slice(-1)) ? code : null;
+}
+
+// Helper: Barcode route parameter, throws validation-failed for codes that can't be scanned
+function requireBarcode(value) {
+  const barcode = normalizeBarcode(value);
+
+  if (!barcode) {
+    throw invalidInput('Invalid barcode', [{
+      field: 'barcode',
+      error: 'must be an EAN-8, EAN-13, UPC-A or GTIN-14 code with a valid check digit'
+    }]);
+  }
+
+  return barcode;
+}
+
+// Helper: Our category for Open Food Facts category tags ("en:dairies,en:cheeses"), null if none fits
+function mapProductCategory(tags) {
+  const tagList = String(tags || '').split(',').map(tag => tag.trim().toLowerCase());
+  const rule = PRODUCT_CATEGORY_TAGS.find(([, ruleTags]) => ruleTags.some(tag => tagList.includes(tag)));
+  return rule ? rule[0] : null;
+}
+
+// Helper: Shard file of a barcode (the three digits before the check digit are spread evenly)
+function productShardFile(directory, barcode) {
+  return path.join(directory, `${barcode.slice(-4, -1)}.ndjson`);
+}
+
+// Helper: Barcode of a shard line (lines start with {"barcode":"...")
+function productLineBarcode(line) {
+  return line.slice(12, line.indexOf('"', 12));
+}
+
+// Helper: Import products from an Open Food Facts CSV export (the tab-separated dump or a CSV with
+// the same columns) into PRODUCT_DB_DIR. Rows are streamed into the shard files of a temp directory
+// through a small buffer, which replaces the database once the upload has been read completely.
+// options.country keeps only products sold there (countries_tags, e.g. 'en:germany');
+// options.merge keeps the products of the current database that are missing in the file.
+// Returns { imported, skipped } (rows taken and skipped)
+async function importProductCsv(input, options = {}) {
+  // The upload may fail (e.g. broken gzip data) before the CSV reader listens to it
+  let inputError;
+  input.on('error', error => {
+    inputError = error;
+  });
+
+  const tempDir = `${PRODUCT_DB_DIR}.${process.pid}.tmp`;
+  await fs.rm(tempDir, { recursive: true, force: true });
+
+  if (options.merge && productDatabase.importedAt) {
+    await fs.cp(PRODUCT_DB_DIR, tempDir, { recursive: true });
+  } else {
+    await fs.mkdir(tempDir, { recursive: true });
+  }
+
+  try {
+    if (inputError) {
+      throw importError(`Could not read the upload (${inputError.message})`);
+    }
+
+    const result = await readProductCsv(input, options, tempDir);
+    const productCount = await compactProductShards(tempDir);
+    const info = { productCount, importedAt: new Date().toISOString(), country: options.country || null };
+    await writeFileAtomic(path.join(tempDir, 'meta.json'), JSON.stringify(info, null, 2));
+
+    // Swap the directories; loadProductDatabase finishes a swap that a crash interrupted
+    const oldDir = `${PRODUCT_DB_DIR}.old`;
+    await fs.rm(oldDir, { recursive: true, force: true });
+    await fs.rename(PRODUCT_DB_DIR, oldDir).catch(error => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+    await fs.rename(tempDir, PRODUCT_DB_DIR);
+    await fs.rm(oldDir, { recursive: true, force: true });
+
+    Object.assign(productDatabase, info);
+    return result;
+  } catch (error) {
+    await fs.rm(tempDir, { recursive: true, force: true });
+    throw error;
+  }
+}
+
+// Helper: Parse the CSV rows and append the products to the shard files in directory
+async function readProductCsv(input, options, directory) {
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  const buffered = new Map(); // shard file -> lines not yet written
+  let bufferedBytes = 0;
+  let columns;
+  let delimiter;
+  let record = '';
+  let imported = 0;
+  let skipped = 0;
+
+  const flush = async () => {
+    for (const [file, shardLines] of buffered) {
+      await fs.appendFile(file, shardLines.join(''));
+    }
+    buffered.clear();
+    bufferedBytes = 0;
+  };
+
+  // Read errors of the upload (e.g. broken gzip data) end the loop with an exception
+  const readLines = async function* () {
+    try {
+      yield* lines;
+    } catch (error) {
+      throw importError(`Could not read the upload (${error.message})`);
+    }
+  };
+
+  for await (const line of readLines()) {
+    if (!columns) {
+      if (!line.trim()) continue;
+      delimiter = detectCsvDelimiter(line);
+      columns = Object.fromEntries(parseCsv(line.replace(/^\uFEFF/, ''), delimiter)[0]
+        .map((name, index) => [name.trim().toLowerCase(), index]));
+
+      if (columns.code === undefined || (columns.product_name === undefined && columns.generic_name === undefined)) {
+        throw importError('CSV needs the Open Food Facts columns "code" and "product_name"');
+      }
+      continue;
+    }
+
+    // The dump is tab-separated without quoting; other CSVs may have quoted fields spanning lines
+    let fields;
+    if (delimiter === '\t') {
+      fields = line.split('\t');
+    } else {
+      record = record ? `${record}\n${line}` : line;
+      if ((record.match(/"/g) || []).length % 2 === 1) continue;
+      [fields = []] = parseCsv(record, delimiter);
+      record = '';
+    }
+
+    const field = name => (columns[name] !== undefined ? (fields[columns[name]] || '').replace(/\s+/g, ' ').trim() : '');
+    const barcode = normalizeBarcode(field('code'));
+    const name = field('product_name') || field('generic_name');
+
+    if (!barcode || !name ||
+        (options.country && !field('countries_tags').toLowerCase().split(',').includes(options.country))) {
+      skipped++;
+      continue;
+    }
+
+    const productLine = JSON.stringify({
+      barcode,
+      name: name.slice(0, MAX_ITEM_NAME_LENGTH),
+      brand: field('brands').split(',')[0].trim().slice(0, MAX_BRAND_LENGTH) || null,
+      packSize: field('quantity').slice(0, MAX_QUANTITY_LENGTH) || null,
+      categoryId: mapProductCategory(`${field('categories_tags')},${field('main_category')}`)
+    }) + '\n';
+
+    const file = productShardFile(directory, barcode);
+    if (!buffered.has(file)) buffered.set(file, []);
+    buffered.get(file).push(productLine);
+    bufferedBytes += productLine.length;
+    imported++;
+
+    if (bufferedBytes >= PRODUCT_IMPORT_BUFFER) {
+      await flush();
+    }
+  }
+
+  if (!columns) {
+    throw importError('CSV is empty');
+  }
+  if (imported === 0) {
+    throw importError('CSV contains no products with a valid barcode and name');
+  }
+
+  await flush();
+  return { imported, skipped };
+}
+
+// Helper: Drop duplicate barcodes from the shard files (the last line wins), returns the product count
+async function compactProductShards(directory) {
+  let productCount = 0;
+
+  for (const file of await fs.readdir(directory)) {
+    if (!file.endsWith('.ndjson')) continue;
+
+    const filePath = path.join(directory, file);
+    const products = new Map();
+    for (const line of (await fs.readFile(filePath, 'utf8')).split('\n')) {
+      if (line) products.set(productLineBarcode(line), line);
+    }
+
+    await fs.writeFile(filePath, [...products.values()].join('\n') + '\n');
+    productCount += products.size;
+  }
+
+  return productCount;
+}
+
+// Helper: Find a barcode in the product database, reads only its shard file (null if unknown)
+async function findProduct(barcode) {
+  let content;
+  try {
+    content = await fs.readFile(productShardFile(PRODUCT_DB_DIR, barcode), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+
+  const line = content.split('\n').find(entry => entry && productLineBarcode(entry) === barcode);
+  if (!line) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(line);
+  } catch (error) {
+    throw new ApiError(500, 'storage-corrupt', `Product database entry ${barcode} is corrupt (${error.message})`);
+  }
+}
+
+// Helper: Load the status of the product database (on startup; there is none until the first import).
+// Finishes or discards directory swaps of an import that was interrupted by a crash.
+async function loadProductDatabase() {
+  const oldDir = `${PRODUCT_DB_DIR}.old`;
+  const hasDir = directory => fs.stat(directory).then(() => true, () => false);
+
+  try {
+    if (!(await hasDir(PRODUCT_DB_DIR)) && (await hasDir(oldDir))) {
+      await fs.rename(oldDir, PRODUCT_DB_DIR);
+    }
+    await fs.rm(oldDir, { recursive: true, force: true });
+
+    const parent = path.dirname(PRODUCT_DB_DIR);
+    const tempPattern = new RegExp(`^${path.basename(PRODUCT_DB_DIR).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\.\\d+\\.tmp$`);
+    for (const entry of await fs.readdir(parent).catch(() => [])) {
+      if (tempPattern.test(entry)) {
+        await fs.rm(path.join(parent, entry), { recursive: true, force: true });
+      }
+    }
+
+    const raw = await fs.readFile(path.join(PRODUCT_DB_DIR, 'meta.json'), 'utf8').catch(error => {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    });
+    if (raw === null) {
+      return;
+    }
+
+    Object.assign(productDatabase, JSON.parse(raw));
+    console.log(`Products: ${productDatabase.productCount} products in ${PRODUCT_DB_DIR}`);
+  } catch (error) {
+    // Barcode lookups are an extra: the server still starts, named barcodes keep working
+    console.error(`Products: Product database in ${PRODUCT_DB_DIR} is unreadable (${error.message}) - import it again`);
+  }
+}
+
+// Helper: Product database status (for responses)
+function describeProductDatabase() {
+  return { ...productDatabase };
+}
+
+// Helper: Load barcodes named by users ({ [barcode]: { name, brand, packSize, categoryId, namedBy, updatedAt } })
+async function loadNamedBarcodes() {
+  return storage.get(STORAGE_KEYS.barcodes, {});
+}
+
+// Helper: Save barcodes named by users
+async function saveNamedBarcodes(barcodes) {
+  await storage.set(STORAGE_KEYS.barcodes, barcodes);
+  return barcodes;
+}
+
+// Helper: Remember what a barcode is (must be called inside storage.transaction)
+async function nameBarcode(barcode, values, userId) {
+  const barcodes = await loadNamedBarcodes();
+
+  barcodes[barcode] = {
+    name: values.name,
+    brand: values.brand || null,
+    packSize: values.packSize || null,
+    categoryId: values.categoryId || classifyItem(values.name),
+    namedBy: userId,
+    updatedAt: new Date().toISOString()
+  };
+
+  await saveNamedBarcodes(barcodes);
+  return barcodes[barcode];
+}
+
+// Helper: Look up a barcode, names given by users win over the product database
+// Returns { barcode, name, brand, packSize, categoryId, source: 'named' | 'database' } or null
+async function lookupBarcode(barcode) {
+  const named = (await loadNamedBarcodes())[barcode];
+  if (named) {
+    const { namedBy, updatedAt, ...product } = named;
+    return { barcode, ...product, source: 'named' };
+  }
+
+  const product = await findProduct(barcode);
+  if (product) {
+    return { ...product, categoryId: product.categoryId || classifyItem(product.name), source: 'database' };
+  }
+
+  return null;
+}
+
+// Units recognised next to a quantity, mapped to [normalised unit, factor to that unit]
+const QUANTITY_UNITS = {
+  g: ['g', 1], gr: ['g', 1], gramm: ['g', 1], kg: ['g', 1000], kilo: ['g', 1000], mg: ['g', 0.001],
+  ml: ['ml', 1], cl: ['ml', 10], l: ['ml', 1000], liter: ['ml', 1000],
+  stück: ['Stück', 1], stk: ['Stück', 1], st: ['Stück', 1], x: ['Stück', 1],
+  packung: ['Packung', 1], packungen: ['Packung', 1], pack: ['Packung', 1], pck: ['Packung', 1],
+  pkg: ['Packung', 1], päckchen: ['Packung', 1],
+  dose: ['Dose', 1], dosen: ['Dose', 1], flasche: ['Flasche', 1], flaschen: ['Flasche', 1],
+  glas: ['Glas', 1], gläser: ['Glas', 1], becher: ['Becher', 1], bund: ['Bund', 1],
+  beutel: ['Beutel', 1], tüte: ['Tüte', 1], tüten: ['Tüte', 1], netz: ['Netz', 1],
+  kiste: ['Kiste', 1], kisten: ['Kiste', 1], tafel: ['Tafel', 1], tafeln: ['Tafel', 1],
+  rolle: ['Rolle', 1], rollen: ['Rolle', 1], scheibe: ['Scheibe', 1], scheiben: ['Scheibe', 1],
+  kopf: ['Kopf', 1], köpfe: ['Kopf', 1]
+};
+
+// Number words that may stand in for a numeric amount ("eine Packung")
+const QUANTITY_WORDS = {
+  ein: 1, eine: 1, einen: 1, einer: 1, zwei: 2, drei: 3, vier: 4, fünf: 5, sechs: 6,
+  sieben: 7, acht: 8, neun: 9, zehn: 10, elf: 11, zwölf: 12,
+  halbe: 0.5, halben: 0.5, halbes: 0.5, paar: 2
+};
+
+const WORD_END = '(?![a-zäöüß])';
+const QUANTITY_NUMBER = `(?:\\d+(?:[.,]\\d+)?|(?:${Object.keys(QUANTITY_WORDS).join('|')})${WORD_END})`;
+const QUANTITY_UNIT = `(?:(?:${Object.keys(QUANTITY_UNITS).sort((a, b) => b.length - a.length).join('|')})${WORD_END}\\.?)`;
+const LEADING_QUANTITY = new RegExp(`^(${QUANTITY_NUMBER}\\s*${QUANTITY_UNIT}?)\\s+(.+)$`, 'i');
+const TRAILING_QUANTITY = new RegExp(`^(.+?)\\s+(${QUANTITY_NUMBER}\\s*${QUANTITY_UNIT}?)$`, 'i');
+const QUANTITY_ONLY = new RegExp(`^(${QUANTITY_NUMBER})\\s*(${QUANTITY_UNIT})?$`, 'i');
+
+// Helper: Parse a quantity text ("2L", "500 g", "eine Packung") into amount and normalised unit
+// Returns null if the text is not a plain quantity. Weights are stored in g, volumes in ml.
+function parseQuantity(quantity) {
+  if (typeof quantity === 'number') {
+    quantity = String(quantity);
+  }
+  if (typeof quantity !== 'string') {
+    return null;
+  }
+
+  const match = quantity.trim().match(QUANTITY_ONLY);
+  if (!match) {
+    return null;
+  }
+
+  const numberText = match[1].toLowerCase();
+  const number = Object.prototype.hasOwnProperty.call(QUANTITY_WORDS, numberText)
+    ? QUANTITY_WORDS[numberText]
+    : parseFloat(numberText.replace(',', '.'));
+  const [unit, factor] = match[2]
+    ? QUANTITY_UNITS[match[2].toLowerCase().replace(/\.$/, '')]
+    : ['Stück', 1];
+
+  return { amount: Math.round(number * factor * 1000) / 1000, unit };
+}
+
+// Helper: Render amount and normalised unit for display ("1,5 L", "250 g", "3 Stück")
+function formatQuantity(amount, unit) {
+  let value = amount;
+  let displayUnit = unit;
+
+  if (unit === 'g' && amount >= 1000) {
+    value = amount / 1000;
+    displayUnit = 'kg';
+  } else if (unit === 'ml' && amount >= 1000) {
+    value = amount / 1000;
+    displayUnit = 'L';
+  }
+
+  const number = String(Math.round(value * 1000) / 1000).replace('.', ',');
+  return `${number} ${displayUnit}`;
+}
+
+// Helper: Add two quantity texts. If only one side has a quantity it is kept as it is,
+// two items without quantity count as "1 Stück" each; quantities that can't be added up
+// (different units, free text) are joined instead.
+function mergeQuantities(currentQuantity, addedQuantity) {
+  if (!currentQuantity !== !addedQuantity) {
+    const quantity = currentQuantity || addedQuantity;
+    const structured = parseQuantity(quantity);
+    return {
+      quantity,
+      amount: structured ? structured.amount : undefined,
+      unit: structured ? structured.unit : undefined
+    };
+  }
+
+  const current = currentQuantity ? parseQuantity(currentQuantity) : { amount: 1, unit: 'Stück' };
+  const added = addedQuantity ? parseQuantity(addedQuantity) : { amount: 1, unit: 'Stück' };
+
+  if (current && added && current.unit === added.unit) {
+    const amount = Math.round((current.amount + added.amount) * 1000) / 1000;
+    return { quantity: formatQuantity(amount, current.unit), amount, unit: current.unit };
+  }
+
+  return {
+    quantity: `${currentQuantity} + ${addedQuantity}`,
+    amount: undefined,
+    unit: undefined
+  };
+}
+
+// Helper: Normalise an item name for duplicate detection
+function normalizeItemName(name) {
+  return name.toLowerCase().trim().replace(/\s+/g, ' ');
+}
+
+// Helper: Split one entry into name and quantity ("2L Milch", "Eier 10 Stück")
+function parseShoppingEntry(entry) {
+  const leading = entry.match(LEADING_QUANTITY);
+  if (leading) {
+    return { name: leading[2].trim(), quantity: leading[1].trim() };
+  }
+
+  const trailing = entry.match(TRAILING_QUANTITY);
+  if (trailing) {
+    return { name: trailing[1].trim(), quantity: trailing[2].trim() };
+  }
+
+  return { name: entry, quantity: undefined };
+}
+
+// Helper: Parse free German text ("Einkaufen: 2L Milch, Brot und 10 Eier") into items
+function parseShoppingText(text) {
+  return text
+    // Drop a leading "Einkaufen:" / "Einkaufsliste:" prefix
+    .replace(/^\s*einkauf(?:en|sliste)?\s*:\s*/i, '')
+    // Commas between digits are decimal separators ("1,5 L"), not item separators
+    .split(/\r?\n|;|(?<!\d),|,(?!\d)|\s+(?:und|&|\+)\s+/i)
+    .map(entry => entry
+      .replace(/^\s*(?:[-*•·–]|\d+[.)](?!\d))\s*/, '') // bullet points and numbering (not "1.5 kg")
+      .replace(/[.!]+\s*$/, '')
+      .trim())
+    .filter(entry => entry.length > 0)
+    .map(parseShoppingEntry)
+    .filter(entry => entry.name.length > 0)
+    .map(entry => ({
+      name: entry.name,
+      quantity: entry.quantity,
+      ...parseQuantity(entry.quantity),
+      categoryId: classifyItem(entry.name)
+    }));
+}
+
+// Helper: Build a new unchecked list item
+// addedBy: id of the user who added it (undefined for server/integration adds)
+function buildItem({ name, categoryId, quantity, details, price, addedBy }) {
+  const structured = parseQuantity(quantity);
+
+  return {
+    id: generateId(),
+    name: name.trim(),
+    categoryId: categoryId || classifyItem(name),
+    quantity: quantity || undefined,
+    amount: structured ? structured.amount : undefined,
+    unit: structured ? structured.unit : undefined,
+    details: details || undefined,
+    price: typeof price === 'number' ? price : undefined,
+    addedBy: addedBy || undefined,
+    checked: false,
+    version: 1,
+    createdAt: new Date().toISOString(),
+    checkedAt: undefined
+  };
+}
+
+// Helper: Apply a partial update to an item and return the updated copy
+// userId is recorded as checkedBy when the item gets checked off
+function applyItemUpdates(currentItem, updates, userId) {
+  const sanitizedUpdates = { ...updates };
+
+  // Attribution, claims and CalDAV resource names are set by the server only
+  delete sanitizedUpdates.addedBy;
+  delete sanitizedUpdates.checkedBy;
+  delete sanitizedUpdates.claimedBy;
+  delete sanitizedUpdates.claimedAt;
+  delete sanitizedUpdates.claimTripId;
+  delete sanitizedUpdates.caldavName;
+  delete sanitizedUpdates.caldavUid;
+
+  if (Object.prototype.hasOwnProperty.call(sanitizedUpdates, 'details')) {
+    if (typeof sanitizedUpdates.details === 'string') {
+      const trimmedDetails = sanitizedUpdates.details.trim();
+      sanitizedUpdates.details = trimmedDetails.length > 0 ? trimmedDetails : undefined;
+    } else if (sanitizedUpdates.details === null) {
+      sanitizedUpdates.details = undefined;
+    }
+  }
+
+  // Update item
+  const item = {
+    ...currentItem,
+    ...sanitizedUpdates,
+    version: (currentItem.version || 1) + 1
+  };
+
+  // Keep amount/unit in sync with the quantity text
+  if ('quantity' in updates) {
+    const structured = parseQuantity(item.quantity);
+    item.amount = structured ? structured.amount : undefined;
+    item.unit = structured ? structured.unit : undefined;
+  }
+
+  // If toggling checked state, update checkedAt and checkedBy (unchecking also drops the paid price)
+  if ('checked' in updates) {
+    item.checkedAt = updates.checked
+      ? new Date().toISOString()
+      : undefined;
+    item.checkedBy = updates.checked ? userId : undefined;
+    if (!updates.checked) {
+      item.paidPrice = undefined;
+    }
+  }
+
+  // null removes a price or the quantity
+  for (const field of ['price', 'paidPrice', 'quantity']) {
+    if (item[field] === null) {
+      delete item[field];
+    }
+  }
+
+  if ('details' in sanitizedUpdates && sanitizedUpdates.details === undefined) {
+    delete item.details;
+  }
+
+  return item;
+}
+
+// Helper: Add an item to a loaded list, or merge it into an unchecked item with the same name
+// Returns { item, merged, skipped }. Pass { merge: false } to always create a new item,
+// { skipExisting: true } to leave the list unchanged if the item is already on it.
+function addOrMergeItem(list, input, options = {}) {
+  const existing = options.merge === false && !options.skipExisting
+    ? undefined
+    : list.items.find(item => !item.checked && !item.recipePlanId &&
+        normalizeItemName(item.name) === normalizeItemName(input.name));
+
+  if (existing && options.skipExisting) {
+    return { item: existing, merged: false, skipped: true };
+  }
+
+  if (existing) {
+    Object.assign(existing, mergeQuantities(existing.quantity, input.quantity));
+    if (!existing.details && input.details) {
+      existing.details = input.details;
+    }
+    // Estimates add up like the quantities
+    if (typeof input.price === 'number') {
+      existing.price = roundPrice((existing.price || 0) + input.price);
+    }
+    existing.version = (existing.version || 1) + 1;
+    return { item: existing, merged: true };
+  }
+
+  const item = buildItem(input);
+  list.items.push(item);
+  return { item, merged: false };
+}
+
+// Helper: Apply one replayed offline mutation to a loaded list on behalf of a user
+// categoryIds: known categories for validating the item fields
+// Returns the per-operation result and, if it was applied, the change to record
+function applyMutation(list, operation, userId, categoryIds) {
+  const { type, itemId, baseVersion } = operation;
+  const options = { categoryIds, ignore: ITEM_SERVER_FIELDS };
+
+  if (type === 'add') {
+    const { error, code, details, values } = checkInput(ITEM_FIELDS, operation.item, options);
+    if (error) {
+      return { result: { status: 'invalid', error, code, details } };
+    }
+
+    const { item, merged } = addOrMergeItem(list, { ...values, addedBy: userId });
+    return {
+      result: { status: 'applied', item, merged },
+      change: { type: merged ? 'item-updated' : 'item-added', item }
+    };
+  }
+
+  if (type !== 'update' && type !== 'delete') {
+    return { result: { status: 'invalid', error: `Unknown operation type: ${type}`, code: 'validation-failed' } };
+  }
+
+  if (!Number.isInteger(baseVersion)) {
+    return { result: { status: 'invalid', error: 'baseVersion is required', code: 'validation-failed' } };
+  }
+
+  const itemIndex = list.items.findIndex(item => item.id === itemId);
+
+  // Deleted or cleared by someone else in the meantime
+  if (itemIndex === -1) {
+    return { result: { status: 'gone', itemId } };
+  }
+
+  // Item changed since the client queued the operation
+  const currentItem = list.items[itemIndex];
+  if ((currentItem.version || 1) !== baseVersion) {
+    return { result: { status: 'conflict', itemId, currentItem } };
+  }
+
+  if (type === 'delete') {
+    list.items.splice(itemIndex, 1);
+    return {
+      result: { status: 'applied', itemId },
+      change: { type: 'item-deleted', itemId }
+    };
+  }
+
+  const { error, code, details, values } = checkInput(ITEM_FIELDS, operation.updates || {}, { ...options, partial: true });
+  if (error) {
+    return { result: { status: 'invalid', itemId, error, code, details } };
+  }
+
+  if (Object.keys(values).length === 0) {
+    return { result: { status: 'applied', itemId, item: currentItem } };
+  }
+
+  const item = applyItemUpdates(currentItem, values, userId);
+  list.items[itemIndex] = item;
+  return {
+    result: { status: 'applied', itemId, item },
+    change: { type: 'item-updated', item }
+  };
+}
+
+// Helper: Response message for addItemsToList results
+function describeAddResult(result) {
+  const message = `Successfully added ${result.addedItems.length} item(s)`;
+  return result.mergedItems.length > 0
+    ? `${message}, merged ${result.mergedItems.length} into existing item(s)`
+    : message;
+}
+
+// Helper: Add items to a list under the file lock and broadcast the result
+async function addItemsToList(requestId, listId, itemInputs, options = {}) {
+  if (itemInputs.length === 0) {
+    throw invalidInput('No valid items to add');
+  }
+
+  return storage.transaction(requestId, async () => {
+    const list = await loadShoppingList(listId);
+    const addedItems = [];
+    const mergedItems = [];
+    const skippedItems = [];
+
+    for (const input of itemInputs) {
+      const { item, merged, skipped } = addOrMergeItem(list, input, options);
+
+      // Duplicates within the same request merge into the item created for it
+      if (addedItems.includes(item) || mergedItems.includes(item) || skippedItems.includes(item)) continue;
+
+      if (skipped) {
+        skippedItems.push(item);
+      } else {
+        (merged ? mergedItems : addedItems).push(item);
+      }
+    }
+
+    const changes = [
+      ...addedItems.map(item => ({ type: 'item-added', item })),
+      ...mergedItems.map(item => ({ type: 'item-updated', item }))
+    ];
+
+    // Nothing to save if every item was already on the list
+    if (changes.length === 0) {
+      return {
+        listId: list.id,
+        revision: list.revision || 0,
+        addedItems,
+        mergedItems,
+        skippedItems,
+        totalItems: list.items.length
+      };
+    }
+
+    const updatedList = await saveShoppingList(list, changes);
+
+    // Broadcast to all clients viewing this list
+    broadcastChanges(updatedList, changes);
+
+    return {
+      listId: updatedList.id,
+      revision: updatedList.revision,
+      addedItems,
+      mergedItems,
+      skippedItems,
+      totalItems: updatedList.items.length
+    };
+  });
+}
+
+// Export formats: content type and file extension for downloads
+const LIST_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  markdown: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  text: { contentType: 'text/plain; charset=utf-8', extension: 'txt' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+const CSV_COLUMNS = ['name', 'quantity', 'categoryId', 'category', 'details', 'checked'];
+
+// Accepted CSV header names (English export columns and common German ones)
+const CSV_HEADER_ALIASES = {
+  name: 'name', artikel: 'name', produkt: 'name',
+  quantity: 'quantity', menge: 'quantity', specification: 'quantity',
+  categoryid: 'categoryId',
+  category: 'category', kategorie: 'category',
+  details: 'details', notiz: 'details', notes: 'details',
+  checked: 'checked', erledigt: 'checked', gekauft: 'checked'
+};
+
+// Helper: Items of a list in export order, as sections of { category, items }
+// Grouped: one section per category in sortOrder (unknown categories fall back to "other");
+// otherwise a single section without category. Open items come before checked ones.
+function groupItemsForExport(list, categories, { grouped, includeChecked }) {
+  const items = list.items.filter(item => includeChecked || !item.checked);
+  const ordered = [...items.filter(item => !item.checked), ...items.filter(item => item.checked)];
+
+  if (!grouped) {
+    return [{ category: null, items: ordered }];
+  }
+
+  const fallback = categories.find(category => category.id === FALLBACK_CATEGORY_ID);
+  const categoryOf = item => categories.find(category => category.id === item.categoryId) || fallback;
+
+  return categories
+    .map(category => ({ category, items: ordered.filter(item => categoryOf(item) === category) }))
+    .filter(section => section.items.length > 0);
+}
+
+// Helper: One item as a line of text ("2 L Milch (Bio)")
+function describeExportItem(item) {
+  const text = item.quantity ? `${item.quantity} ${item.name}` : item.name;
+  return item.details ? `${text} (${item.details})` : text;
+}
+
+// Helper: Quote a CSV field if needed
+function csvField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Helper: Render a list in an export format (see LIST_FORMATS)
+function renderListExport(list, categories, format, options) {
+  const sections = groupItemsForExport(list, categories, options);
+  const categoryName = id => {
+    const category = categories.find(c => c.id === id);
+    return category ? category.name : id;
+  };
+
+  if (format === 'csv') {
+    const rows = sections.flatMap(section => section.items).map(item => [
+      item.name,
+      item.quantity,
+      item.categoryId,
+      categoryName(item.categoryId),
+      item.details,
+      item.checked ? 'true' : 'false'
+    ]);
+    return [CSV_COLUMNS, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+  }
+
+  if (format === 'markdown') {
+    const lines = [`# ${list.name}`];
+    for (const section of sections) {
+      lines.push('');
+      if (section.category) {
+        lines.push(`## ${section.category.icon} ${section.category.name}`.trim(), '');
+      }
+      lines.push(...section.items.map(item => `- [${item.checked ? 'x' : ' '}] ${describeExportItem(item)}`));
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  if (format === 'text') {
+    const lines = [list.name];
+    for (const section of sections) {
+      lines.push('');
+      if (section.category) {
+        lines.push(`${section.category.icon} ${section.category.name}`.trim());
+      }
+      lines.push(...section.items.map(item => `${item.checked ? '✓' : '•'} ${describeExportItem(item)}`));
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  // JSON in the shape of a Bring! list: open items in "purchase", checked ones in "recently"
+  const toEntry = item => ({
+    name: item.name,
+    specification: item.quantity || '',
+    categoryId: item.categoryId,
+    details: item.details
+  });
+  const items = sections.flatMap(section => section.items);
+  const data = {
+    listId: list.id,
+    name: list.name,
+    exportedAt: new Date().toISOString(),
+    purchase: items.filter(item => !item.checked).map(toEntry),
+    recently: items.filter(item => item.checked).map(toEntry)
+  };
+
+  if (options.grouped) {
+    data.sections = sections.map(section => ({
+      categoryId: section.category.id,
+      category: section.category.name,
+      items: section.items.map(item => ({ ...toEntry(item), checked: item.checked }))
+    }));
+  }
+
+  return JSON.stringify(data, null, 2) + '\n';
+}
+
+// Helper: Error for content that can't be imported (answered with 400 invalid-import)
+function importError(message) {
+  return new ApiError(400, 'invalid-import', message);
+}
+
+// Helper: The delimiter (comma, semicolon or tab) a CSV header line uses most
+function detectCsvDelimiter(firstLine) {
+  return [';', '\t', ','].reduce((best, candidate) =>
+    firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best, ',');
+}
+
+// Helper: Split CSV text into rows of fields (quoted fields may contain delimiters and line breaks)
+// The delimiter is taken from the first line unless given.
+function parseCsv(text, delimiter = detectCsvDelimiter(text.split(/\r?\n/, 1)[0])) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw importError('CSV has an unterminated quoted field');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// Helper: Is an imported "checked" value set? ("true", "1", "x", "ja", ...)
+function isCheckedValue(value) {
+  return value === true || /^(?:true|1|x|yes|ja|✓|✔)$/i.test(String(value || '').trim());
+}
+
+// Helper: Split an exported item line into name, quantity and details ("2 L Milch (Bio)")
+function parseExportLine(line) {
+  const detailsMatch = line.match(/^(.*?)\s*\(([^()]*)\)$/);
+  const text = detailsMatch ? detailsMatch[1] : line;
+  const entry = parseShoppingEntry(text.trim());
+  return { ...entry, details: detailsMatch ? detailsMatch[2].trim() : undefined };
+}
+
+// Helper: Find the category a Markdown/text heading refers to ("🥛 Milchprodukte", "Getränke:")
+function matchCategoryHeading(heading, categories) {
+  const text = heading.replace(/:\s*$/, '').trim().toLowerCase();
+  return categories.find(category =>
+    category.name.toLowerCase() === text ||
+    `${category.icon} ${category.name}`.trim().toLowerCase() === text ||
+    category.id === text);
+}
+
+// Helper: Parse imported content into raw entries { name, quantity, category, details, checked }
+// Throws an error with status 400 if the content can't be read
+function parseListImport(format, content, categories) {
+  if (format === 'json') {
+    let data = content;
+    if (typeof content === 'string') {
+      try {
+        data = JSON.parse(content);
+      } catch (error) {
+        throw importError(`Invalid JSON: ${error.message}`);
+      }
+    }
+
+    // Plain array, our own list ({ items }) or a Bring! list ({ purchase, recently })
+    let entries;
+    if (Array.isArray(data)) {
+      entries = data;
+    } else if (data && Array.isArray(data.items)) {
+      entries = data.items;
+    } else if (data && (Array.isArray(data.purchase) || Array.isArray(data.recently))) {
+      entries = [
+        ...(data.purchase || []),
+        ...(data.recently || []).map(entry => ({ ...entry, checked: true }))
+      ];
+    } else {
+      throw importError('JSON must be an array of items or an object with "items" or "purchase"/"recently"');
+    }
+
+    return entries
+      .filter(entry => entry && typeof entry.name === 'string')
+      .map(entry => ({
+        name: entry.name,
+        quantity: entry.quantity || entry.specification || undefined,
+        category: entry.categoryId || entry.category,
+        details: entry.details,
+        checked: isCheckedValue(entry.checked)
+      }));
+  }
+
+  if (typeof content !== 'string') {
+    throw importError('content must be a string');
+  }
+
+  if (format === 'csv') {
+    const rows = parseCsv(content);
+    if (rows.length === 0) {
+      return [];
+    }
+
+    // Without a known header the columns are read as name, quantity
+    const header = rows[0].map(value => CSV_HEADER_ALIASES[value.trim().toLowerCase()]);
+    const hasHeader = header.includes('name');
+    const columns = hasHeader ? header : ['name', 'quantity'];
+
+    return rows.slice(hasHeader ? 1 : 0).map(row => {
+      const entry = {};
+      columns.forEach((column, index) => {
+        if (column && row[index] !== undefined && row[index].trim() !== '') {
+          entry[column] = row[index].trim();
+        }
+      });
+      return {
+        name: entry.name || '',
+        quantity: entry.quantity,
+        category: entry.categoryId || entry.category,
+        details: entry.details,
+        checked: isCheckedValue(entry.checked)
+      };
+    });
+  }
+
+  // Markdown and text: headings set the category of the items below them.
+  // Text without any bullet points is read as free text ("Milch, Brot und Eier").
+  const bulletPattern = /^(?:[-*+]\s+\[([ xX])\]|[-*+•·]|([✓✔]))\s*(.+)$/;
+  const lines = content.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  const freeText = format === 'text' && !lines.some(line => bulletPattern.test(line));
+  const entries = [];
+  let category;
+
+  for (const line of lines) {
+    const headingText = format === 'markdown'
+      ? (line.match(/^#{2,6}\s+(.+)$/) || [])[1]
+      : (!bulletPattern.test(line) && matchCategoryHeading(line, categories) ? line : undefined);
+
+    if (headingText !== undefined) {
+      const match = matchCategoryHeading(headingText, categories);
+      category = match ? match.id : undefined;
+      continue;
+    }
+
+    const bullet = line.match(bulletPattern);
+    if (bullet) {
+      entries.push({ ...parseExportLine(bullet[3]), category, checked: /x/i.test(bullet[1] || '') || !!bullet[2] });
+    } else if (freeText) {
+      entries.push(...parseShoppingText(line).map(item => ({ name: item.name, quantity: item.quantity, category })));
+    }
+    // Anything else (list title, notes) is skipped
+  }
+
+  return entries;
+}
+
+// Helper: Turn parsed import entries into item inputs
+// Categories are matched by id or name; unknown or missing ones are classified by name.
+function resolveImportEntries(entries, categories) {
+  return entries
+    .filter(entry => typeof entry.name === 'string' && entry.name.trim())
+    .map(entry => {
+      const wanted = typeof entry.category === 'string' ? entry.category.trim().toLowerCase() : '';
+      const category = wanted && categories.find(c => c.id === wanted || c.name.toLowerCase() === wanted);
+      const details = typeof entry.details === 'string' && entry.details.trim() ? entry.details.trim() : undefined;
+
+      return {
+        name: entry.name.trim(),
+        quantity: typeof entry.quantity === 'string' && entry.quantity.trim() ? entry.quantity.trim() : undefined,
+        categoryId: category ? category.id : classifyItem(entry.name),
+        details,
+        checked: entry.checked === true
+      };
+    });
+}
+
+// Helper: Escape text for XML content and attribute values
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Helper: Escape an iCalendar TEXT value (RFC 5545 3.3.11)
+function escapeIcalText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Helper: Undo escapeIcalText
+function unescapeIcalText(text) {
+  return text.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+// Helper: Fold an iCalendar content line after 75 octets (continuation lines start with a space)
+function foldIcalLine(line) {
+  const parts = [];
+  let current = '';
+  let size = 0;
+
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char);
+    if (size + charSize > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+
+  return parts.concat(current).join('\r\n ');
+}
+
+// Helper: ISO date as iCalendar UTC date-time ("20251019T165523Z")
+function formatIcalDate(value) {
+  return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Helper: Resource name of an item in its CalDAV collection (<name>.ics)
+// Items created over CalDAV keep the resource name and UID their client chose
+function caldavResourceName(item) {
+  return item.caldavName || item.id;
+}
+
+// Helper: ETag of an item's CalDAV resource (changes with every item version)
+function caldavEtag(item) {
+  return `"${item.id}-${item.version || 1}"`;
+}
+
+// Helper: Render an item as iCalendar VTODO
+// SUMMARY is "<quantity> <name>" like in text exports, details go to DESCRIPTION, the category name to CATEGORIES
+function renderVtodo(item, categories) {
+  const category = categories.find(c => c.id === item.categoryId);
+  const createdAt = item.createdAt || new Date(0).toISOString();
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${CALDAV_PRODID}`,
+    'BEGIN:VTODO',
+    `UID:${item.caldavUid || item.id}`,
+    `DTSTAMP:${formatIcalDate(item.checkedAt || createdAt)}`,
+    `CREATED:${formatIcalDate(createdAt)}`,
+    `SEQUENCE:${(item.version || 1) - 1}`,
+    `SUMMARY:${escapeIcalText(item.quantity ? `${item.quantity} ${item.name}` : item.name)}`
+  ];
+
+  if (item.details) {
+    lines.push(`DESCRIPTION:${escapeIcalText(item.details)}`);
+  }
+  if (category) {
+    lines.push(`CATEGORIES:${escapeIcalText(category.name)}`);
+  }
+
+  if (item.checked) {
+    lines.push('STATUS:COMPLETED', 'PERCENT-COMPLETE:100');
+    if (item.checkedAt) {
+      lines.push(`COMPLETED:${formatIcalDate(item.checkedAt)}`);
+    }
+  } else {
+    lines.push('STATUS:NEEDS-ACTION');
+  }
+
+  lines.push('END:VTODO', 'END:VCALENDAR');
+  return `${lines.map(foldIcalLine).join('\r\n')}\r\n`;
+}
+
+// Helper: Read the first VTODO of an iCalendar object
+// Returns { error } or { values: { uid, name, quantity, details, categories, checked } }
+function parseVtodo(text) {
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const start = lines.findIndex(line => /^BEGIN:VTODO$/i.test(line.trim()));
+
+  if (start === -1) {
+    return { error: 'supported-calendar-component' };
+  }
+
+  const props = {};
+  let nested = 0;
+
+  for (const line of lines.slice(start + 1)) {
+    if (/^BEGIN:/i.test(line)) {
+      nested++;
+    } else if (/^END:/i.test(line)) {
+      if (nested === 0) break;
+      nested--;
+    } else if (nested === 0) {
+      // Alarms and other sub-components are skipped
+      const match = /^([\w-]+)((?:;[^:]*)?):(.*)$/.exec(line);
+      if (match) {
+        const name = match[1].toUpperCase();
+        (props[name] = props[name] || []).push(match[3]);
+      }
+    }
+  }
+
+  const summary = props.SUMMARY ? unescapeIcalText(props.SUMMARY[0]).trim() : '';
+  if (!summary) {
+    return { error: 'valid-calendar-data' };
+  }
+
+  const entry = parseShoppingEntry(summary);
+  const details = props.DESCRIPTION ? unescapeIcalText(props.DESCRIPTION[0]).trim() : '';
+  const status = props.STATUS ? props.STATUS[0].trim().toUpperCase() : undefined;
+
+  return {
+    values: {
+      uid: props.UID ? props.UID[0].trim() : undefined,
+      name: entry.name || summary,
+      quantity: entry.name ? entry.quantity : undefined,
+      details: details || undefined,
+      categories: (props.CATEGORIES || [])
+        .flatMap(value => value.split(/(?<!\\),/))
+        .map(value => unescapeIcalText(value).trim())
+        .filter(Boolean),
+      checked: status ? status === 'COMPLETED' : Boolean(props.COMPLETED)
+    }
+  };
+}
+
+// Helper: First CATEGORIES value that names a category (by name or id)
+function matchVtodoCategory(names, categories) {
+  for (const name of names) {
+    const wanted = name.toLowerCase();
+    const category = categories.find(c => c.id === wanted || c.name.toLowerCase() === wanted);
+    if (category) {
+      return category.id;
+    }
+  }
+  return undefined;
+}
+
+// Helper: Read a WebDAV request body (PROPFIND / REPORT)
+// Returns { root, props (null: all), hrefs, syncToken, filter } - a small reader for the
+// few elements CalDAV clients send, not a full XML parser
+function parseDavRequest(body) {
+  const text = typeof body === 'string' ? body : '';
+  const namespaces = { '': 'DAV:' };
+
+  for (const [, prefix = '', uri] of text.matchAll(/xmlns(?::([\w.-]+))?\s*=\s*["']([^"']*)["']/g)) {
+    namespaces[prefix] = uri;
+  }
+
+  const stack = [];
+  const props = [];
+  let root;
+  let allProps = false;
+
+  for (const [, closing, prefix = '', name, , selfClosing] of text.matchAll(/<(\/?)(?:([\w.-]+):)?([\w.-]+)((?:\s[^>]*?)?)(\/?)>/g)) {
+    if (closing) {
+      stack.pop();
+      continue;
+    }
+    if (stack.length === 0) {
+      root = name;
+    }
+    if (stack[stack.length - 1] === 'prop') {
+      props.push({ namespace: namespaces[prefix] || '', name });
+    }
+    if (name === 'allprop' || name === 'propname') {
+      allProps = true;
+    }
+    if (!selfClosing) {
+      stack.push(name);
+    }
+  }
+
+  const syncToken = text.match(/<(?:[\w.-]+:)?sync-token>([^<]*)</);
+  const filter = text.match(/<(?:[\w.-]+:)?filter\b[\s\S]*<\/(?:[\w.-]+:)?filter>/);
+
+  return {
+    root,
+    props: allProps || props.length === 0 ? null : props,
+    hrefs: [...text.matchAll(/<(?:[\w.-]+:)?href>([^<]*)</g)].map(([, href]) =>
+      href.trim().replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&amp;/g, '&')),
+    syncToken: syncToken ? syncToken[1].trim() : undefined,
+    filter: filter ? filter[0] : ''
+  };
+}
+
+// Helper: Whether an item passes a calendar-query filter
+// Only VTODOs exist here; the filters clients use for open tasks (no COMPLETED / STATUS not COMPLETED)
+// are applied, everything else (time ranges) matches all items
+function matchesCalendarQuery(item, filter) {
+  if (/name=["']VEVENT["']|name=["']VJOURNAL["']/i.test(filter) && !/name=["']VTODO["']/i.test(filter)) {
+    return false;
+  }
+
+  const openOnly =
+    /prop-filter[^>]*name=["']COMPLETED["'][^>]*>\s*<(?:[\w.-]+:)?is-not-defined/i.test(filter) ||
+    /prop-filter[^>]*name=["']STATUS["'][^>]*>\s*<(?:[\w.-]+:)?text-match[^>]*negate-condition=["']yes["'][^>]*>\s*COMPLETED/i.test(filter);
+
+  return !(openOnly && item.checked);
+}
+
+// Helper: Render one DAV property element ("d:getetag") with its XML value
+function renderDavProp(key, value) {
+  return value === '' ? `<${key}/>` : `<${key}>${value}</${key}>`;
+}
+
+// Helper: Render a <d:response> for a resource
+// available: { 'd:getetag': '...' } with XML values; requested: [{ namespace, name }] or null for all
+// (calendar-data is only sent when asked for)
+function renderDavResponse(href, available, requested) {
+  const found = [];
+  const missing = [];
+
+  if (requested) {
+    for (const { namespace, name } of requested) {
+      const prefix = Object.keys(DAV_NAMESPACES).find(p => DAV_NAMESPACES[p] === namespace);
+      const key = `${prefix}:${name}`;
+
+      if (prefix && available[key] !== undefined) {
+        found.push(renderDavProp(key, available[key]));
+      } else {
+        missing.push(namespace ? `<x:${name} xmlns:x="${escapeXml(namespace)}"/>` : `<${name}/>`);
+      }
+    }
+  } else {
+    for (const [key, value] of Object.entries(available)) {
+      if (key !== 'c:calendar-data') {
+        found.push(renderDavProp(key, value));
+      }
+    }
+  }
+
+  const propstats = [];
+  if (found.length > 0) {
+    propstats.push(`<d:propstat><d:prop>${found.join('')}</d:prop><d:status>HTTP/1.1 200 OK</d:status></d:propstat>`);
+  }
+  if (missing.length > 0) {
+    propstats.push(`<d:propstat><d:prop>${missing.join('')}</d:prop><d:status>HTTP/1.1 404 Not Found</d:status></d:propstat>`);
+  }
+
+  return `<d:response><d:href>${escapeXml(href)}</d:href>${propstats.join('')}</d:response>`;
+}
+
+// Helper: Send a 207 Multi-Status with the given <d:response> elements
+function sendMultistatus(res, responses, extra = '') {
+  const xmlns = Object.entries(DAV_NAMESPACES).map(([prefix, uri]) => `xmlns:${prefix}="${uri}"`).join(' ');
+
+  res.status(207)
+    .set('DAV', CALDAV_COMPLIANCE)
+    .type('application/xml; charset=utf-8')
+    .send(`<?xml version="1.0" encoding="utf-8"?>\n<d:multistatus ${xmlns}>${responses.join('')}${extra}</d:multistatus>`);
+}
+
+// Helper: Send a WebDAV error with a precondition element ("c:valid-calendar-data")
+function sendDavError(res, status, condition) {
+  const xmlns = Object.entries(DAV_NAMESPACES).map(([prefix, uri]) => `xmlns:${prefix}="${uri}"`).join(' ');
+
+  res.status(status)
+    .type('application/xml; charset=utf-8')
+    .send(`<?xml version="1.0" encoding="utf-8"?>\n<d:error ${xmlns}><${condition}/></d:error>`);
+}
+
+// Helper: CalDAV paths
+const caldavPrincipalHref = user => `${CALDAV_ROOT}/principals/${encodeURIComponent(user.id)}/`;
+const caldavCollectionHref = list => `${CALDAV_ROOT}/calendars/${encodeURIComponent(list.id)}/`;
+const caldavItemHref = (list, item) => `${caldavCollectionHref(list)}${encodeURIComponent(caldavResourceName(item))}.ics`;
+
+// Helper: Resource name from a decoded path segment ("<name>.ics")
+function caldavResourceParam(segment) {
+  return segment.replace(/\.ics$/i, '');
+}
+
+// Helper: Item of a list by its CalDAV resource name (undefined if there is none)
+function findCaldavItem(list, segment) {
+  const resourceName = caldavResourceParam(segment);
+  return list.items.find(item => caldavResourceName(item) === resourceName);
+}
+
+// Helper: Check If-Match / If-None-Match of a write against the current item (undefined: not there yet)
+// Throws an error with status 412 if the client's copy is out of date
+function checkCaldavPreconditions(req, item) {
+  const ifMatch = req.headers['if-match'];
+  const ifNoneMatch = req.headers['if-none-match'];
+
+  if ((ifMatch && (!item || (ifMatch !== '*' && ifMatch !== caldavEtag(item)))) || (ifNoneMatch === '*' && item)) {
+    throw new ApiError(412, 'precondition-failed', 'Precondition failed');
+  }
+}
+
+// Helper: DAV properties of a shopping list as calendar collection
+function caldavCollectionProps(list, user) {
+  return {
+    'd:resourcetype': '<d:collection/><c:calendar/>',
+    'd:displayname': escapeXml(list.name),
+    'd:current-user-principal': `<d:href>${caldavPrincipalHref(user)}</d:href>`,
+    'd:owner': `<d:href>${caldavPrincipalHref(user)}</d:href>`,
+    'd:current-user-privilege-set': ['read', 'write', 'write-content', 'bind', 'unbind']
+      .map(privilege => `<d:privilege><d:${privilege}/></d:privilege>`).join(''),
+    'd:supported-report-set': ['c:calendar-query', 'c:calendar-multiget', 'd:sync-collection']
+      .map(report => `<d:supported-report><d:report><${report}/></d:report></d:supported-report>`).join(''),
+    'c:supported-calendar-component-set': '<c:comp name="VTODO"/>',
+    'cs:getctag': String(list.revision || 0),
+    'd:sync-token': `${CALDAV_SYNC_TOKEN_PREFIX}${list.revision || 0}`
+  };
+}
+
+// Helper: DAV properties of an item resource
+function caldavItemProps(item, categories) {
+  return {
+    'd:resourcetype': '',
+    'd:getetag': escapeXml(caldavEtag(item)),
+    'd:getcontenttype': 'text/calendar; charset=utf-8; component=vtodo',
+    'c:calendar-data': escapeXml(renderVtodo(item, categories))
+  };
+}
+
+// Helper: Stand-in device for CalDAV requests made with the account password instead of a device token.
+// It isn't stored (so it can't be revoked); routes that need a device (undo stack, feed clients) still get an id.
+function passwordLoginDevice(user) {
+  return { id: `password-${user.id}`, userId: user.id, name: 'CalDAV (Passwort)' };
+}
+
+// Helper: Authenticate CalDAV clients: HTTP Basic with the user name and a device token
+// (or the account password), or a Bearer device token. Sets req.user and req.device.
+async function requireDavAuth(req, res, next) {
+  try {
+    const header = req.headers.authorization || '';
+    let auth = await authenticateToken(getBearerToken(header));
+    const basic = /^Basic\s+(.+)$/i.exec(header);
+
+    if (!auth && basic) {
+      const decoded = Buffer.from(basic[1].trim(), 'base64').toString('utf8');
+      const separator = decoded.indexOf(':');
+      const name = decoded.slice(0, separator).trim().toLowerCase();
+      const secret = decoded.slice(separator + 1);
+
+      if (separator > 0) {
+        auth = await authenticateToken(secret);
+        if (auth && auth.user.name.toLowerCase() !== name) {
+          auth = null;
+        }
+
+        // Device tokens are checked first, so a locked name doesn't lock out paired reminder apps
+        if (!auth) {
+          requireLoginAllowed(res, name, req.ip);
+          const user = findUserByName(await loadAccounts(), name);
+          if (user && await verifyPassword(secret, user.passwordHash)) {
+            clearLoginFailures(name);
+            auth = { user, device: passwordLoginDevice(user) };
+          } else {
+            recordLoginFailure(name, req.ip);
+          }
+        }
+      }
+    }
+
+    if (!auth) {
+      return res.status(401)
+        .set('WWW-Authenticate', 'Basic realm="Hangry", charset="UTF-8"')
+        .type('text/plain')
+        .send('Unauthorized');
+    }
+
+    req.user = auth.user;
+    req.device = auth.device;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Helper: Answer OPTIONS on CalDAV paths (registered before CORS, which would answer them as preflight)
+function sendDavOptions(req, res) {
+  res.set({
+    DAV: CALDAV_COMPLIANCE,
+    Allow: CALDAV_METHODS,
+    'Access-Control-Allow-Origin': '*'
+  }).status(200).end();
+}
+
+// Routes
+
+// Health check
+app.get('/', (req, res) => {
+  res.json({
+    ok: true,
+    service: 'shopping-list-server',
+    time: new Date().toISOString()
+  });
+});
+
+// ============================================================================
+// EXTERNAL API ENDPOINTS (require API key)
+// ============================================================================
+
+// POST /api/external/add-item - Add item from external application (e.g. Braindump)
+// Requires API key authentication
+app.post('/api/external/add-item', requireApiKey('add'), async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const categoryIds = await loadCategoryIds();
+    const { name, categoryId, quantity, items, merge, ...body } = validateInput({
+      ...EXTERNAL_ITEM_FIELDS,
+      name: { ...ITEM_FIELDS.name, required: false },
+      items: { type: 'array', maxItems: MAX_IMPORT_ITEMS, items: { type: 'object' } },
+      listId: { type: 'string' },
+      merge: { type: 'boolean' }
+    }, req.body, { categoryIds });
+    const listId = resolveApiKeyListId(req.apiKey, body.listId);
+
+    // Validate input
+    if (!name && !items) {
+      throw invalidInput('Either "name" or "items" array is required');
+    }
+
+    console.log(`[${requestId}] External (${req.apiKey.name}): Adding ${items ? items.length : 1} item(s) to list ${listId}`);
+
+    const itemInputs = [];
+
+    // Handle single item
+    if (name) {
+      itemInputs.push({ name, categoryId, quantity });
+    }
+
+    // Handle multiple items (batch add)
+    if (items) {
+      for (const [index, item] of items.entries()) {
+        if (!item.name) continue; // Skip items without name
+        itemInputs.push(validateInput(EXTERNAL_ITEM_FIELDS, item, { categoryIds, path: `items.${index}` }));
+      }
+    }
+
+    const result = await addItemsToList(requestId, listId, itemInputs, { merge: merge !== false });
+
+    console.log(`[${requestId}] External: Added ${result.addedItems.length}, merged ${result.mergedItems.length} item(s) (total: ${result.totalItems})`);
+
+    res.json({
+      success: true,
+      message: describeAddResult(result),
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/external/add-items - Batch add multiple items (alias for compatibility)
+app.post('/api/external/add-items', requireApiKey('add'), async (req, res, next) => {
+  // Forward to add-item endpoint (requireApiKey skips the already checked key)
+  req.body = { items: req.body.items || req.body, listId: req.body.listId, merge: req.body.merge };
+  req.url = '/api/external/add-item';
+  return app._router.handle(req, res, next);
+});
+
+// GET /api/external/lists - List ids and names so integrations can pick a target list
+// Keys with a list restriction only see their lists
+app.get('/api/external/lists', requireApiKey('read'), async (req, res, next) => {
+  try {
+    const store = await loadStore();
+    const lists = req.apiKey.listIds
+      ? store.lists.filter(list => req.apiKey.listIds.includes(list.id))
+      : store.lists;
+    res.json({ success: true, data: lists.map(summarizeList) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/external/lists/:listId - One list with its items (read-list keys only for their allowed lists)
+app.get('/api/external/lists/:listId', requireApiKey('read'), async (req, res, next) => {
+  try {
+    const list = await loadShoppingList(resolveApiKeyListId(req.apiKey, req.params.listId));
+    res.json({ success: true, data: list });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/external/add-text - Parse free text ("2L Milch, Brot und 10 Eier") and add the items
+// Set "dryRun": true to only get the parsed preview
+app.post('/api/external/add-text', requireApiKey('add'), async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const { text, merge, ...body } = validateInput({ ...TEXT_INPUT_FIELDS, listId: { type: 'string' } }, req.body);
+    const listId = resolveApiKeyListId(req.apiKey, body.listId);
+    const dryRun = body.dryRun === true || req.query.dryRun === 'true';
+
+    const parsedItems = parseShoppingText(text);
+
+    console.log(`[${requestId}] External: Parsed ${parsedItems.length} item(s) from text${dryRun ? ' (dry run)' : ''}`);
+
+    if (dryRun) {
+      return res.json({ success: true, data: { dryRun: true, parsedItems } });
+    }
+
+    const result = await addItemsToList(requestId, listId, parsedItems, { merge: merge !== false });
+
+    res.json({
+      success: true,
+      message: describeAddResult(result),
+      data: { dryRun: false, parsedItems, ...result }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============================================================================
+// AUTH API ENDPOINTS (accounts and paired devices)
+// ============================================================================
+
+// POST /api/auth/setup - Create the first admin account (only while no users exist)
+// Requires the server API key from .env so nobody else can claim a fresh server
+app.post('/api/auth/setup', requireSetupKey, async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const { name, password, deviceName } = validateInput({
+      name: ACCOUNT_FIELDS.name,
+      password: { ...ACCOUNT_FIELDS.password, required: true },
+      deviceName: DEVICE_NAME_RULE
+    }, req.body);
+
+    const data = await storage.transaction(requestId, async () => {
+      const accounts = await loadAccounts();
+
+      if (accounts.users.length > 0) {
+        throw new ApiError(409, 'already-set-up', 'Server is already set up');
+      }
+
+      const validationError = validateUserInput({ name, password }, accounts);
+      if (validationError) {
+        throw invalidInput(validationError);
+      }
+
+      const user = {
+        id: generateId(),
+        name: name.trim(),
+        role: 'admin',
+        passwordHash: await hashPassword(password),
+        createdAt: new Date().toISOString()
+      };
+      accounts.users.push(user);
+
+      const { device, token } = issueDeviceToken(accounts, user.id, deviceName);
+      await saveAccounts(accounts);
+
+      return { user: publicUser(user), device: publicDevice(device), token };
+    });
+
+    console.log(`[${requestId}] Admin account created: ${data.user.name}`);
+    res.status(201).json({ success: true, data });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/auth/login - Log in with name and password, registers the device and returns its token
+app.post('/api/auth/login', async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const { name, password, deviceName } = validateInput({
+      name: { ...ACCOUNT_FIELDS.name, required: true },
+      password: { ...ACCOUNT_FIELDS.password, required: true },
+      deviceName: DEVICE_NAME_RULE
+    }, req.body);
+
+    // The password is checked outside the transaction: scrypt is slow and must not hold up other writes
+    requireLoginAllowed(res, name, req.ip);
+    const candidate = findUserByName(await loadAccounts(), name);
+
+    if (!candidate || !(await verifyPassword(password, candidate.passwordHash))) {
+      recordLoginFailure(name, req.ip);
+      throw new ApiError(401, 'invalid-credentials', 'Invalid name or password');
+    }
+    clearLoginFailures(name);
+
+    const data = await storage.transaction(requestId, async () => {
+      const accounts = await loadAccounts();
+      const user = accounts.users.find(u => u.id === candidate.id);
+
+      if (!user) {
+        throw new ApiError(401, 'invalid-credentials', 'Invalid name or password');
+      }
+
+      const { device, token } = issueDeviceToken(accounts, user.id, deviceName);
+      await saveAccounts(accounts);
+
+      return { user: publicUser(user), device: publicDevice(device), token };
+    });
+
+    console.log(`[${requestId}] Device "${data.device.name}" logged in as ${data.user.name}`);
+    res.json({ success: true, data });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/auth/pairing-codes - Create a short-lived code to pair another device
+// Body: { userId } (admins only, default: own account)
+app.post('/api/auth/pairing-codes', requireAuth, async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const userId = validateInput({ userId: { type: 'string' } }, req.body).userId || req.user.id;
+
+    if (userId !== req.user.id && req.user.role !== 'admin') {
+      throw new ApiError(403, 'admin-required', 'Forbidden - Admin role required');
+    }
+
+    const pairingCode = await storage.transaction(requestId, async () => {
+      const accounts = await loadAccounts();
+
+      if (!accounts.users.some(user => user.id === userId)) {
+        throw notFoundError('User');
+      }
+
+      // No 0/O or 1/I so the code can be typed from another screen
+      const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+      const code = Array.from({ length: 8 }, () => alphabet[crypto.randomInt(alphabet.length)]).join('');
+      const entry = {
+        code,
+        userId,
+        createdBy: req.user.id,
+        expiresAt: new Date(Date.now() + PAIRING_CODE_TTL).toISOString()
+      };
+
+      accounts.pairingCodes.push(entry);
+      await saveAccounts(accounts);
+      return entry;
+    });
+
+    res.status(201).json({ success: true, data: pairingCode });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/auth/pair - Pair a new device with a pairing code and return its token
+app.post('/api/auth/pair', async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const { code, deviceName } = validateInput({
+      code: { type: 'string', required: true, maxLength: 20 },
+      deviceName: DEVICE_NAME_RULE
+    }, req.body);
+
+    const data = await storage.transaction(requestId, async () => {
+      const accounts = await loadAccounts();
+      const normalizedCode = code.trim().toUpperCase();
+      const pairingCode = accounts.pairingCodes.find(entry => entry.code === normalizedCode);
+      const user = pairingCode && accounts.users.find(u => u.id === pairingCode.userId);
+
+      if (!user) {
+        throw new ApiError(401, 'invalid-pairing-code', 'Invalid or expired pairing code');
+      }
+
+      // Codes can only be used once
+      accounts.pairingCodes = accounts.pairingCodes.filter(entry => entry !== pairingCode);
+      const { device, token } = issueDeviceToken(accounts, user.id, deviceName);
+      await saveAccounts(accounts);
+
+      return { user: publicUser(user), device: publicDevice(device), token };
+    });
+
+    console.log(`[${requestId}] Device "${data.device.name}" paired for ${data.user.name}`);
+    res.status(201).json({ success: true, data });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/auth/me - Current user and device
+app.get('/api/auth/me', requireAuth, (req, res) => {
+  res.json({ success: true, data: { user: publicUser(req.user), device: publicDevice(req.device) } });
+});
+
+// GET /api/auth/devices - Paired devices (own devices, all devices for admins)
+app.get('/api/auth/devices', requireAuth, async (req, res, next) => {
+  try {
+    const accounts = await loadAccounts();
+    const devices = accounts.devices
+      .filter(device => req.user.role === 'admin' || device.userId === req.user.id)
+      .map(device => ({ ...publicDevice(device), current: device.id === req.device.id }));
+
+    res.json({ success: true, data: devices });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/auth/devices/:id - Revoke a device token (own devices, any device for admins)
+app.delete('/api/auth/devices/:id', requireAuth, async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const { id } = req.params;
+
+    await storage.transaction(requestId, async () => {
+      const accounts = await loadAccounts();
+      const device = accounts.devices.find(d => d.id === id);
+
+      if (!device || (device.userId !== req.user.id && req.user.role !== 'admin')) {
+        throw notFoundError('Device');
+      }
+
+      accounts.devices = accounts.devices.filter(d => d.id !== id);
+      await saveAccounts(accounts);
+      storage.afterCommit(() => disconnectDevices([id]));
+    });
+
+    console.log(`[${requestId}] Device revoked: ${id}`);
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/auth/users - All household members (to show who added/checked items)
+app.get('/api/auth/users', requireAuth, async (req, res, next) => {
+  try {
+    const accounts = await loadAccounts();
+    res.json({ success: true, data: accounts.users.map(publicUser) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/auth/users - Create a household member (admin)
+// Body: { name, password?, role? } - without password the member can only pair via code
+app.post('/api/auth/users', requireAuth, requireAdmin, async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const { name, password, role } = validateInput(ACCOUNT_FIELDS, req.body);
+
+    const user = await storage.transaction(requestId, async () => {
+      const accounts = await loadAccounts();
+      const validationError = validateUserInput({ name, password, role }, accounts);
+
+      if (validationError) {
+        throw invalidInput(validationError);
+      }
+
+      const newUser = {
+        id: generateId(),
+        name: name.trim(),
+        role: role || 'member',
+        passwordHash: password ? await hashPassword(password) : undefined,
+        createdAt: new Date().toISOString()
+      };
+
+      accounts.users.push(newUser);
+      await saveAccounts(accounts);
+      return newUser;
+    });
+
+    console.log(`[${requestId}] User created: ${user.name}`);
+    res.status(201).json({ success: true, data: publicUser(user) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /api/auth/users/:id - Change name/password (own account) or role (admin)
+app.patch('/api/auth/users/:id', requireAuth, async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const { id } = req.params;
+    const { name, password, role } = validateInput(ACCOUNT_FIELDS, req.body, { ignore: ['id', 'createdAt'] });
+    const isAdmin = req.user.role === 'admin';
+
+    if (id !== req.user.id && !isAdmin) {
+      throw new ApiError(403, 'admin-required', 'Forbidden - Admin role required');
+    }
+
+    if (role !== undefined && !isAdmin) {
+      throw new ApiError(403, 'admin-required', 'Only admins can change roles');
+    }
+
+    const user = await storage.transaction(requestId, async () => {
+      const accounts = await loadAccounts();
+      const existingUser = accounts.users.find(u => u.id === id);
+
+      if (!existingUser) {
+        throw notFoundError('User');
+      }
+
+      const validationError = validateUserInput({ name, password, role }, accounts, id);
+      if (validationError) {
+        throw invalidInput(validationError);
+      }
+
+      // Keep at least one admin
+      if (role === 'member' && existingUser.role === 'admin' &&
+          accounts.users.filter(u => u.role === 'admin').length === 1) {
+        throw new ApiError(400, 'last-admin', 'Cannot remove the last admin');
+      }
+
+      if (name !== undefined) existingUser.name = name.trim();
+      if (role !== undefined) existingUser.role = role;
+      if (password !== undefined) existingUser.passwordHash = await hashPassword(password);
+
+      await saveAccounts(accounts);
+      return existingUser;
+    });
+
+    console.log(`[${requestId}] User updated: ${id}`);
+    res.json({ success: true, data: publicUser(user) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/auth/users/:id - Remove a household member and revoke all their devices (admin)
+app.delete('/api/auth/users/:id', requireAuth, requireAdmin, async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const { id } = req.params;
+
+    if (id === req.user.id) {
+      throw invalidInput('Cannot delete your own account');
+    }
+
+    await storage.transaction(requestId, async () => {
+      const accounts = await loadAccounts();
+
+      if (!accounts.users.some(user => user.id === id)) {
+        throw notFoundError('User');
+      }
+
+      const revokedIds = accounts.devices.filter(device => device.userId === id).map(device => device.id);
+      accounts.users = accounts.users.filter(user => user.id !== id);
+      accounts.devices = accounts.devices.filter(device => device.userId !== id);
+      accounts.pairingCodes = accounts.pairingCodes.filter(code => code.userId !== id);
+
+      await saveAccounts(accounts);
+      storage.afterCommit(() => disconnectDevices(revokedIds));
+    });
+
+    console.log(`[${requestId}] User deleted: ${id}`);
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============================================================================
+// ADMIN API ENDPOINTS (external API keys, webhooks and snapshots, admins only)
+// ============================================================================
+
+app.use('/api/admin', requireAuth, requireAdmin);
+
+// GET /api/admin/api-keys - All external API keys (without secrets)
+app.get('/api/admin/api-keys', async (req, res, next) => {
+  try {
+    const apiKeys = await loadApiKeys();
+    res.json({ success: true, data: apiKeys.map(publicApiKey) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/api-keys - Create a key: { name, scope, listIds?, rateLimit? }
+// The secret is only returned in this response
+app.post('/api/admin/api-keys', async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const values = clearNullFields(validateInput(API_KEY_FIELDS, req.body, { ignore: API_KEY_SERVER_FIELDS }), ['listIds', 'rateLimit']);
+
+    const data = await storage.transaction(requestId, async () => {
+      const apiKeys = await loadApiKeys();
+      const apiKey = {
+        id: generateId(),
+        ...values,
+        createdBy: req.user.id,
+        createdAt: new Date().toISOString()
+      };
+      const key = assignApiKeySecret(apiKey);
+
+      apiKeys.push(apiKey);
+      await saveApiKeys(apiKeys);
+      return { ...publicApiKey(apiKey), key };
+    });
+
+    console.log(`[${requestId}] API key created: ${data.name} (${data.scope})`);
+    res.status(201).json({ success: true, data });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /api/admin/api-keys/:id - Change name, scope, listIds or rateLimit
+app.patch('/api/admin/api-keys/:id', async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const { id } = req.params;
+    const values = clearNullFields(
+      validateInput(API_KEY_FIELDS, req.body, { partial: true, ignore: API_KEY_SERVER_FIELDS }),
+      ['listIds', 'rateLimit']
+    );
+
+    const apiKey = await storage.transaction(requestId, async () => {
+      const apiKeys = await loadApiKeys();
+      const existingKey = apiKeys.find(key => key.id === id);
+
+      if (!existingKey) {
+        throw notFoundError('API key');
+      }
+
+      Object.assign(existingKey, values);
+      await saveApiKeys(apiKeys);
+      return existingKey;
+    });
+
+    console.log(`[${requestId}] API key updated: ${id}`);
+    res.json({ success: true, data: publicApiKey(apiKey) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/api-keys/:id/rotate - Replace the secret, the old one stops working immediately
+app.post('/api/admin/api-keys/:id/rotate', async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const { id } = req.params;
+
+    const data = await storage.transaction(requestId, async () => {
+      const apiKeys = await loadApiKeys();
+      const apiKey = apiKeys.find(k => k.id === id);
+
+      if (!apiKey) {
+        throw notFoundError('API key');
+      }
+
+      const key = assignApiKeySecret(apiKey);
+      apiKey.rotatedAt = new Date().toISOString();
+      await saveApiKeys(apiKeys);
+      return { ...publicApiKey(apiKey), key };
+    });
+
+    console.log(`[${requestId}] API key rotated: ${id}`);
+    res.json({ success: true, data });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/admin/api-keys/:id - Revoke a key
+app.delete('/api/admin/api-keys/:id', async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const { id } = req.params;
+
+    await storage.transaction(requestId, async () => {
+      const apiKeys = await loadApiKeys();
+
+      if (!apiKeys.some(key => key.id === id)) {
+        throw notFoundError('API key');
+      }
+
+      await saveApiKeys(apiKeys.filter(key => key.id !== id));
+    });
+
+    apiKeyUsage.delete(id);
+    console.log(`[${requestId}] API key revoked: ${id}`);
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/admin/webhooks - All webhooks (without secrets)
+app.get('/api/admin/webhooks', async (req, res, next) => {
+  try {
+    const webhooks = await loadWebhooks();
+    res.json({ success: true, data: webhooks.map(publicWebhook) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/webhooks - Register a webhook: { name, url, events, listIds? }
+// The signing secret is only returned in this response
+app.post('/api/admin/webhooks', async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const values = clearNullFields(validateInput(WEBHOOK_FIELDS, req.body, { ignore: WEBHOOK_SERVER_FIELDS }), ['listIds']);
+
+    const webhook = await storage.transaction(requestId, async () => {
+      const webhooks = await loadWebhooks();
+      const newWebhook = {
+        id: generateId(),
+        active: true,
+        ...values,
+        secret: crypto.randomBytes(32).toString('hex'),
+        createdBy: req.user.id,
+        createdAt: new Date().toISOString()
+      };
+
+      webhooks.push(newWebhook);
+      await saveWebhooks(webhooks);
+      return newWebhook;
+    });
+
+    console.log(`[${requestId}] Webhook registered: ${webhook.name} (${webhook.events.join(', ')})`);
+    res.status(201).json({ success: true, data: webhook });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/admin/webhooks/deliveries - Delivery log (newest first) and pending deliveries
+// Query: webhookId, status (delivered | failed | gave-up | dropped), limit (default 100)
+app.get('/api/admin/webhooks/deliveries', async (req, res, next) => {
+  try {
+    const { webhookId, status } = req.query;
+    const limit = Math.max(parseInt(req.query.limit, 10) || 100, 1);
+    const log = await storage.get(STORAGE_KEYS.webhookLog, []);
+    const queue = await storage.get(STORAGE_KEYS.webhookQueue, []);
+
+    const entries = log
+      .filter(entry => (!webhookId || entry.webhookId === webhookId) && (!status || entry.status === status))
+      .reverse()
+      .slice(0, limit);
+    const pending = queue
+      .filter(delivery => !webhookId || delivery.webhookId === webhookId)
+      .map(({ payload, ...delivery }) => delivery);
+
+    res.json({ success: true, data: { pending, entries } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /api/admin/webhooks/:id - Change name, url, events, listIds or active
+app.patch('/api/admin/webhooks/:id', async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const { id } = req.params;
+    const values = clearNullFields(
+      validateInput(WEBHOOK_FIELDS, req.body, { partial: true, ignore: WEBHOOK_SERVER_FIELDS }),
+      ['listIds']
+    );
+
+    const webhook = await storage.transaction(requestId, async () => {
+      const webhooks = await loadWebhooks();
+      const existing = webhooks.find(w => w.id === id);
+
+      if (!existing) {
+        throw notFoundError('Webhook');
+      }
+
+      Object.assign(existing, values);
+      await saveWebhooks(webhooks);
+      return existing;
+    });
+
+    console.log(`[${requestId}] Webhook updated: ${id}`);
+    res.json({ success: true, data: publicWebhook(webhook) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/webhooks/:id/rotate-secret - New signing secret (returned once)
+app.post('/api/admin/webhooks/:id/rotate-secret', async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const { id } = req.params;
+
+    const webhook = await storage.transaction(requestId, async () => {
+      const webhooks = await loadWebhooks();
+      const existing = webhooks.find(w => w.id === id);
+
+      if (!existing) {
+        throw notFoundError('Webhook');
+      }
+
+      existing.secret = crypto.randomBytes(32).toString('hex');
+      await saveWebhooks(webhooks);
+      return existing;
+    });
+
+    console.log(`[${requestId}] Webhook secret rotated: ${id}`);
+    res.json({ success: true, data: webhook });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/webhooks/:id/test - Queue a "ping" delivery to check the receiver
+app.post('/api/admin/webhooks/:id/test', async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const { id } = req.params;
+
+    await storage.transaction(requestId, async () => {
+      const webhook = (await loadWebhooks()).find(w => w.id === id);
+
+      if (!webhook) {
+        throw notFoundError('Webhook');
+      }
+
+      await queueWebhookDeliveries([webhook], 'ping', { webhookId: id, message: 'Test delivery' });
+    });
+
+    res.status(202).json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/admin/webhooks/:id - Remove a webhook (pending deliveries are dropped)
+app.delete('/api/admin/webhooks/:id', async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const { id } = req.params;
+
+    await storage.transaction(requestId, async () => {
+      const webhooks = await loadWebhooks();
+
+      if (!webhooks.some(w => w.id === id)) {
+        throw notFoundError('Webhook');
+      }
+
+      await saveWebhooks(webhooks.filter(w => w.id !== id));
+      const queue = await storage.get(STORAGE_KEYS.webhookQueue, []);
+      await storage.set(STORAGE_KEYS.webhookQueue, queue.filter(delivery => delivery.webhookId !== id));
+    });
+
+    console.log(`[${requestId}] Webhook deleted: ${id}`);
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/admin/products - Status of the product database used for barcode lookups
+app.get('/api/admin/products', (req, res) => {
+  res.json({ success: true, data: describeProductDatabase() });
+});
+
+// POST /api/admin/products/import - Import an Open Food Facts CSV export as the product database
+// Body: the file itself (text/csv or text/tab-separated-values, gzip-compressed as application/gzip
+// or with Content-Encoding: gzip), e.g. curl --data-binary @en.openfoodfacts.org.products.csv.gz
+// Query: country (only products sold there, e.g. germany), mode=merge keeps products missing in the file
+app.post('/api/admin/products/import', async (req, res, next) => {
+  const { requestId } = req;
+  if (productImportRunning) {
+    return next(new ApiError(409, 'product-import-running', 'A product import is already running'));
+  }
+
+  productImportRunning = true;
+  try {
+    const { country, mode } = validateInput({
+      country: { type: 'string', maxLength: 100 },
+      mode: { type: 'string', values: ['replace', 'merge'] }
+    }, req.query);
+
+    if (req.is('json')) {
+      throw importError('Send the CSV file itself as the request body, not JSON');
+    }
+
+    const gzipped = req.headers['content-encoding'] === 'gzip' || Boolean(req.is('application/gzip'));
+    const countryTag = country ? `en:${country.toLowerCase().replace(/^en:/, '')}` : null;
+    console.log(`[${requestId}] Importing product database${countryTag ? ` (${countryTag})` : ''}`);
+
+    const { imported, skipped } = await importProductCsv(gzipped ? req.pipe(zlib.createGunzip()) : req,
+      { country: countryTag, merge: mode === 'merge' });
+
+    console.log(`[${requestId}] Product database imported: ${imported} products, ${skipped} rows skipped`);
+    res.json({ success: true, data: { imported, skipped, ...describeProductDatabase() } });
+  } catch (error) {
+    next(error);
+  } finally {
+    productImportRunning = false;
+  }
+});
+
+// GET /api/admin/snapshots - Snapshots of all lists, newest first (without items)
+app.get('/api/admin/snapshots', async (req, res, next) => {
+  try {
+    const snapshots = [];
+    for (const snapshotId of await listSnapshotIds()) {
+      snapshots.push(describeSnapshot(await loadSnapshot(snapshotId)));
+    }
+
+    res.json({ success: true, data: snapshots });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/snapshots - Take a snapshot now (besides the scheduled ones)
+app.post('/api/admin/snapshots', async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const snapshot = await storage.transaction(requestId, () => takeSnapshot('manual'));
+
+    console.log(`[${requestId}] Snapshot taken: ${snapshot.id}`);
+    res.status(201).json({ success: true, data: describeSnapshot(snapshot) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/admin/snapshots/:id/diff - What changed since a snapshot (?listId= for one list)
+app.get('/api/admin/snapshots/:id/diff', async (req, res, next) => {
+  try {
+    const { listId } = validateInput({ listId: { type: 'string' } }, req.query);
+    const snapshot = await loadSnapshot(req.params.id);
+    const { lists } = await loadStore();
+
+    const listIds = [...new Set([...snapshot.lists, ...lists].map(list => list.id))]
+      .filter(id => !listId || id === listId);
+
+    if (listId && listIds.length === 0) {
+      throw notFoundError('List');
+    }
+
+    res.json({
+      success: true,
+      data: {
+        snapshot: describeSnapshot(snapshot),
+        lists: listIds.map(id => diffSnapshotList(
+          snapshot.lists.find(list => list.id === id),
+          lists.find(list => list.id === id)
+        ))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/snapshots/:id/restore - Restore all lists or one ({ listId }) from a snapshot
+// The current state is snapshotted first ('pre-restore'), so a restore can be undone the same way
+app.post('/api/admin/snapshots/:id/restore', async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const { listId } = validateInput({ listId: { type: 'string' } }, req.body);
+    const snapshot = await loadSnapshot(req.params.id);
+
+    const result = await storage.transaction(requestId, async () => {
+      // Corrupt current data can't be snapshotted (restoreSnapshot keeps a raw copy instead)
+      const preRestore = await takeSnapshot('pre-restore').catch(error => {
+        if (error.code !== 'storage-corrupt' || listId) throw error;
+        return null;
+      });
+      const { restored, deleted } = await restoreSnapshot(snapshot, listId);
+      return { preRestoreSnapshotId: preRestore ? preRestore.id : null, restored, deleted };
+    });
+
+    await broadcastListSummaries();
+
+    console.log(`[${requestId}] Restored ${result.restored.length} list(s) from snapshot ${snapshot.id}`);
+    res.json({
+      success: true,
+      data: {
+        snapshotId: snapshot.id,
+        preRestoreSnapshotId: result.preRestoreSnapshotId,
+        restoredLists: result.restored.map(summarizeList),
+        deletedListIds: result.deleted
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// All internal list routes require a paired device
+app.use('/api/shopping', requireAuth);
+
+// ============================================================================
+// LISTS API ENDPOINTS
+// ============================================================================
+
+// GET /api/shopping/lists - Get all lists (without items)
+app.get('/api/shopping/lists', async (req, res, next) => {
+  try {
+    const store = await loadStore();
+    res.json({ success: true, data: store.lists.map(summarizeList) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/shopping/lists - Create a new list
+app.post('/api/shopping/lists', async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const { name } = validateInput(LIST_FIELDS, req.body);
+
+    console.log(`[${requestId}] Creating list: ${name}`);
+
+    const newList = await storage.transaction(requestId, async () => {
+      const store = await loadStore();
+      const list = createList(generateId(), name);
+
+      store.lists.push(list);
+      await saveStore(store);
+
+      return list;
+    });
+
+    await broadcastListSummaries();
+
+    console.log(`[${requestId}] List created successfully: ${newList.id}`);
+    res.json({ success: true, data: newList });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /api/shopping/lists/:listId - Rename a list
+app.patch('/api/shopping/lists/:listId', async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const { listId } = req.params;
+    const { name } = validateInput(LIST_FIELDS, req.body);
+
+    console.log(`[${requestId}] Renaming list ${listId}: ${name}`);
+
+    const updatedList = await storage.transaction(requestId, async () => {
+      const list = await loadShoppingList(listId);
+      list.name = name;
+
+      const changes = [{ type: 'list-renamed', name }];
+      const updated = await saveShoppingList(list, changes);
+
+      // Broadcast to all clients viewing this list
+      broadcastChanges(updated, changes);
+
+      return updated;
+    });
+
+    await broadcastListSummaries();
+
+    res.json({ success: true, data: updatedList });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/shopping/lists/:listId - Delete a list and all of its items
+app.delete('/api/shopping/lists/:listId', async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const { listId } = req.params;
+
+    if (listId === DEFAULT_LIST_ID) {
+      throw invalidInput('The default list cannot be deleted');
+    }
+
+    console.log(`[${requestId}] Deleting list: ${listId}`);
+
+    await storage.transaction(requestId, async () => {
+      const store = await loadStore();
+      const listIndex = store.lists.findIndex(list => list.id === listId);
+
+      if (listIndex === -1) {
+        throw notFoundError('List');
+      }
+
+      store.lists.splice(listIndex, 1);
+      delete store.changeLog[listId];
+      await saveStore(store);
+    });
+
+    // Notify clients in the room, then empty it
+    emitListEvent(listId, 'list-deleted', { listId });
+    io.in(listRoom(listId)).socketsLeave(listRoom(listId));
+    await broadcastListSummaries();
+
+    console.log(`[${requestId}] List deleted successfully: ${listId}`);
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============================================================================
+// INTERNAL API ENDPOINTS (for mobile app)
+// ============================================================================
+//
+// Every item route exists twice: the legacy path works on the default list,
+// the /api/shopping/lists/:listId/... path works on the given list.
+
+// GET /api/shopping/list - Get complete shopping list with price totals (estimated for open items, paid for checked ones)
+// ?store=<id> returns the items in that store's walking order (grouped by aisle, checked items last)
+app.get(['/api/shopping/list', '/api/shopping/lists/:listId'], async (req, res, next) => {
+  try {
+    const list = await loadShoppingList(req.params.listId || DEFAULT_LIST_ID);
+    const totals = summarizeListPrices(list, await loadCategoryRegistry(), await loadPrices());
+
+    if (req.query.store) {
+      const route = await loadStoreRoute(list, req.query.store);
+      return res.json({ success: true, data: { ...list, ...route, totals } });
+    }
+
+    res.json({ success: true, data: { ...list, totals } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/shopping/items - Add new item
+app.post(['/api/shopping/items', '/api/shopping/lists/:listId/items'], async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const listId = req.params.listId || DEFAULT_LIST_ID;
+    const { name, categoryId, quantity, checked, details, price, paidPrice, merge } = validateInput({
+      ...ITEM_FIELDS,
+      categoryId: { ...ITEM_FIELDS.categoryId, required: true },
+      merge: { type: 'boolean' }
+    }, req.body, { categoryIds: await loadCategoryIds(), ignore: ITEM_SERVER_FIELDS });
+
+    console.log(`[${requestId}] Adding item to list ${listId}: ${name}`);
+
+    const { item: newItem, merged } = await storage.transaction(requestId, async () => {
+      const list = await loadShoppingList(listId);
+      const previousItems = snapshotItems(list);
+
+      // Items added as already checked never merge into open ones
+      const result = addOrMergeItem(list, {
+        name,
+        categoryId,
+        quantity,
+        details,
+        price,
+        addedBy: req.user.id
+      }, { merge: !checked && merge !== false });
+
+      if (checked && !result.merged) {
+        result.item.checked = true;
+        result.item.checkedAt = new Date().toISOString();
+        result.item.checkedBy = req.user.id;
+
+        if (typeof paidPrice === 'number') {
+          result.item.paidPrice = paidPrice;
+          await learnPrice(result.item.name, paidPrice, req.user.id);
+        }
+      }
+
+      const changes = [{ type: result.merged ? 'item-updated' : 'item-added', item: result.item }];
+      const updatedList = await saveShoppingList(list, changes);
+      await recordUndo(getClientId(req), listId, previousItems, [result.item.id]);
+
+      // Broadcast to all clients viewing this list
+      broadcastChanges(updatedList, changes);
+
+      return result;
+    });
+
+    console.log(`[${requestId}] Item ${merged ? 'merged' : 'added'} successfully: ${newItem.id}`);
+    res.json({ success: true, data: newItem, merged });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /api/shopping/items/:id - Update item
+app.patch(['/api/shopping/items/:id', '/api/shopping/lists/:listId/items/:id'], async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const listId = req.params.listId || DEFAULT_LIST_ID;
+    const { id } = req.params;
+    const updates = validateInput(ITEM_FIELDS, req.body, {
+      partial: true,
+      categoryIds: await loadCategoryIds(),
+      ignore: ITEM_SERVER_FIELDS
+    });
+
+    console.log(`[${requestId}] Updating item: ${id}`);
+
+    const updatedItem = await storage.transaction(requestId, async () => {
+      const list = await loadShoppingList(listId);
+      const itemIndex = list.items.findIndex(item => item.id === id);
+
+      if (itemIndex === -1) {
+        throw notFoundError('Item');
+      }
+
+      // Nothing but ignored server fields: no new version, revision or undo step
+      if (Object.keys(updates).length === 0) {
+        return list.items[itemIndex];
+      }
+
+      const previousItems = snapshotItems(list);
+      const item = applyItemUpdates(list.items[itemIndex], updates, req.user.id);
+
+      // A corrected category is remembered for future adds of this name
+      if (updates.categoryId && updates.categoryId !== list.items[itemIndex].categoryId) {
+        await learnCategory(item.name, updates.categoryId, req.user.id);
+      }
+
+      // The price paid when checking off becomes the estimate for the next time
+      if (item.checked && typeof updates.paidPrice === 'number') {
+        await learnPrice(item.name, updates.paidPrice, req.user.id);
+      }
+
+      list.items[itemIndex] = item;
+
+      const changes = [{ type: 'item-updated', item }];
+      const updatedList = await saveShoppingList(list, changes);
+      await recordUndo(getClientId(req), listId, previousItems, [id]);
+
+      // Broadcast to all clients viewing this list
+      broadcastChanges(updatedList, changes);
+
+      return list.items[itemIndex];
+    });
+
+    console.log(`[${requestId}] Item updated successfully: ${id}`);
+    res.json({ success: true, data: updatedItem });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/shopping/items/:id - Delete item
+app.delete(['/api/shopping/items/:id', '/api/shopping/lists/:listId/items/:id'], async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const listId = req.params.listId || DEFAULT_LIST_ID;
+    const { id } = req.params;
+
+    console.log(`[${requestId}] Deleting item: ${id}`);
+
+    await storage.transaction(requestId, async () => {
+      const list = await loadShoppingList(listId);
+      const itemIndex = list.items.findIndex(item => item.id === id);
+
+      if (itemIndex === -1) {
+        throw notFoundError('Item');
+      }
+
+      const previousItems = snapshotItems(list);
+      const [deletedItem] = list.items.splice(itemIndex, 1);
+      await trashItems(listId, [deletedItem], 'deleted');
+
+      const changes = [{ type: 'item-deleted', itemId: id }];
+      const updatedList = await saveShoppingList(list, changes);
+      await recordUndo(getClientId(req), listId, previousItems, [id]);
+
+      // Broadcast to all clients viewing this list
+      broadcastChanges(updatedList, changes);
+    });
+
+    console.log(`[${requestId}] Item deleted successfully: ${id}`);
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/shopping/items - Delete all checked items
+// Query: pantry=true also stocks them in the pantry (with an estimated expiry date)
+app.delete(['/api/shopping/items', '/api/shopping/lists/:listId/items'], async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const listId = req.params.listId || DEFAULT_LIST_ID;
+
+    console.log(`[${requestId}] Clearing checked items in list ${listId}`);
+
+    const updatedList = await storage.transaction(requestId, async () => {
+      const list = await loadShoppingList(listId);
+      const previousItems = snapshotItems(list);
+      const checkedItems = list.items.filter(item => item.checked);
+      const itemIds = checkedItems.map(item => item.id);
+      list.items = list.items.filter(item => !item.checked);
+
+      // History, trash and list are committed together: if any of them fails, none is changed
+      const historyEntries = await archivePurchases(listId, checkedItems);
+      await trashItems(listId, checkedItems, 'cleared', historyEntries);
+
+      if (req.query.pantry === 'true') {
+        await stockPantry(listId, checkedItems, req.user.id);
+      }
+
+      const changes = [{ type: 'items-cleared', itemIds }];
+      const updated = await saveShoppingList(list, changes);
+      await recordUndo(getClientId(req), listId, previousItems, itemIds, historyEntries.map(entry => entry.id));
+
+      console.log(`[${requestId}] Deleted ${itemIds.length} checked items`);
+
+      // Broadcast to all clients viewing this list
+      broadcastChanges(updated, changes);
+
+      return updated;
+    });
+
+    res.json({ success: true, data: updatedList });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/shopping/mutations - Replay queued offline mutations in order
+// Each operation: { idempotencyKey, type: 'add' | 'update' | 'delete', itemId, baseVersion, updates, item }
+app.post(['/api/shopping/mutations', '/api/shopping/lists/:listId/mutations'], async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const listId = req.params.listId || DEFAULT_LIST_ID;
+    const { operations } = req.body;
+
+    if (!Array.isArray(operations) || operations.length === 0) {
+      throw invalidInput('operations must be a non-empty array');
+    }
+
+    if (operations.length > MAX_BATCH_OPERATIONS) {
+      throw invalidInput(`At most ${MAX_BATCH_OPERATIONS} operations per batch`);
+    }
+
+    console.log(`[${requestId}] Replaying ${operations.length} mutation(s) on list ${listId}`);
+
+    const categoryIds = await loadCategoryIds();
+
+    const data = await storage.transaction(requestId, async () => {
+      const store = await loadStore();
+      const list = store.lists.find(l => l.id === listId);
+
+      if (!list) {
+        throw notFoundError('List');
+      }
+
+      const previousItems = snapshotItems(list);
+      const results = [];
+      const changes = [];
+      const idempotencyKeys = {};
+
+      for (const operation of operations) {
+        const key = operation && operation.idempotencyKey;
+
+        if (typeof key !== 'string' || !key) {
+          results.push({ idempotencyKey: key, status: 'invalid', error: 'idempotencyKey is required', code: 'validation-failed' });
+          continue;
+        }
+
+        // Already applied by an earlier attempt (or earlier in this batch); keys only count on their own list
+        const recordKey = `${listId}:${key}`;
+        const previous = store.idempotencyKeys[recordKey] || idempotencyKeys[recordKey];
+        if (previous) {
+          results.push({
+            idempotencyKey: key,
+            status: 'duplicate',
+            itemId: previous.itemId,
+            item: list.items.find(item => item.id === previous.itemId)
+          });
+          continue;
+        }
+
+        const { result, change } = applyMutation(list, operation, req.user.id, categoryIds);
+        results.push({ idempotencyKey: key, ...result });
+
+        // Offline category corrections are learned like those made via PATCH
+        const correctedCategory = operation.type === 'update' && operation.updates && operation.updates.categoryId;
+        const itemBefore = previousItems.get(result.itemId);
+        if (change && typeof correctedCategory === 'string' &&
+            (!itemBefore || itemBefore.categoryId !== correctedCategory)) {
+          await learnCategory(result.item.name, result.item.categoryId, req.user.id);
+        }
+
+        // Prices paid while offline are learned as well
+        if (change && operation.type === 'update' && operation.updates && operation.updates.paidPrice !== undefined &&
+            result.item.checked && typeof result.item.paidPrice === 'number') {
+          await learnPrice(result.item.name, result.item.paidPrice, req.user.id);
+        }
+
+        if (change) {
+          changes.push(change);
+          idempotencyKeys[recordKey] = {
+            listId,
+            itemId: result.item ? result.item.id : result.itemId,
+            processedAt: new Date().toISOString()
+          };
+        }
+      }
+
+      if (changes.length === 0) {
+        return { listId, revision: list.revision || 0, results };
+      }
+
+      const deletedItems = changes
+        .filter(change => change.type === 'item-deleted' && previousItems.has(change.itemId))
+        .map(change => previousItems.get(change.itemId));
+      await trashItems(listId, deletedItems, 'deleted');
+
+      const updatedList = await saveShoppingList(list, changes, { idempotencyKeys });
+
+      // The whole batch is undone as one step
+      await recordUndo(getClientId(req), listId, previousItems,
+        changes.map(change => (change.item ? change.item.id : change.itemId)));
+
+      // Broadcast to all clients viewing this list
+      broadcastChanges(updatedList, changes);
+
+      return { listId, revision: updatedList.revision, results };
+    });
+
+    const applied = data.results.filter(result => result.status === 'applied').length;
+    console.log(`[${requestId}] Applied ${applied} of ${operations.length} mutation(s)`);
+
+    res.json({ success: true, data });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/shopping/parse - Parse free text into items and add them (dryRun: preview only)
+app.post(['/api/shopping/parse', '/api/shopping/lists/:listId/parse'], async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const listId = req.params.listId || DEFAULT_LIST_ID;
+    const { text, merge, ...body } = validateInput(TEXT_INPUT_FIELDS, req.body);
+    const dryRun = body.dryRun === true || req.query.dryRun === 'true';
+
+    const parsedItems = parseShoppingText(text);
+
+    console.log(`[${requestId}] Parsed ${parsedItems.length} item(s) from text${dryRun ? ' (dry run)' : ''}`);
+
+    if (dryRun) {
+      return res.json({ success: true, data: { dryRun: true, parsedItems } });
+    }
+
+    const result = await storage.transaction(requestId, async () => {
+      const previousItems = snapshotItems(await loadShoppingList(listId));
+      const inputs = parsedItems.map(item => ({ ...item, addedBy: req.user.id }));
+      const added = await addItemsToList(requestId, listId, inputs, { merge: merge !== false });
+
+      await recordUndo(getClientId(req), listId, previousItems,
+        [...added.addedItems, ...added.mergedItems].map(item => item.id));
+      return added;
+    });
+
+    res.json({ success: true, data: { dryRun: false, parsedItems, ...result } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/shopping/export - Render a list as csv, markdown, text or json
+// Query: format (default csv), group=category, includeChecked=false to leave out checked items,
+// download=true to send it as file attachment
+app.get(['/api/shopping/export', '/api/shopping/lists/:listId/export'], async (req, res, next) => {
+  try {
+    const format = req.query.format || 'csv';
+
+    if (!LIST_FORMATS[format]) {
+      throw invalidInput(`format must be one of: ${Object.keys(LIST_FORMATS).join(', ')}`);
+    }
+    if (req.query.group && req.query.group !== 'category') {
+      throw invalidInput('group must be "category"');
+    }
+
+    const list = await loadShoppingList(req.params.listId || DEFAULT_LIST_ID);
+    const categories = await loadCategoryRegistry();
+    const body = renderListExport(list, categories, format, {
+      grouped: req.query.group === 'category',
+      includeChecked: req.query.includeChecked !== 'false'
+    });
+
+    if (req.query.download === 'true') {
+      const fileName = list.name.replace(/[\\/:*?"<>|]+/g, '').trim() || list.id;
+      res.attachment(`${fileName}.${LIST_FORMATS[format].extension}`);
+    }
+
+    res.type(LIST_FORMATS[format].contentType).send(body);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/shopping/import - Add items from csv, markdown, text or json (e.g. an export or a Bring! list)
+// Body: { format, content, mode: 'append' | 'replace', merge, dryRun }
+// replace moves all current items to the trash first; items without (known) category are classified
+app.post(['/api/shopping/import', '/api/shopping/lists/:listId/import'], async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const listId = req.params.listId || DEFAULT_LIST_ID;
+    const { format, content, mode = 'append', merge, ...body } = validateInput({
+      format: { type: 'string', required: true, values: Object.keys(LIST_FORMATS) },
+      // JSON imports may send the parsed document instead of a string
+      content: { type: 'any', required: true },
+      mode: { type: 'string', values: ['append', 'replace'] },
+      merge: { type: 'boolean' },
+      dryRun: { type: 'boolean' }
+    }, req.body);
+    const dryRun = body.dryRun === true || req.query.dryRun === 'true';
+
+    const categories = await loadCategoryRegistry();
+    const items = resolveImportEntries(parseListImport(format, content, categories), categories);
+
+    if (items.length === 0) {
+      throw invalidInput('No valid items to import');
+    }
+    if (items.length > MAX_IMPORT_ITEMS) {
+      throw invalidInput(`At most ${MAX_IMPORT_ITEMS} items per import`);
+    }
+
+    console.log(`[${requestId}] Importing ${items.length} item(s) (${format}, ${mode}) into list ${listId}${dryRun ? ' (dry run)' : ''}`);
+
+    if (dryRun) {
+      return res.json({ success: true, data: { dryRun: true, mode, items } });
+    }
+
+    const result = await storage.transaction(requestId, async () => {
+      const list = await loadShoppingList(listId);
+      const previousItems = snapshotItems(list);
+      const removedItems = mode === 'replace' ? list.items : [];
+      const addedItems = [];
+      const mergedItems = [];
+
+      if (mode === 'replace') {
+        list.items = [];
+        await trashItems(listId, removedItems, 'replaced');
+      }
+
+      for (const { checked, ...input } of items) {
+        // Checked items never merge into open ones
+        const { item, merged } = addOrMergeItem(list, { ...input, addedBy: req.user.id },
+          { merge: !checked && merge !== false });
+
+        if (checked && !merged) {
+          item.checked = true;
+          item.checkedAt = new Date().toISOString();
+          item.checkedBy = req.user.id;
+        }
+
+        // Duplicates within the same import merge into the item created for it
+        if (addedItems.includes(item) || mergedItems.includes(item)) continue;
+        (merged ? mergedItems : addedItems).push(item);
+      }
+
+      const changes = [
+        ...removedItems.map(item => ({ type: 'item-deleted', itemId: item.id })),
+        ...addedItems.map(item => ({ type: 'item-added', item })),
+        ...mergedItems.map(item => ({ type: 'item-updated', item }))
+      ];
+      const updatedList = await saveShoppingList(list, changes);
+      await recordUndo(getClientId(req), listId, previousItems,
+        [...removedItems, ...addedItems, ...mergedItems].map(item => item.id));
+
+      // Broadcast to all clients viewing this list
+      broadcastChanges(updatedList, changes);
+
+      return {
+        listId: updatedList.id,
+        revision: updatedList.revision,
+        mode,
+        addedItems,
+        mergedItems,
+        removedItemIds: removedItems.map(item => item.id),
+        totalItems: updatedList.items.length
+      };
+    });
+
+    console.log(`[${requestId}] Imported ${result.addedItems.length} new, ${result.mergedItems.length} merged, ${result.removedItemIds.length} replaced`);
+    res.json({ success: true, data: { dryRun: false, ...result } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/shopping/undo - Reverse the most recent change made by this device (its own undo stack, see getClientId)
+app.post('/api/shopping/undo', async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const clientId = getClientId(req);
+
+    console.log(`[${requestId}] Undoing last operation of client ${clientId}`);
+
+    const result = await storage.transaction(requestId, () => undoLastOperation(clientId));
+
+    res.json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============================================================================
+// LIVE FEED API ENDPOINTS (event stream and long-poll for clients without WebSocket)
+// ============================================================================
+
+// GET /api/shopping/events - Server-Sent Events of a list (same events and payloads as the socket room)
+// Event ids are list revisions: after a reconnect (Last-Event-ID header or ?lastEventId=) only the
+// missed changes are replayed, otherwise (or if the change log doesn't reach back) 'list-updated' comes first.
+// Query: categoryId (comma-separated), unchecked=true
+app.get(['/api/shopping/events', '/api/shopping/lists/:listId/events'], async (req, res, next) => {
+  try {
+    const listId = req.params.listId || DEFAULT_LIST_ID;
+    const filter = parseFeedFilter(req.query, await loadCategoryIds());
+    const lastEventId = req.headers['last-event-id'] || req.query.lastEventId;
+    const sinceRevision = lastEventId !== undefined && /^\d+$/.test(lastEventId) ? parseInt(lastEventId, 10) : null;
+
+    // Events that arrive while the stream is being set up wait here
+    let pending = [];
+    // Revision of the last change sent. A change can be committed (and read into the replay or the
+    // initial list) before its event arrives, so changes up to this revision are skipped.
+    let sentRevision = null;
+    const onEvent = (eventListId, type, data) => {
+      if (eventListId === null || eventListId === listId) {
+        if (pending) pending.push({ type, data });
+        else send(type, data);
+      }
+    };
+    feedEvents.on('event', onEvent);
+
+    let delta;
+    let list;
+    try {
+      delta = sinceRevision !== null ? await loadChangesSince(listId, sinceRevision) : null;
+      list = delta ? null : await loadShoppingList(listId);
+    } catch (error) {
+      feedEvents.off('event', onEvent);
+      throw error;
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 5000\n\n');
+
+    function send(type, data) {
+      if (res.writableEnded) return;
+      if (type !== 'list-updated' && sentRevision !== null && data.revision <= sentRevision) return;
+      if (Number.isInteger(data.revision)) sentRevision = data.revision;
+
+      const filtered = filterFeedEvent(type, data, filter);
+      if (filtered) {
+        const id = Number.isInteger(data.revision) ? `id: ${data.revision}\n` : '';
+        res.write(`event: ${filtered.type}\n${id}data: ${JSON.stringify(filtered.data)}\n\n`);
+      }
+
+      if (type === 'list-deleted') {
+        close();
+      }
+    }
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), FEED_HEARTBEAT_INTERVAL);
+    const client = { deviceId: req.device.id, close };
+    feedClients.add(client);
+
+    function close() {
+      clearInterval(heartbeat);
+      feedEvents.off('event', onEvent);
+      feedClients.delete(client);
+      if (!res.writableEnded) res.end();
+    }
+    res.on('close', close);
+
+    console.log(`[${req.requestId}] Event stream opened for list ${listId}`);
+
+    if (delta) {
+      for (const { type, revision, ...data } of delta.changes) {
+        send(type, { listId, revision, ...data });
+      }
+      sentRevision = delta.revision;
+    } else {
+      send('list-updated', list);
+      sentRevision = list.revision || 0;
+    }
+
+    // Queued changes that were already part of the replay or the initial list are skipped by send
+    const queued = pending;
+    pending = null;
+    for (const { type, data } of queued) {
+      send(type, data);
+    }
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/shopping/poll - Long-poll for clients without WebSocket or event stream support
+// Answers with the list as soon as its lastModified differs from ?since (right away if it already does),
+// 304 if nothing changed within ?timeout seconds (default 30, max 60).
+// Query: since (lastModified of the client's copy), timeout, categoryId (comma-separated), unchecked=true
+app.get(['/api/shopping/poll', '/api/shopping/lists/:listId/poll'], async (req, res, next) => {
+  try {
+    const listId = req.params.listId || DEFAULT_LIST_ID;
+    const filter = parseFeedFilter(req.query, await loadCategoryIds());
+    const timeout = req.query.timeout !== undefined
+      ? Math.min(Math.max(parseInt(req.query.timeout, 10) || 0, 1) * 1000, MAX_LONG_POLL_TIMEOUT)
+      : LONG_POLL_TIMEOUT;
+
+    let list = await loadShoppingList(listId);
+
+    if (req.query.since && list.lastModified === req.query.since) {
+      const changed = await new Promise(resolve => {
+        const onEvent = eventListId => {
+          if (eventListId === listId) finish(true);
+        };
+        const timer = setTimeout(() => finish(false), timeout);
+        const client = { deviceId: req.device.id, close: () => finish('revoked') };
+
+        function finish(result) {
+          clearTimeout(timer);
+          feedEvents.off('event', onEvent);
+          feedClients.delete(client);
+          res.off('close', onClose);
+          resolve(result);
+        }
+        const onClose = () => finish(null);
+
+        feedEvents.on('event', onEvent);
+        feedClients.add(client);
+        res.on('close', onClose);
+      });
+
+      if (changed === 'revoked') {
+        throw new ApiError(401, 'unauthorized', 'Unauthorized - Invalid or missing device token');
+      }
+      // Client went away
+      if (changed === null) {
+        return res.end();
+      }
+      if (!changed) {
+        return res.status(304).end();
+      }
+
+      list = await loadShoppingList(listId);
+    }
+
+    res.json({ success: true, data: filterFeedList(list, filter) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============================================================================
+// TRASH API ENDPOINTS
+// ============================================================================
+
+// GET /api/shopping/trash - Deleted and cleared items (newest first)
+// Query: listId
+app.get('/api/shopping/trash', async (req, res, next) => {
+  try {
+    const { listId } = req.query;
+    const trash = await loadTrash();
+    const entries = trash
+      .filter(entry => !listId || entry.listId === listId)
+      .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt))
+      .map(entry => ({
+        ...entry,
+        expiresAt: new Date(new Date(entry.deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS).toISOString()
+      }));
+
+    res.json({ success: true, data: entries });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/shopping/trash/:entryId/restore - Put a trashed item back on its list
+app.post('/api/shopping/trash/:entryId/restore', async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const { entryId } = req.params;
+
+    console.log(`[${requestId}] Restoring trash entry: ${entryId}`);
+
+    const restoredItem = await storage.transaction(requestId, async () => {
+      const trash = await loadTrash();
+      const entry = trash.find(e => e.id === entryId);
+
+      if (!entry) {
+        throw notFoundError('Trash entry');
+      }
+
+      const list = await loadShoppingList(entry.listId);
+
+      if (list.items.some(item => item.id === entry.item.id)) {
+        throw new ApiError(409, 'item-already-on-list', 'Item is already on the list');
+      }
+
+      const previousItems = snapshotItems(list);
+      const changes = restoreItems(list, [entry.item]);
+
+      await saveTrash(trash.filter(e => e.id !== entryId));
+      if (entry.historyEntryId) {
+        await unarchivePurchases([entry.historyEntryId]);
+      }
+      await unstockPantry(entry.listId, [entry.item.id]);
+
+      const updatedList = await saveShoppingList(list, changes);
+      await recordUndo(getClientId(req), list.id, previousItems, [entry.item.id]);
+
+      // Broadcast to all clients viewing this list
+      broadcastChanges(updatedList, changes);
+
+      return changes[0].item;
+    });
+
+    res.json({ success: true, data: restoredItem });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/shopping/trash/:entryId - Purge one trash entry for good
+app.delete('/api/shopping/trash/:entryId', async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const { entryId } = req.params;
+
+    await storage.transaction(requestId, async () => {
+      const trash = await loadTrash();
+
+      if (!trash.some(entry => entry.id === entryId)) {
+        throw notFoundError('Trash entry');
+      }
+
+      await saveTrash(trash.filter(entry => entry.id !== entryId));
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/shopping/trash - Empty the trash (optionally only for ?listId=)
+app.delete('/api/shopping/trash', async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const { listId } = req.query;
+
+    const purgedCount = await storage.transaction(requestId, async () => {
+      const trash = await loadTrash();
+      const remaining = listId ? trash.filter(entry => entry.listId !== listId) : [];
+
+      await saveTrash(remaining);
+      return trash.length - remaining.length;
+    });
+
+    console.log(`[${requestId}] Purged ${purgedCount} trash entries`);
+    res.json({ success: true, data: { purgedCount } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============================================================================
+// PURCHASE HISTORY API ENDPOINTS
+// ============================================================================
+
+// GET /api/shopping/history - Query purchased (checked and cleared) items
+// Query: from, to (ISO dates), categoryId, listId, limit
+app.get('/api/shopping/history', async (req, res, next) => {
+  try {
+    const { from, to, categoryId, listId } = req.query;
+    const fromTime = from ? new Date(from).getTime() : -Infinity;
+    const toTime = to ? new Date(to).getTime() : Infinity;
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : undefined;
+
+    if (Number.isNaN(fromTime) || Number.isNaN(toTime)) {
+      throw invalidInput('from and to must be valid dates');
+    }
+
+    const history = await loadPurchaseHistory();
+    const entries = history
+      .filter(entry => {
+        const checkedTime = new Date(entry.checkedAt).getTime();
+        return checkedTime >= fromTime && checkedTime <= toTime &&
+          (!categoryId || entry.categoryId === categoryId) &&
+          (!listId || entry.listId === listId);
+      })
+      .sort((a, b) => new Date(b.checkedAt) - new Date(a.checkedAt));
+
+    res.json({
+      success: true,
+      data: {
+        total: entries.length,
+        entries: limit > 0 ? entries.slice(0, limit) : entries
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/shopping/suggestions - Frequently bought items that are not on the list
+// Query: listId (default list), limit (default 10)
+app.get(['/api/shopping/suggestions', '/api/shopping/lists/:listId/suggestions'], async (req, res, next) => {
+  try {
+    const listId = req.params.listId || req.query.listId || DEFAULT_LIST_ID;
+    const limit = parseInt(req.query.limit, 10) || 10;
+
+    const [list, history] = await Promise.all([
+      loadShoppingList(listId),
+      loadPurchaseHistory()
+    ]);
+
+    const suggestions = rankSuggestions(history, list.items).slice(0, limit);
+    res.json({ success: true, data: suggestions });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============================================================================
+// PANTRY API ENDPOINTS (what is at home, expiry dates, staples)
+// ============================================================================
+
+// GET /api/shopping/pantry - Pantry items, soonest expiry first (items without expiry last)
+// Query: expiringWithin (days), categoryId
+app.get('/api/shopping/pantry', async (req, res, next) => {
+  try {
+    const { categoryId } = req.query;
+    const expiringWithin = req.query.expiringWithin !== undefined ? parseInt(req.query.expiringWithin, 10) : null;
+
+    if (Number.isNaN(expiringWithin)) {
+      throw invalidInput('expiringWithin must be a number of days');
+    }
+
+    const pantry = await loadPantry();
+    const now = Date.now();
+    const items = pantry.items
+      .map(entry => describePantryItem(entry, pantry.staples, now))
+      .filter(entry => (!categoryId || entry.categoryId === categoryId) &&
+        (expiringWithin === null || (entry.daysLeft !== null && entry.daysLeft <= expiringWithin)))
+      .sort((a, b) => (a.daysLeft === null) - (b.daysLeft === null) ||
+        (a.expiresAt || '').localeCompare(b.expiresAt || '') ||
+        a.name.localeCompare(b.name, 'de'));
+
+    res.json({ success: true, data: items });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/shopping/pantry/suggestions - Staples to put on the list (out of stock or expiring)
+// Query: listId (only staples of that list). Staples already open on their list are left out.
+app.get('/api/shopping/pantry/suggestions', async (req, res, next) => {
+  try {
+    const pantry = await loadPantry();
+    const lists = (await loadStore()).lists;
+
+    const suggestions = collectPantrySuggestions(pantry)
+      .map(suggestion => ({
+        ...suggestion,
+        listId: lists.some(list => list.id === suggestion.listId) ? suggestion.listId : DEFAULT_LIST_ID
+      }))
+      .filter(suggestion => {
+        if (req.query.listId && suggestion.listId !== req.query.listId) return false;
+        const list = lists.find(l => l.id === suggestion.listId);
+        return !list.items.some(item => !item.checked &&
+          normalizeItemName(item.name) === normalizeItemName(suggestion.name));
+      });
+
+    res.json({ success: true, data: suggestions });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/shopping/pantry/log - Used and discarded pantry items, newest first
+// Query: action (used | discarded), limit (default 100)
+app.get('/api/shopping/pantry/log', async (req, res, next) => {
+  try {
+    const { action } = req.query;
+    const limit = Math.max(parseInt(req.query.limit, 10) || 100, 1);
+
+    const log = (await loadPantry()).log
+      .filter(entry => !action || entry.action === action)
+      .reverse()
+      .slice(0, limit);
+
+    res.json({ success: true, data: log });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/shopping/pantry - Stock something by hand: { name, quantity, categoryId, expiresAt }
+// Without categoryId it is classified, without expiresAt it is estimated from the category
+app.post('/api/shopping/pantry', async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const categories = await loadCategoryRegistry();
+    const values = validatePantryItem(req.body, { categoryIds: categories.map(category => category.id) });
+
+    const categoryId = values.categoryId || classifyItem(values.name);
+    const entry = {
+      id: generateId(),
+      name: values.name,
+      categoryId,
+      quantity: values.quantity,
+      amount: values.amount,
+      unit: values.unit,
+      expiresAt: 'expiresAt' in values ? values.expiresAt : estimateExpiry(categoryId, categories),
+      addedBy: req.user.id,
+      addedAt: new Date().toISOString()
+    };
+
+    const pantry = await storage.transaction(requestId, async () => {
+      const current = await loadPantry();
+      current.items.push(entry);
+
+      const staple = current.staples[normalizeItemName(entry.name)];
+      if (staple) {
+        delete staple.restockedAt;
+      }
+
+      return savePantry(current);
+    });
+
+    console.log(`[${requestId}] Pantry: stocked ${entry.name}`);
+    res.status(201).json({ success: true, data: describePantryItem(entry, pantry.staples) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /api/shopping/pantry/:id - Correct name, quantity, categoryId or expiresAt (null: does not expire)
+app.patch('/api/shopping/pantry/:id', async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const categoryIds = await loadCategoryIds();
+    const values = validatePantryItem(req.body, { partial: true, categoryIds });
+
+    const { entry, pantry } = await storage.transaction(requestId, async () => {
+      const current = await loadPantry();
+      const found = current.items.find(e => e.id === req.params.id);
+
+      if (!found) {
+        throw notFoundError('Pantry item');
+      }
+
+      Object.assign(found, values);
+      return { entry: found, pantry: await savePantry(current) };
+    });
+
+    res.json({ success: true, data: describePantryItem(entry, pantry.staples) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/shopping/pantry/:id/use and /discard - Use up or throw away a pantry item
+// Body: { quantity } (optional, same unit as the item, e.g. "200 g"); without it the whole item is gone.
+// Returns the remaining item (null if nothing is left) and the staples that were put on a list
+app.post(['/api/shopping/pantry/:id/use', '/api/shopping/pantry/:id/discard'], async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const action = req.path.endsWith('/use') ? 'used' : 'discarded';
+    const { quantity } = validateInput({ quantity: ITEM_FIELDS.quantity }, req.body);
+
+    const result = await storage.transaction(requestId, () =>
+      takeFromPantry(requestId, req.params.id, action, quantity, req.user.id));
+
+    console.log(`[${requestId}] Pantry: ${req.params.id} ${action}${quantity ? ` (${quantity})` : ''}`);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/shopping/pantry/staples - Staples with their current stock
+app.get('/api/shopping/pantry/staples', async (req, res, next) => {
+  try {
+    const pantry = await loadPantry();
+
+    const staples = Object.entries(pantry.staples)
+      .map(([key, staple]) => {
+        const stock = pantry.items.filter(entry => normalizeItemName(entry.name) === key);
+        return {
+          ...staple,
+          inStock: stock.length,
+          nextExpiry: stock.map(entry => entry.expiresAt).filter(Boolean).sort()[0]
+        };
+      })
+      .sort((a, b) => a.name.localeCompare(b.name, 'de'));
+
+    res.json({ success: true, data: staples });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/shopping/pantry/staples/:name - Mark an item name as staple (or change it)
+// Body: { autoAdd (default false), listId, quantity, categoryId } - with autoAdd it is put on the list
+// by itself once it runs out or is about to expire, otherwise it only shows up in the suggestions
+app.put('/api/shopping/pantry/staples/:name', async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const name = req.params.name.trim();
+    const key = normalizeItemName(name);
+
+    if (!key) {
+      throw invalidInput('name is required');
+    }
+
+    const categoryIds = await loadCategoryIds();
+    const listIds = (await loadStore()).lists.map(list => list.id);
+    const values = validateStaple(req.body, categoryIds, listIds);
+
+    const { staple, restocked } = await storage.transaction(requestId, async () => {
+      const pantry = await loadPantry();
+      const existing = pantry.staples[key];
+
+      pantry.staples[key] = {
+        name,
+        autoAdd: false,
+        listId: DEFAULT_LIST_ID,
+        categoryId: classifyItem(name),
+        createdBy: req.user.id,
+        createdAt: new Date().toISOString(),
+        ...existing,
+        ...values
+      };
+      await savePantry(pantry);
+
+      // A new staple with autoAdd that is already out goes on the list right away
+      return { staple: pantry.staples[key], restocked: await restockStaples(requestId) };
+    });
+
+    console.log(`[${requestId}] Pantry: staple ${name} saved (autoAdd: ${staple.autoAdd})`);
+    res.json({ success: true, data: { ...staple, restocked } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/shopping/pantry/staples/:name - No longer a staple (its stock stays in the pantry)
+app.delete('/api/shopping/pantry/staples/:name', async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const key = normalizeItemName(req.params.name);
+
+    await storage.transaction(requestId, async () => {
+      const pantry = await loadPantry();
+
+      if (!pantry.staples[key]) {
+        throw notFoundError('Staple');
+      }
+
+      delete pantry.staples[key];
+      await savePantry(pantry);
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============================================================================
+// PRICES & BUDGET API ENDPOINTS
+// ============================================================================
+
+// GET /api/shopping/prices - Last paid price per item name (used as estimate for items without price)
+app.get('/api/shopping/prices', async (req, res, next) => {
+  try {
+    const prices = Object.values(await loadPrices())
+      .sort((a, b) => a.name.localeCompare(b.name, 'de'));
+
+    res.json({ success: true, data: prices });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/shopping/prices/:name - Forget the last paid price of an item name
+app.delete('/api/shopping/prices/:name', async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const key = normalizeItemName(req.params.name);
+
+    await storage.transaction(requestId, async () => {
+      const prices = await loadPrices();
+
+      if (!prices[key]) {
+        throw notFoundError('Price');
+      }
+
+      delete prices[key];
+      await storage.set(STORAGE_KEYS.prices, prices);
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/shopping/budget - Monthly budget overall and per category
+app.get('/api/shopping/budget', async (req, res, next) => {
+  try {
+    res.json({ success: true, data: { currency: CURRENCY, ...(await loadBudget()) } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/shopping/budget - Replace the budget: { monthly, categories: { categoryId: amount } }
+// monthly: null (or missing) means no overall budget
+app.put('/api/shopping/budget', async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const categoryIds = await loadCategoryIds();
+    const values = validateBudget(req.body, categoryIds);
+
+    const budget = {
+      ...values,
+      updatedBy: req.user.id,
+      updatedAt: new Date().toISOString()
+    };
+
+    await storage.transaction(requestId, () => storage.set(STORAGE_KEYS.budget, budget));
+
+    console.log(`[${requestId}] Budget updated: ${budget.monthly === null ? 'no overall budget' : budget.monthly}, ${Object.keys(budget.categories).length} category budget(s)`);
+    res.json({ success: true, data: { currency: CURRENCY, ...budget } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/shopping/spending - Spending of a month against the budget, per category
+// Query: month (YYYY-MM, default: current month)
+app.get('/api/shopping/spending', async (req, res, next) => {
+  try {
+    const month = req.query.month || monthKey(Date.now());
+
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+      throw invalidInput('month must be YYYY-MM');
+    }
+
+    const summary = summarizeSpending(await loadPurchases(), month, await loadBudget(), await loadCategoryRegistry());
+    res.json({ success: true, data: summary });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/shopping/spending/monthly - Spending against the budget for the last months (oldest first)
+// Query: months (default 12, max 60)
+app.get('/api/shopping/spending/monthly', async (req, res, next) => {
+  try {
+    const count = Math.min(Math.max(parseInt(req.query.months, 10) || 12, 1), 60);
+    const purchases = await loadPurchases();
+    const budget = await loadBudget();
+    const categories = await loadCategoryRegistry();
+    const now = new Date();
+
+    const months = [];
+    for (let offset = count - 1; offset >= 0; offset--) {
+      const { byCategory, ...summary } = summarizeSpending(purchases,
+        monthKey(new Date(now.getFullYear(), now.getMonth() - offset, 1)), budget, categories);
+      months.push({
+        ...summary,
+        overBudgetCategories: byCategory
+          .filter(entry => entry.remaining !== null && entry.remaining < 0)
+          .map(entry => entry.categoryId)
+      });
+    }
+
+    res.json({ success: true, data: months });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============================================================================
+// RECURRING ITEMS API ENDPOINTS
+// ============================================================================
+
+// GET /api/shopping/recurring - Get all recurring items
+app.get('/api/shopping/recurring', async (req, res, next) => {
+  try {
+    const recurringItems = await loadRecurringItems();
+    res.json({ success: true, data: recurringItems.map(describeRecurringItem) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/shopping/recurring/next-due - Preview upcoming adds
+// Query: days (default 14)
+app.get('/api/shopping/recurring/next-due', async (req, res, next) => {
+  try {
+    const days = parseInt(req.query.days, 10) || 14;
+    const now = Date.now();
+    const until = now + days * DAY_MS;
+    const recurringItems = await loadRecurringItems();
+    const upcoming = [];
+
+    for (const recurring of recurringItems) {
+      if (recurring.active === false) continue;
+
+      // Simulate runs until the end of the preview window
+      let simulated = recurring;
+      for (let i = 0; i < 100; i++) {
+        const dueTime = getNextDueTime(simulated);
+        if (dueTime > until) break;
+
+        const runTime = Math.max(dueTime, now);
+        upcoming.push({
+          recurringItemId: recurring.id,
+          name: recurring.name,
+          listId: recurring.listId || DEFAULT_LIST_ID,
+          dueAt: new Date(runTime).toISOString()
+        });
+        simulated = { ...simulated, lastRunAt: new Date(runTime).toISOString() };
+      }
+    }
+
+    upcoming.sort((a, b) => new Date(a.dueAt) - new Date(b.dueAt));
+    res.json({ success: true, data: upcoming });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/shopping/recurring - Create recurring item
+app.post('/api/shopping/recurring', async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const { name, categoryId, quantity, details, schedule, startsAt, ...body } = validateInput(RECURRING_FIELDS, req.body, {
+      categoryIds: await loadCategoryIds(),
+      ignore: RECURRING_SERVER_FIELDS
+    });
+    const listId = body.listId || DEFAULT_LIST_ID;
+
+    const scheduleError = validateSchedule(schedule);
+    if (scheduleError) {
+      throw invalidInput(scheduleError);
+    }
+
+    console.log(`[${requestId}] Creating recurring item: ${name}`);
+
+    const recurring = await storage.transaction(requestId, async () => {
+      // Fails with list-not-found for unknown lists
+      await loadShoppingList(listId);
+
+      const recurringItems = await loadRecurringItems();
+      const newRecurring = {
+        id: generateId(),
+        name,
+        categoryId: categoryId || classifyItem(name),
+        quantity: quantity || undefined,
+        details: details || undefined,
+        listId,
+        schedule,
+        active: body.active !== false,
+        startsAt: startsAt || undefined,
+        createdAt: new Date().toISOString(),
+        lastRunAt: undefined,
+        lastAddedAt: undefined
+      };
+
+      recurringItems.push(newRecurring);
+      await saveRecurringItems(recurringItems);
+      return newRecurring;
+    });
+
+    res.json({ success: true, data: describeRecurringItem(recurring) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /api/shopping/recurring/:id - Update recurring item (name, categoryId, quantity, details, listId, schedule, active, startsAt)
+app.patch('/api/shopping/recurring/:id', async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const { id } = req.params;
+    const updates = validateInput(RECURRING_FIELDS, req.body, {
+      partial: true,
+      categoryIds: await loadCategoryIds(),
+      ignore: RECURRING_SERVER_FIELDS
+    });
+
+    if ('schedule' in updates) {
+      const scheduleError = validateSchedule(updates.schedule);
+      if (scheduleError) {
+        throw invalidInput(scheduleError);
+      }
+    }
+
+    console.log(`[${requestId}] Updating recurring item: ${id}`);
+
+    const recurring = await storage.transaction(requestId, async () => {
+      if (updates.listId) {
+        await loadShoppingList(updates.listId);
+      }
+
+      const recurringItems = await loadRecurringItems();
+      const index = recurringItems.findIndex(r => r.id === id);
+
+      if (index === -1) {
+        throw notFoundError('Recurring item');
+      }
+
+      recurringItems[index] = {
+        ...recurringItems[index],
+        ...updates,
+        startsAt: updates.startsAt === null ? undefined : updates.startsAt || recurringItems[index].startsAt
+      };
+
+      await saveRecurringItems(recurringItems);
+      return recurringItems[index];
+    });
+
+    res.json({ success: true, data: describeRecurringItem(recurring) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/shopping/recurring/:id - Delete recurring item
+app.delete('/api/shopping/recurring/:id', async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const { id } = req.params;
+
+    console.log(`[${requestId}] Deleting recurring item: ${id}`);
+
+    await storage.transaction(requestId, async () => {
+      const recurringItems = await loadRecurringItems();
+      const index = recurringItems.findIndex(r => r.id === id);
+
+      if (index === -1) {
+        throw notFoundError('Recurring item');
+      }
+
+      recurringItems.splice(index, 1);
+      await saveRecurringItems(recurringItems);
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/shopping/recurring/run - Add due recurring items now instead of waiting for the scheduler
+app.post('/api/shopping/recurring/run', async (req, res, next) => {
+  try {
+    const runs = await runRecurringItems();
+    res.json({ success: true, data: runs });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============================================================================
+// RECIPES API ENDPOINTS
+// ============================================================================
+
+// GET /api/shopping/recipes - Get all recipes
+app.get('/api/shopping/recipes', async (req, res, next) => {
+  try {
+    const { recipes } = await loadRecipeStore();
+    res.json({ success: true, data: recipes });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/shopping/recipes/:id - Get one recipe
+app.get('/api/shopping/recipes/:id', async (req, res, next) => {
+  try {
+    const { recipes } = await loadRecipeStore();
+    const recipe = recipes.find(r => r.id === req.params.id);
+
+    if (!recipe) {
+      throw notFoundError('Recipe');
+    }
+
+    res.json({ success: true, data: recipe });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/shopping/recipes - Create recipe
+// Body: { name, servings, ingredients: [{ name, amount?, unit?, categoryId? }] }
+app.post('/api/shopping/recipes', async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const { recipe, error: validationError } = sanitizeRecipe(req.body);
+
+    if (validationError) {
+      throw invalidInput(validationError);
+    }
+
+    console.log(`[${requestId}] Creating recipe: ${recipe.name}`);
+
+    const newRecipe = await storage.transaction(requestId, async () => {
+      const recipeStore = await loadRecipeStore();
+      const now = new Date().toISOString();
+      const created = { id: generateId(), ...recipe, createdAt: now, updatedAt: now };
+
+      recipeStore.recipes.push(created);
+      await saveRecipeStore(recipeStore);
+      return created;
+    });
+
+    res.json({ success: true, data: newRecipe });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /api/shopping/recipes/:id - Update recipe (name, servings, ingredients)
+app.patch('/api/shopping/recipes/:id', async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const { id } = req.params;
+
+    console.log(`[${requestId}] Updating recipe: ${id}`);
+
+    const updatedRecipe = await storage.transaction(requestId, async () => {
+      const recipeStore = await loadRecipeStore();
+      const index = recipeStore.recipes.findIndex(r => r.id === id);
+
+      if (index === -1) {
+        throw notFoundError('Recipe');
+      }
+
+      const current = recipeStore.recipes[index];
+      const { recipe, error: validationError } = sanitizeRecipe({
+        name: 'name' in req.body ? req.body.name : current.name,
+        servings: 'servings' in req.body ? req.body.servings : current.servings,
+        ingredients: 'ingredients' in req.body ? req.body.ingredients : current.ingredients
+      });
+
+      if (validationError) {
+        throw invalidInput(validationError);
+      }
+
+      recipeStore.recipes[index] = { ...current, ...recipe, updatedAt: new Date().toISOString() };
+      await saveRecipeStore(recipeStore);
+      return recipeStore.recipes[index];
+    });
+
+    res.json({ success: true, data: updatedRecipe });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/shopping/recipes/:id - Delete recipe (planned items stay on the list)
+app.delete('/api/shopping/recipes/:id', async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const { id } = req.params;
+
+    console.log(`[${requestId}] Deleting recipe: ${id}`);
+
+    await storage.transaction(requestId, async () => {
+      const recipeStore = await loadRecipeStore();
+      const index = recipeStore.recipes.findIndex(r => r.id === id);
+
+      if (index === -1) {
+        throw notFoundError('Recipe');
+      }
+
+      recipeStore.recipes.splice(index, 1);
+      await saveRecipeStore(recipeStore);
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/shopping/recipes/:id/add-to-list - Plan a recipe: add its ingredients scaled to N servings
+// Body: { servings?, listId? }
+app.post('/api/shopping/recipes/:id/add-to-list', async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const { id } = req.params;
+    const body = validateInput({
+      servings: { type: 'number', min: 0.1, max: 1000 },
+      listId: { type: 'string' }
+    }, req.body);
+    const listId = body.listId || DEFAULT_LIST_ID;
+
+    console.log(`[${requestId}] Adding recipe ${id} to list ${listId}`);
+
+    const plan = await storage.transaction(requestId, async () => {
+      const recipeStore = await loadRecipeStore();
+      const recipe = recipeStore.recipes.find(r => r.id === id);
+
+      if (!recipe) {
+        throw notFoundError('Recipe');
+      }
+
+      const list = await loadShoppingList(listId);
+      const servings = body.servings || recipe.servings;
+      const factor = servings / recipe.servings;
+      const planId = generateId();
+
+      const addedItems = recipe.ingredients.map(ingredient => {
+        const { item } = addOrMergeItem(list, {
+          name: ingredient.name,
+          categoryId: ingredient.categoryId || classifyItem(ingredient.name),
+          quantity: scaleIngredient(ingredient, factor),
+          details: `${recipe.name} (${servings} Portionen)`,
+          addedBy: req.user.id
+        }, { merge: false });
+        item.recipePlanId = planId;
+        return item;
+      });
+
+      const newPlan = {
+        id: planId,
+        recipeId: recipe.id,
+        recipeName: recipe.name,
+        servings,
+        listId,
+        itemIds: addedItems.map(item => item.id),
+        createdAt: new Date().toISOString()
+      };
+
+      // Save the plan first so its items can always be taken off the list again
+      recipeStore.plans.push(newPlan);
+      await saveRecipeStore(recipeStore);
+
+      const changes = addedItems.map(item => ({ type: 'item-added', item }));
+      const updatedList = await saveShoppingList(list, changes);
+
+      // Broadcast to all clients viewing this list
+      broadcastChanges(updatedList, changes);
+
+      return { ...newPlan, addedItems };
+    });
+
+    res.json({ success: true, data: plan });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/shopping/recipe-plans - Get planned recipes
+app.get('/api/shopping/recipe-plans', async (req, res, next) => {
+  try {
+    const { plans } = await loadRecipeStore();
+    res.json({ success: true, data: plans });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/shopping/recipe-plans/:planId - Remove a recipe from the plan
+// Takes its still unchecked items off the list; checked ones stay.
+app.delete('/api/shopping/recipe-plans/:planId', async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const { planId } = req.params;
+
+    console.log(`[${requestId}] Removing recipe plan: ${planId}`);
+
+    const removedItemIds = await storage.transaction(requestId, async () => {
+      const recipeStore = await loadRecipeStore();
+      const index = recipeStore.plans.findIndex(plan => plan.id === planId);
+
+      if (index === -1) {
+        throw notFoundError('Recipe plan');
+      }
+
+      const plan = recipeStore.plans[index];
+      let removed = [];
+
+      try {
+        const list = await loadShoppingList(plan.listId);
+        removed = list.items
+          .filter(item => item.recipePlanId === planId && !item.checked)
+          .map(item => item.id);
+
+        if (removed.length > 0) {
+          list.items = list.items.filter(item => !removed.includes(item.id));
+
+          const changes = removed.map(itemId => ({ type: 'item-deleted', itemId }));
+          const updatedList = await saveShoppingList(list, changes);
+
+          // Broadcast to all clients viewing this list
+          broadcastChanges(updatedList, changes);
+        }
+      } catch (error) {
+        // The list may have been deleted in the meantime; just drop the plan
+        if (error.code !== 'list-not-found') {
+          throw error;
+        }
+      }
+
+      recipeStore.plans.splice(index, 1);
+      await saveRecipeStore(recipeStore);
+      return removed;
+    });
+
+    res.json({ success: true, data: { removedItemIds } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============================================================================
+// CATEGORIES API ENDPOINTS
+// ============================================================================
+
+// GET /api/shopping/categories - All categories (built-in + custom), sorted by sortOrder
+app.get('/api/shopping/categories', async (req, res, next) => {
+  try {
+    const categories = await loadCategoryRegistry();
+    res.json({ success: true, data: categories });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/shopping/categories/:id - One category
+app.get('/api/shopping/categories/:id', async (req, res, next) => {
+  try {
+    const categories = await loadCategoryRegistry();
+    const category = categories.find(c => c.id === req.params.id);
+
+    if (!category) {
+      throw notFoundError('Category');
+    }
+
+    res.json({ success: true, data: category });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/shopping/categories - Create a custom category: { id, name, icon?, color?, sortOrder?, keywords? }
+// Legacy: { categories: [...] } replaces all stored categories; items of dropped custom categories move to "other"
+app.post('/api/shopping/categories', async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    if (Array.isArray(req.body.categories)) {
+      const { categories: inputs } = validateInput({ categories: { type: 'array', required: true } }, req.body);
+      const records = [];
+      for (const [index, input] of inputs.entries()) {
+        const values = validateCategory(input, { path: `categories.${index}` });
+        if (records.some(record => record.id === values.id)) {
+          const details = [{ field: `categories.${index}.id`, error: `duplicate id: ${values.id}` }];
+          throw invalidInput(`${details[0].field} ${details[0].error}`, details);
+        }
+        records.push(values);
+      }
+
+      const categories = await storage.transaction(requestId, async () => {
+        const builtInIds = BUILT_IN_CATEGORIES.map(category => category.id);
+        const droppedIds = (await loadCategories())
+          .map(record => record.id)
+          .filter(id => !builtInIds.includes(id) && !records.some(record => record.id === id));
+
+        for (const id of droppedIds) {
+          await reassignCategory(id, FALLBACK_CATEGORY_ID);
+        }
+
+        await saveCategories(records);
+        await broadcastCategories(records, { action: 'replaced' });
+        return mergeCategories(records);
+      });
+
+      return res.json({ success: true, data: categories });
+    }
+
+    const values = validateCategory(req.body);
+
+    const category = await storage.transaction(requestId, async () => {
+      const records = await loadCategories();
+
+      if (mergeCategories(records).some(c => c.id === values.id)) {
+        throw new ApiError(409, 'category-exists', 'Category already exists');
+      }
+
+      const updated = records.concat(values);
+      await saveCategories(updated);
+      await broadcastCategories(updated, { action: 'created', categoryId: values.id });
+      return mergeCategories(updated).find(c => c.id === values.id);
+    });
+
+    console.log(`[${requestId}] Category created: ${category.id}`);
+    res.status(201).json({ success: true, data: category });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /api/shopping/categories/:id - Change name, icon, color, sortOrder or keywords
+// (also works for built-in categories, the changes are stored as override)
+app.patch('/api/shopping/categories/:id', async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const { id } = req.params;
+    // The id is part of the URL; it may be sent back with the category but is not changed
+    const values = clearNullFields(validateInput(CATEGORY_FIELDS, req.body, {
+      partial: true,
+      ignore: [...CATEGORY_SERVER_FIELDS, 'id']
+    }), ['icon', 'color']);
+
+    const category = await storage.transaction(requestId, async () => {
+      const records = await loadCategories();
+
+      if (!mergeCategories(records).some(c => c.id === id)) {
+        throw notFoundError('Category');
+      }
+
+      const existing = records.find(record => record.id === id);
+      const updated = existing
+        ? records.map(record => (record.id === id ? { ...record, ...values } : record))
+        : records.concat({ id, ...values });
+
+      await saveCategories(updated);
+      await broadcastCategories(updated, { action: 'updated', categoryId: id });
+      return mergeCategories(updated).find(c => c.id === id);
+    });
+
+    console.log(`[${requestId}] Category updated: ${id}`);
+    res.json({ success: true, data: category });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/shopping/categories/:id - Delete a custom category
+// Its items move to ?moveTo= (default: "other")
+app.delete('/api/shopping/categories/:id', async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const { id } = req.params;
+    const targetId = req.query.moveTo || FALLBACK_CATEGORY_ID;
+
+    const result = await storage.transaction(requestId, () => removeCategory(id, targetId));
+
+    console.log(`[${requestId}] Category ${id} deleted, moved ${result.movedItems} item(s) to ${targetId}`);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/shopping/categories/:id/merge - Merge a custom category into another: { targetId }
+app.post('/api/shopping/categories/:id/merge', async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const { id } = req.params;
+    const { targetId } = validateInput({ targetId: { type: 'string', required: true } }, req.body);
+
+    const result = await storage.transaction(requestId, async () => {
+      // Keywords of the merged category keep classifying into the target
+      const records = await loadCategories();
+      const source = records.find(record => record.id === id);
+      const target = mergeCategories(records).find(c => c.id === targetId);
+
+      if (source && source.keywords && target && targetId !== id) {
+        const keywords = [...new Set([...(target.keywords || []), ...source.keywords])];
+        const updated = records.some(record => record.id === targetId)
+          ? records.map(record => (record.id === targetId ? { ...record, keywords } : record))
+          : records.concat({ id: targetId, keywords });
+        await saveCategories(updated);
+      }
+
+      return removeCategory(id, targetId, 'merged');
+    });
+
+    console.log(`[${requestId}] Category ${id} merged into ${targetId}, moved ${result.movedItems} item(s)`);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/shopping/categories - Reset to the built-in categories
+// Items of custom categories move to "other"
+app.delete('/api/shopping/categories', async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    await storage.transaction(requestId, async () => {
+      const builtInIds = BUILT_IN_CATEGORIES.map(category => category.id);
+      const customIds = (await loadCategories())
+        .map(record => record.id)
+        .filter(id => !builtInIds.includes(id));
+
+      for (const id of customIds) {
+        await reassignCategory(id, FALLBACK_CATEGORY_ID);
+      }
+
+      await saveCategories([]);
+      await broadcastCategories([], { action: 'reset' });
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============================================================================
+// STORE PROFILES API ENDPOINTS (aisle order per store)
+// ============================================================================
+
+// GET /api/shopping/stores - All store profiles
+app.get('/api/shopping/stores', async (req, res, next) => {
+  try {
+    const storeProfiles = await loadStoreProfiles();
+    res.json({ success: true, data: storeProfiles });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/shopping/stores/:id - One store profile
+app.get('/api/shopping/stores/:id', async (req, res, next) => {
+  try {
+    const storeProfiles = await loadStoreProfiles();
+    const storeProfile = storeProfiles.find(profile => profile.id === req.params.id);
+
+    if (!storeProfile) {
+      throw notFoundError('Store');
+    }
+
+    res.json({ success: true, data: storeProfile });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/shopping/stores - Create a store profile: { name, categoryOrder?, itemOverrides? }
+app.post('/api/shopping/stores', async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const storeProfile = await storage.transaction(requestId, async () => {
+      const categoryIds = await loadCategoryIds();
+      const values = validateInput(STORE_PROFILE_FIELDS, req.body, { categoryIds, ignore: STORE_PROFILE_SERVER_FIELDS });
+
+      const storeProfiles = await loadStoreProfiles();
+      const newProfile = {
+        id: generateId(),
+        categoryOrder: [],
+        itemOverrides: [],
+        ...values,
+        createdAt: new Date().toISOString()
+      };
+
+      storeProfiles.push(newProfile);
+      await saveStoreProfiles(storeProfiles);
+      return newProfile;
+    });
+
+    console.log(`[${requestId}] Store created: ${storeProfile.name}`);
+    res.status(201).json({ success: true, data: storeProfile });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /api/shopping/stores/:id - Change name, categoryOrder or itemOverrides (arrays are replaced)
+app.patch('/api/shopping/stores/:id', async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const { id } = req.params;
+
+    const storeProfile = await storage.transaction(requestId, async () => {
+      const categoryIds = await loadCategoryIds();
+      const values = validateInput(STORE_PROFILE_FIELDS, req.body, {
+        partial: true,
+        categoryIds,
+        ignore: STORE_PROFILE_SERVER_FIELDS
+      });
+
+      const storeProfiles = await loadStoreProfiles();
+      const existing = storeProfiles.find(profile => profile.id === id);
+
+      if (!existing) {
+        throw notFoundError('Store');
+      }
+
+      Object.assign(existing, values, { updatedAt: new Date().toISOString() });
+      await saveStoreProfiles(storeProfiles);
+      return existing;
+    });
+
+    console.log(`[${requestId}] Store updated: ${id}`);
+    res.json({ success: true, data: storeProfile });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/shopping/stores/:id - Delete a store profile
+app.delete('/api/shopping/stores/:id', async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const { id } = req.params;
+
+    await storage.transaction(requestId, async () => {
+      const storeProfiles = await loadStoreProfiles();
+
+      if (!storeProfiles.some(profile => profile.id === id)) {
+        throw notFoundError('Store');
+      }
+
+      await saveStoreProfiles(storeProfiles.filter(profile => profile.id !== id));
+    });
+
+    // Clients in that store fall back to the normal list
+    for (const socket of io.sockets.sockets.values()) {
+      if (socket.data.storeId === id) socket.data.storeId = undefined;
+    }
+
+    console.log(`[${requestId}] Store deleted: ${id}`);
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============================================================================
+// SHOPPING TRIPS API ENDPOINTS (who is shopping right now, item claims)
+// ============================================================================
+
+// GET /api/shopping/trips - Trips, newest first
+// Query: status (active | ended), listId, limit (default 50). Active trips of a list are its presence.
+app.get('/api/shopping/trips', async (req, res, next) => {
+  try {
+    const { status, listId } = req.query;
+    const limit = Math.max(parseInt(req.query.limit, 10) || 50, 1);
+
+    const trips = (await loadTrips())
+      .filter(trip => (!status || trip.status === status) && (!listId || trip.listId === listId))
+      .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt))
+      .slice(0, limit);
+
+    res.json({ success: true, data: await describeTrips(trips) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/shopping/trips/:id - One trip (with summary once it has ended)
+app.get('/api/shopping/trips/:id', async (req, res, next) => {
+  try {
+    const trip = (await loadTrips()).find(t => t.id === req.params.id);
+
+    if (!trip) {
+      throw notFoundError('Trip');
+    }
+
+    const [described] = await describeTrips([trip]);
+    res.json({ success: true, data: described });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/shopping/trips - Start shopping: { listId, storeId } (both optional)
+app.post('/api/shopping/trips', async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const body = validateInput({ listId: { type: 'string' }, storeId: { type: 'string', nullable: true } }, req.body);
+    const listId = body.listId || DEFAULT_LIST_ID;
+
+    const trip = await storage.transaction(requestId, () => startTrip({
+      user: req.user,
+      device: req.device,
+      listId,
+      storeId: body.storeId || undefined,
+      via: 'rest'
+    }));
+
+    console.log(`[${requestId}] Trip started by ${req.user.name} on list ${listId}`);
+    const [described] = await describeTrips([trip]);
+    res.status(201).json({ success: true, data: described });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/shopping/trips/:id/end - Finish a trip (own trips, any trip for admins)
+// Releases its claims and returns the trip with summary (checked items, duration, what is left)
+app.post('/api/shopping/trips/:id/end', async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const { id } = req.params;
+
+    const trip = await storage.transaction(requestId, async () => {
+      const existing = (await loadTrips()).find(t => t.id === id && t.status === 'active');
+
+      if (!existing) {
+        throw notFoundError('Trip');
+      }
+      if (existing.userId !== req.user.id && req.user.role !== 'admin') {
+        throw new ApiError(403, 'not-trip-owner', 'Only the shopper can end this trip');
+      }
+
+      return endTrip(id, 'ended');
+    });
+
+    console.log(`[${requestId}] Trip ended: ${id} (${trip.summary.checkedCount} checked, ${trip.summary.leftCount} left)`);
+    const [described] = await describeTrips([trip]);
+    res.json({ success: true, data: described });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/shopping/items/:id/claim - Claim an item for the own active trip on its list
+// DELETE /api/shopping/items/:id/claim - Release the claim again
+for (const method of ['post', 'delete']) {
+  app[method](['/api/shopping/items/:id/claim', '/api/shopping/lists/:listId/items/:id/claim'], async (req, res, next) => {
+    const { requestId } = req;
+    try {
+      const listId = req.params.listId || DEFAULT_LIST_ID;
+      const claim = method === 'post';
+
+      const [item] = await storage.transaction(requestId, () =>
+        setItemClaims(listId, [req.params.id], req.user, claim));
+
+      console.log(`[${requestId}] Item ${claim ? 'claimed' : 'released'}: ${req.params.id}`);
+      res.json({
+        success: true,
+        data: item || (await loadShoppingList(listId)).items.find(i => i.id === req.params.id)
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+}
+
+// ============================================================================
+// CLASSIFIER API ENDPOINTS (learned category mappings)
+// ============================================================================
+
+// GET /api/shopping/classifier/classify?name=Reiswaffeln - Preview which category a name gets
+app.get('/api/shopping/classifier/classify', (req, res) => {
+  const { name } = req.query;
+
+  if (typeof name !== 'string' || !name.trim()) {
+    throw invalidInput('name is required');
+  }
+
+  res.json({ success: true, data: { name: name.trim(), ...explainClassification(name) } });
+});
+
+// GET /api/shopping/classifier/mappings - Learned name -> category mappings
+app.get('/api/shopping/classifier/mappings', async (req, res, next) => {
+  try {
+    const learned = await loadLearnedCategories();
+    const mappings = Object.values(learned)
+      .sort((a, b) => a.name.localeCompare(b.name, 'de'));
+
+    res.json({ success: true, data: mappings });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/shopping/classifier/mappings - Add or change a mapping: { name, categoryId }
+app.put('/api/shopping/classifier/mappings', async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const { name, categoryId } = validateInput({
+      name: ITEM_FIELDS.name,
+      categoryId: { ...ITEM_FIELDS.categoryId, required: true }
+    }, req.body, { categoryIds: await loadCategoryIds() });
+
+    await storage.transaction(requestId, () => learnCategory(name, categoryId, req.user.id));
+
+    console.log(`[${requestId}] Learned category ${categoryId} for "${name.trim()}"`);
+    res.json({ success: true, data: classifierState.learned[normalizeItemName(name)] });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/shopping/classifier/mappings/:name - Forget a mapping (keywords apply again)
+app.delete('/api/shopping/classifier/mappings/:name', async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const key = normalizeItemName(req.params.name);
+
+    await storage.transaction(requestId, async () => {
+      const learned = await loadLearnedCategories();
+
+      if (!learned[key]) {
+        throw notFoundError('Mapping');
+      }
+
+      delete learned[key];
+      await saveLearnedCategories(learned);
+    });
+
+    res.json({ success: true });
   } catch (error) {
-    // If file doesn't exist, return empty list
-    return { items: [], lastModified: new Date().toISOString() };
+    next(error);
   }
-}
-
-// Helper: Save shopping list to file
-async function saveShoppingList(list) {
-  const updatedList = {
-    ...list,
-    lastModified: new Date().toISOString()
-  };
-  await fs.writeFile(DATA_FILE, JSON.stringify(updatedList, null, 2));
-  return updatedList;
-}
+});
 
-// Helper: Load custom categories from file
-async function loadCategories() {
+// DELETE /api/shopping/classifier/mappings - Forget all learned mappings
+app.delete('/api/shopping/classifier/mappings', async (req, res, next) => {
+  const { requestId } = req;
   try {
-    const data = await fs.readFile(CATEGORIES_FILE, 'utf8');
-    return JSON.parse(data);
+    await storage.transaction(requestId, () => saveLearnedCategories({}));
+    res.json({ success: true });
   } catch (error) {
-    // If file doesn't exist, return empty array (client will use defaults)
-    return [];
+    next(error);
   }
-}
+});
 
-// Helper: Save custom categories to file
-async function saveCategories(categories) {
-  await fs.writeFile(CATEGORIES_FILE, JSON.stringify(categories, null, 2));
-  return categories;
-}
+// ============================================================================
+// BARCODE API ENDPOINTS (adding items from an EAN scan, local product database)
+// ============================================================================
 
-// Helper: Auto-classify item into category based on keywords
-function classifyItem(itemName) {
-  const CATEGORY_KEYWORDS = {
-    'fruits-vegetables': [
-      'apfel', 'äpfel', 'banane', 'orange', 'tomate', 'tomaten', 'gurke', 'gurken',
-      'salat', 'karotte', 'karotten', 'möhre', 'möhren', 'zwiebel', 'zwiebeln',
-      'kartoffel', 'kartoffeln', 'paprika', 'zucchini', 'brokkoli', 'blumenkohl',
-      'spinat', 'avocado', 'mango', 'erdbeere', 'erdbeeren', 'trauben', 'birne',
-      'kiwi', 'ananas', 'melone', 'zitrone', 'limette', 'obst', 'gemüse'
-    ],
-    'dairy-cheese': [
-      'milch', 'käse', 'butter', 'joghurt', 'quark', 'sahne', 'schmand',
-      'frischkäse', 'mozzarella', 'gouda', 'emmentaler', 'parmesan', 'feta',
-      'creme', 'mascarpone', 'ricotta', 'camembert', 'pudding'
-    ],
-    'meat-fish': [
-      'fleisch', 'wurst', 'hähnchen', 'huhn', 'pute', 'rind', 'schwein',
-      'hackfleisch', 'schnitzel', 'steak', 'bratwurst', 'salami', 'schinken',
-      'lachs', 'thunfisch', 'fisch', 'garnele', 'garnelen', 'forelle'
-    ],
-    'bakery': [
-      'brot', 'brötchen', 'croissant', 'toast', 'baguette', 'kuchen',
-      'torte', 'gebäck', 'muffin', 'donut', 'brezel', 'semmel'
-    ],
-    'pantry': [
-      'reis', 'nudeln', 'pasta', 'spaghetti', 'mehl', 'zucker', 'salz',
-      'pfeffer', 'öl', 'essig', 'honig', 'marmelade', 'nutella', 'konserve',
-      'dose', 'sauce', 'ketchup', 'senf', 'mayo', 'mayonnaise', 'müsli',
-      'cornflakes', 'haferflocken', 'gewürz', 'gewürze', 'tee', 'kaffee', 'eier', 'ei'
-    ],
-    'frozen': [
-      'tk', 'tiefkühl', 'pizza', 'pommes', 'eis', 'eiscreme', 'geforen',
-      'tiefgefroren', 'fischstäbchen', 'spinat tk'
-    ],
-    'beverages': [
-      'wasser', 'saft', 'limo', 'limonade', 'cola', 'sprite', 'fanta',
-      'bier', 'wein', 'sprudel', 'mineralwasser', 'apfelschorle', 'getränk',
-      'smoothie', 'energydrink', 'eistee'
-    ],
-    'snacks': [
-      'chips', 'schokolade', 'schoko', 'keks', 'kekse', 'gummibärchen',
-      'bonbon', 'süßigkeit', 'riegel', 'snack', 'knabber', 'nüsse',
-      'erdnüsse', 'mandeln', 'popcorn', 'nachos'
-    ],
-    'household': [
-      'spülmittel', 'waschmittel', 'putzmittel', 'reiniger', 'schwamm',
-      'müllbeutel', 'mülltüte', 'toilettenpapier', 'klopapier', 'küchenrolle',
-      'serviette', 'servietten', 'alufolie', 'frischhaltefolie', 'backpapier'
-    ],
-    'personal-care': [
-      'shampoo', 'duschgel', 'seife', 'zahnpasta', 'zahnbürste', 'deo',
-      'creme', 'bodylotion', 'rasierer', 'rasier', 'tampons', 'binden',
-      'windel', 'windeln', 'parfüm'
-    ],
-  };
-
-  const normalizedName = itemName.toLowerCase().trim();
-
-  // Search through all categories for keyword matches
-  for (const [categoryId, keywords] of Object.entries(CATEGORY_KEYWORDS)) {
-    for (const keyword of keywords) {
-      if (normalizedName.includes(keyword)) {
-        return categoryId;
-      }
-    }
-  }
-
-  // Default: 'other' category
-  return 'other';
-}
+// GET /api/shopping/barcodes/:barcode - Look up a scanned barcode
+// Names given by users come first, then the imported product database; unknown barcodes are 404
+app.get('/api/shopping/barcodes/:barcode', async (req, res, next) => {
+  try {
+    const product = await lookupBarcode(requireBarcode(req.params.barcode));
 
-// Routes
+    if (!product) {
+      throw notFoundError('Product');
+    }
 
-// Health check
-app.get('/', (req, res) => {
-  res.json({
-    ok: true,
-    service: 'shopping-list-server',
-    time: new Date().toISOString()
-  });
+    res.json({ success: true, data: product });
+  } catch (error) {
+    next(error);
+  }
 });
 
-// ============================================================================
-// EXTERNAL API ENDPOINTS (require API key)
-// ============================================================================
-
-// POST /api/external/add-item - Add item from external application (e.g. Braindump)
-// Requires API key authentication
-app.post('/api/external/add-item', requireApiKey, async (req, res) => {
+// PUT /api/shopping/barcodes/:barcode - Name a barcode: { name, brand?, packSize?, categoryId? }
+// The next scan finds it (also overrides the product database, e.g. for shorter names)
+app.put('/api/shopping/barcodes/:barcode', async (req, res, next) => {
   const { requestId } = req;
   try {
-    const { name, categoryId, quantity, items } = req.body;
+    const barcode = requireBarcode(req.params.barcode);
+    const values = validateInput(BARCODE_FIELDS, req.body, { categoryIds: await loadCategoryIds() });
 
-    // Validate input
-    if (!name && !items) {
-      return res.status(400).json({
-        success: false,
-        error: 'Either "name" or "items" array is required'
-      });
-    }
+    await storage.transaction(requestId, () => nameBarcode(barcode, values, req.user.id));
 
-    console.log(`[${requestId}] External: Adding ${items ? items.length : 1} item(s)`);
+    console.log(`[${requestId}] Barcode ${barcode} named "${values.name}"`);
+    res.json({ success: true, data: await lookupBarcode(barcode) });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    const result = await fileLock.withLock(requestId, async () => {
-      const list = await loadShoppingList();
-      const addedItems = [];
+// DELETE /api/shopping/barcodes/:barcode - Forget the name of a barcode (the product database applies again)
+app.delete('/api/shopping/barcodes/:barcode', async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const barcode = requireBarcode(req.params.barcode);
 
-      // Handle single item
-      if (name) {
-        const detectedCategory = categoryId || classifyItem(name);
-
-        const newItem = {
-          id: Date.now().toString() + '-' + Math.random().toString(36).substr(2, 9),
-          name: name.trim(),
-          categoryId: detectedCategory,
-          quantity: quantity || undefined,
-          checked: false,
-          createdAt: new Date().toISOString(),
-          checkedAt: undefined
-        };
+    await storage.transaction(requestId, async () => {
+      const barcodes = await loadNamedBarcodes();
 
-        list.items.push(newItem);
-        addedItems.push(newItem);
+      if (!barcodes[barcode]) {
+        throw notFoundError('Barcode');
       }
 
-      // Handle multiple items (batch add)
-      if (items && Array.isArray(items)) {
-        for (const item of items) {
-          if (!item.name) continue; // Skip items without name
+      delete barcodes[barcode];
+      await saveNamedBarcodes(barcodes);
+    });
 
-          const detectedCategory = item.categoryId || classifyItem(item.name);
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
 
-          const newItem = {
-            id: Date.now().toString() + '-' + Math.random().toString(36).substr(2, 9),
-            name: item.name.trim(),
-            categoryId: detectedCategory,
-            quantity: item.quantity || undefined,
-            checked: false,
-            createdAt: new Date().toISOString(),
-            checkedAt: undefined
-          };
+// POST /api/shopping/barcodes/:barcode/add - Add the scanned product to the list
+// Body (all optional): { name, brand, packSize, categoryId, quantity, details, merge }
+// Brand and pack size end up in details. A sent name is remembered for the barcode, so unknown
+// barcodes (404 without a name) are found by the next scan.
+app.post(['/api/shopping/barcodes/:barcode/add', '/api/shopping/lists/:listId/barcodes/:barcode/add'], async (req, res, next) => {
+  const { requestId } = req;
+  try {
+    const listId = req.params.listId || DEFAULT_LIST_ID;
+    const barcode = requireBarcode(req.params.barcode);
+    const { quantity, details, merge, ...values } = validateInput({
+      ...BARCODE_FIELDS,
+      name: { ...BARCODE_FIELDS.name, required: false },
+      quantity: ITEM_FIELDS.quantity,
+      details: ITEM_FIELDS.details,
+      merge: { type: 'boolean' }
+    }, req.body, { categoryIds: await loadCategoryIds() });
 
-          list.items.push(newItem);
-          addedItems.push(newItem);
-        }
+    const { item, merged, product } = await storage.transaction(requestId, async () => {
+      if (values.name) {
+        await nameBarcode(barcode, values, req.user.id);
       }
 
-      if (addedItems.length === 0) {
-        throw new Error('No valid items to add');
+      const product = await lookupBarcode(barcode);
+      if (!product) {
+        throw notFoundError('Product');
       }
 
-      const updatedList = await saveShoppingList(list);
+      const list = await loadShoppingList(listId);
+      const previousItems = snapshotItems(list);
+      const result = addOrMergeItem(list, {
+        name: product.name,
+        categoryId: values.categoryId || product.categoryId,
+        quantity,
+        details: details !== undefined ? details : [product.brand, product.packSize].filter(Boolean).join(', ') || undefined,
+        addedBy: req.user.id
+      }, { merge: merge !== false });
 
-      console.log(`[${requestId}] External: Added ${addedItems.length} item(s) (total: ${updatedList.items.length})`);
+      const changes = [{ type: result.merged ? 'item-updated' : 'item-added', item: result.item }];
+      const updatedList = await saveShoppingList(list, changes);
+      await recordUndo(getClientId(req), listId, previousItems, [result.item.id]);
+      broadcastChanges(updatedList, changes);
 
-      // Broadcast to all connected mobile clients
-      io.emit('list-updated', updatedList);
-
-      return {
-        addedItems,
-        totalItems: updatedList.items.length
-      };
+      return { ...result, product };
     });
 
-    res.json({
-      success: true,
-      message: `Successfully added ${result.addedItems.length} item(s)`,
-      data: result
-    });
+    console.log(`[${requestId}] Barcode ${barcode} ${merged ? 'merged into' : 'added as'} item ${item.id}`);
+    res.json({ success: true, data: item, merged, product });
   } catch (error) {
-    if (error.message === 'No valid items to add') {
-      return res.status(400).json({ success: false, error: error.message });
-    }
-    console.error(`[${requestId}] External: Error adding item:`, error);
-    res.status(500).json({ success: false, error: error.message });
+    next(error);
   }
 });
 
-// POST /api/external/add-items - Batch add multiple items (alias for compatibility)
-app.post('/api/external/add-items', requireApiKey, async (req, res) => {
-  // Forward to add-item endpoint
-  req.body = { items: req.body.items || req.body };
-  return app._router.handle(req, res);
-});
-
 // ============================================================================
-// INTERNAL API ENDPOINTS (for mobile app)
+// CALDAV ENDPOINTS (shopping lists as task lists for reminder apps, Thunderbird, Home Assistant)
 // ============================================================================
+// Each list is a calendar collection with one VTODO per item: /caldav/calendars/<listId>/<itemId>.ics
+
+// Discovery (RFC 6764) points clients to the CalDAV root
+app.all('/.well-known/caldav', (req, res) => {
+  res.redirect(301, `${CALDAV_ROOT}/`);
+});
 
-// GET /api/shopping/list - Get complete shopping list
-app.get('/api/shopping/list', async (req, res) => {
+app.use(CALDAV_ROOT, requireDavAuth);
+
+// PROPFIND /caldav - Root: where the principal and the lists are
+app.propfind([CALDAV_ROOT, `${CALDAV_ROOT}/principals/:userId`], async (req, res, next) => {
   try {
-    const list = await loadShoppingList();
-    res.json({ success: true, data: list });
+    const { props } = parseDavRequest(req.body);
+    const href = req.params.userId ? caldavPrincipalHref(req.user) : `${CALDAV_ROOT}/`;
+
+    // Other users' principals are not shown
+    if (req.params.userId && req.params.userId !== req.user.id) {
+      throw notFoundError('Principal');
+    }
+
+    sendMultistatus(res, [renderDavResponse(href, {
+      'd:resourcetype': req.params.userId ? '<d:collection/><d:principal/>' : '<d:collection/>',
+      'd:displayname': escapeXml(req.params.userId ? req.user.name : 'Hangry'),
+      'd:current-user-principal': `<d:href>${caldavPrincipalHref(req.user)}</d:href>`,
+      'd:principal-URL': `<d:href>${caldavPrincipalHref(req.user)}</d:href>`,
+      'c:calendar-home-set': `<d:href>${CALDAV_ROOT}/calendars/</d:href>`
+    }, props)]);
   } catch (error) {
-    console.error('Error loading list:', error);
-    res.status(500).json({ success: false, error: error.message });
+    next(error);
   }
 });
 
-// POST /api/shopping/items - Add new item
-app.post('/api/shopping/items', async (req, res) => {
-  const { requestId } = req;
+// PROPFIND /caldav/calendars - All lists (Depth: 1) as calendar collections
+app.propfind(`${CALDAV_ROOT}/calendars`, async (req, res, next) => {
   try {
-    const { name, categoryId, quantity, checked, details } = req.body;
+    const { props } = parseDavRequest(req.body);
+    const responses = [renderDavResponse(`${CALDAV_ROOT}/calendars/`, {
+      'd:resourcetype': '<d:collection/>',
+      'd:displayname': 'Einkaufslisten',
+      'd:current-user-principal': `<d:href>${caldavPrincipalHref(req.user)}</d:href>`
+    }, props)];
 
-    if (!name || !categoryId) {
-      return res.status(400).json({
-        success: false,
-        error: 'name and categoryId are required'
-      });
+    if (req.headers.depth !== '0') {
+      const store = await loadStore();
+      for (const list of store.lists) {
+        responses.push(renderDavResponse(caldavCollectionHref(list), caldavCollectionProps(list, req.user), props));
+      }
     }
 
-    console.log(`[${requestId}] Adding item: ${name}`);
-
-    const newItem = await fileLock.withLock(requestId, async () => {
-      const list = await loadShoppingList();
+    sendMultistatus(res, responses);
+  } catch (error) {
+    next(error);
+  }
+});
 
-      const trimmedDetails = typeof details === 'string' ? details.trim() : '';
+// PROPFIND /caldav/calendars/:listId - A list and (Depth: 1) the ETags of its items
+app.propfind(`${CALDAV_ROOT}/calendars/:listId`, async (req, res, next) => {
+  try {
+    const { props } = parseDavRequest(req.body);
+    const list = await loadShoppingList(req.params.listId);
+    const responses = [renderDavResponse(caldavCollectionHref(list), caldavCollectionProps(list, req.user), props)];
 
-      const item = {
-        id: Date.now().toString(),
-        name,
-        categoryId,
-        quantity: quantity || undefined,
-        details: trimmedDetails.length > 0 ? trimmedDetails : undefined,
-        checked: checked || false,
-        createdAt: new Date().toISOString(),
-        checkedAt: undefined
-      };
+    if (req.headers.depth !== '0') {
+      const categories = await loadCategoryRegistry();
+      for (const item of list.items) {
+        responses.push(renderDavResponse(caldavItemHref(list, item), caldavItemProps(item, categories), props));
+      }
+    }
 
-      list.items.push(item);
-      const updatedList = await saveShoppingList(list);
+    sendMultistatus(res, responses);
+  } catch (error) {
+    next(error);
+  }
+});
 
-      // Broadcast to all connected clients
-      io.emit('list-updated', updatedList);
+// PROPFIND /caldav/calendars/:listId/:resource - One item
+app.propfind(`${CALDAV_ROOT}/calendars/:listId/:resource`, async (req, res, next) => {
+  try {
+    const { props } = parseDavRequest(req.body);
+    const list = await loadShoppingList(req.params.listId);
+    const item = findCaldavItem(list, req.params.resource);
 
-      return item;
-    });
+    if (!item) {
+      throw notFoundError('Item');
+    }
 
-    console.log(`[${requestId}] Item added successfully: ${newItem.id}`);
-    res.json({ success: true, data: newItem });
+    const categories = await loadCategoryRegistry();
+    sendMultistatus(res, [renderDavResponse(caldavItemHref(list, item), caldavItemProps(item, categories), props)]);
   } catch (error) {
-    console.error(`[${requestId}] Error adding item:`, error);
-    res.status(500).json({ success: false, error: error.message });
+    next(error);
   }
 });
 
-// PATCH /api/shopping/items/:id - Update item
-app.patch('/api/shopping/items/:id', async (req, res) => {
-  const { requestId } = req;
-  try {
-    const { id } = req.params;
-    const updates = req.body;
+// PROPPATCH - Properties (name, colour) can't be changed over CalDAV; every property is refused
+app.proppatch(`${CALDAV_ROOT}/*`, (req, res) => {
+  const { props } = parseDavRequest(req.body);
+  const refused = (props || []).map(({ namespace, name }) =>
+    (namespace ? `<x:${name} xmlns:x="${escapeXml(namespace)}"/>` : `<${name}/>`)).join('');
 
-    console.log(`[${requestId}] Updating item: ${id}`);
+  sendMultistatus(res, [`<d:response><d:href>${escapeXml(req.originalUrl)}</d:href>` +
+    `<d:propstat><d:prop>${refused}</d:prop><d:status>HTTP/1.1 403 Forbidden</d:status></d:propstat></d:response>`]);
+});
 
-    const updatedItem = await fileLock.withLock(requestId, async () => {
-      const list = await loadShoppingList();
-      const itemIndex = list.items.findIndex(item => item.id === id);
+// REPORT /caldav/calendars/:listId - calendar-query, calendar-multiget and sync-collection
+app.report(`${CALDAV_ROOT}/calendars/:listId`, async (req, res, next) => {
+  try {
+    const request = parseDavRequest(req.body);
+    const list = await loadShoppingList(req.params.listId);
+    const categories = await loadCategoryRegistry();
+    const itemResponse = item => renderDavResponse(caldavItemHref(list, item), caldavItemProps(item, categories), request.props);
+    const notFound = href => `<d:response><d:href>${escapeXml(href)}</d:href><d:status>HTTP/1.1 404 Not Found</d:status></d:response>`;
 
-      if (itemIndex === -1) {
-        throw new Error('Item not found');
-      }
+    if (request.root === 'calendar-query') {
+      return sendMultistatus(res, list.items
+        .filter(item => matchesCalendarQuery(item, request.filter))
+        .map(itemResponse));
+    }
+
+    if (request.root === 'calendar-multiget') {
+      return sendMultistatus(res, request.hrefs.map(href => {
+        const segments = href.split('?')[0].split('/').filter(Boolean).map(segment => {
+          try {
+            return decodeURIComponent(segment);
+          } catch (error) {
+            return segment;
+          }
+        });
+        const item = segments[segments.length - 2] === list.id && findCaldavItem(list, segments[segments.length - 1]);
+        return item ? itemResponse(item) : notFound(href);
+      }));
+    }
 
-      const sanitizedUpdates = { ...updates };
+    if (request.root === 'sync-collection') {
+      const revision = list.revision || 0;
+      const syncToken = `<d:sync-token>${CALDAV_SYNC_TOKEN_PREFIX}${revision}</d:sync-token>`;
 
-      if (Object.prototype.hasOwnProperty.call(sanitizedUpdates, 'details')) {
-        if (typeof sanitizedUpdates.details === 'string') {
-          const trimmedDetails = sanitizedUpdates.details.trim();
-          sanitizedUpdates.details = trimmedDetails.length > 0 ? trimmedDetails : undefined;
-        } else if (sanitizedUpdates.details === null) {
-          sanitizedUpdates.details = undefined;
-        }
+      // Without a token the client gets everything
+      if (!request.syncToken) {
+        return sendMultistatus(res, list.items.map(itemResponse), syncToken);
       }
 
-      // Update item
-      const item = {
-        ...list.items[itemIndex],
-        ...sanitizedUpdates
-      };
+      const sinceRevision = request.syncToken.startsWith(CALDAV_SYNC_TOKEN_PREFIX)
+        ? parseInt(request.syncToken.slice(CALDAV_SYNC_TOKEN_PREFIX.length), 10)
+        : NaN;
+      const delta = Number.isInteger(sinceRevision) ? await loadChangesSince(list.id, sinceRevision) : null;
 
-      // If toggling checked state, update checkedAt
-      if ('checked' in updates) {
-        item.checkedAt = updates.checked
-          ? new Date().toISOString()
-          : undefined;
+      // Unknown or pruned token: the client starts over with a full sync
+      if (!delta) {
+        return sendDavError(res, 403, 'd:valid-sync-token');
       }
 
-      if (sanitizedUpdates.details === undefined) {
-        delete item.details;
+      // Changed items are listed once with their current state, removed ones as 404
+      const touched = new Map();
+      for (const change of delta.changes) {
+        if (change.item) touched.set(change.item.id, change.item);
+        if (change.itemId) touched.set(change.itemId, null);
+        for (const itemId of change.itemIds || []) touched.set(itemId, null);
       }
 
-      list.items[itemIndex] = item;
+      const trash = touched.size > 0 ? await loadTrash() : [];
+      const responses = [...touched].map(([itemId, changed]) => {
+        const item = list.items.find(i => i.id === itemId);
+        if (item) {
+          return itemResponse(item);
+        }
+        // Removed items: the resource name may only be known from the change log or the trash
+        const trashEntry = trash.find(entry => entry.listId === list.id && entry.item.id === itemId);
+        return notFound(caldavItemHref(list, changed || (trashEntry && trashEntry.item) || { id: itemId }));
+      });
+
+      return sendMultistatus(res, responses, syncToken);
+    }
 
-      const updatedList = await saveShoppingList(list);
+    sendDavError(res, 403, 'd:supported-report');
+  } catch (error) {
+    next(error);
+  }
+});
 
-      // Broadcast to all connected clients
-      io.emit('list-updated', updatedList);
+// GET /caldav/calendars/:listId/:resource - An item as iCalendar VTODO
+app.get(`${CALDAV_ROOT}/calendars/:listId/:resource`, async (req, res, next) => {
+  try {
+    const list = await loadShoppingList(req.params.listId);
+    const item = findCaldavItem(list, req.params.resource);
 
-      return list.items[itemIndex];
-    });
+    if (!item) {
+      throw notFoundError('Item');
+    }
 
-    console.log(`[${requestId}] Item updated successfully: ${id}`);
-    res.json({ success: true, data: updatedItem });
+    res.set('ETag', caldavEtag(item))
+      .type('text/calendar; charset=utf-8')
+      .send(renderVtodo(item, await loadCategoryRegistry()));
   } catch (error) {
-    if (error.message === 'Item not found') {
-      console.log(`[${requestId}] Item not found: ${req.params.id}`);
-      return res.status(404).json({ success: false, error: 'Item not found' });
-    }
-    console.error(`[${requestId}] Error updating item:`, error);
-    res.status(500).json({ success: false, error: error.message });
+    next(error);
   }
 });
 
-// DELETE /api/shopping/items/:id - Delete item
-app.delete('/api/shopping/items/:id', async (req, res) => {
+// PUT /caldav/calendars/:listId/:resource - Add an item or change it (name, quantity, details, category, checked)
+// Honours If-Match / If-None-Match: * so clients don't overwrite changes made in the app
+app.put(`${CALDAV_ROOT}/calendars/:listId/:resource`, async (req, res, next) => {
   const { requestId } = req;
   try {
-    const { id } = req.params;
+    const { error, values } = parseVtodo(typeof req.body === 'string' ? req.body : '');
 
-    console.log(`[${requestId}] Deleting item: ${id}`);
+    if (error) {
+      return sendDavError(res, 403, `c:${error}`);
+    }
 
-    await fileLock.withLock(requestId, async () => {
-      const list = await loadShoppingList();
-      const itemIndex = list.items.findIndex(item => item.id === id);
+    const categories = await loadCategoryRegistry();
+    const resourceName = caldavResourceParam(req.params.resource);
 
-      if (itemIndex === -1) {
-        throw new Error('Item not found');
+    const { item, created } = await storage.transaction(requestId, async () => {
+      const list = await loadShoppingList(req.params.listId);
+      const itemIndex = list.items.findIndex(i => caldavResourceName(i) === resourceName);
+      const current = list.items[itemIndex];
+      checkCaldavPreconditions(req, current);
+
+      const categoryId = matchVtodoCategory(values.categories, categories);
+      let changes;
+
+      if (!current) {
+        const newItem = buildItem({ ...values, categoryId, addedBy: req.user.id });
+        if (resourceName !== newItem.id) newItem.caldavName = resourceName;
+        if (values.uid && values.uid !== newItem.id) newItem.caldavUid = values.uid;
+        if (values.checked) {
+          Object.assign(newItem, { checked: true, checkedAt: new Date().toISOString(), checkedBy: req.user.id });
+        }
+
+        list.items.push(newItem);
+        changes = [{ type: 'item-added', item: newItem }];
+      } else {
+        // Only fields that really changed are applied, so clients re-sending an item don't bump it.
+        // Clients without categories keep the item's category.
+        const updates = {};
+        if (values.name !== current.name) updates.name = values.name;
+        if (values.quantity !== current.quantity) updates.quantity = values.quantity;
+        if (values.details !== current.details) updates.details = values.details === undefined ? null : values.details;
+        if (categoryId && categoryId !== current.categoryId) updates.categoryId = categoryId;
+        if (values.checked !== Boolean(current.checked)) updates.checked = values.checked;
+
+        if (Object.keys(updates).length === 0) {
+          return { item: current, created: false };
+        }
+
+        // A corrected category is remembered for future adds of this name
+        if (updates.categoryId) {
+          await learnCategory(values.name, updates.categoryId, req.user.id);
+        }
+
+        list.items[itemIndex] = applyItemUpdates(current, updates, req.user.id);
+        changes = [{ type: 'item-updated', item: list.items[itemIndex] }];
       }
 
-      list.items.splice(itemIndex, 1);
-      const updatedList = await saveShoppingList(list);
+      const updatedList = await saveShoppingList(list, changes);
+
+      // Broadcast to all clients viewing this list
+      broadcastChanges(updatedList, changes);
 
-      // Broadcast to all connected clients
-      io.emit('list-updated', updatedList);
+      return { item: changes[0].item, created: !current };
     });
 
-    console.log(`[${requestId}] Item deleted successfully: ${id}`);
-    res.json({ success: true });
+    console.log(`[${requestId}] CalDAV: ${created ? 'Added' : 'Saved'} ${item.name} on list ${req.params.listId}`);
+    res.set('ETag', caldavEtag(item)).status(created ? 201 : 204).end();
   } catch (error) {
-    if (error.message === 'Item not found') {
-      console.log(`[${requestId}] Item not found: ${req.params.id}`);
-      return res.status(404).json({ success: false, error: 'Item not found' });
-    }
-    console.error(`[${requestId}] Error deleting item:`, error);
-    res.status(500).json({ success: false, error: error.message });
+    next(error);
   }
 });
 
-// DELETE /api/shopping/items - Delete all checked items
-app.delete('/api/shopping/items', async (req, res) => {
+// DELETE /caldav/calendars/:listId/:resource - Delete an item (moves it to the trash)
+app.delete(`${CALDAV_ROOT}/calendars/:listId/:resource`, async (req, res, next) => {
   const { requestId } = req;
   try {
-    console.log(`[${requestId}] Clearing checked items`);
+    await storage.transaction(requestId, async () => {
+      const list = await loadShoppingList(req.params.listId);
+      const resourceName = caldavResourceParam(req.params.resource);
+      const itemIndex = list.items.findIndex(i => caldavResourceName(i) === resourceName);
 
-    const updatedList = await fileLock.withLock(requestId, async () => {
-      const list = await loadShoppingList();
-      const beforeCount = list.items.length;
-      list.items = list.items.filter(item => !item.checked);
-      const afterCount = list.items.length;
-      const deletedCount = beforeCount - afterCount;
-
-      const updated = await saveShoppingList(list);
+      if (itemIndex === -1) {
+        throw notFoundError('Item');
+      }
+      checkCaldavPreconditions(req, list.items[itemIndex]);
 
-      console.log(`[${requestId}] Deleted ${deletedCount} checked items`);
+      const [deletedItem] = list.items.splice(itemIndex, 1);
+      await trashItems(list.id, [deletedItem], 'deleted');
 
-      // Broadcast to all connected clients
-      io.emit('list-updated', updated);
+      const changes = [{ type: 'item-deleted', itemId: deletedItem.id }];
+      const updatedList = await saveShoppingList(list, changes);
 
-      return updated;
+      // Broadcast to all clients viewing this list
+      broadcastChanges(updatedList, changes);
     });
 
-    res.json({ success: true, data: updatedList });
+    console.log(`[${requestId}] CalDAV: Deleted ${req.params.resource} on list ${req.params.listId}`);
+    res.status(204).end();
   } catch (error) {
-    console.error(`[${requestId}] Error clearing checked items:`, error);
-    res.status(500).json({ success: false, error: error.message });
+    next(error);
   }
 });
 
 // ============================================================================
-// CATEGORIES API ENDPOINTS
+// ERROR HANDLING
 // ============================================================================
 
-// GET /api/shopping/categories - Get custom categories
-app.get('/api/shopping/categories', async (req, res) => {
-  try {
-    const categories = await loadCategories();
-    res.json({ success: true, data: categories });
-  } catch (error) {
-    console.error('Error loading categories:', error);
-    res.status(500).json({ success: false, error: error.message });
-  }
+// Unknown API routes get a JSON answer instead of Express' HTML page
+app.use('/api', (req, res, next) => {
+  next(new ApiError(404, 'route-not-found', `Route not found: ${req.method} ${req.originalUrl}`));
 });
 
-// POST /api/shopping/categories - Save custom categories
-app.post('/api/shopping/categories', async (req, res) => {
-  try {
-    const { categories } = req.body;
-
-    if (!Array.isArray(categories)) {
-      return res.status(400).json({
-        success: false,
-        error: 'categories must be an array'
-      });
-    }
+// Central error handler: every route passes its errors here (next(error)).
+// ApiErrors are answered with their status and code, everything else is logged and answered as 500.
+// CalDAV clients get the message as plain text.
+app.use((error, req, res, next) => {
+  if (res.headersSent) {
+    return next(error);
+  }
 
-    const savedCategories = await saveCategories(categories);
+  const apiError = toApiError(error);
 
-    // Broadcast to all connected clients
-    io.emit('categories-updated', savedCategories);
+  if (apiError.status >= 500) {
+    console.error(`[${req.requestId}] ${req.method} ${req.path} failed:`, error);
+  }
 
-    res.json({ success: true, data: savedCategories });
-  } catch (error) {
-    console.error('Error saving categories:', error);
-    res.status(500).json({ success: false, error: error.message });
+  if (req.path.startsWith(CALDAV_ROOT)) {
+    return res.status(apiError.status).type('text/plain').send(describeError(apiError).error);
   }
+
+  res.status(apiError.status).json(describeError(apiError));
 });
 
-// DELETE /api/shopping/categories - Reset to default categories
-app.delete('/api/shopping/categories', async (req, res) => {
-  try {
-    // Remove categories file to reset to defaults
-    try {
-      await fs.unlink(CATEGORIES_FILE);
-    } catch (error) {
-      // File might not exist, that's fine
+// Helper: Send a socket the changes since a revision ('list-delta'),
+// or the full list ('list-updated') if no revision is given or the change log was pruned
+async function syncSocket(socket, listId, sinceRevision) {
+  if (Number.isInteger(sinceRevision)) {
+    const delta = await loadChangesSince(listId, sinceRevision);
+    if (delta) {
+      socket.emit('list-delta', delta);
+      return;
     }
+  }
+
+  const list = await loadShoppingList(listId);
+  socket.emit('list-updated', list);
+  await emitRoute(socket, list);
+  socket.emit('presence', await loadPresence(listId));
+}
 
-    // Broadcast to all connected clients
-    io.emit('categories-updated', []);
+// Socket.io authentication: clients pass their device token as
+// io(url, { auth: { token } }) or in an "Authorization: Bearer" header
+io.use(async (socket, next) => {
+  try {
+    const token = (socket.handshake.auth && socket.handshake.auth.token) ||
+      getBearerToken(socket.handshake.headers.authorization);
+    const auth = await authenticateToken(token);
 
-    res.json({ success: true });
+    if (!auth) {
+      return next(new Error('Unauthorized - Invalid or missing device token'));
+    }
+
+    socket.data.user = auth.user;
+    socket.data.device = auth.device;
+    next();
   } catch (error) {
-    console.error('Error resetting categories:', error);
-    res.status(500).json({ success: false, error: error.message });
+    next(error);
   }
 });
 
 // Socket.io connection handling
+// Payloads of the socket events (validated like request bodies, errors come back in the ack)
+const SYNC_EVENT_FIELDS = {
+  listId: { type: 'string' },
+  sinceRevision: { type: 'integer', min: 0, nullable: true }
+};
+const CLAIM_EVENT_FIELDS = {
+  listId: { type: 'string' },
+  itemIds: { type: 'array', required: true, maxItems: MAX_BATCH_OPERATIONS, items: { type: 'string' } }
+};
+
 io.on('connection', (socket) => {
-  console.log('Client connected:', socket.id);
+  console.log(`Client connected: ${socket.id} (${socket.data.user.name}, ${socket.data.device.name})`);
 
+  // Every client follows the default list until it joins others
+  socket.join(listRoom(DEFAULT_LIST_ID));
+
+  // A trip ends when the last socket of the shopper's device is gone
   socket.on('disconnect', () => {
     console.log('Client disconnected:', socket.id);
+    endDeviceTrips(socket.data.device.id).catch(error => {
+      console.error('Error ending trips of disconnected device:', error);
+    });
   });
 
-  // Client can request full sync
-  socket.on('request-sync', async () => {
+  // Client subscribes to updates of a list and gets its current state
+  // (only the missed changes if it sends the last revision it has seen)
+  socket.on('join-list', async (payload, ack) => {
+    let listId;
     try {
-      const list = await loadShoppingList();
-      socket.emit('list-updated', list);
+      const { sinceRevision, ...values } = validateInput(SYNC_EVENT_FIELDS, payload || {});
+      listId = values.listId || DEFAULT_LIST_ID;
+      socket.join(listRoom(listId));
+      await syncSocket(socket, listId, sinceRevision);
+      if (typeof ack === 'function') ack({ success: true });
+    } catch (error) {
+      if (listId) socket.leave(listRoom(listId));
+      console.error(`Error joining list ${listId}:`, error.message);
+      if (typeof ack === 'function') ack(describeError(toApiError(error)));
+    }
+  });
+
+  // Client tells which store it is in ({ storeId }, null to leave) and from then on also
+  // gets 'list-route' (items in walking order) for every joined list after each change
+  socket.on('set-store', async (payload, ack) => {
+    let storeId;
+    try {
+      storeId = validateInput({ storeId: { type: 'string', nullable: true } }, payload || {}).storeId || undefined;
+      if (storeId && !(await loadStoreProfiles()).some(profile => profile.id === storeId)) {
+        throw notFoundError('Store');
+      }
+
+      socket.data.storeId = storeId;
+
+      const store = await loadStore();
+      for (const list of store.lists.filter(l => socket.rooms.has(listRoom(l.id)))) {
+        await emitRoute(socket, list);
+      }
+      if (typeof ack === 'function') ack({ success: true });
+    } catch (error) {
+      console.error(`Error setting store ${storeId}:`, error.message);
+      if (typeof ack === 'function') ack(describeError(toApiError(error)));
+    }
+  });
+
+  // Client starts shopping ({ listId, storeId }); the store also switches on 'list-route' like set-store.
+  // Everyone in the list's room gets the new 'presence'.
+  socket.on('start-trip', async (payload, ack) => {
+    let listId;
+    try {
+      const values = validateInput({ listId: { type: 'string' }, storeId: { type: 'string', nullable: true } }, payload || {});
+      listId = values.listId || DEFAULT_LIST_ID;
+      const storeId = values.storeId || undefined;
+      const trip = await storage.transaction(`socket-${socket.id}`, () => startTrip({
+        user: socket.data.user,
+        device: socket.data.device,
+        listId,
+        storeId,
+        via: 'socket'
+      }));
+
+      socket.join(listRoom(listId));
+      if (storeId) {
+        socket.data.storeId = storeId;
+        await emitRoute(socket, await loadShoppingList(listId));
+      }
+
+      const [described] = await describeTrips([trip]);
+      if (typeof ack === 'function') ack({ success: true, data: described });
+    } catch (error) {
+      console.error(`Error starting trip on list ${listId}:`, error.message);
+      if (typeof ack === 'function') ack(describeError(toApiError(error)));
+    }
+  });
+
+  // Client finishes its active trip ({ tripId } optional), the ack carries the summary
+  socket.on('end-trip', async (payload, ack) => {
+    try {
+      const { tripId } = validateInput({ tripId: { type: 'string' } }, payload || {});
+      const trip = await storage.transaction(`socket-${socket.id}`, async () => {
+        const active = (await loadTrips()).find(t => t.status === 'active' && t.userId === socket.data.user.id &&
+          (!tripId || t.id === tripId));
+
+        if (!active) {
+          throw notFoundError('Trip');
+        }
+        return endTrip(active.id, 'ended');
+      });
+
+      const [described] = await describeTrips([trip]);
+      if (typeof ack === 'function') ack({ success: true, data: described });
+    } catch (error) {
+      console.error('Error ending trip:', error.message);
+      if (typeof ack === 'function') ack(describeError(toApiError(error)));
+    }
+  });
+
+  // Client claims items for its trip or releases them ({ listId, itemIds })
+  for (const [event, claim] of [['claim-items', true], ['release-items', false]]) {
+    socket.on(event, async (payload, ack) => {
+      try {
+        const { listId = DEFAULT_LIST_ID, itemIds } = validateInput(CLAIM_EVENT_FIELDS, payload || {});
+
+        if (itemIds.length === 0) {
+          throw invalidInput('itemIds must be a non-empty array');
+        }
+
+        const items = await storage.transaction(`socket-${socket.id}`, () =>
+          setItemClaims(listId, itemIds, socket.data.user, claim));
+        if (typeof ack === 'function') ack({ success: true, data: items });
+      } catch (error) {
+        console.error(`Error in ${event}:`, error.message);
+        if (typeof ack === 'function') ack(describeError(toApiError(error)));
+      }
+    });
+  }
+
+  // Client unsubscribes from updates of a list
+  socket.on('leave-list', (payload, ack) => {
+    const { error, code, details, values } = checkInput({ listId: { type: 'string' } }, payload || {});
+    if (error) {
+      if (typeof ack === 'function') ack({ success: false, error, code, details });
+      return;
+    }
+
+    socket.leave(listRoom(values.listId || DEFAULT_LIST_ID));
+    if (typeof ack === 'function') ack({ success: true });
+  });
+
+  // Client can request sync (of the default list unless listId is given)
+  // With sinceRevision it only gets the changes after that revision
+  socket.on('request-sync', async (payload) => {
+    try {
+      const { listId = DEFAULT_LIST_ID, sinceRevision } = validateInput(SYNC_EVENT_FIELDS, payload || {});
+      await syncSocket(socket, listId, sinceRevision);
     } catch (error) {
       console.error('Error syncing:', error);
     }
   });
 });
 
+// Recurring items scheduler
+function startRecurringScheduler() {
+  const tick = () => {
+    runRecurringItems().catch(error => {
+      console.error('Recurring: Scheduler run failed:', error);
+    });
+
+    // Staples that expired in the meantime are added like recurring items
+    const now = Date.now();
+    const requestId = `pantry-${now}`;
+    storage.transaction(requestId, () => restockStaples(requestId, now)).catch(error => {
+      console.error('Pantry: Restocking staples failed:', error);
+    });
+  };
+
+  tick();
+  setInterval(tick, RECURRING_CHECK_INTERVAL);
+}
+
+// Webhook retry worker
+function startWebhookWorker() {
+  processWebhookQueue();
+  setInterval(processWebhookQueue, WEBHOOK_RETRY_INTERVAL);
+}
+
+// Rolling snapshots of all lists (skipped while nothing changed)
+function startSnapshotScheduler() {
+  const run = () => storage.transaction('snapshot', () => takeSnapshot('scheduled'))
+    .then(snapshot => {
+      if (snapshot) console.log(`Snapshots: Saved ${snapshot.id}`);
+    })
+    .catch(error => {
+      console.error('Snapshots: Scheduled snapshot failed:', error);
+    });
+
+  run();
+  setInterval(run, SNAPSHOT_INTERVAL);
+}
+
+// Ends trips that ran too long (and, on startup, those whose socket is gone)
+function startTripSweeper() {
+  const sweep = startup => endStaleTrips(startup).catch(error => {
+    console.error('Trips: Sweep failed:', error);
+  });
+
+  sweep(true);
+  setInterval(() => sweep(false), TRIP_SWEEP_INTERVAL);
+}
+
 // Start server
-server.listen(PORT, () => {
-  console.log(`[shopping-list-server] listening on http://localhost:${PORT}`);
-  console.log(`Data file: ${DATA_FILE}`);
-});
+checkStorage()
+  .then(unlessCorrupt(migrateJsonToStorage))
+  .then(unlessCorrupt(migrateLegacyApiKey))
+  .then(unlessCorrupt(announceSetupToken))
+  .then(unlessCorrupt(loadClassifierState))
+  .then(loadProductDatabase)
+  .then(() => {
+    server.listen(PORT, () => {
+      console.log(`[shopping-list-server] listening on http://localhost:${PORT}`);
+      console.log(`Storage: ${storage.backend.name} (${storage.backend.name === 'sqlite' ? SQLITE_FILE : DATA_DIR})`);
+      startRecurringScheduler();
+      startWebhookWorker();
+      startTripSweeper();
+      startSnapshotScheduler();
+    });
+  })
+  .catch(error => {
+    console.error('Storage setup failed:', error);
+    process.exit(1);
+  });
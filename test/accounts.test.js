@@ -0,0 +1,177 @@
+// Accounts: password hashing, login limits per name and per address, pairing codes and device revocation
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs').promises;
+const path = require('node:path');
+const { ADMIN, startServer, createAdmin, client, openEventStream, readDocument } = require('./helpers');
+
+let server;
+let admin;
+let api;
+
+before(async () => {
+  server = await startServer();
+  admin = await createAdmin(server);
+  api = client(server, admin.token);
+});
+
+after(() => server.stop());
+
+// Helper: Log in, returns { status, headers, body }
+function login(name, password, deviceName) {
+  return server.request('POST', '/api/auth/login', { body: { name, password, deviceName } });
+}
+
+test('passwords are stored as salted scrypt hashes and never returned', async () => {
+  const { status, body } = await api.post('/api/auth/users', { name: 'Ben', password: 'passwort1' });
+  assert.equal(status, 201);
+  assert.equal(body.data.hasPassword, true);
+  assert.ok(!('passwordHash' in body.data));
+
+  const { users } = await readDocument(server, 'accounts');
+  const [annaHash, benHash] = users.map(user => user.passwordHash);
+  assert.match(annaHash, /^[0-9a-f]{32}:[0-9a-f]{128}$/);
+  assert.ok(!annaHash.includes(ADMIN.password));
+  assert.notEqual(annaHash.split(':')[0], benHash.split(':')[0], 'every password has its own salt');
+
+  const loggedIn = await login('ben', 'passwort1', 'Bens Handy');
+  assert.equal(loggedIn.status, 200);
+  assert.equal(loggedIn.body.data.user.name, 'Ben');
+  assert.equal(loggedIn.body.data.device.name, 'Bens Handy');
+  assert.ok(!('tokenHash' in loggedIn.body.data.device));
+
+  const wrong = await login('Ben', 'passwort2');
+  assert.equal(wrong.status, 401);
+  assert.equal(wrong.body.code, 'invalid-credentials');
+
+  // Members without password can only pair with a code
+  await api.post('/api/auth/users', { name: 'Carla' });
+  assert.equal((await login('Carla', '')).status, 400);
+  assert.equal((await login('Carla', 'irgendwas')).body.code, 'invalid-credentials');
+
+  // Too short passwords are rejected
+  const short = await api.patch(`/api/auth/users/${admin.user.id}`, { password: 'kurz' });
+  assert.equal(short.status, 400);
+  assert.equal(short.body.error, 'password must be at least 8 characters');
+});
+
+test('after 5 failed logins a name is locked, other names are not', async () => {
+  // Start from zero (the test above left one failure)
+  assert.equal((await login('Ben', 'passwort1')).status, 200);
+  for (let attempt = 0; attempt < 5; attempt++) {
+    assert.equal((await login('Ben', 'falsch!!')).status, 401);
+  }
+
+  // Locked even for the right password (and for the name in other spelling)
+  const locked = await login(' BEN ', 'passwort1');
+  assert.equal(locked.status, 429);
+  assert.equal(locked.body.code, 'too-many-login-attempts');
+  const retryAfter = Number(locked.headers.get('retry-after'));
+  assert.ok(retryAfter > 14 * 60 && retryAfter <= 15 * 60, String(retryAfter));
+
+  assert.equal((await login(ADMIN.name, ADMIN.password)).status, 200);
+
+  // A correct password only resets the failures of its own name
+  for (let attempt = 0; attempt < 4; attempt++) {
+    await login(ADMIN.name, 'falsch!!');
+  }
+  assert.equal((await login(ADMIN.name, ADMIN.password)).status, 200);
+  assert.equal((await login(ADMIN.name, 'falsch!!')).status, 401, 'counting starts again');
+  assert.equal((await login('Ben', 'passwort1')).status, 429);
+});
+
+test('pairing codes pair a device once and expire', async () => {
+  const { status, body } = await api.post('/api/auth/pairing-codes', {});
+  assert.equal(status, 201);
+  assert.match(body.data.code, /^[A-HJ-NP-Z2-9]{8}$/);
+  assert.equal(body.data.userId, admin.user.id);
+
+  // Typed in lower case on the new device
+  const paired = await server.request('POST', '/api/auth/pair', { body: { code: body.data.code.toLowerCase(), deviceName: 'Tablet' } });
+  assert.equal(paired.status, 201);
+  assert.equal(paired.body.data.user.id, admin.user.id);
+  assert.equal((await client(server, paired.body.data.token).get('/api/auth/me')).body.data.device.name, 'Tablet');
+
+  const reused = await server.request('POST', '/api/auth/pair', { body: { code: body.data.code } });
+  assert.equal(reused.status, 401);
+  assert.equal(reused.body.code, 'invalid-pairing-code');
+
+  // Admins can create codes for members (e.g. Carla, who has no password), members only for themselves
+  const users = (await api.get('/api/auth/users')).body.data;
+  const carla = users.find(user => user.name === 'Carla');
+  const ben = users.find(user => user.name === 'Ben');
+  const forCarla = await api.post('/api/auth/pairing-codes', { userId: carla.id });
+  const carlaDevice = await server.request('POST', '/api/auth/pair', { body: { code: forCarla.body.data.code } });
+  assert.equal(carlaDevice.body.data.user.name, 'Carla');
+  assert.equal(carlaDevice.body.data.device.name, 'Unbenanntes Gerät');
+
+  const carlaApi = client(server, carlaDevice.body.data.token);
+  assert.equal((await carlaApi.post('/api/auth/pairing-codes', { userId: ben.id })).body.code, 'admin-required');
+
+  // Expired codes are not accepted (and dropped on the next save)
+  const expired = await api.post('/api/auth/pairing-codes', {});
+  const accounts = await readDocument(server, 'accounts');
+  accounts.pairingCodes.find(entry => entry.code === expired.body.data.code).expiresAt = new Date(Date.now() - 1000).toISOString();
+  await fs.writeFile(path.join(server.dataDir, 'accounts.json'), JSON.stringify(accounts));
+
+  const tooLate = await server.request('POST', '/api/auth/pair', { body: { code: expired.body.data.code } });
+  assert.equal(tooLate.status, 401);
+  assert.equal(tooLate.body.code, 'invalid-pairing-code');
+});
+
+test('revoked devices lose access right away, including open event streams', async () => {
+  const { body } = await login(ADMIN.name, ADMIN.password, 'Alter Laptop');
+  const laptop = body.data;
+  const laptopApi = client(server, laptop.token);
+
+  const stream = await openEventStream(server, '/api/shopping/events', { token: laptop.token });
+  assert.equal((await stream.next()).type, 'list-updated');
+
+  const devices = (await laptopApi.get('/api/auth/devices')).body.data;
+  assert.equal(devices.find(device => device.current).id, laptop.device.id);
+
+  // Members can only revoke their own devices
+  const carlaCode = await api.post('/api/auth/pairing-codes', {
+    userId: (await api.get('/api/auth/users')).body.data.find(user => user.name === 'Carla').id
+  });
+  const carla = (await server.request('POST', '/api/auth/pair', { body: { code: carlaCode.body.data.code } })).body.data;
+  const notOwn = await client(server, carla.token).delete(`/api/auth/devices/${laptop.device.id}`);
+  assert.equal(notOwn.status, 404);
+  assert.equal(notOwn.body.code, 'device-not-found');
+
+  assert.equal((await api.delete(`/api/auth/devices/${laptop.device.id}`)).status, 200);
+
+  const rejected = await laptopApi.get('/api/shopping/list');
+  assert.equal(rejected.status, 401);
+  assert.equal(rejected.body.code, 'unauthorized');
+  assert.equal(await stream.next(), null);
+  assert.ok(stream.isEnded(), 'the event stream was closed');
+
+  // Deleting a member revokes all their devices
+  await api.delete(`/api/auth/users/${carla.user.id}`);
+  assert.equal((await client(server, carla.token).get('/api/auth/me')).status, 401);
+  assert.equal((await api.get('/api/auth/me')).status, 200);
+});
+
+test('after 20 failed logins from one address every name is locked', async () => {
+  const other = await startServer();
+  try {
+    await createAdmin(other);
+    const otherLogin = (name, password) => other.request('POST', '/api/auth/login', { body: { name, password } });
+
+    // Spread over several names so no single name hits its own limit
+    for (let attempt = 0; attempt < 20; attempt++) {
+      assert.equal((await otherLogin(`Gast ${attempt % 5}`, 'falsch!!')).status, 401);
+    }
+
+    const locked = await otherLogin(ADMIN.name, ADMIN.password);
+    assert.equal(locked.status, 429);
+    assert.ok(Number(locked.headers.get('retry-after')) > 0);
+
+    // The CalDAV login shares the limit
+    const dav = await other.request('PROPFIND', '/caldav/', { basic: [ADMIN.name, ADMIN.password], headers: { Depth: '0' } });
+    assert.equal(dav.status, 429);
+  } finally {
+    await other.stop();
+  }
+});
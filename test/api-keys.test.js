@@ -0,0 +1,133 @@
+// External API keys: scopes, list restrictions, per-key rate limits and rotation
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { SETUP_KEY, startServer, createAdmin, client, waitFor } = require('./helpers');
+
+let server;
+let api;
+let otherListId;
+
+before(async () => {
+  server = await startServer();
+  api = client(server, (await createAdmin(server)).token);
+  otherListId = (await api.post('/api/shopping/lists', { name: 'Drogerie' })).body.data.id;
+});
+
+after(() => server.stop());
+
+// Helper: Create a key, returns its record with the secret (key)
+async function createKey(fields) {
+  const { status, body } = await api.post('/api/admin/api-keys', fields);
+  assert.equal(status, 201, JSON.stringify(body));
+  return body.data;
+}
+
+// Helper: Call the external API with a key
+function external(method, url, key, body) {
+  return server.request(method, url, { apiKey: key, body });
+}
+
+test('the scope decides which external routes a key may use', async () => {
+  const addOnly = await createKey({ name: 'Kurzbefehl', scope: 'add-only' });
+  const readList = await createKey({ name: 'Display', scope: 'read-list' });
+  assert.match(addOnly.key, /^hk_[0-9a-f]{48}$/);
+  assert.equal(addOnly.prefix, addOnly.key.slice(0, 9));
+
+  assert.equal((await external('POST', '/api/external/add-item', addOnly.key, { name: 'Milch' })).status, 200);
+  const cannotRead = await external('GET', '/api/external/lists/default', addOnly.key);
+  assert.equal(cannotRead.status, 403);
+  assert.equal(cannotRead.body.code, 'scope-not-allowed');
+
+  const list = await external('GET', '/api/external/lists/default', readList.key);
+  assert.equal(list.status, 200);
+  assert.deepEqual(list.body.data.items.map(item => item.name), ['Milch']);
+  for (const url of ['/api/external/add-item', '/api/external/add-items', '/api/external/add-text']) {
+    const cannotAdd = await external('POST', url, readList.key, { name: 'Brot', text: 'Brot', items: [{ name: 'Brot' }] });
+    assert.equal(cannotAdd.status, 403, url);
+    assert.equal(cannotAdd.body.code, 'scope-not-allowed', url);
+  }
+
+  // The .env key was imported as a full key
+  assert.equal((await external('GET', '/api/external/lists', SETUP_KEY)).body.data.length, 2);
+
+  const unknown = await external('GET', '/api/external/lists', 'hk_nope');
+  assert.equal(unknown.status, 401);
+  assert.equal(unknown.body.code, 'unauthorized');
+  assert.equal((await external('GET', '/api/external/lists')).status, 401);
+});
+
+test('keys restricted to lists cannot read or write other lists', async () => {
+  const restricted = await createKey({ name: 'Drogerie-Bot', scope: 'full', listIds: [otherListId] });
+
+  // Without listId the first allowed list is used, not the default list
+  const added = await external('POST', '/api/external/add-item', restricted.key, { name: 'Seife' });
+  assert.equal(added.status, 200);
+  assert.equal(added.body.data.listId, otherListId);
+
+  for (const [method, url, body] of [
+    ['POST', '/api/external/add-item', { name: 'Seife', listId: 'default' }],
+    ['POST', '/api/external/add-text', { text: 'Seife', listId: 'default' }],
+    ['GET', '/api/external/lists/default']
+  ]) {
+    const denied = await external(method, url, restricted.key, body);
+    assert.equal(denied.status, 403, url);
+    assert.equal(denied.body.code, 'list-not-allowed', url);
+  }
+
+  const lists = await external('GET', '/api/external/lists', restricted.key);
+  assert.deepEqual(lists.body.data.map(list => list.id), [otherListId]);
+  const defaultItems = (await api.get('/api/shopping/list')).body.data.items;
+  assert.ok(!defaultItems.some(item => item.name === 'Seife'));
+
+  // Lifting the restriction gives access to every list again
+  await api.patch(`/api/admin/api-keys/${restricted.id}`, { listIds: null });
+  assert.equal((await external('GET', '/api/external/lists/default', restricted.key)).status, 200);
+});
+
+test('a key over its own per-minute rate limit gets 429 with Retry-After', async () => {
+  const limited = await createKey({ name: 'Sensor', scope: 'read-list', rateLimit: 2 });
+  const other = await createKey({ name: 'Anderer Sensor', scope: 'read-list', rateLimit: 2 });
+
+  // The window is the current minute: don't start right before it ends
+  const secondsLeft = 60 - new Date().getSeconds();
+  if (secondsLeft < 5) {
+    await new Promise(resolve => setTimeout(resolve, secondsLeft * 1000 + 100));
+  }
+
+  const first = await external('GET', '/api/external/lists', limited.key);
+  assert.equal(first.status, 200);
+  assert.equal(first.headers.get('x-ratelimit-limit'), '2');
+  assert.equal(first.headers.get('x-ratelimit-remaining'), '1');
+  assert.equal((await external('GET', '/api/external/lists', limited.key)).headers.get('x-ratelimit-remaining'), '0');
+
+  const limitedOut = await external('GET', '/api/external/lists', limited.key);
+  assert.equal(limitedOut.status, 429);
+  assert.equal(limitedOut.body.code, 'rate-limited');
+  const retryAfter = Number(limitedOut.headers.get('retry-after'));
+  assert.ok(retryAfter >= 1 && retryAfter <= 60, String(retryAfter));
+
+  // Every key counts on its own; keys without an own limit use the server default
+  assert.equal((await external('GET', '/api/external/lists', other.key)).status, 200);
+  const unlimited = await external('GET', '/api/external/lists', SETUP_KEY);
+  assert.equal(unlimited.headers.get('x-ratelimit-limit'), '60');
+});
+
+test('rotating or deleting a key stops the old secret immediately', async () => {
+  const key = await createKey({ name: 'Rotierend', scope: 'read-list' });
+
+  const { status, body } = await api.post(`/api/admin/api-keys/${key.id}/rotate`);
+  assert.equal(status, 200);
+  assert.notEqual(body.data.key, key.key);
+  assert.equal((await external('GET', '/api/external/lists', key.key)).status, 401);
+  assert.equal((await external('GET', '/api/external/lists', body.data.key)).status, 200);
+
+  // Secrets are never listed; the last use is written in the background
+  const listed = await waitFor(async () => {
+    const entry = (await api.get('/api/admin/api-keys')).body.data.find(apiKey => apiKey.id === key.id);
+    return entry.lastUsedAt && entry;
+  }, { message: 'lastUsedAt' });
+  assert.ok(!('key' in listed) && !('keyHash' in listed));
+
+  assert.equal((await api.delete(`/api/admin/api-keys/${key.id}`)).status, 200);
+  assert.equal((await external('GET', '/api/external/lists', body.data.key)).status, 401);
+});
@@ -0,0 +1,161 @@
+// Barcodes: GS1 check digits, the sharded product database and adding scanned products to the list
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs').promises;
+const path = require('node:path');
+const zlib = require('node:zlib');
+const { startServer, createAdmin, client } = require('./helpers');
+
+let server;
+let api;
+let token;
+
+// Tab-separated like the Open Food Facts dump; 4006381333931 and 5000112003932 share the shard 393
+const PRODUCT_DUMP = [
+  ['code', 'product_name', 'generic_name', 'brands', 'quantity', 'categories_tags', 'main_category', 'countries_tags'],
+  ['4006381333931', 'Textmarker', '', 'Stabilo,Schwan', '4 Stück', '', '', 'en:germany'],
+  ['5000112003932', 'Coca-Cola', '', 'Coca-Cola', '1,5 l', 'en:beverages,en:sodas', 'en:sodas', 'en:germany,en:france'],
+  ['4012345000016', 'Vollmilch alt', '', '', '', 'en:dairies', '', 'en:germany'],
+  ['4012345000016', 'Vollmilch 3,5%', '', 'Weidemilch', '1 l', 'en:dairies,en:milks', '', 'en:germany'],
+  ['4006381333932', 'Falsche Prüfziffer', '', '', '', '', '', 'en:germany'],
+  ['5901234123457', '', 'Rohrzucker', '', '', 'en:sugars', '', 'en:poland,en:germany'],
+  ['96385074', 'Croissant', '', '', '', 'en:viennoiseries', '', 'en:france'],
+  ['590123412345', 'Ohne Namen fehlt nichts', '', '', '', '', '', '']
+].map(row => row.join('\t')).join('\n') + '\n';
+
+before(async () => {
+  server = await startServer();
+  ({ token } = await createAdmin(server));
+  api = client(server, token);
+});
+
+after(() => server.stop());
+
+// Helper: Upload a product file to the import route
+async function importProducts(content, query = '', headers = { 'Content-Type': 'text/tab-separated-values' }) {
+  const response = await fetch(`${server.baseUrl}/api/admin/products/import${query}`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}`, ...headers },
+    body: content
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+// Helper: Look up a barcode, returns { status, body }
+function lookup(barcode) {
+  return api.get(`/api/shopping/barcodes/${encodeURIComponent(barcode)}`);
+}
+
+test('only EAN-8, EAN-13, UPC-A and GTIN-14 codes with a valid check digit are accepted', async () => {
+  for (const barcode of ['4006381333932', '4006381333', '96385075', '036000291453', 'abcdefgh', '40063813339310']) {
+    const { status, body } = await lookup(barcode);
+    assert.equal(status, 400, barcode);
+    assert.equal(body.code, 'validation-failed', barcode);
+    assert.equal(body.details[0].field, 'barcode');
+  }
+
+  // Valid but unknown
+  for (const barcode of ['4006381333931', '96385074']) {
+    const { status, body } = await lookup(barcode);
+    assert.equal(status, 404, barcode);
+    assert.equal(body.code, 'product-not-found', barcode);
+  }
+
+  // UPC-A, its EAN-13 form, the GTIN-14 form and spaced or dashed input are the same product
+  await api.put('/api/shopping/barcodes/036000291452', { name: 'Kaugummi' });
+  for (const barcode of ['036000291452', '0036000291452', '00036000291452', '0 36000-29145 2']) {
+    const { status, body } = await lookup(barcode);
+    assert.equal(status, 200, barcode);
+    assert.deepEqual([body.data.barcode, body.data.name, body.data.source], ['0036000291452', 'Kaugummi', 'named']);
+  }
+});
+
+test('imported products are sharded by barcode digits and looked up from their shard', async () => {
+  const { status, body } = await importProducts(PRODUCT_DUMP, '?country=Germany');
+  assert.equal(status, 200, JSON.stringify(body));
+  // Skipped: wrong check digit, sold only in France, no name
+  assert.deepEqual([body.data.imported, body.data.skipped, body.data.productCount, body.data.country], [5, 3, 4, 'en:germany']);
+
+  const productsDir = path.join(server.dataDir, 'products');
+  assert.deepEqual((await fs.readdir(productsDir)).sort(), ['001.ndjson', '345.ndjson', '393.ndjson', 'meta.json']);
+  const shard = (await fs.readFile(path.join(productsDir, '393.ndjson'), 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(shard.map(product => product.barcode), ['4006381333931', '5000112003932']);
+
+  // The last row of a barcode wins, the brand is the first one, categories come from the tags
+  assert.deepEqual((await lookup('4012345000016')).body.data, {
+    barcode: '4012345000016',
+    name: 'Vollmilch 3,5%',
+    brand: 'Weidemilch',
+    packSize: '1 l',
+    categoryId: 'dairy-cheese',
+    source: 'database'
+  });
+  assert.equal((await lookup('5000112003932')).body.data.categoryId, 'beverages');
+  const marker = (await lookup('4006381333931')).body.data;
+  assert.deepEqual([marker.brand, marker.categoryId], ['Stabilo', 'other'], 'classified by name without tags');
+  assert.equal((await lookup('5901234123457')).body.data.name, 'Rohrzucker', 'generic name if there is no product name');
+
+  // A barcode whose shard exists but which isn't in it
+  assert.equal((await lookup('4000000003939')).status, 404);
+});
+
+test('imports replace the database unless merged, also gzip-compressed, and survive restarts', async () => {
+  const extra = 'code,product_name,brands\n"96385074","Croissant, Butter",Bäcker\n';
+  const merged = await importProducts(extra, '?mode=merge', { 'Content-Type': 'text/csv' });
+  assert.equal(merged.status, 200);
+  assert.equal(merged.body.data.productCount, 5);
+  assert.equal((await lookup('96385074')).body.data.name, 'Croissant, Butter');
+  assert.equal((await lookup('4012345000016')).status, 200);
+
+  const replaced = await importProducts(zlib.gzipSync(extra), '', { 'Content-Type': 'application/gzip' });
+  assert.equal(replaced.status, 200);
+  assert.deepEqual([replaced.body.data.productCount, replaced.body.data.country], [1, null]);
+  assert.equal((await lookup('4012345000016')).status, 404);
+
+  const broken = await importProducts('name;price\nMilch;1\n', '', { 'Content-Type': 'text/csv' });
+  assert.equal(broken.status, 400);
+  assert.equal(broken.body.code, 'invalid-import');
+  assert.equal((await lookup('96385074')).status, 200, 'a failed import keeps the database');
+
+  await server.restart();
+  assert.match(server.output(), /Products: 1 products in .*products/);
+  assert.equal((await api.get('/api/admin/products')).body.data.productCount, 1);
+  assert.equal((await lookup('96385074')).body.data.brand, 'Bäcker');
+
+  // Put the full dump back for the next test
+  await importProducts(PRODUCT_DUMP);
+});
+
+test('scanned products are added to the list, names sent along are remembered', async () => {
+  const { status, body } = await api.post('/api/shopping/barcodes/5000112003932/add', { quantity: '2' });
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.deepEqual([body.data.name, body.data.categoryId, body.data.quantity, body.data.details], ['Coca-Cola', 'beverages', '2', 'Coca-Cola, 1,5 l']);
+  assert.equal(body.merged, false);
+  assert.equal(body.product.source, 'database');
+
+  // A second scan merges into the open item
+  const again = await api.post('/api/shopping/barcodes/5000112003932/add', {});
+  assert.equal(again.body.merged, true);
+  assert.equal(again.body.data.id, body.data.id);
+
+  // Unknown barcodes need a name; it is remembered for the next scan and wins over the database
+  const unknown = await api.post('/api/shopping/barcodes/4001234567891/add', {});
+  assert.equal(unknown.status, 404);
+  assert.equal(unknown.body.code, 'product-not-found');
+
+  const named = await api.post('/api/shopping/barcodes/4001234567891/add', { name: 'Hafer Drink', brand: 'Oatly', merge: false });
+  assert.deepEqual([named.body.data.name, named.body.data.details, named.body.product.source], ['Hafer Drink', 'Oatly', 'named']);
+  assert.equal((await lookup('4001234567891')).body.data.name, 'Hafer Drink');
+
+  const listId = (await api.post('/api/shopping/lists', { name: 'Büro' })).body.data.id;
+  await api.put('/api/shopping/barcodes/4006381333931', { name: 'Marker gelb', categoryId: 'household' });
+  const marker = await api.post(`/api/shopping/lists/${listId}/barcodes/4006381333931/add`, { details: '' });
+  assert.deepEqual([marker.body.data.name, marker.body.data.categoryId, marker.body.data.details], ['Marker gelb', 'household', undefined]);
+
+  await api.delete('/api/shopping/barcodes/4006381333931');
+  assert.equal((await lookup('4006381333931')).body.data.name, 'Textmarker');
+
+  const invalid = await api.post('/api/shopping/barcodes/4006381333932/add', { name: 'Egal' });
+  assert.equal(invalid.status, 400);
+  assert.equal((await lookup('4006381333932')).status, 400);
+});
@@ -0,0 +1,358 @@
+// CalDAV tests: start the server on a free port with an empty data directory and talk to it
+// like a task app would (iCalendar parsing/folding, WebDAV bodies, filters, sync tokens, If-Match)
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('node:child_process');
+const fs = require('node:fs').promises;
+const net = require('node:net');
+const os = require('node:os');
+const path = require('node:path');
+
+const SERVER_FILE = path.join(__dirname, '..', 'index.js');
+const API_KEY = 'test-setup-key';
+const USER = { name: 'Anna', password: 'geheim123' };
+const SYNC_TOKEN_PREFIX = 'urn:hangry:sync:';
+
+let server;
+let dataDir;
+let baseUrl;
+let token;
+
+// Helper: A free TCP port on localhost
+function findFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// Helper: Start index.js and wait until it listens (the data directory is the working directory, so no .env is read)
+function startServer(port) {
+  const env = { ...process.env, PORT: String(port), DATA_DIR: dataDir, API_KEY, STORAGE_BACKEND: 'json' };
+  delete env.SNAPSHOT_DIR;
+  delete env.SQLITE_FILE;
+  delete env.PRODUCT_DB_DIR;
+
+  const child = spawn(process.execPath, [SERVER_FILE], { cwd: dataDir, env, stdio: ['ignore', 'pipe', 'pipe'] });
+  let output = '';
+
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), 15000);
+    const onData = chunk => {
+      output += chunk;
+      if (output.includes('listening on')) {
+        clearTimeout(timeout);
+        resolve(child);
+      }
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', onData);
+    child.once('exit', code => {
+      clearTimeout(timeout);
+      reject(new Error(`Server exited with ${code}:\n${output}`));
+    });
+  });
+}
+
+// Helper: REST request as the test user
+async function api(method, url, body) {
+  const response = await fetch(`${baseUrl}${url}`, {
+    method,
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  const data = await response.json();
+  assert.ok(data.success, `${method} ${url}: ${JSON.stringify(data)}`);
+  return data.data;
+}
+
+// Helper: CalDAV request with Basic auth (the test user's password unless other credentials are given)
+async function dav(method, url, { body, headers = {}, auth = USER } = {}) {
+  const response = await fetch(`${baseUrl}/caldav${url}`, {
+    method,
+    headers: {
+      Authorization: `Basic ${Buffer.from(`${auth.name}:${auth.password}`).toString('base64')}`,
+      ...headers
+    },
+    body
+  });
+  return { status: response.status, etag: response.headers.get('etag'), text: await response.text() };
+}
+
+// Helper: iCalendar object with a single VTODO (lines joined with CRLF)
+function vcalendar(...todoLines) {
+  return ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Test//EN', 'BEGIN:VTODO', ...todoLines, 'END:VTODO', 'END:VCALENDAR', '']
+    .join('\r\n');
+}
+
+// Helper: The hrefs of all <d:response> elements with a 200 propstat / a 404 status
+function responseHrefs(xml) {
+  const found = [];
+  const missing = [];
+  for (const [, response] of xml.matchAll(/<d:response>([\s\S]*?)<\/d:response>/g)) {
+    const href = response.match(/<d:href>([^<]*)<\/d:href>/)[1];
+    (/^<d:href>[^<]*<\/d:href><d:status>HTTP\/1\.1 404/.test(response) ? missing : found).push(href);
+  }
+  return { found, missing };
+}
+
+// Helper: Current list items by name
+async function itemsByName() {
+  const list = await api('GET', '/api/shopping/list');
+  return new Map(list.items.map(item => [item.name, item]));
+}
+
+before(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'hangry-caldav-'));
+  const port = await findFreePort();
+  baseUrl = `http://127.0.0.1:${port}`;
+  server = await startServer(port);
+
+  const response = await fetch(`${baseUrl}/api/auth/setup`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-API-Key': API_KEY },
+    body: JSON.stringify(USER)
+  });
+  token = (await response.json()).data.token;
+});
+
+after(async () => {
+  if (server && server.exitCode === null) {
+    const exited = new Promise(resolve => server.once('exit', resolve));
+    server.kill();
+    await exited;
+  }
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+test('parseVtodo reads folded lines, escapes, status and categories and skips alarms', async () => {
+  const put = await dav('PUT', '/calendars/default/vtodo-read.ics', {
+    headers: { 'Content-Type': 'text/calendar' },
+    body: vcalendar(
+      'UID:client-uid-1',
+      'SUMMARY:2L Hafer',
+      ' milch',
+      'DESCRIPTION:Barista\\, ungesüßt\\nim Angebot\\; 2 für 1',
+      'CATEGORIES:Unbekannt,Milchprodukte',
+      'STATUS:COMPLETED',
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      'DESCRIPTION:Erinnerung',
+      'SUMMARY:Alarm',
+      'END:VALARM'
+    )
+  });
+  assert.equal(put.status, 201);
+  assert.ok(put.etag);
+
+  const item = (await itemsByName()).get('Hafermilch');
+  assert.ok(item, 'item was created from the unfolded SUMMARY');
+  assert.equal(item.quantity, '2L');
+  assert.equal(item.amount, 2000);
+  assert.equal(item.unit, 'ml');
+  assert.equal(item.details, 'Barista, ungesüßt\nim Angebot; 2 für 1');
+  assert.equal(item.categoryId, 'dairy-cheese');
+  assert.equal(item.checked, true);
+
+  // The client's resource name and UID are kept
+  const get = await dav('GET', '/calendars/default/vtodo-read.ics');
+  assert.equal(get.status, 200);
+  assert.match(get.text, /\r\nUID:client-uid-1\r\n/);
+  assert.match(get.text, /\r\nSTATUS:COMPLETED\r\n/);
+});
+
+test('parseVtodo rejects bodies without a VTODO or without a SUMMARY', async () => {
+  const event = await dav('PUT', '/calendars/default/event.ics', {
+    body: 'BEGIN:VCALENDAR\r\nBEGIN:VEVENT\r\nSUMMARY:Termin\r\nEND:VEVENT\r\nEND:VCALENDAR\r\n'
+  });
+  assert.equal(event.status, 403);
+  assert.match(event.text, /<c:supported-calendar-component\/>/);
+
+  const empty = await dav('PUT', '/calendars/default/empty.ics', { body: vcalendar('UID:empty', 'SUMMARY: ') });
+  assert.equal(empty.status, 403);
+  assert.match(empty.text, /<c:valid-calendar-data\/>/);
+});
+
+test('foldIcalLine keeps rendered lines within 75 octets without splitting characters', async () => {
+  const name = `Ölsardinen ${'äöü'.repeat(30)} Ende`;
+  await api('POST', '/api/shopping/items', { name, categoryId: 'other', details: 'x'.repeat(200) });
+  const item = (await itemsByName()).get(name);
+
+  const get = await dav('GET', `/calendars/default/${item.id}.ics`);
+  assert.equal(get.status, 200);
+  assert.ok(get.text.endsWith('\r\n'));
+
+  const lines = get.text.split('\r\n');
+  for (const line of lines) {
+    assert.ok(Buffer.byteLength(line) <= 75, `line too long: ${line}`);
+    assert.ok(!line.includes('�'));
+  }
+
+  // Unfolding gives the original values back
+  const unfolded = get.text.replace(/\r\n /g, '');
+  assert.match(unfolded, new RegExp(`\r\nSUMMARY:${name}\r\n`));
+  assert.match(unfolded, new RegExp(`\r\nDESCRIPTION:${'x'.repeat(200)}\r\n`));
+  assert.ok(lines.some(line => line.startsWith(' ')), 'long lines are folded');
+});
+
+test('parseDavRequest reads props with any namespace prefix and answers unknown ones with 404', async () => {
+  const propfind = await dav('PROPFIND', '/calendars/default', {
+    headers: { Depth: '0', 'Content-Type': 'application/xml' },
+    body: '<?xml version="1.0"?><A:propfind xmlns:A="DAV:" xmlns:C="http://calendarserver.org/ns/">' +
+      '<A:prop><A:displayname/><C:getctag/><X:color xmlns:X="http://apple.com/ns/ical/"/></A:prop></A:propfind>'
+  });
+  assert.equal(propfind.status, 207);
+  assert.match(propfind.text, /<d:displayname>Einkaufsliste<\/d:displayname>/);
+  assert.match(propfind.text, /<cs:getctag>\d+<\/cs:getctag>/);
+  assert.match(propfind.text, /<d:propstat><d:prop><x:color xmlns:x="http:\/\/apple.com\/ns\/ical\/"\/><\/d:prop><d:status>HTTP\/1.1 404 Not Found/);
+
+  // Without a body (allprop) calendar-data is left out
+  const all = await dav('PROPFIND', '/calendars/default/vtodo-read.ics', { headers: { Depth: '0' } });
+  assert.equal(all.status, 207);
+  assert.match(all.text, /<d:getetag>/);
+  assert.doesNotMatch(all.text, /calendar-data/);
+
+  // calendar-multiget: escaped hrefs are decoded, unknown ones come back as 404
+  const multiget = await dav('REPORT', '/calendars/default', {
+    body: '<c:calendar-multiget xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">' +
+      '<d:prop><d:getetag/><c:calendar-data/></d:prop>' +
+      '<d:href>/caldav/calendars/default/vtodo-read.ics</d:href>' +
+      '<d:href>/caldav/calendars/default/a&amp;b.ics</d:href></c:calendar-multiget>'
+  });
+  assert.equal(multiget.status, 207);
+  const hrefs = responseHrefs(multiget.text);
+  assert.deepEqual(hrefs.found, ['/caldav/calendars/default/vtodo-read.ics']);
+  assert.deepEqual(hrefs.missing, ['/caldav/calendars/default/a&amp;b.ics']);
+  assert.match(multiget.text, /<c:calendar-data>BEGIN:VCALENDAR/);
+});
+
+test('matchesCalendarQuery applies the open-tasks filters and component filters', async () => {
+  await api('POST', '/api/shopping/items', { name: 'Brot', categoryId: 'other' });
+  const report = filter => dav('REPORT', '/calendars/default', {
+    headers: { Depth: '1' },
+    body: '<c:calendar-query xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">' +
+      `<d:prop><d:getetag/></d:prop><c:filter><c:comp-filter name="VCALENDAR">${filter}</c:comp-filter></c:filter></c:calendar-query>`
+  });
+
+  const items = await itemsByName();
+  const hrefOf = item => `/caldav/calendars/default/${encodeURIComponent(item.caldavName || item.id)}.ics`;
+  const open = [...items.values()].filter(item => !item.checked).map(hrefOf).sort();
+  const all = [...items.values()].map(hrefOf).sort();
+
+  const todos = await report('<c:comp-filter name="VTODO"/>');
+  assert.deepEqual(responseHrefs(todos.text).found.sort(), all);
+
+  const notCompleted = await report('<c:comp-filter name="VTODO"><c:prop-filter name="COMPLETED"><c:is-not-defined/></c:prop-filter></c:comp-filter>');
+  assert.deepEqual(responseHrefs(notCompleted.text).found.sort(), open);
+
+  const statusNotCompleted = await report('<c:comp-filter name="VTODO"><c:prop-filter name="STATUS">' +
+    '<c:text-match negate-condition="yes">COMPLETED</c:text-match></c:prop-filter></c:comp-filter>');
+  assert.deepEqual(responseHrefs(statusNotCompleted.text).found.sort(), open);
+
+  const events = await report('<c:comp-filter name="VEVENT"/>');
+  assert.equal(events.status, 207);
+  assert.deepEqual(responseHrefs(events.text).found, []);
+});
+
+test('sync-collection returns changes since a token and rejects unknown tokens', async () => {
+  const syncReport = syncToken => dav('REPORT', '/calendars/default', {
+    body: '<d:sync-collection xmlns:d="DAV:">' +
+      `<d:sync-token>${syncToken}</d:sync-token><d:sync-level>1</d:sync-level><d:prop><d:getetag/></d:prop></d:sync-collection>`
+  });
+  const tokenOf = xml => xml.match(/<d:sync-token>([^<]*)<\/d:sync-token>/)[1];
+
+  const initial = await syncReport('');
+  assert.equal(initial.status, 207);
+  const firstToken = tokenOf(initial.text);
+  assert.ok(firstToken.startsWith(SYNC_TOKEN_PREFIX));
+  assert.equal(responseHrefs(initial.text).found.length, (await itemsByName()).size);
+
+  // Nothing changed: an empty delta with the same token
+  const unchanged = await syncReport(firstToken);
+  assert.deepEqual(responseHrefs(unchanged.text), { found: [], missing: [] });
+  assert.equal(tokenOf(unchanged.text), firstToken);
+
+  // One item changed, one deleted over CalDAV
+  const brot = (await itemsByName()).get('Brot');
+  await api('PATCH', `/api/shopping/items/${brot.id}`, { checked: true });
+  assert.equal((await dav('DELETE', '/calendars/default/vtodo-read.ics')).status, 204);
+
+  const delta = await syncReport(firstToken);
+  assert.equal(delta.status, 207);
+  assert.deepEqual(responseHrefs(delta.text), {
+    found: [`/caldav/calendars/default/${brot.id}.ics`],
+    missing: ['/caldav/calendars/default/vtodo-read.ics']
+  });
+  assert.notEqual(tokenOf(delta.text), firstToken);
+
+  for (const unknown of ['urn:other:1', `${SYNC_TOKEN_PREFIX}abc`, `${SYNC_TOKEN_PREFIX}99999`]) {
+    const rejected = await syncReport(unknown);
+    assert.equal(rejected.status, 403, unknown);
+    assert.match(rejected.text, /<d:valid-sync-token\/>/);
+  }
+});
+
+test('If-Match and If-None-Match protect items changed in the meantime', async () => {
+  const body = summary => vcalendar('UID:precondition', `SUMMARY:${summary}`);
+
+  const created = await dav('PUT', '/calendars/default/precondition.ics', { headers: { 'If-None-Match': '*' }, body: body('Butter') });
+  assert.equal(created.status, 201);
+
+  // If-None-Match: * only creates
+  const again = await dav('PUT', '/calendars/default/precondition.ics', { headers: { 'If-None-Match': '*' }, body: body('Butter') });
+  assert.equal(again.status, 412);
+
+  // If-Match on a resource that doesn't exist
+  const missing = await dav('PUT', '/calendars/default/nothing.ics', { headers: { 'If-Match': '*' }, body: body('Butter') });
+  assert.equal(missing.status, 412);
+
+  // Changed in the app: the client's ETag is stale
+  const butter = (await itemsByName()).get('Butter');
+  await api('PATCH', `/api/shopping/items/${butter.id}`, { quantity: '250g' });
+
+  const stale = await dav('PUT', '/calendars/default/precondition.ics', { headers: { 'If-Match': created.etag }, body: body('Margarine') });
+  assert.equal(stale.status, 412);
+  assert.equal((await dav('DELETE', '/calendars/default/precondition.ics', { headers: { 'If-Match': created.etag } })).status, 412);
+  assert.ok((await itemsByName()).has('Butter'));
+
+  const current = await dav('GET', '/calendars/default/precondition.ics');
+  const updated = await dav('PUT', '/calendars/default/precondition.ics', { headers: { 'If-Match': current.etag }, body: body('250g Margarine') });
+  assert.equal(updated.status, 204);
+  assert.notEqual(updated.etag, current.etag);
+
+  // Re-sending the same data doesn't create a new version
+  const resent = await dav('PUT', '/calendars/default/precondition.ics', { headers: { 'If-Match': updated.etag }, body: body('250g Margarine') });
+  assert.equal(resent.status, 204);
+  assert.equal(resent.etag, updated.etag);
+
+  assert.equal((await dav('DELETE', '/calendars/default/precondition.ics', { headers: { 'If-Match': updated.etag } })).status, 204);
+  assert.ok(!(await itemsByName()).has('Margarine'));
+});
+
+test('the account password and paired device tokens can both read and write', async () => {
+  const login = await fetch(`${baseUrl}/api/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ...USER, deviceName: 'Erinnerungen' })
+  });
+  const { data: paired } = await login.json();
+  const deviceAuth = { name: 'anna', password: paired.token };
+
+  for (const [label, auth] of [['password', USER], ['device token', deviceAuth]]) {
+    const resource = `/calendars/default/login-${label.replace(' ', '-')}.ics`;
+    const created = await dav('PUT', resource, { auth, body: vcalendar(`UID:login-${label}`, `SUMMARY:Tee ${label}`) });
+    assert.equal(created.status, 201, label);
+    assert.equal((await dav('GET', resource, { auth })).status, 200, label);
+    assert.equal((await dav('DELETE', resource, { auth })).status, 204, label);
+  }
+
+  // A token only counts for the user it belongs to, and only until it is revoked
+  assert.equal((await dav('GET', '/calendars/default/', { auth: { name: 'Bernd', password: paired.token } })).status, 401);
+  await api('DELETE', `/api/auth/devices/${paired.device.id}`);
+  assert.equal((await dav('GET', '/calendars/default/', { auth: deviceAuth })).status, 401);
+  assert.equal((await dav('GET', '/calendars/default/', { auth: { ...USER, password: 'falsch' } })).status, 401);
+});
@@ -0,0 +1,138 @@
+// Item classifier: keyword matching on words and compounds, custom category keywords and learned corrections
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { SETUP_KEY, startServer, createAdmin, client } = require('./helpers');
+
+let server;
+let api;
+
+before(async () => {
+  server = await startServer();
+  api = client(server, (await createAdmin(server)).token);
+});
+
+after(() => server.stop());
+
+// Helper: Classification of a name ({ categoryId, source, keyword? })
+async function classify(name) {
+  const { status, body } = await api.get(`/api/shopping/classifier/classify?name=${encodeURIComponent(name)}`);
+  assert.equal(status, 200, JSON.stringify(body));
+  return body.data;
+}
+
+// Helper: Add an item without category the way integrations do, returns the added item
+async function addByName(name) {
+  const { body } = await server.request('POST', '/api/external/add-item', { apiKey: SETUP_KEY, body: { name } });
+  return body.data.addedItems[0];
+}
+
+// [name, categoryId, keyword that decided it]
+const KEYWORD_CASES = [
+  // Substrings inside other words don't count ('ei' in Seife, 'eis' in Reis)
+  ['Seife', 'personal-care', 'seife'],
+  ['Flüssigseife', 'personal-care', 'seife'],
+  ['Reis', 'pantry', 'reis'],
+  ['Eier', 'pantry', 'eier'],
+  // The head of a compound decides, not its start
+  ['Reiswaffeln', 'snacks', 'waffeln'],
+  ['Zahnpasta', 'personal-care', 'zahnpasta'],
+  ['Eistee', 'beverages', 'eistee'],
+  ['Glühwein', 'beverages', 'wein'],
+  ['Vollkornbrot', 'bakery', 'brot'],
+  // creme is only personal care; crème fraîche is a phrase of its own
+  ['Creme', 'personal-care', 'creme'],
+  ['Handcreme', 'personal-care', 'creme'],
+  ['Sonnencreme', 'personal-care', 'sonnencreme'],
+  ['Crème fraîche', 'dairy-cheese', 'crème fraîche'],
+  ['Creme Fraiche', 'dairy-cheese', 'creme fraiche'],
+  // Plurals, case and separators
+  ['Tomaten', 'fruits-vegetables', 'tomate'],
+  ['BANANEN', 'fruits-vegetables', 'banane'],
+  ['Bio-Hähnchenbrust', 'meat-fish', 'hähnchen'],
+  ['TK Spinat', 'frozen', 'tk spinat']
+];
+
+test('keywords match whole words and compound heads, the most specific match wins', async () => {
+  for (const [name, categoryId, keyword] of KEYWORD_CASES) {
+    assert.deepEqual(await classify(name), { name, categoryId, source: 'keyword', keyword }, name);
+  }
+
+  assert.deepEqual(await classify('  Blumentopf '), { name: 'Blumentopf', categoryId: 'other', source: 'default' });
+  assert.equal((await api.get('/api/shopping/classifier/classify?name=%20')).status, 400);
+});
+
+test('keywords of custom categories are used and win ties against built-in ones', async () => {
+  const { status } = await api.post('/api/shopping/categories', {
+    id: 'pets',
+    name: 'Haustier',
+    keywords: ['Katzenfutter', 'streu', 'leckerli', 'snack']
+  });
+  assert.equal(status, 201);
+
+  assert.deepEqual(await classify('Katzenfutter'), { name: 'Katzenfutter', categoryId: 'pets', source: 'keyword', keyword: 'katzenfutter' });
+  assert.equal((await classify('Katzenstreu')).categoryId, 'pets');
+  assert.equal((await classify('Katzensnack')).categoryId, 'pets', 'same keyword as snacks');
+
+  // Added items get the category as well
+  const leckerli = await addByName('Leckerli');
+  assert.equal(leckerli.categoryId, 'pets');
+
+  // Changed keywords apply right away
+  await api.patch('/api/shopping/categories/pets', { keywords: ['katzenfutter'] });
+  assert.equal((await classify('Leckerli')).categoryId, 'other');
+  await api.delete(`/api/shopping/items/${leckerli.id}`);
+});
+
+test('a category changed via PATCH is learned for the next add of that name', async () => {
+  const first = await addByName('Hafermilch');
+  assert.equal(first.categoryId, 'dairy-cheese');
+
+  await api.patch(`/api/shopping/items/${first.id}`, { categoryId: 'beverages' });
+  assert.deepEqual(await classify('hafermilch '), { name: 'hafermilch', categoryId: 'beverages', source: 'learned' });
+
+  // Other changes to the item don't touch the mapping
+  await api.patch(`/api/shopping/items/${first.id}`, { quantity: '2' });
+  await api.delete(`/api/shopping/items/${first.id}`);
+  const second = await addByName('HAFERMILCH');
+  assert.equal(second.categoryId, 'beverages');
+
+  const mappings = (await api.get('/api/shopping/classifier/mappings')).body.data;
+  assert.deepEqual(mappings.map(mapping => [mapping.name, mapping.categoryId]), [['Hafermilch', 'beverages']]);
+
+  // Forgetting the mapping brings the keyword back
+  assert.equal((await api.delete('/api/shopping/classifier/mappings/HaferMilch')).status, 200);
+  assert.equal((await classify('Hafermilch')).categoryId, 'dairy-cheese');
+  assert.equal((await api.delete('/api/shopping/classifier/mappings/Hafermilch')).status, 404);
+  await api.delete(`/api/shopping/items/${second.id}`);
+});
+
+test('category corrections replayed through mutations are learned too', async () => {
+  const { body } = await api.post('/api/shopping/mutations', {
+    operations: [{ idempotencyKey: 'add-seife', type: 'add', item: { name: 'Kernseife' } }]
+  });
+  const item = body.data.results[0].item;
+  assert.equal(item.categoryId, 'personal-care');
+
+  // Only a changed category is a correction, sending the same one again is not
+  await api.post('/api/shopping/mutations', {
+    operations: [{ idempotencyKey: 'same-seife', type: 'update', itemId: item.id, baseVersion: 1, updates: { categoryId: 'personal-care' } }]
+  });
+  assert.deepEqual((await api.get('/api/shopping/classifier/mappings')).body.data, []);
+
+  await api.post('/api/shopping/mutations', {
+    operations: [{ idempotencyKey: 'fix-seife', type: 'update', itemId: item.id, baseVersion: 2, updates: { categoryId: 'household' } }]
+  });
+  assert.deepEqual(await classify('Kernseife'), { name: 'Kernseife', categoryId: 'household', source: 'learned' });
+  assert.deepEqual((await api.get('/api/shopping/classifier/mappings')).body.data.map(mapping => mapping.name), ['Kernseife']);
+
+  // Mappings can also be set by hand and are all cleared at once
+  const { status } = await api.put('/api/shopping/classifier/mappings', { name: 'Zewa', categoryId: 'household' });
+  assert.equal(status, 200);
+  assert.equal((await classify('zewa')).categoryId, 'household');
+  const unknown = await api.put('/api/shopping/classifier/mappings', { name: 'Zewa', categoryId: 'gibts-nicht' });
+  assert.equal(unknown.status, 400);
+
+  await api.delete('/api/shopping/classifier/mappings');
+  assert.deepEqual((await api.get('/api/shopping/classifier/mappings')).body.data, []);
+  assert.equal((await classify('Kernseife')).source, 'keyword');
+});
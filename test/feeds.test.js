@@ -0,0 +1,172 @@
+// Live feeds without WebSocket: event stream resume (Last-Event-ID) and the long-poll route
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs').promises;
+const path = require('node:path');
+const { ADMIN, startServer, createAdmin, client, openEventStream, readDocument } = require('./helpers');
+
+let server;
+let api;
+let token;
+
+before(async () => {
+  server = await startServer();
+  ({ token } = await createAdmin(server));
+  api = client(server, token);
+});
+
+after(() => server.stop());
+
+// Helper: Current revision of the default list
+async function currentRevision() {
+  return (await api.get('/api/shopping/list')).body.data.revision;
+}
+
+// Helper: Add items by name (categoryId other)
+function addItems(names) {
+  return Promise.all(names.map(name => api.post('/api/shopping/items', { name, categoryId: 'other' })));
+}
+
+// Helper: The next count events of a stream (fails if one doesn't come)
+async function nextEvents(stream, count) {
+  const events = [];
+  for (let i = 0; i < count; i++) {
+    const event = await stream.next();
+    assert.ok(event, `event ${i + 1} of ${count}`);
+    events.push(event);
+  }
+  return events;
+}
+
+test('a stream resumed with Last-Event-ID replays only the missed changes', async () => {
+  const revision = await currentRevision();
+  const { body: milch } = await api.post('/api/shopping/items', { name: 'Milch', categoryId: 'dairy-cheese' });
+  await api.patch(`/api/shopping/items/${milch.data.id}`, { checked: true });
+  await api.delete(`/api/shopping/items/${milch.data.id}`);
+
+  for (const [url, headers] of [
+    ['/api/shopping/events', { 'Last-Event-ID': String(revision) }],
+    [`/api/shopping/events?lastEventId=${revision}`, {}]
+  ]) {
+    const stream = await openEventStream(server, url, { token, headers });
+    const events = await nextEvents(stream, 3);
+    assert.deepEqual(events.map(event => [event.type, Number(event.id)]), [
+      ['item-added', revision + 1],
+      ['item-updated', revision + 2],
+      ['item-deleted', revision + 3]
+    ], url);
+    assert.equal(events[0].data.item.name, 'Milch');
+    assert.equal(events[2].data.itemId, milch.data.id);
+    assert.equal(await stream.next(300), null, 'no list-updated after a replay');
+    stream.close();
+  }
+
+  // Up to date: nothing is replayed, live changes follow
+  const upToDate = await openEventStream(server, '/api/shopping/events', { token, headers: { 'Last-Event-ID': String(revision + 3) } });
+  assert.equal(await upToDate.next(300), null);
+  await addItems(['Brot']);
+  assert.deepEqual([(await upToDate.next()).type, (await upToDate.next(300))], ['item-added', null]);
+  upToDate.close();
+
+  // Ids the server doesn't know (newer, not a revision) start with the whole list
+  for (const lastEventId of ['99999', 'abc']) {
+    const stream = await openEventStream(server, '/api/shopping/events', { token, headers: { 'Last-Event-ID': lastEventId } });
+    const event = await stream.next();
+    assert.deepEqual([event.type, Number(event.id)], ['list-updated', revision + 4], lastEventId);
+    stream.close();
+  }
+});
+
+test('a Last-Event-ID older than the change log gets the whole list', async () => {
+  const revision = await currentRevision();
+  await addItems(['Butter', 'Käse']);
+
+  // Only the newest change is still in the log (older ones were trimmed)
+  const store = await readDocument(server, 'shopping-list');
+  store.changeLog.default = store.changeLog.default.slice(-1);
+  await fs.writeFile(path.join(server.dataDir, 'shopping-list.json'), JSON.stringify(store));
+
+  const tooOld = await openEventStream(server, '/api/shopping/events', { token, headers: { 'Last-Event-ID': String(revision) } });
+  const event = await tooOld.next();
+  assert.deepEqual([event.type, Number(event.id)], ['list-updated', revision + 2]);
+  assert.ok(event.data.items.some(item => item.name === 'Käse'));
+  tooOld.close();
+
+  // The log still covers the last change
+  const recent = await openEventStream(server, '/api/shopping/events', { token, headers: { 'Last-Event-ID': String(revision + 1) } });
+  const replayed = await recent.next();
+  assert.deepEqual([replayed.type, Number(replayed.id), replayed.data.item.name], ['item-added', revision + 2, 'Käse']);
+  recent.close();
+});
+
+test('changes made while a stream starts are sent exactly once, in order', async () => {
+  const revision = await currentRevision();
+  const names = Array.from({ length: 30 }, (_, index) => `Artikel ${index + 1}`);
+
+  // Changes are committed while the streams load the replay or the list. Those already part of it
+  // must not be sent again, whether their event was queued meanwhile or arrives only afterwards.
+  const adding = addItems(names);
+  const streams = [];
+  for (let i = 0; i < 3; i++) {
+    streams.push(await openEventStream(server, '/api/shopping/events', { token, headers: { 'Last-Event-ID': String(revision) } }));
+    streams.push(await openEventStream(server, '/api/shopping/events', { token }));
+  }
+  await adding;
+  const lastRevision = revision + names.length;
+
+  for (const [index, stream] of streams.entries()) {
+    let events;
+    if (index % 2 === 0) {
+      events = await nextEvents(stream, names.length);
+      assert.deepEqual(events.map(event => event.data.item.name).sort(), [...names].sort());
+    } else {
+      const first = await stream.next();
+      assert.equal(first.type, 'list-updated');
+      events = [first, ...await nextEvents(stream, lastRevision - Number(first.id))];
+    }
+
+    const ids = events.map(event => Number(event.id));
+    assert.deepEqual(ids, ids.map((_, position) => ids[0] + position), `stream ${index + 1}: ${ids.join(', ')}`);
+    assert.equal(ids.at(-1), lastRevision);
+    assert.equal(await stream.next(100), null, `stream ${index + 1} sent more`);
+    stream.close();
+  }
+});
+
+test('the long-poll answers on a change, with 304 after its timeout, and 401 once revoked', async () => {
+  const { status, body } = await api.get('/api/shopping/poll');
+  assert.equal(status, 200);
+  const since = encodeURIComponent(body.data.lastModified);
+
+  // A stale copy is answered right away
+  const stale = await api.get('/api/shopping/poll?since=2020-01-01T00:00:00.000Z');
+  assert.equal(stale.body.data.lastModified, body.data.lastModified);
+
+  const startedAt = Date.now();
+  const unchanged = await api.get(`/api/shopping/poll?since=${since}&timeout=1`);
+  assert.equal(unchanged.status, 304);
+  assert.ok(Date.now() - startedAt >= 900, 'waited for the timeout');
+
+  // A change while waiting ends the wait with the new list
+  const waiting = api.get(`/api/shopping/poll?since=${since}&timeout=10&unchecked=true`);
+  await new Promise(resolve => setTimeout(resolve, 200));
+  await addItems(['Tee']);
+  const changed = await waiting;
+  assert.equal(changed.status, 200);
+  assert.notEqual(changed.body.data.lastModified, body.data.lastModified);
+  assert.ok(changed.body.data.items.some(item => item.name === 'Tee'));
+  assert.ok(Date.now() - startedAt < 5000);
+
+  // Revoking the device ends its waiting poll
+  const { body: login } = await server.request('POST', '/api/auth/login', { body: { ...ADMIN, deviceName: 'Küchendisplay' } });
+  const display = client(server, login.data.token);
+  const current = encodeURIComponent(changed.body.data.lastModified);
+  const revokedPoll = display.get(`/api/shopping/poll?since=${current}&timeout=10`);
+  await new Promise(resolve => setTimeout(resolve, 200));
+  await api.delete(`/api/auth/devices/${login.data.device.id}`);
+
+  const revoked = await revokedPoll;
+  assert.equal(revoked.status, 401);
+  assert.equal(revoked.body.code, 'unauthorized');
+  assert.equal((await display.get('/api/shopping/poll')).status, 401);
+});
@@ -0,0 +1,260 @@
+// Test helpers: run index.js as a child process on a free port with its own data directory
+// and talk to it over HTTP like the apps do
+const { spawn } = require('node:child_process');
+const fs = require('node:fs').promises;
+const net = require('node:net');
+const os = require('node:os');
+const path = require('node:path');
+
+const SERVER_FILE = path.join(__dirname, '..', 'index.js');
+const SETUP_KEY = 'test-setup-key';
+const ADMIN = { name: 'Anna', password: 'geheim123' };
+
+// Helper: A free TCP port on localhost
+function findFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// Helper: Start the server with an empty (or seeded) data directory and wait until it listens
+// options.env: extra environment variables; options.files: { 'trash.json': {...} } written before the start
+// (objects as JSON, strings as they are). The data directory is the working directory, so no .env is read.
+// Returns { baseUrl, dataDir, output(), request(), restart(), stop() }
+async function startServer(options = {}) {
+  const dataDir = options.dataDir || await fs.mkdtemp(path.join(os.tmpdir(), 'hangry-test-'));
+  await writeFiles(dataDir, options.files || {});
+
+  const server = {
+    dataDir,
+    log: '',
+    child: null,
+
+    output() {
+      return this.log;
+    },
+
+    // Plain HTTP request; body objects are sent as JSON, the answer body is parsed if it is JSON
+    // auth: { token } (device token), { apiKey } or { basic: [name, password] }
+    async request(method, url, { body, token, apiKey, basic, headers = {} } = {}) {
+      const requestHeaders = { ...headers };
+      if (token) requestHeaders.Authorization = `Bearer ${token}`;
+      if (apiKey) requestHeaders['X-API-Key'] = apiKey;
+      if (basic) requestHeaders.Authorization = `Basic ${Buffer.from(basic.join(':')).toString('base64')}`;
+
+      let payload = body;
+      if (body !== undefined && typeof body !== 'string') {
+        requestHeaders['Content-Type'] = 'application/json';
+        payload = JSON.stringify(body);
+      }
+
+      const response = await fetch(`${this.baseUrl}${url}`, { method, headers: requestHeaders, body: payload });
+      const text = await response.text();
+      const isJson = (response.headers.get('content-type') || '').includes('json');
+      return { status: response.status, headers: response.headers, body: isJson && text ? JSON.parse(text) : text };
+    },
+
+    async start() {
+      const port = await findFreePort();
+      const env = {
+        ...process.env,
+        PORT: String(port),
+        DATA_DIR: dataDir,
+        API_KEY: SETUP_KEY,
+        STORAGE_BACKEND: 'json',
+        ...options.env
+      };
+      for (const name of ['SNAPSHOT_DIR', 'SQLITE_FILE', 'PRODUCT_DB_DIR']) {
+        if (!options.env || !(name in options.env)) delete env[name];
+      }
+
+      this.baseUrl = `http://127.0.0.1:${port}`;
+      this.child = spawn(process.execPath, [SERVER_FILE], { cwd: dataDir, env, stdio: ['ignore', 'pipe', 'pipe'] });
+      const { child } = this;
+      const started = this.log.length;
+
+      await new Promise((resolve, reject) => {
+        const timeout = setTimeout(() => reject(new Error(`Server did not start:\n${this.log}`)), 15000);
+        const onData = chunk => {
+          this.log += chunk;
+          if (this.log.indexOf('listening on', started) !== -1) {
+            clearTimeout(timeout);
+            resolve();
+          }
+        };
+        child.stdout.on('data', onData);
+        child.stderr.on('data', onData);
+        child.once('exit', code => {
+          clearTimeout(timeout);
+          reject(new Error(`Server exited with ${code}:\n${this.log}`));
+        });
+      });
+    },
+
+    // Stop the server; the data directory stays (see restart)
+    async kill(signal = 'SIGTERM') {
+      const { child } = this;
+      if (child && child.exitCode === null && child.signalCode === null) {
+        const exited = new Promise(resolve => child.once('exit', resolve));
+        child.kill(signal);
+        await exited;
+      }
+    },
+
+    // Start again on the same data directory, optionally after changing files in it or the environment
+    async restart(files = {}, env = {}) {
+      await this.kill();
+      await writeFiles(dataDir, files);
+      options.env = { ...options.env, ...env };
+      await this.start();
+    },
+
+    async stop() {
+      await this.kill();
+      if (!options.dataDir) {
+        await fs.rm(dataDir, { recursive: true, force: true });
+      }
+    }
+  };
+
+  await server.start();
+  return server;
+}
+
+// Helper: Write seed files into a data directory
+async function writeFiles(dataDir, files) {
+  for (const [name, content] of Object.entries(files)) {
+    const file = path.join(dataDir, name);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+  }
+}
+
+// Helper: Create the first admin account (server key), returns { token, user }
+async function createAdmin(server, account = ADMIN) {
+  const { status, body } = await server.request('POST', '/api/auth/setup', { apiKey: SETUP_KEY, body: account });
+  if (status !== 201 && status !== 200) {
+    throw new Error(`Setup failed (${status}): ${JSON.stringify(body)}`);
+  }
+  return body.data;
+}
+
+// Helper: A client bound to one device token, answering with the parsed body ({ status, body, headers })
+function client(server, token) {
+  const call = method => (url, body, options = {}) => server.request(method, url, { body, token, ...options });
+  return {
+    get: call('GET'),
+    post: call('POST'),
+    put: call('PUT'),
+    patch: call('PATCH'),
+    delete: call('DELETE')
+  };
+}
+
+// Helper: Wait until check() returns something truthy (polls every 50ms)
+async function waitFor(check, { timeout = 5000, message = 'condition' } = {}) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const result = await check();
+    if (result) return result;
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for ${message}`);
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+}
+
+// Helper: Open a Server-Sent Events stream, returns { status, next(timeout), close() }
+// next() resolves with the next event ({ type, id, data }) or null if none arrives in time
+async function openEventStream(server, url, { token, headers = {} } = {}) {
+  const controller = new AbortController();
+  const response = await fetch(`${server.baseUrl}${url}`, {
+    headers: { ...(token && { Authorization: `Bearer ${token}` }), ...headers },
+    signal: controller.signal
+  });
+
+  const events = [];
+  const waiting = [];
+  let buffer = '';
+  let ended = false;
+
+  const deliver = () => {
+    while (waiting.length > 0 && (events.length > 0 || ended)) {
+      waiting.shift()(events.shift() || null);
+    }
+  };
+
+  if (response.ok) {
+    (async () => {
+      const decoder = new TextDecoder();
+      try {
+        for await (const chunk of response.body) {
+          buffer += decoder.decode(chunk, { stream: true });
+          let end;
+          while ((end = buffer.indexOf('\n\n')) !== -1) {
+            const block = buffer.slice(0, end);
+            buffer = buffer.slice(end + 2);
+            const fields = Object.fromEntries(block.split('\n')
+              .filter(line => line && !line.startsWith(':'))
+              .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 1).trim()]));
+            if (fields.event) {
+              events.push({ type: fields.event, id: fields.id, data: JSON.parse(fields.data) });
+            }
+          }
+          deliver();
+        }
+      } catch (error) {
+        if (error.name !== 'AbortError') throw error;
+      }
+      ended = true;
+      deliver();
+    })();
+  }
+
+  return {
+    status: response.status,
+    body: response.ok ? undefined : await response.json(),
+    isEnded: () => ended,
+    next(timeout = 2000) {
+      return new Promise(resolve => {
+        const timer = setTimeout(() => {
+          waiting.splice(waiting.indexOf(onEvent), 1);
+          resolve(null);
+        }, timeout);
+        const onEvent = event => {
+          clearTimeout(timer);
+          resolve(event);
+        };
+        waiting.push(onEvent);
+        deliver();
+      });
+    },
+    close() {
+      controller.abort();
+    }
+  };
+}
+
+// Helper: Read a JSON document the server wrote to its data directory (undefined if there is none)
+async function readDocument(server, key) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(server.dataDir, `${key}.json`), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return undefined;
+    throw error;
+  }
+}
+
+module.exports = {
+  SETUP_KEY,
+  ADMIN,
+  startServer,
+  createAdmin,
+  client,
+  waitFor,
+  openEventStream,
+  readDocument
+};
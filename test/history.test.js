@@ -0,0 +1,144 @@
+// Purchase history: archiving cleared items, un-archiving restored ones and ranked suggestions
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createAdmin, client, readDocument } = require('./helpers');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.now();
+
+// Helper: Seeded history entry bought the given number of days ago
+function bought(name, daysAgo, fields = {}) {
+  return {
+    id: `seed-${name}-${daysAgo}`,
+    name,
+    categoryId: 'other',
+    listId: 'default',
+    checkedAt: new Date(NOW - daysAgo * DAY).toISOString(),
+    archivedAt: new Date(NOW - daysAgo * DAY).toISOString(),
+    ...fields
+  };
+}
+
+// Milch every 7 days, last 14 days ago (twice overdue); Eier every 10 days, last 40 days ago
+// (overdue, capped at 3); Brot every 2 days, last one yesterday; Kaffee only once
+const SEEDED_HISTORY = [
+  bought('Milch', 35, { quantity: '1L' }), bought('Milch', 28), bought('Milch', 21), bought('milch', 14, { quantity: '2L' }),
+  bought('Eier', 50), bought('Eier', 40),
+  bought('Brot', 5, { categoryId: 'bakery' }), bought('Brot', 3, { categoryId: 'bakery' }), bought('Brot', 1, { categoryId: 'bakery' }),
+  bought('Kaffee', 3)
+];
+
+let server;
+let api;
+let userId;
+
+before(async () => {
+  server = await startServer({ files: { 'purchase-history.json': SEEDED_HISTORY } });
+  const admin = await createAdmin(server);
+  userId = admin.user.id;
+  api = client(server, admin.token);
+});
+
+after(() => server.stop());
+
+test('suggestions rank regularly bought items by purchase count and how overdue they are', async () => {
+  const { status, body } = await api.get('/api/shopping/suggestions');
+  assert.equal(status, 200);
+
+  assert.deepEqual(body.data.map(suggestion => [suggestion.name, suggestion.purchaseCount, suggestion.averageIntervalDays,
+    suggestion.daysSinceLastPurchase, suggestion.score]), [
+    ['Eier', 2, 10, 40, 4.755], // log2(3) * min(40 / 10, 3)
+    ['milch', 4, 7, 14, 4.644], // log2(5) * 14 / 7
+    ['Brot', 3, 2, 1, 1] // log2(4) * 1 / 2
+  ]);
+
+  // Name and quantity come from the latest purchase
+  const milch = body.data[1];
+  assert.equal(milch.quantity, '2L');
+  assert.equal(milch.lastPurchasedAt, SEEDED_HISTORY[3].checkedAt);
+  assert.equal(body.data[2].categoryId, 'bakery');
+
+  assert.equal((await api.get('/api/shopping/suggestions?limit=1')).body.data.length, 1);
+});
+
+test('items already on the list are not suggested', async () => {
+  const { body: added } = await api.post('/api/shopping/items', { name: 'MILCH', categoryId: 'dairy-cheese' });
+
+  const { body } = await api.get('/api/shopping/suggestions');
+  assert.deepEqual(body.data.map(suggestion => suggestion.name), ['Eier', 'Brot']);
+
+  // Suggestions of another list ignore this list
+  const { body: list } = await api.post('/api/shopping/lists', { name: 'Wochenmarkt' });
+  const other = await api.get(`/api/shopping/lists/${list.data.id}/suggestions`);
+  assert.deepEqual(other.body.data.map(suggestion => suggestion.name), ['Eier', 'milch', 'Brot']);
+
+  await api.delete(`/api/shopping/items/${added.data.id}`);
+});
+
+test('clearing checked items archives them with prices, checker and list', async () => {
+  const { body: tomaten } = await api.post('/api/shopping/items', { name: 'Tomaten', categoryId: 'fruits-vegetables', quantity: '500 g', price: 2 });
+  const { body: salat } = await api.post('/api/shopping/items', { name: 'Salat', categoryId: 'fruits-vegetables' });
+  await api.patch(`/api/shopping/items/${tomaten.data.id}`, { checked: true, paidPrice: 2.49 });
+
+  // Deleting a single item is not a purchase
+  await api.delete(`/api/shopping/items/${salat.data.id}`);
+  assert.equal((await api.get('/api/shopping/history?categoryId=fruits-vegetables')).body.data.total, 0);
+
+  const cleared = await api.delete('/api/shopping/items');
+  assert.equal(cleared.status, 200);
+  assert.deepEqual(cleared.body.data.items, []);
+
+  const { body } = await api.get('/api/shopping/history?categoryId=fruits-vegetables');
+  assert.equal(body.data.total, 1);
+  const [entry] = body.data.entries;
+  assert.deepEqual(
+    { name: entry.name, quantity: entry.quantity, amount: entry.amount, unit: entry.unit, price: entry.price,
+      paidPrice: entry.paidPrice, listId: entry.listId, itemId: entry.itemId, checkedBy: entry.checkedBy },
+    { name: 'Tomaten', quantity: '500 g', amount: 500, unit: 'g', price: 2, paidPrice: 2.49,
+      listId: 'default', itemId: tomaten.data.id, checkedBy: userId }
+  );
+  assert.ok(entry.checkedAt <= entry.archivedAt);
+
+  // Archive, trash and list are one commit
+  const trash = await readDocument(server, 'trash');
+  assert.equal(trash.find(trashEntry => trashEntry.item.id === tomaten.data.id).historyEntryId, entry.id);
+});
+
+test('history filters by date, category, list and limit, newest first', async () => {
+  const all = (await api.get('/api/shopping/history')).body.data;
+  assert.equal(all.total, SEEDED_HISTORY.length + 1);
+  assert.equal(all.entries[0].name, 'Tomaten');
+  assert.ok(all.entries.every((entry, index) => index === 0 || all.entries[index - 1].checkedAt >= entry.checkedAt));
+
+  const from = new Date(NOW - 6 * DAY).toISOString();
+  const to = new Date(NOW - 2 * DAY).toISOString();
+  const range = (await api.get(`/api/shopping/history?from=${from}&to=${to}`)).body.data;
+  assert.deepEqual(range.entries.map(entry => entry.name), ['Brot', 'Kaffee', 'Brot']);
+
+  assert.equal((await api.get('/api/shopping/history?categoryId=bakery&limit=2')).body.data.entries.length, 2);
+  assert.equal((await api.get('/api/shopping/history?categoryId=bakery&limit=2')).body.data.total, 3);
+  assert.equal((await api.get('/api/shopping/history?listId=nope')).body.data.total, 0);
+
+  const invalid = await api.get('/api/shopping/history?from=yesterday');
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.code, 'validation-failed');
+});
+
+test('restoring a cleared item from the trash removes its history entry again', async () => {
+  const { body: gurke } = await api.post('/api/shopping/items', { name: 'Gurke', categoryId: 'fruits-vegetables' });
+  await api.patch(`/api/shopping/items/${gurke.data.id}`, { checked: true });
+  await api.delete('/api/shopping/items');
+
+  const history = (await api.get('/api/shopping/history')).body.data.entries;
+  assert.ok(history.some(entry => entry.itemId === gurke.data.id));
+
+  const trashEntry = (await api.get('/api/shopping/trash')).body.data.find(entry => entry.item.id === gurke.data.id);
+  assert.equal(trashEntry.reason, 'cleared');
+  const restored = await api.post(`/api/shopping/trash/${trashEntry.id}/restore`);
+  assert.equal(restored.status, 200);
+  assert.equal(restored.body.data.checked, true);
+
+  const after = (await api.get('/api/shopping/history')).body.data.entries;
+  assert.ok(!after.some(entry => entry.itemId === gurke.data.id));
+  assert.equal(after.length, history.length - 1);
+});
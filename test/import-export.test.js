@@ -0,0 +1,196 @@
+// Export and import of lists: CSV quoting, Markdown checklists, Bring! JSON and the replace mode
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createAdmin, client } = require('./helpers');
+
+let server;
+let api;
+let sourceId;
+
+// Items of the exported list; checked ones are checked off after adding
+const SOURCE_ITEMS = [
+  { name: 'Wein, rot', quantity: '2', categoryId: 'beverages', details: '"trocken"; nicht süß' },
+  { name: 'Milch', quantity: '1L', categoryId: 'dairy-cheese', details: 'Zeile 1\nZeile 2' },
+  { name: 'Zewa', categoryId: 'household' },
+  { name: 'Brot', categoryId: 'bakery', checked: true }
+];
+
+before(async () => {
+  server = await startServer();
+  api = client(server, (await createAdmin(server)).token);
+
+  sourceId = (await api.post('/api/shopping/lists', { name: 'Party' })).body.data.id;
+  for (const { checked, ...item } of SOURCE_ITEMS) {
+    const { status, body } = await api.post(`/api/shopping/lists/${sourceId}/items`, item);
+    assert.equal(status, 200, JSON.stringify(body));
+    if (checked) {
+      await api.patch(`/api/shopping/lists/${sourceId}/items/${body.data.id}`, { checked: true });
+    }
+  }
+});
+
+after(() => server.stop());
+
+// Helper: Export a list, returns the raw text
+async function exportList(listId, query) {
+  const { status, headers, body } = await api.get(`/api/shopping/lists/${listId}/export?${query}`);
+  assert.equal(status, 200);
+  return { contentType: headers.get('content-type'), text: typeof body === 'string' ? body : JSON.stringify(body) };
+}
+
+// Helper: Import into a list, returns the response data
+async function importInto(listId, fields) {
+  const { status, body } = await api.post(`/api/shopping/lists/${listId}/import`, fields);
+  assert.equal(status, 200, JSON.stringify(body));
+  return body.data;
+}
+
+// Helper: A new empty list, returns its id
+async function emptyList(name) {
+  return (await api.post('/api/shopping/lists', { name })).body.data.id;
+}
+
+// Helper: Items of a list as comparable rows, sorted by name
+async function itemRows(listId) {
+  const { body } = await api.get(`/api/shopping/lists/${listId}`);
+  return body.data.items
+    .map(item => [item.name, item.quantity, item.categoryId, item.details, item.checked])
+    .sort((a, b) => a[0].localeCompare(b[0]));
+}
+
+test('CSV quotes commas, quotes, semicolons and line breaks and reads them back', async () => {
+  const { contentType, text } = await exportList(sourceId, 'format=csv');
+  assert.equal(contentType, 'text/csv; charset=utf-8');
+
+  const lines = text.split('\r\n');
+  assert.equal(lines[0], 'name,quantity,categoryId,category,details,checked');
+  assert.equal(lines[1], '"Wein, rot",2,beverages,Getränke,"""trocken""; nicht süß",false');
+  assert.equal(lines[2], 'Milch,1L,dairy-cheese,Milchprodukte,"Zeile 1\nZeile 2",false', 'rows end with CRLF, fields keep their LF');
+  assert.equal(lines.at(-2), 'Brot,,bakery,Brot & Backwaren,,true', 'checked items come last');
+
+  const copyId = await emptyList('CSV-Kopie');
+  const result = await importInto(copyId, { format: 'csv', content: text });
+  assert.equal(result.addedItems.length, SOURCE_ITEMS.length);
+  assert.deepEqual(await itemRows(copyId), await itemRows(sourceId));
+});
+
+test('CSV from spreadsheets: semicolons, German headers and missing categories', async () => {
+  const listId = await emptyList('Tabelle');
+  await importInto(listId, {
+    format: 'csv',
+    content: 'Artikel;Menge;Kategorie;Gekauft\n"Äpfel; Boskop";1 kg;Obst & Gemüse;\nSeife;;;ja\n'
+  });
+
+  assert.deepEqual(await itemRows(listId), [
+    ['Äpfel; Boskop', '1 kg', 'fruits-vegetables', undefined, false],
+    ['Seife', undefined, 'personal-care', undefined, true]
+  ]);
+
+  const broken = await api.post(`/api/shopping/lists/${listId}/import`, { format: 'csv', content: 'name\n"Milch' });
+  assert.equal(broken.status, 400);
+  assert.equal(broken.body.code, 'invalid-import');
+});
+
+test('Markdown checklists keep checked state and the categories of their headings', async () => {
+  // Without line breaks in details, which a checklist line can't hold
+  const milch = (await api.get(`/api/shopping/lists/${sourceId}`)).body.data.items.find(item => item.name === 'Milch');
+  await api.patch(`/api/shopping/lists/${sourceId}/items/${milch.id}`, { details: 'Bio' });
+
+  const { contentType, text } = await exportList(sourceId, 'format=markdown&group=category');
+  assert.equal(contentType, 'text/markdown; charset=utf-8');
+  assert.equal(text, [
+    '# Party',
+    '',
+    '## 🧀 Milchprodukte',
+    '',
+    '- [ ] 1L Milch (Bio)',
+    '',
+    '## 🥖 Brot & Backwaren',
+    '',
+    '- [x] Brot',
+    '',
+    '## 🥤 Getränke',
+    '',
+    '- [ ] 2 Wein, rot ("trocken"; nicht süß)',
+    '',
+    '## 🧽 Haushalt',
+    '',
+    '- [ ] Zewa',
+    ''
+  ].join('\n'));
+
+  // Zewa would be classified as "other": the heading keeps it in household
+  const copyId = await emptyList('Markdown-Kopie');
+  await importInto(copyId, { format: 'markdown', content: text });
+  assert.deepEqual(await itemRows(copyId), await itemRows(sourceId));
+
+  // Checklists from elsewhere: * and + bullets, [X], no headings
+  const otherId = await emptyList('Notizen');
+  await importInto(otherId, { format: 'markdown', content: 'Einkauf\n\n* [X] 6 Eier\n+ [ ] Tomaten\n- Kaffee\n' });
+  assert.deepEqual(await itemRows(otherId), [
+    ['Eier', '6', 'pantry', undefined, true],
+    ['Kaffee', undefined, 'pantry', undefined, false],
+    ['Tomaten', undefined, 'fruits-vegetables', undefined, false]
+  ]);
+});
+
+test('JSON exports in the Bring! shape and imports Bring! lists', async () => {
+  const { contentType, text } = await exportList(sourceId, 'format=json');
+  assert.equal(contentType, 'application/json; charset=utf-8');
+  const data = JSON.parse(text);
+  assert.equal(data.name, 'Party');
+  assert.deepEqual(data.purchase.map(entry => [entry.name, entry.specification]), [['Wein, rot', '2'], ['Milch', '1L'], ['Zewa', '']]);
+  assert.deepEqual(data.recently.map(entry => entry.name), ['Brot']);
+
+  const copyId = await emptyList('JSON-Kopie');
+  await importInto(copyId, { format: 'json', content: text });
+  assert.deepEqual(await itemRows(copyId), await itemRows(sourceId));
+
+  // A list exported from Bring!: no categories, "recently" are the bought ones
+  const bringId = await emptyList('Bring');
+  await importInto(bringId, {
+    format: 'json',
+    content: {
+      uuid: 'f1a2',
+      purchase: [{ name: 'Hafermilch', specification: '2 Packungen' }, { name: 'Reiswaffeln', specification: '' }],
+      recently: [{ name: 'Zahnpasta', specification: '' }]
+    }
+  });
+  assert.deepEqual(await itemRows(bringId), [
+    ['Hafermilch', '2 Packungen', 'dairy-cheese', undefined, false],
+    ['Reiswaffeln', undefined, 'snacks', undefined, false],
+    ['Zahnpasta', undefined, 'personal-care', undefined, true]
+  ]);
+
+  const unknown = await api.post(`/api/shopping/lists/${bringId}/import`, { format: 'json', content: { things: [] } });
+  assert.equal(unknown.status, 400);
+  assert.equal(unknown.body.code, 'invalid-import');
+});
+
+test('replace moves the current items to the trash and can be undone', async () => {
+  const listId = await emptyList('Ersetzen');
+  await importInto(listId, { format: 'text', content: 'Milch, Brot und Eier' });
+  const before = await itemRows(listId);
+
+  // A dry run only shows what would be imported
+  const preview = await importInto(listId, { format: 'text', content: '• Butter\n• Käse', mode: 'replace', dryRun: true });
+  assert.deepEqual(preview.items.map(item => item.name), ['Butter', 'Käse']);
+  assert.deepEqual(await itemRows(listId), before);
+
+  const result = await importInto(listId, { format: 'text', content: '• Butter\n• Käse\n• Butter', mode: 'replace' });
+  assert.equal(result.mode, 'replace');
+  assert.deepEqual(result.addedItems.map(item => item.name), ['Butter', 'Käse']);
+  assert.deepEqual((await itemRows(listId)).map(([name]) => name), ['Butter', 'Käse']);
+
+  const trash = (await api.get(`/api/shopping/trash?listId=${listId}`)).body.data;
+  assert.deepEqual(trash.map(entry => [entry.item.name, entry.reason]).sort(), [['Brot', 'replaced'], ['Eier', 'replaced'], ['Milch', 'replaced']]);
+
+  // Append merges into existing items instead
+  await importInto(listId, { format: 'text', content: '• 2 Butter' });
+  assert.deepEqual((await itemRows(listId)).map(([name]) => name), ['Butter', 'Käse']);
+  await api.post('/api/shopping/undo');
+
+  const { status } = await api.post('/api/shopping/undo');
+  assert.equal(status, 200);
+  assert.deepEqual(await itemRows(listId), before);
+});
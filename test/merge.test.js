@@ -0,0 +1,122 @@
+// Merging duplicate items on add (addOrMergeItem / mergeQuantities) via the app and the external API
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { SETUP_KEY, startServer, createAdmin, client } = require('./helpers');
+
+let server;
+let api;
+
+before(async () => {
+  server = await startServer();
+  api = client(server, (await createAdmin(server)).token);
+});
+
+after(() => server.stop());
+
+beforeEach(async () => {
+  const { body } = await api.get('/api/shopping/list');
+  for (const item of body.data.items) {
+    await api.delete(`/api/shopping/items/${item.id}`);
+  }
+});
+
+// Helper: Add an item, returns { item, merged }
+async function add(name, fields = {}) {
+  const { status, body } = await api.post('/api/shopping/items', { name, categoryId: 'other', ...fields });
+  assert.equal(status, 200, JSON.stringify(body));
+  return { item: body.data, merged: body.merged };
+}
+
+test('quantities of the same unit add up, different units and free text are joined', async () => {
+  const cases = [
+    // [first quantity, second quantity, merged quantity, amount, unit]
+    ['1L', '500 ml', '1,5 L', 1500, 'ml'],
+    ['500 g', '750g', '1,25 kg', 1250, 'g'],
+    ['2', '3 Stück', '5 Stück', 5, 'Stück'],
+    ['eine Packung', '2 Packungen', '3 Packung', 3, 'Packung'],
+    ['2 Stück', '1 Packung', '2 Stück + 1 Packung', undefined, undefined],
+    ['etwas', '1 Bund', 'etwas + 1 Bund', undefined, undefined]
+  ];
+
+  for (const [index, [first, second, quantity, amount, unit]] of cases.entries()) {
+    const name = `Artikel ${index}`;
+    const created = await add(name, { quantity: first });
+    const { item, merged } = await add(name, { quantity: second });
+
+    assert.equal(merged, true, `${first} + ${second}`);
+    assert.equal(item.id, created.item.id);
+    assert.deepEqual({ quantity: item.quantity, amount: item.amount, unit: item.unit }, { quantity, amount, unit }, `${first} + ${second}`);
+  }
+});
+
+test('a quantity on only one side is kept with its amount and unit', async () => {
+  // Regression: "Milch" added to "1L Milch" gave "1L + 1" and lost amount/unit
+  await add('Milch', { quantity: '1L' });
+  const { item } = await add('Milch');
+  assert.deepEqual({ quantity: item.quantity, amount: item.amount, unit: item.unit }, { quantity: '1L', amount: 1000, unit: 'ml' });
+
+  await add('Sahne');
+  const withQuantity = await add('Sahne', { quantity: '200 ml' });
+  assert.deepEqual(
+    { quantity: withQuantity.item.quantity, amount: withQuantity.item.amount, unit: withQuantity.item.unit },
+    { quantity: '200 ml', amount: 200, unit: 'ml' }
+  );
+
+  // Neither side has a quantity: both count as one piece
+  await add('Brot');
+  const twice = await add('Brot');
+  assert.deepEqual({ quantity: twice.item.quantity, amount: twice.item.amount }, { quantity: '2 Stück', amount: 2 });
+});
+
+test('names match case-insensitively, details and estimated prices are carried over', async () => {
+  const first = await add('Hafermilch', { quantity: '1L', price: 1.5 });
+  const { item, merged } = await add('  hafermilch ', { quantity: '1L', details: 'Barista', price: 1.25 });
+
+  assert.equal(merged, true);
+  assert.equal(item.id, first.item.id);
+  assert.equal(item.name, 'Hafermilch');
+  assert.equal(item.details, 'Barista');
+  assert.equal(item.price, 2.75);
+  assert.equal(item.version, 2);
+
+  const list = (await api.get('/api/shopping/list')).body.data;
+  assert.equal(list.items.length, 1);
+});
+
+test('checked items, merge: false and items added as checked are never merged', async () => {
+  const butter = await add('Butter', { quantity: '250 g' });
+  await api.patch(`/api/shopping/items/${butter.item.id}`, { checked: true });
+
+  const afterChecked = await add('Butter', { quantity: '250 g' });
+  assert.equal(afterChecked.merged, false);
+  assert.notEqual(afterChecked.item.id, butter.item.id);
+
+  const separate = await add('Butter', { quantity: '250 g', merge: false });
+  assert.equal(separate.merged, false);
+
+  const addedChecked = await add('Butter', { quantity: '250 g', checked: true });
+  assert.equal(addedChecked.merged, false);
+
+  const list = (await api.get('/api/shopping/list')).body.data;
+  assert.equal(list.items.filter(item => item.name === 'Butter').length, 4);
+});
+
+test('the external API merges into open items and reports added and merged items', async () => {
+  await add('Eier', { quantity: '6' });
+
+  const { status, body } = await server.request('POST', '/api/external/add-item', {
+    apiKey: SETUP_KEY,
+    body: { items: [{ name: 'eier', quantity: '4' }, { name: 'Mehl', quantity: '1 kg' }] }
+  });
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.deepEqual(body.data.mergedItems.map(item => [item.name, item.quantity]), [['Eier', '10 Stück']]);
+  assert.deepEqual(body.data.addedItems.map(item => [item.name, item.quantity]), [['Mehl', '1 kg']]);
+  assert.equal(body.message, 'Successfully added 1 item(s), merged 1 into existing item(s)');
+
+  const unmerged = await server.request('POST', '/api/external/add-item', {
+    apiKey: SETUP_KEY,
+    body: { name: 'Mehl', quantity: '1 kg', merge: false }
+  });
+  assert.equal(unmerged.body.data.addedItems.length, 1);
+  assert.equal(unmerged.body.data.mergedItems.length, 0);
+});
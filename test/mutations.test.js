@@ -0,0 +1,178 @@
+// Offline replay (POST /api/shopping/mutations): idempotency keys, version conflicts and per-operation results
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createAdmin, client } = require('./helpers');
+
+let server;
+let api;
+
+before(async () => {
+  server = await startServer();
+  api = client(server, (await createAdmin(server)).token);
+});
+
+after(() => server.stop());
+
+// Helper: Replay operations on a list, returns the response data ({ listId, revision, results })
+async function replay(operations, listId) {
+  const url = listId ? `/api/shopping/lists/${listId}/mutations` : '/api/shopping/mutations';
+  const { status, body } = await api.post(url, { operations });
+  assert.equal(status, 200, JSON.stringify(body));
+  return body.data;
+}
+
+// Helper: Items of a list by name
+async function itemsByName(listId = 'default') {
+  const { body } = await api.get(`/api/shopping/lists/${listId}`);
+  return new Map(body.data.items.map(item => [item.name, item]));
+}
+
+test('add, update and delete are applied in order as one revision', async () => {
+  const before = (await api.get('/api/shopping/list')).body.data.revision;
+  const { results: added } = await replay([
+    { idempotencyKey: 'add-milch', type: 'add', item: { name: 'Milch', categoryId: 'dairy-cheese', quantity: '1L' } },
+    { idempotencyKey: 'add-brot', type: 'add', item: { name: 'Brot', categoryId: 'bakery' } }
+  ]);
+  assert.deepEqual(added.map(result => result.status), ['applied', 'applied']);
+  const milch = added[0].item;
+
+  const data = await replay([
+    { idempotencyKey: 'check-milch', type: 'update', itemId: milch.id, baseVersion: 1, updates: { checked: true } },
+    { idempotencyKey: 'delete-brot', type: 'delete', itemId: added[1].item.id, baseVersion: 1 }
+  ]);
+
+  assert.deepEqual(data.results.map(result => [result.idempotencyKey, result.status]), [
+    ['check-milch', 'applied'],
+    ['delete-brot', 'applied']
+  ]);
+  assert.equal(data.results[0].item.checked, true);
+  assert.equal(data.results[0].item.version, 2);
+  assert.equal(data.revision, before + 2);
+
+  const items = await itemsByName();
+  assert.equal(items.get('Milch').checked, true);
+  assert.ok(!items.has('Brot'));
+});
+
+test('keys seen before are answered as duplicate without applying them again', async () => {
+  const operation = { idempotencyKey: 'add-eier', type: 'add', item: { name: 'Eier', categoryId: 'other', quantity: '6' } };
+  const first = await replay([operation]);
+  const item = first.results[0].item;
+
+  // Retry of the whole batch, and the same key twice in one batch
+  const retry = await replay([operation, { ...operation, item: { name: 'Eier', quantity: '6' } }]);
+  assert.deepEqual(retry.results.map(result => result.status), ['duplicate', 'duplicate']);
+  assert.equal(retry.results[0].itemId, item.id);
+  assert.equal(retry.results[0].item.quantity, '6');
+  assert.equal(retry.revision, first.revision, 'nothing was saved');
+
+  const sameBatch = await replay([
+    { idempotencyKey: 'add-mehl', type: 'add', item: { name: 'Mehl', categoryId: 'pantry' } },
+    { idempotencyKey: 'add-mehl', type: 'add', item: { name: 'Mehl', categoryId: 'pantry' } }
+  ]);
+  assert.deepEqual(sameBatch.results.map(result => result.status), ['applied', 'duplicate']);
+  assert.equal(sameBatch.results[1].itemId, sameBatch.results[0].item.id);
+  assert.equal((await itemsByName()).get('Mehl').quantity, undefined, 'not merged a second time');
+});
+
+test('idempotency keys are scoped to their list', async () => {
+  const { body } = await api.post('/api/shopping/lists', { name: 'Drogerie' });
+  const otherListId = body.data.id;
+
+  const operation = { idempotencyKey: 'shared-key', type: 'add', item: { name: 'Seife', categoryId: 'personal-care' } };
+  assert.equal((await replay([operation])).results[0].status, 'applied');
+
+  // The same key on another list is a different operation
+  const other = await replay([operation], otherListId);
+  assert.equal(other.results[0].status, 'applied');
+  assert.equal(other.results[0].item.name, 'Seife');
+  assert.ok((await itemsByName(otherListId)).has('Seife'));
+
+  // ...and both lists still recognise their own retry
+  assert.equal((await replay([operation])).results[0].status, 'duplicate');
+  const otherRetry = await replay([operation], otherListId);
+  assert.equal(otherRetry.results[0].status, 'duplicate');
+  assert.equal(otherRetry.results[0].item.id, other.results[0].item.id);
+});
+
+test('operations on an outdated version conflict and return the server state', async () => {
+  const { results } = await replay([{ idempotencyKey: 'add-kaese', type: 'add', item: { name: 'Käse', categoryId: 'dairy-cheese' } }]);
+  const kaese = results[0].item;
+
+  // Changed online in the meantime (version 2)
+  await api.patch(`/api/shopping/items/${kaese.id}`, { quantity: '200 g' });
+
+  const data = await replay([
+    { idempotencyKey: 'offline-rename', type: 'update', itemId: kaese.id, baseVersion: 1, updates: { name: 'Gouda' } },
+    { idempotencyKey: 'offline-delete', type: 'delete', itemId: kaese.id, baseVersion: 1 }
+  ]);
+
+  assert.deepEqual(data.results.map(result => result.status), ['conflict', 'conflict']);
+  assert.equal(data.results[0].itemId, kaese.id);
+  assert.equal(data.results[0].currentItem.version, 2);
+  assert.equal(data.results[0].currentItem.quantity, '200 g');
+  assert.equal((await itemsByName()).get('Käse').version, 2);
+
+  // A conflicting operation is not recorded: once resolved it can be sent again with the same key
+  const resolved = await replay([{ idempotencyKey: 'offline-rename', type: 'update', itemId: kaese.id, baseVersion: 2, updates: { name: 'Gouda' } }]);
+  assert.equal(resolved.results[0].status, 'applied');
+  assert.equal(resolved.results[0].item.name, 'Gouda');
+});
+
+test('operations on items that no longer exist are gone', async () => {
+  const { results } = await replay([{ idempotencyKey: 'add-wurst', type: 'add', item: { name: 'Wurst', categoryId: 'meat-fish' } }]);
+  await api.delete(`/api/shopping/items/${results[0].item.id}`);
+
+  const data = await replay([
+    { idempotencyKey: 'check-wurst', type: 'update', itemId: results[0].item.id, baseVersion: 1, updates: { checked: true } },
+    { idempotencyKey: 'delete-unknown', type: 'delete', itemId: 'does-not-exist', baseVersion: 1 }
+  ]);
+  assert.deepEqual(data.results.map(result => [result.status, result.itemId]), [
+    ['gone', results[0].item.id],
+    ['gone', 'does-not-exist']
+  ]);
+});
+
+test('invalid operations are reported one by one, the valid ones are still applied', async () => {
+  const { results: [{ item: tee }] } = await replay([{ idempotencyKey: 'add-tee', type: 'add', item: { name: 'Tee', categoryId: 'beverages' } }]);
+
+  const data = await replay([
+    { type: 'add', item: { name: 'Ohne Key' } },
+    { idempotencyKey: 'bad-type', type: 'move', itemId: tee.id, baseVersion: 1 },
+    { idempotencyKey: 'no-version', type: 'update', itemId: tee.id, updates: { checked: true } },
+    { idempotencyKey: 'bad-item', type: 'add', item: { name: '', categoryId: 'nope', color: 'red' } },
+    { idempotencyKey: 'bad-update', type: 'update', itemId: tee.id, baseVersion: 1, updates: { price: -1 } },
+    { idempotencyKey: 'good', type: 'update', itemId: tee.id, baseVersion: 1, updates: { quantity: '20 Beutel' } }
+  ]);
+
+  const [noKey, badType, noVersion, badItem, badUpdate, good] = data.results;
+  assert.deepEqual([noKey.status, noKey.code, noKey.error], ['invalid', 'validation-failed', 'idempotencyKey is required']);
+  assert.deepEqual([badType.status, badType.error], ['invalid', 'Unknown operation type: move']);
+  assert.deepEqual([noVersion.status, noVersion.error], ['invalid', 'baseVersion is required']);
+  assert.equal(badItem.status, 'invalid');
+  assert.deepEqual(badItem.details, [
+    { field: 'name', error: 'is required' },
+    { field: 'categoryId', error: 'unknown category: nope' },
+    { field: 'color', error: 'is not allowed' }
+  ]);
+  assert.equal(badUpdate.status, 'invalid');
+  assert.equal(badUpdate.itemId, tee.id);
+  assert.deepEqual(badUpdate.details, [{ field: 'price', error: 'must be an amount between 0 and 100000' }]);
+  assert.equal(good.status, 'applied');
+  assert.equal(good.item.quantity, '20 Beutel');
+
+  // Invalid operations are not recorded either
+  const retried = await replay([{ idempotencyKey: 'bad-type', type: 'delete', itemId: tee.id, baseVersion: 2 }]);
+  assert.equal(retried.results[0].status, 'applied');
+});
+
+test('the request itself is checked before anything is applied', async () => {
+  assert.equal((await api.post('/api/shopping/mutations', { operations: [] })).status, 400);
+  assert.equal((await api.post('/api/shopping/mutations', {})).status, 400);
+
+  const unknownList = await api.post('/api/shopping/lists/nope/mutations', {
+    operations: [{ idempotencyKey: 'x', type: 'add', item: { name: 'X' } }]
+  });
+  assert.equal(unknownList.status, 404);
+  assert.equal(unknownList.body.code, 'list-not-found');
+});
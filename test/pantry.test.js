@@ -0,0 +1,145 @@
+// Pantry: stocking cleared items with estimated expiry, taking them out again and restocking staples
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createAdmin, client, waitFor } = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let server;
+let api;
+
+before(async () => {
+  // Short scheduler tick, so staples are restocked within the test
+  server = await startServer({ env: { RECURRING_CHECK_INTERVAL: '200' } });
+  api = client(server, (await createAdmin(server)).token);
+});
+
+after(() => server.stop());
+
+// Helper: Add items to the default list and check them off, returns the added items
+async function addChecked(items) {
+  const added = [];
+  for (const item of items) {
+    const { status, body } = await api.post('/api/shopping/items', item);
+    assert.equal(status, 200, JSON.stringify(body));
+    await api.patch(`/api/shopping/items/${body.data.id}`, { checked: true });
+    added.push(body.data);
+  }
+  return added;
+}
+
+// Helper: Pantry entries by name
+async function pantryByName() {
+  const { body } = await api.get('/api/shopping/pantry');
+  return new Map(body.data.map(entry => [entry.name, entry]));
+}
+
+// Helper: Open items of the default list with the given name
+async function openItems(name) {
+  const { body } = await api.get('/api/shopping/list');
+  return body.data.items.filter(item => item.name === name && !item.checked);
+}
+
+test('cleared items are stocked with an expiry estimated from their category', async () => {
+  // Without pantry=true nothing is stocked
+  await addChecked([{ name: 'Brot', categoryId: 'bakery' }]);
+  await api.delete('/api/shopping/items');
+  assert.deepEqual((await api.get('/api/shopping/pantry')).body.data, []);
+
+  const [joghurt] = await addChecked([
+    { name: 'Joghurt', quantity: '500 g', categoryId: 'dairy-cheese' },
+    { name: 'Hackfleisch', categoryId: 'meat-fish' },
+    { name: 'Spülmittel', categoryId: 'household' }
+  ]);
+  await api.delete('/api/shopping/items?pantry=true');
+  const pantry = await pantryByName();
+  assert.deepEqual([...pantry.keys()], ['Hackfleisch', 'Joghurt', 'Spülmittel'], 'soonest expiry first, no expiry last');
+
+  for (const [name, days] of [['Joghurt', 10], ['Hackfleisch', 3]]) {
+    const entry = pantry.get(name);
+    const shelfLife = new Date(entry.expiresAt).getTime() - new Date(entry.addedAt).getTime();
+    assert.ok(Math.abs(shelfLife - days * DAY_MS) < 1000, `${name}: ${shelfLife} ms`);
+    assert.equal(entry.daysLeft, days, name);
+  }
+  assert.deepEqual([pantry.get('Joghurt').amount, pantry.get('Joghurt').unit, pantry.get('Joghurt').itemId], [500, 'g', joghurt.id]);
+  assert.deepEqual([pantry.get('Spülmittel').expiresAt, pantry.get('Spülmittel').daysLeft], [undefined, null]);
+  assert.deepEqual((await api.get('/api/shopping/pantry?expiringWithin=3')).body.data.map(entry => entry.name), ['Hackfleisch']);
+
+  // A changed shelf life applies to what is stocked from then on
+  await api.patch('/api/shopping/categories/household', { shelfLifeDays: 365 });
+  const { body: stocked } = await api.post('/api/shopping/pantry', { name: 'Spülmittel' });
+  assert.deepEqual([stocked.data.categoryId, stocked.data.daysLeft], ['household', 365]);
+  const { body: never } = await api.post('/api/shopping/pantry', { name: 'Salz', expiresAt: null });
+  assert.deepEqual([never.data.expiresAt, never.data.daysLeft, never.data.expiring], [undefined, null, false]);
+  await api.patch('/api/shopping/categories/household', { shelfLifeDays: null });
+  await api.post(`/api/shopping/pantry/${stocked.data.id}/use`);
+  await api.post(`/api/shopping/pantry/${never.data.id}/discard`);
+});
+
+test('undo and restoring from the trash take the stocked entries out again', async () => {
+  const before = [...(await pantryByName()).keys()];
+  const [kaese, butter] = await addChecked([
+    { name: 'Käse', categoryId: 'dairy-cheese' },
+    { name: 'Butter', categoryId: 'dairy-cheese' }
+  ]);
+
+  await api.delete('/api/shopping/items?pantry=true');
+  assert.ok((await pantryByName()).has('Käse'));
+  assert.equal((await api.post('/api/shopping/undo')).status, 200);
+  assert.deepEqual([...(await pantryByName()).keys()], before);
+
+  await api.delete('/api/shopping/items?pantry=true');
+  const trash = (await api.get('/api/shopping/trash')).body.data;
+  const entry = trash.find(trashEntry => trashEntry.item.id === kaese.id);
+  assert.equal((await api.post(`/api/shopping/trash/${entry.id}/restore`)).status, 200);
+
+  // Only the restored item leaves the pantry
+  const pantry = await pantryByName();
+  assert.ok(!pantry.has('Käse'));
+  assert.equal(pantry.get('Butter').itemId, butter.id);
+  await api.post(`/api/shopping/pantry/${pantry.get('Butter').id}/use`);
+  await api.delete(`/api/shopping/items/${kaese.id}`);
+});
+
+test('the scheduler puts expiring staples with autoAdd on the list once per shortage', async () => {
+  const { body: milch } = await api.post('/api/shopping/pantry', { name: 'Milch', quantity: '1 L' });
+  assert.deepEqual([milch.data.categoryId, milch.data.daysLeft], ['dairy-cheese', 10]);
+
+  // In stock: not put on the list
+  const { body: staple } = await api.put('/api/shopping/pantry/staples/Milch', { autoAdd: true, quantity: '2 L' });
+  assert.deepEqual(staple.data.restocked, []);
+  await new Promise(resolve => setTimeout(resolve, 500));
+  assert.deepEqual(await openItems('Milch'), []);
+
+  // Expiring tomorrow; nothing but the scheduler checks the staples now
+  const tomorrow = new Date(Date.now() + DAY_MS).toISOString();
+  await api.patch(`/api/shopping/pantry/${milch.data.id}`, { expiresAt: tomorrow });
+  const [added] = await waitFor(async () => {
+    const items = await openItems('Milch');
+    return items.length > 0 && items;
+  }, { message: 'Milch restocked' });
+  assert.deepEqual([added.quantity, added.categoryId], ['2 L', 'dairy-cheese']);
+
+  assert.deepEqual((await api.get('/api/shopping/pantry/suggestions')).body.data, [], 'open on the list, so not suggested');
+  const staples = (await api.get('/api/shopping/pantry/staples')).body.data;
+  assert.ok(staples[0].restockedAt);
+  assert.deepEqual([staples[0].inStock, staples[0].nextExpiry], [1, tomorrow]);
+
+  // Removed from the list during the same shortage: not added again
+  await api.delete(`/api/shopping/items/${added.id}`);
+  await new Promise(resolve => setTimeout(resolve, 500));
+  assert.deepEqual(await openItems('Milch'), []);
+  const [expiring] = (await api.get('/api/shopping/pantry/suggestions')).body.data;
+  assert.deepEqual([expiring.name, expiring.reason, expiring.expiresAt], ['Milch', 'expiring', tomorrow]);
+
+  // Stocking again ends the shortage; once that stock is used up it is added again
+  const { body: fresh } = await api.post('/api/shopping/pantry', { name: 'Milch' });
+  assert.equal((await api.get('/api/shopping/pantry/staples')).body.data[0].restockedAt, undefined);
+  await api.post(`/api/shopping/pantry/${milch.data.id}/discard`);
+  await new Promise(resolve => setTimeout(resolve, 500));
+  assert.deepEqual(await openItems('Milch'), [], 'in stock and not expiring');
+
+  const { body: used } = await api.post(`/api/shopping/pantry/${fresh.data.id}/use`);
+  assert.deepEqual([used.data.item, used.data.restocked], [null, ['Milch']]);
+  assert.equal((await openItems('Milch')).length, 1);
+});
@@ -0,0 +1,98 @@
+// Free-text parser (POST /api/shopping/parse): splitting entries, quantities with units and number words
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createAdmin, client } = require('./helpers');
+
+let server;
+let api;
+
+before(async () => {
+  server = await startServer();
+  api = client(server, (await createAdmin(server)).token);
+});
+
+after(() => server.stop());
+
+// Helper: Parse text as dry run, returns the parsed items
+async function parse(text) {
+  const { status, body } = await api.post('/api/shopping/parse', { text, dryRun: true });
+  assert.equal(status, 200, JSON.stringify(body));
+  return body.data.parsedItems;
+}
+
+test('quantities in front of or behind the name are parsed into amount and normalised unit', async () => {
+  const cases = [
+    // [entry, name, quantity, amount, unit]
+    ['2L Milch', 'Milch', '2L', 2000, 'ml'],
+    ['1,5 l Apfelsaft', 'Apfelsaft', '1,5 l', 1500, 'ml'],
+    ['250 ml Sahne', 'Sahne', '250 ml', 250, 'ml'],
+    ['2 cl Rum', 'Rum', '2 cl', 20, 'ml'],
+    ['500g Mehl', 'Mehl', '500g', 500, 'g'],
+    ['1.5 kg Kartoffeln', 'Kartoffeln', '1.5 kg', 1500, 'g'],
+    ['200 gr. Feta', 'Feta', '200 gr.', 200, 'g'],
+    ['Eier 10 Stück', 'Eier', '10 Stück', 10, 'Stück'],
+    ['3x Joghurt', 'Joghurt', '3x', 3, 'Stück'],
+    ['6 Äpfel', 'Äpfel', '6', 6, 'Stück'],
+    ['eine Packung Nudeln', 'Nudeln', 'eine Packung', 1, 'Packung'],
+    ['zwei Dosen Tomaten', 'Tomaten', 'zwei Dosen', 2, 'Dose'],
+    ['2 Flaschen Wasser', 'Wasser', '2 Flaschen', 2, 'Flasche'],
+    ['Petersilie 1 Bund', 'Petersilie', '1 Bund', 1, 'Bund'],
+    ['halbe Melone', 'Melone', 'halbe', 0.5, 'Stück']
+  ];
+
+  for (const [entry, name, quantity, amount, unit] of cases) {
+    const [item] = await parse(entry);
+    assert.deepEqual(
+      { name: item.name, quantity: item.quantity, amount: item.amount, unit: item.unit },
+      { name, quantity, amount, unit },
+      entry
+    );
+  }
+});
+
+test('entries without a quantity keep the whole text as name', async () => {
+  for (const entry of ['Brot', 'Vollkornbrot vom Bäcker', 'Milch 3,5%', 'Einkaufsliste']) {
+    const [item] = await parse(entry);
+    assert.equal(item.name, entry);
+    assert.equal(item.quantity, undefined, entry);
+    assert.equal(item.amount, undefined, entry);
+  }
+});
+
+test('text is split at commas, semicolons, lines and "und", but not at decimal commas', async () => {
+  const items = await parse('Einkaufen: 2L Milch, Brot und 10 Eier; 1,5 kg Äpfel & Butter\n- Käse\n2. Wurst.');
+  assert.deepEqual(items.map(item => [item.name, item.quantity]), [
+    ['Milch', '2L'],
+    ['Brot', undefined],
+    ['Eier', '10'],
+    ['Äpfel', '1,5 kg'],
+    ['Butter', undefined],
+    ['Käse', undefined],
+    ['Wurst', undefined]
+  ]);
+  assert.ok(items.every(item => typeof item.categoryId === 'string'));
+});
+
+test('a dry run changes nothing, a real run adds the parsed items', async () => {
+  await parse('2L Milch, Brot');
+  assert.equal((await api.get('/api/shopping/list')).body.data.items.length, 0);
+
+  const { body } = await api.post('/api/shopping/parse', { text: '2L Milch, Brot' });
+  assert.equal(body.data.dryRun, false);
+  const items = (await api.get('/api/shopping/list')).body.data.items;
+  assert.deepEqual(items.map(item => [item.name, item.quantity, item.amount, item.unit]), [
+    ['Milch', '2L', 2000, 'ml'],
+    ['Brot', undefined, undefined, undefined]
+  ]);
+});
+
+test('empty text and unknown fields are rejected', async () => {
+  const empty = await api.post('/api/shopping/parse', { text: '  ' });
+  assert.equal(empty.status, 400);
+  assert.equal(empty.body.code, 'validation-failed');
+  assert.deepEqual(empty.body.details, [{ field: 'text', error: 'is required' }]);
+
+  const unknown = await api.post('/api/shopping/parse', { text: 'Brot', items: [] });
+  assert.equal(unknown.status, 400);
+  assert.deepEqual(unknown.body.details, [{ field: 'items', error: 'is not allowed' }]);
+});
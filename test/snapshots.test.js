@@ -0,0 +1,166 @@
+// Snapshots: diff against the current lists, restoring one or all lists, ids that aren't snapshot ids
+// and starting with corrupt documents
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs').promises;
+const path = require('node:path');
+const { startServer, createAdmin, client, openEventStream } = require('./helpers');
+
+let server;
+let api;
+let token;
+
+before(async () => {
+  server = await startServer();
+  ({ token } = await createAdmin(server));
+  api = client(server, token);
+});
+
+after(() => server.stop());
+
+// Helper: Items of a list as [name, quantity, checked]
+async function itemsOf(listId) {
+  const { body } = await api.get(`/api/shopping/lists/${listId}`);
+  return body.data.items.map(item => [item.name, item.quantity, item.checked]);
+}
+
+// Helper: Take a snapshot now, returns its id
+async function takeSnapshot() {
+  const { status, body } = await api.post('/api/admin/snapshots');
+  assert.equal(status, 201);
+  assert.equal(body.data.reason, 'manual');
+  return body.data.id;
+}
+
+test('the diff lists what changed since a snapshot, restoring reverts exactly that', async () => {
+  const { body: milch } = await api.post('/api/shopping/items', { name: 'Milch', categoryId: 'dairy-cheese', quantity: '1L' });
+  const { body: brot } = await api.post('/api/shopping/items', { name: 'Brot', categoryId: 'bakery' });
+  const snapshotId = await takeSnapshot();
+  assert.match(snapshotId, /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z$/);
+
+  await api.patch(`/api/shopping/items/${milch.data.id}`, { checked: true, quantity: '2L' });
+  await api.delete(`/api/shopping/items/${brot.data.id}`);
+  await api.post('/api/shopping/items', { name: 'Eier', categoryId: 'other' });
+  const { body: created } = await api.post('/api/shopping/lists', { name: 'Baumarkt' });
+
+  const { status, body } = await api.get(`/api/admin/snapshots/${snapshotId}/diff`);
+  assert.equal(status, 200);
+  const [defaultList, baumarkt] = body.data.lists;
+  assert.equal(defaultList.status, 'changed');
+  assert.deepEqual(defaultList.added.map(item => item.name), ['Eier']);
+  assert.deepEqual(defaultList.removed.map(item => item.name), ['Brot']);
+  assert.deepEqual(defaultList.changed, [{
+    id: milch.data.id,
+    name: 'Milch',
+    fields: { quantity: { snapshot: '1L', current: '2L' }, checked: { snapshot: false, current: true } }
+  }]);
+  assert.deepEqual([baumarkt.listId, baumarkt.status], [created.data.id, 'created']);
+
+  const onlyDefault = await api.get(`/api/admin/snapshots/${snapshotId}/diff?listId=default`);
+  assert.deepEqual(onlyDefault.body.data.lists.map(list => list.listId), ['default']);
+
+  // Restoring all lists: clients get the whole list, the list created since is deleted
+  const revision = (await api.get('/api/shopping/list')).body.data.revision;
+  const stream = await openEventStream(server, '/api/shopping/events', { token });
+  assert.equal((await stream.next()).type, 'list-updated');
+
+  const restored = await api.post(`/api/admin/snapshots/${snapshotId}/restore`, {});
+  assert.equal(restored.status, 200);
+  assert.deepEqual(restored.body.data.deletedListIds, [created.data.id]);
+  assert.ok(restored.body.data.preRestoreSnapshotId);
+
+  const event = await stream.next();
+  stream.close();
+  assert.equal(event.type, 'list-updated');
+  assert.equal(event.data.revision, revision + 1, 'the revision keeps counting up');
+  assert.deepEqual(event.data.items.map(item => item.name), ['Milch', 'Brot']);
+
+  assert.deepEqual(await itemsOf('default'), [['Milch', '1L', false], ['Brot', undefined, false]]);
+  assert.equal((await api.get(`/api/shopping/lists/${created.data.id}`)).status, 404);
+  const unchanged = await api.get(`/api/admin/snapshots/${snapshotId}/diff`);
+  assert.deepEqual(unchanged.body.data.lists.map(list => list.status), ['unchanged']);
+
+  // ...and the state before the restore is a snapshot of its own
+  const [newest] = (await api.get('/api/admin/snapshots')).body.data;
+  assert.deepEqual([newest.id, newest.reason], [restored.body.data.preRestoreSnapshotId, 'pre-restore']);
+  assert.deepEqual(newest.lists.map(list => list.name), ['Einkaufsliste', 'Baumarkt']);
+});
+
+test('restoring one list leaves the other lists alone', async () => {
+  const { body: list } = await api.post('/api/shopping/lists', { name: 'Drogerie' });
+  await api.post(`/api/shopping/lists/${list.data.id}/items`, { name: 'Seife', categoryId: 'personal-care' });
+  const snapshotId = await takeSnapshot();
+
+  await api.post(`/api/shopping/lists/${list.data.id}/items`, { name: 'Zahnpasta', categoryId: 'personal-care' });
+  await api.post('/api/shopping/items', { name: 'Tee', categoryId: 'beverages' });
+
+  const { status, body } = await api.post(`/api/admin/snapshots/${snapshotId}/restore`, { listId: list.data.id });
+  assert.equal(status, 200);
+  assert.deepEqual(body.data.restoredLists.map(restored => restored.id), [list.data.id]);
+  assert.deepEqual(body.data.deletedListIds, []);
+
+  assert.deepEqual((await itemsOf(list.data.id)).map(([name]) => name), ['Seife']);
+  assert.ok((await itemsOf('default')).some(([name]) => name === 'Tee'));
+
+  const unknownList = await api.post(`/api/admin/snapshots/${snapshotId}/restore`, { listId: 'gibts-nicht' });
+  assert.equal(unknownList.status, 404);
+  assert.equal(unknownList.body.code, 'list-not-found');
+});
+
+test('only snapshot ids are accepted, never other paths', async () => {
+  // A file next to the snapshots that looks like one but has no snapshot id
+  await fs.writeFile(path.join(server.dataDir, 'snapshots', 'secret.json'), JSON.stringify({ lists: [] }));
+
+  for (const snapshotId of ['secret', '..%2Fshopping-list', '..%2F..%2Fetc%2Fpasswd', '2026-01-01T00-00-00-000Z']) {
+    for (const [method, url] of [['GET', `/api/admin/snapshots/${snapshotId}/diff`], ['POST', `/api/admin/snapshots/${snapshotId}/restore`]]) {
+      const { status, body } = await server.request(method, url, { token, body: method === 'POST' ? {} : undefined });
+      assert.equal(status, 404, url);
+      assert.equal(body.code, 'snapshot-not-found', url);
+    }
+  }
+
+  assert.ok(!(await api.get('/api/admin/snapshots')).body.data.some(snapshot => snapshot.id === 'secret'));
+});
+
+test('a corrupt shopping list can only be restored as a whole, its content is kept', async () => {
+  const snapshotId = await takeSnapshot();
+  const expected = await itemsOf('default');
+  await fs.writeFile(path.join(server.dataDir, 'shopping-list.json'), '{ "lists": [ { "id": "def');
+
+  const broken = await api.get('/api/shopping/list');
+  assert.equal(broken.status, 500);
+  assert.equal(broken.body.code, 'storage-corrupt');
+
+  const oneList = await api.post(`/api/admin/snapshots/${snapshotId}/restore`, { listId: 'default' });
+  assert.equal(oneList.status, 500);
+  assert.equal(oneList.body.code, 'storage-corrupt');
+
+  const { status, body } = await api.post(`/api/admin/snapshots/${snapshotId}/restore`, {});
+  assert.equal(status, 200);
+  assert.equal(body.data.preRestoreSnapshotId, null, 'corrupt data cannot be snapshotted');
+  assert.deepEqual(await itemsOf('default'), expected);
+
+  const files = await fs.readdir(path.join(server.dataDir, 'snapshots'));
+  const kept = files.filter(file => /^shopping-list-corrupt-.*\.json$/.test(file));
+  assert.equal(kept.length, 1);
+  assert.equal(await fs.readFile(path.join(server.dataDir, 'snapshots', kept[0]), 'utf8'), '{ "lists": [ { "id": "def');
+});
+
+test('the server starts with a corrupt document other than the list and skips what needs it', async () => {
+  const other = await startServer({ files: { 'learned-categories.json': '{ "milch": { "name": ' } });
+  try {
+    assert.match(other.output(), /Storage: "learned-categories" is CORRUPT - .*\(learned-categories\.json/);
+    assert.match(other.output(), /Storage: Skipped loadClassifierState on startup - /);
+
+    // Everything else works, requests that read the document fail loudly
+    const otherApi = client(other, (await createAdmin(other)).token);
+    assert.equal((await otherApi.post('/api/shopping/items', { name: 'Milch', categoryId: 'dairy-cheese' })).status, 200);
+    const mappings = await otherApi.get('/api/shopping/classifier/mappings');
+    assert.equal(mappings.status, 500);
+    assert.equal(mappings.body.code, 'storage-corrupt');
+
+    assert.equal(await fs.readFile(path.join(other.dataDir, 'learned-categories.json'), 'utf8'), '{ "milch": { "name": ');
+  } finally {
+    await other.stop();
+  }
+});
@@ -0,0 +1,223 @@
+// Storage: transactions (one commit or nothing), commit hooks, the JSON journal and the one-time SQLite import
+// The shared cases run against both backends (SQLite only if better-sqlite3 is installed)
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs').promises;
+const path = require('node:path');
+const { startServer, createAdmin, client, openEventStream, readDocument } = require('./helpers');
+
+let Database = null;
+try {
+  Database = require('better-sqlite3');
+} catch (error) {
+  // Optional dependency: the SQLite cases are skipped
+}
+
+// Per backend: how to reach a stored document behind the server's back
+const BACKENDS = {
+  json: {
+    env: { STORAGE_BACKEND: 'json' },
+    async read(server, key) {
+      return readDocument(server, key);
+    },
+    async writeRaw(server, key, raw) {
+      await fs.writeFile(path.join(server.dataDir, `${key}.json`), raw);
+    }
+  },
+  sqlite: {
+    env: { STORAGE_BACKEND: 'sqlite' },
+    skip: !Database && 'better-sqlite3 is not installed',
+    withDatabase(server, callback) {
+      const db = new Database(path.join(server.dataDir, 'hangry.db'));
+      try {
+        return callback(db);
+      } finally {
+        db.close();
+      }
+    },
+    async read(server, key) {
+      const row = this.withDatabase(server, db => db.prepare('SELECT value FROM documents WHERE key = ?').get(key));
+      return row ? JSON.parse(row.value) : undefined;
+    },
+    async writeRaw(server, key, raw) {
+      this.withDatabase(server, db => db.prepare('UPDATE documents SET value = ? WHERE key = ?').run(raw, key));
+    }
+  }
+};
+
+for (const [name, backend] of Object.entries(BACKENDS)) {
+  describe(`${name} backend`, { skip: backend.skip }, () => {
+    let server;
+    let api;
+    let token;
+
+    before(async () => {
+      server = await startServer({ env: backend.env });
+      ({ token } = await createAdmin(server));
+      api = client(server, token);
+    });
+
+    after(() => server?.stop());
+
+    // Helper: Add an item and check it off
+    async function addChecked(itemName) {
+      const { body } = await api.post('/api/shopping/items', { name: itemName, categoryId: 'other' });
+      await api.patch(`/api/shopping/items/${body.data.id}`, { checked: true });
+      return body.data;
+    }
+
+    test('committed data survives a hard restart', async () => {
+      const { body } = await api.post('/api/shopping/items', { name: 'Milch', categoryId: 'dairy-cheese', quantity: '1L' });
+
+      const stored = await backend.read(server, 'shopping-list');
+      assert.ok(stored.lists.find(list => list.id === 'default').items.some(item => item.id === body.data.id));
+
+      await server.kill('SIGKILL');
+      await server.restart();
+      const items = (await api.get('/api/shopping/list')).body.data.items;
+      assert.deepEqual(items.map(item => [item.name, item.quantity]), [['Milch', '1L']]);
+
+      await api.delete(`/api/shopping/items/${body.data.id}`);
+    });
+
+    test('a failing transaction writes nothing and emits no events', async () => {
+      const brot = await addChecked('Brot');
+      const listBefore = (await api.get('/api/shopping/list')).body.data;
+      const historyBefore = await backend.read(server, 'purchase-history');
+
+      const stream = await openEventStream(server, '/api/shopping/events', { token });
+      assert.equal((await stream.next()).type, 'list-updated');
+
+      // Clearing archives the item, then fails on reading the trash: the archived entry must not be stored
+      await backend.writeRaw(server, 'trash', '{ "broken": ');
+      const failed = await api.delete('/api/shopping/items');
+      assert.equal(failed.status, 500);
+      assert.equal(failed.body.code, 'storage-corrupt');
+
+      assert.deepEqual(await backend.read(server, 'purchase-history'), historyBefore);
+      const listAfter = (await api.get('/api/shopping/list')).body.data;
+      assert.equal(listAfter.revision, listBefore.revision);
+      assert.ok(listAfter.items.some(item => item.id === brot.id && item.checked));
+      assert.equal(await stream.next(300), null, 'no event for the rolled back change');
+
+      // Once the trash is readable again the same request commits everything at once
+      await backend.writeRaw(server, 'trash', '[]');
+      assert.equal((await api.delete('/api/shopping/items')).status, 200);
+      assert.equal((await stream.next()).type, 'items-cleared');
+      stream.close();
+
+      const [entry] = (await backend.read(server, 'purchase-history')).filter(history => history.itemId === brot.id);
+      assert.ok(entry);
+      assert.equal((await backend.read(server, 'trash'))[0].historyEntryId, entry.id);
+    });
+
+    test('events are only sent once the change is stored', async () => {
+      const stream = await openEventStream(server, '/api/shopping/events', { token });
+      const initial = await stream.next();
+
+      const { body } = await api.post('/api/shopping/items', { name: 'Käse', categoryId: 'dairy-cheese' });
+      const event = await stream.next();
+      stream.close();
+
+      // Read right when the event arrives, straight from the backend
+      const stored = (await backend.read(server, 'shopping-list')).lists.find(list => list.id === 'default');
+      assert.equal(event.type, 'item-added');
+      assert.equal(event.data.item.id, body.data.id);
+      assert.equal(Number(event.id), initial.data.revision + 1);
+      assert.equal(stored.revision, Number(event.id));
+      assert.ok(stored.items.some(item => item.id === body.data.id));
+    });
+  });
+}
+
+describe('json backend: interrupted writes', () => {
+  const NOW = new Date().toISOString();
+  const list = {
+    lists: [{
+      id: 'default',
+      name: 'Einkaufsliste',
+      items: [{ id: 'item-1', name: 'Eier', categoryId: 'other', checked: false, version: 1, createdAt: NOW, lastModified: NOW }],
+      revision: 4,
+      createdAt: NOW,
+      lastModified: NOW
+    }]
+  };
+  let server;
+  let api;
+
+  after(() => server?.stop());
+
+  test('a journal left by a crash is completed on the next start', async () => {
+    // The crash happened after the journal was written: the list is still old, the trash entry not yet deleted
+    server = await startServer({
+      files: {
+        'shopping-list.json': { lists: [{ ...list.lists[0], items: [], revision: 3 }] },
+        'trash.json': [{ id: 'old', listId: 'default', item: { id: 'x', name: 'Alt' }, reason: 'deleted', deletedAt: NOW }],
+        'storage-journal.json': {
+          'shopping-list': JSON.stringify(list),
+          trash: null
+        },
+        'shopping-list.json.1234.tmp': '{ "lists": [',
+        'notes.json.tmp': 'kept'
+      }
+    });
+
+    assert.match(server.output(), /Completed an interrupted write of shopping-list, trash/);
+    assert.match(server.output(), /Removed 1 temp file\(s\) of interrupted writes: shopping-list\.json\.1234\.tmp/);
+
+    const files = await fs.readdir(server.dataDir);
+    assert.ok(!files.includes('storage-journal.json'));
+    assert.ok(!files.includes('trash.json'));
+    assert.ok(!files.includes('shopping-list.json.1234.tmp'));
+    assert.ok(files.includes('notes.json.tmp'), 'only temp files of the server are removed');
+
+    api = client(server, (await createAdmin(server)).token);
+    const { body } = await api.get('/api/shopping/list');
+    assert.equal(body.data.revision, 4);
+    assert.deepEqual(body.data.items.map(item => item.name), ['Eier']);
+  });
+
+  test('a commit of several documents removes its journal once all files are written', async () => {
+    await api.patch('/api/shopping/items/item-1', { checked: true });
+    assert.equal((await api.delete('/api/shopping/items')).status, 200);
+
+    const files = await fs.readdir(server.dataDir);
+    assert.ok(!files.includes('storage-journal.json'));
+    assert.ok(!files.some(file => file.endsWith('.tmp') && file !== 'notes.json.tmp'));
+    assert.equal((await readDocument(server, 'purchase-history'))[0].name, 'Eier');
+    assert.equal((await readDocument(server, 'trash'))[0].item.id, 'item-1');
+  });
+});
+
+describe('sqlite backend: import of existing JSON files', { skip: !Database && 'better-sqlite3 is not installed' }, () => {
+  let server;
+
+  after(() => server?.stop());
+
+  test('JSON files are imported once into a new database', async () => {
+    server = await startServer({
+      files: {
+        'shopping-list.json': { items: [{ id: 'item-1', name: 'Mehl', categoryId: 'pantry', checked: false }], lastModified: new Date().toISOString() },
+        'purchase-history.json': [{ id: 'h1', name: 'Zucker', categoryId: 'pantry', listId: 'default', checkedAt: new Date().toISOString() }]
+      }
+    });
+    await server.restart({}, BACKENDS.sqlite.env);
+
+    // api-keys.json was written by the first start (API_KEY import)
+    assert.match(server.output(), /Imported shopping-list\.json, purchase-history\.json, api-keys\.json into .*hangry\.db/);
+    const marker = await BACKENDS.sqlite.read(server, 'json-migration');
+    assert.deepEqual(marker.files, ['shopping-list.json', 'purchase-history.json', 'api-keys.json']);
+
+    const api = client(server, (await createAdmin(server)).token);
+    assert.deepEqual((await api.get('/api/shopping/list')).body.data.items.map(item => item.name), ['Mehl']);
+    assert.equal((await api.get('/api/shopping/history')).body.data.entries[0].name, 'Zucker');
+
+    // Later changes to the JSON files are ignored, the database is the only source from now on
+    await api.post('/api/shopping/items', { name: 'Hefe', categoryId: 'pantry' });
+    const output = server.output().length;
+    await server.restart({ 'shopping-list.json': { items: [], lastModified: new Date().toISOString() } });
+
+    assert.doesNotMatch(server.output().slice(output), /Imported/);
+    assert.deepEqual((await api.get('/api/shopping/list')).body.data.items.map(item => item.name), ['Mehl', 'Hefe']);
+  });
+});
@@ -0,0 +1,204 @@
+// Shopping trips: item claims, trips ending with their device's last socket and the sweep of stale trips
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs').promises;
+const path = require('node:path');
+const { io } = require('socket.io-client');
+const { startServer, createAdmin, client, waitFor, readDocument } = require('./helpers');
+
+const BERND = { name: 'Bernd', password: 'geheim456' };
+const HOUR_MS = 60 * 60 * 1000;
+
+let server;
+let anna;
+let annaToken;
+let bernd;
+let berndToken;
+const sockets = [];
+
+before(async () => {
+  // Short sweep tick, so expired trips are ended within the test
+  server = await startServer({ env: { TRIP_SWEEP_INTERVAL: '200' } });
+  ({ token: annaToken } = await createAdmin(server));
+  anna = client(server, annaToken);
+
+  await anna.post('/api/auth/users', BERND);
+  const { body } = await server.request('POST', '/api/auth/login', { body: { ...BERND, deviceName: 'Handy' } });
+  berndToken = body.data.token;
+  bernd = client(server, berndToken);
+});
+
+after(async () => {
+  for (const socket of sockets) socket.close();
+  await server.stop();
+});
+
+// Helper: Connected socket of a device; records the payloads of every event it gets in socket.received
+async function connectSocket(token) {
+  const socket = io(server.baseUrl, { auth: { token }, transports: ['websocket'], reconnection: false });
+  socket.received = [];
+  socket.onAny((event, payload) => socket.received.push({ event, payload }));
+  sockets.push(socket);
+
+  await new Promise((resolve, reject) => {
+    socket.once('connect', resolve);
+    socket.once('connect_error', reject);
+  });
+  return socket;
+}
+
+// Helper: Close a socket and wait until it is gone
+function disconnect(socket) {
+  return new Promise(resolve => {
+    socket.once('disconnect', resolve);
+    socket.close();
+  });
+}
+
+// Helper: Add open items to the default list by name, returns them
+async function addItems(names) {
+  const items = [];
+  for (const name of names) {
+    const { body } = await anna.post('/api/shopping/items', { name, categoryId: 'other' });
+    items.push(body.data);
+  }
+  return items;
+}
+
+// Helper: A trip by id
+async function getTrip(id) {
+  return (await anna.get(`/api/shopping/trips/${id}`)).body.data;
+}
+
+// Helper: An item of the default list by id
+async function getItem(id) {
+  return (await anna.get('/api/shopping/list')).body.data.items.find(item => item.id === id);
+}
+
+test('only the shopper of an active trip claims items, only the claimer or an admin releases them', async () => {
+  const [milch, brot, eier] = await addItems(['Milch', 'Brot', 'Eier']);
+
+  const noTrip = await bernd.post(`/api/shopping/items/${milch.id}/claim`);
+  assert.deepEqual([noTrip.status, noTrip.body.code], [409, 'trip-required']);
+
+  const { status, body: started } = await anna.post('/api/shopping/trips', {});
+  assert.equal(status, 201);
+  assert.deepEqual([started.data.userName, started.data.listId, started.data.via], ['Anna', 'default', 'rest']);
+  assert.equal((await anna.post('/api/shopping/trips', {})).body.code, 'trip-already-active');
+
+  const { body: claimed } = await anna.post(`/api/shopping/items/${milch.id}/claim`);
+  assert.deepEqual([claimed.data.claimedBy, claimed.data.claimTripId], [started.data.userId, started.data.id]);
+  assert.equal((await anna.post(`/api/shopping/items/${milch.id}/claim`)).body.data.version, claimed.data.version, 'claiming again changes nothing');
+
+  // Bernd shops as well: Anna's items are taken, and he can't release them
+  const { body: berndTrip } = await bernd.post('/api/shopping/trips', {});
+  assert.equal((await bernd.post(`/api/shopping/items/${milch.id}/claim`)).body.code, 'item-claimed');
+  assert.equal((await bernd.delete(`/api/shopping/items/${milch.id}/claim`)).body.code, 'item-claimed');
+  assert.equal((await bernd.post(`/api/shopping/items/${brot.id}/claim`)).status, 200);
+
+  // Claims are set by the server only, checked items can't be claimed
+  await bernd.patch(`/api/shopping/items/${eier.id}`, { claimedBy: started.data.userId, checked: true });
+  assert.equal((await getItem(eier.id)).claimedBy, undefined);
+  assert.equal((await bernd.post(`/api/shopping/items/${eier.id}/claim`)).body.code, 'item-already-checked');
+
+  // Admins may release anyone's claim, ending someone else's trip is for admins only
+  const released = await anna.delete(`/api/shopping/items/${brot.id}/claim`);
+  assert.deepEqual([released.status, released.body.data.claimedBy], [200, undefined]);
+  assert.equal((await bernd.post(`/api/shopping/trips/${started.data.id}/end`)).body.code, 'not-trip-owner');
+
+  // Ending a trip releases its claims and sums up what was checked off
+  await anna.patch(`/api/shopping/items/${milch.id}`, { checked: true });
+  const { body: ended } = await anna.post(`/api/shopping/trips/${started.data.id}/end`);
+  assert.deepEqual([ended.data.status, ended.data.endReason], ['ended', 'ended']);
+  assert.deepEqual(ended.data.summary.checkedItems.map(item => item.name), ['Milch']);
+  assert.deepEqual(ended.data.summary.leftItems.map(item => item.name), ['Brot']);
+  assert.equal((await getItem(milch.id)).claimTripId, undefined);
+  assert.equal((await anna.post(`/api/shopping/trips/${started.data.id}/end`)).status, 404);
+
+  await bernd.post(`/api/shopping/trips/${berndTrip.data.id}/end`);
+  await anna.delete('/api/shopping/items');
+  await anna.delete(`/api/shopping/items/${brot.id}`);
+});
+
+test('a trip ends with the last socket of its device and others see it leave', async () => {
+  const [kaffee] = await addItems(['Kaffee']);
+  const watcher = await connectSocket(berndToken);
+  const first = await connectSocket(annaToken);
+  const second = await connectSocket(annaToken);
+
+  const started = await first.emitWithAck('start-trip', {});
+  assert.equal(started.success, true, JSON.stringify(started));
+  const claimed = await first.emitWithAck('claim-items', { itemIds: [kaffee.id] });
+  assert.equal(claimed.data[0].claimTripId, started.data.id);
+  assert.equal((await watcher.emitWithAck('claim-items', { itemIds: [kaffee.id] })).code, 'trip-required');
+
+  const presence = await waitFor(() => watcher.received.find(({ event, payload }) =>
+    event === 'presence' && payload.shoppers.length === 1), { message: 'presence' });
+  assert.deepEqual(presence.payload.shoppers.map(shopper => [shopper.id, shopper.userName]), [[started.data.id, 'Anna']]);
+
+  // Another socket of the device is still connected
+  await disconnect(first);
+  await new Promise(resolve => setTimeout(resolve, 300));
+  assert.equal((await getTrip(started.data.id)).status, 'active');
+
+  await disconnect(second);
+  const trip = await waitFor(async () => {
+    const current = await getTrip(started.data.id);
+    return current.status === 'ended' && current;
+  }, { message: 'trip ended' });
+  assert.equal(trip.endReason, 'disconnected');
+  assert.equal((await getItem(kaffee.id)).claimedBy, undefined);
+
+  const ended = await waitFor(() => watcher.received.find(({ event }) => event === 'trip-ended'), { message: 'trip-ended' });
+  assert.deepEqual([ended.payload.id, ended.payload.userName], [started.data.id, 'Anna']);
+  await waitFor(() => watcher.received.some(({ event, payload }) => event === 'presence' && payload.shoppers.length === 0),
+    { message: 'empty presence' });
+
+  // Trips started over REST end as well once a socket of the device goes away
+  const { body: restTrip } = await anna.post('/api/shopping/trips', {});
+  await disconnect(await connectSocket(annaToken));
+  await waitFor(async () => (await getTrip(restTrip.data.id)).endReason === 'disconnected', { message: 'REST trip ended' });
+
+  await disconnect(watcher);
+  await anna.delete(`/api/shopping/items/${kaffee.id}`);
+});
+
+test('after a restart socket trips are ended, trips older than 4 hours by the sweep', async () => {
+  const [wasser] = await addItems(['Wasser']);
+
+  // Bernd shops via socket, Anna via REST with a claimed item
+  const socket = await connectSocket(berndToken);
+  const socketTrip = (await socket.emitWithAck('start-trip', {})).data;
+  const { body: restTrip } = await anna.post('/api/shopping/trips', {});
+  await anna.post(`/api/shopping/items/${wasser.id}/claim`);
+
+  // The server is gone before it notices the socket closing
+  await server.kill('SIGKILL');
+  socket.close();
+  await server.restart();
+
+  const ended = await waitFor(async () => {
+    const trip = await getTrip(socketTrip.id);
+    return trip.status === 'ended' && trip;
+  }, { message: 'socket trip ended' });
+  assert.equal(ended.endReason, 'disconnected');
+  assert.equal((await getTrip(restTrip.data.id)).status, 'active', 'REST trips have no socket to lose');
+  assert.equal((await getItem(wasser.id)).claimTripId, restTrip.data.id);
+
+  // Started over 4 hours ago (the JSON backend reads the file on every access)
+  const trips = await readDocument(server, 'trips');
+  trips.find(trip => trip.id === restTrip.data.id).startedAt = new Date(Date.now() - 5 * HOUR_MS).toISOString();
+  await fs.writeFile(path.join(server.dataDir, 'trips.json'), JSON.stringify(trips));
+
+  const expired = await waitFor(async () => {
+    const trip = await getTrip(restTrip.data.id);
+    return trip.status === 'ended' && trip;
+  }, { message: 'expired trip' });
+  assert.equal(expired.endReason, 'expired');
+  assert.ok(expired.summary.durationMinutes >= 300);
+  assert.equal((await getItem(wasser.id)).claimedBy, undefined);
+  assert.match(server.output(), new RegExp(`Trips: Ended trip ${restTrip.data.id} \\(expired\\)`));
+
+  const { body } = await anna.get('/api/shopping/trips?status=active');
+  assert.deepEqual(body.data, []);
+});
@@ -0,0 +1,148 @@
+// Undo (per device) and the trash: restoring, purging and the retention window
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN, startServer, createAdmin, client, readDocument } = require('./helpers');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Trash entries from before the start: one outside the 30 day retention window, one inside
+const OLD_TRASH = [
+  { id: 'expired', listId: 'default', reason: 'deleted', item: { id: 'old-1', name: 'Quark', version: 1 }, deletedAt: new Date(Date.now() - 31 * DAY).toISOString() },
+  { id: 'kept', listId: 'default', reason: 'deleted', item: { id: 'old-2', name: 'Senf', version: 3 }, deletedAt: new Date(Date.now() - 29 * DAY).toISOString() }
+];
+
+let server;
+let api;
+let otherDevice;
+
+before(async () => {
+  server = await startServer({ files: { 'trash.json': OLD_TRASH } });
+  api = client(server, (await createAdmin(server)).token);
+
+  // Same user, second device: has its own undo stack
+  const { body } = await server.request('POST', '/api/auth/login', { body: { ...ADMIN, deviceName: 'Tablet' } });
+  otherDevice = client(server, body.data.token);
+});
+
+after(() => server.stop());
+
+// Helper: Items of the default list by name
+async function itemsByName() {
+  const { body } = await api.get('/api/shopping/list');
+  return new Map(body.data.items.map(item => [item.name, item]));
+}
+
+test('trash entries older than the retention window are gone', async () => {
+  const { body } = await api.get('/api/shopping/trash');
+  assert.deepEqual(body.data.map(entry => entry.id), ['kept']);
+  assert.equal(body.data[0].expiresAt, new Date(new Date(OLD_TRASH[1].deletedAt).getTime() + 30 * DAY).toISOString());
+
+  const expired = await api.post('/api/shopping/trash/expired/restore');
+  assert.equal(expired.status, 404);
+  assert.equal(expired.body.code, 'trash-entry-not-found');
+
+  // ...and are dropped from storage with the next save
+  const { body: added } = await api.post('/api/shopping/items', { name: 'Essig', categoryId: 'pantry' });
+  await api.delete(`/api/shopping/items/${added.data.id}`);
+  assert.deepEqual((await readDocument(server, 'trash')).map(entry => entry.item.name), ['Senf', 'Essig']);
+});
+
+test('undo reverses the last change of this device only', async () => {
+  const { body: milch } = await api.post('/api/shopping/items', { name: 'Milch', categoryId: 'dairy-cheese' });
+  await api.patch(`/api/shopping/items/${milch.data.id}`, { quantity: '2L' });
+  await otherDevice.post('/api/shopping/items', { name: 'Tee', categoryId: 'beverages' });
+
+  // Undo of the update: old state, new version
+  const first = await api.post('/api/shopping/undo');
+  assert.equal(first.status, 200);
+  assert.deepEqual(first.body.data.restoredItems.map(item => [item.name, item.quantity, item.version]), [['Milch', undefined, 3]]);
+
+  // Undo of the add: the item is removed; the other device's Tee stays
+  const second = await api.post('/api/shopping/undo');
+  assert.deepEqual(second.body.data.removedItemIds, [milch.data.id]);
+  const items = await itemsByName();
+  assert.ok(!items.has('Milch'));
+  assert.ok(items.has('Tee'));
+
+  // The undo of the first test's delete and add are still there, then nothing is left
+  await api.post('/api/shopping/undo');
+  await api.post('/api/shopping/undo');
+  const nothing = await api.post('/api/shopping/undo');
+  assert.equal(nothing.status, 404);
+  assert.equal(nothing.body.code, 'nothing-to-undo');
+
+  assert.equal((await otherDevice.post('/api/shopping/undo')).status, 200);
+  assert.ok(!(await itemsByName()).has('Tee'));
+});
+
+test('undo of clearing checked items puts all of them back and un-archives them', async () => {
+  const names = ['Brot', 'Butter', 'Käse'];
+  for (const name of names) {
+    const { body } = await api.post('/api/shopping/items', { name, categoryId: 'other' });
+    if (name !== 'Käse') {
+      await api.patch(`/api/shopping/items/${body.data.id}`, { checked: true });
+    }
+  }
+
+  const cleared = await api.delete('/api/shopping/items');
+  assert.deepEqual(cleared.body.data.items.map(item => item.name), ['Käse']);
+  assert.equal((await api.get('/api/shopping/history')).body.data.total, 2);
+  assert.equal((await api.get('/api/shopping/trash')).body.data.filter(entry => entry.reason === 'cleared').length, 2);
+
+  const { status, body } = await api.post('/api/shopping/undo');
+  assert.equal(status, 200);
+  assert.deepEqual(body.data.restoredItems.map(item => [item.name, item.checked]).sort(), [['Brot', true], ['Butter', true]]);
+
+  const items = await itemsByName();
+  assert.deepEqual([...items.keys()].sort(), names);
+  assert.equal((await api.get('/api/shopping/history')).body.data.total, 0);
+  assert.equal((await api.get('/api/shopping/trash')).body.data.filter(entry => entry.reason === 'cleared').length, 0);
+
+  // Back to where we were
+  for (const item of items.values()) {
+    await api.delete(`/api/shopping/items/${item.id}`);
+  }
+});
+
+test('restoring from the trash puts the item back once', async () => {
+  const { body: eier } = await api.post('/api/shopping/items', { name: 'Eier', categoryId: 'other', quantity: '10' });
+  await api.delete(`/api/shopping/items/${eier.data.id}`);
+
+  const entry = (await api.get('/api/shopping/trash')).body.data.find(trashEntry => trashEntry.item.id === eier.data.id);
+  assert.equal(entry.reason, 'deleted');
+
+  const { status, body } = await api.post(`/api/shopping/trash/${entry.id}/restore`);
+  assert.equal(status, 200);
+  assert.deepEqual([body.data.id, body.data.name, body.data.quantity, body.data.version], [eier.data.id, 'Eier', '10', 2]);
+  assert.ok(!(await api.get('/api/shopping/trash')).body.data.some(trashEntry => trashEntry.id === entry.id));
+
+  const again = await api.post(`/api/shopping/trash/${entry.id}/restore`);
+  assert.equal(again.status, 404);
+
+  // Restoring is undoable as well
+  await api.post('/api/shopping/undo');
+  assert.ok(!(await itemsByName()).has('Eier'));
+});
+
+test('trash entries can be purged one by one, per list or all at once', async () => {
+  const { body: list } = await api.post('/api/shopping/lists', { name: 'Baumarkt' });
+  for (const [name, listId] of [['Schrauben', list.data.id], ['Dübel', list.data.id], ['Zwiebeln', 'default']]) {
+    const { body } = await api.post(`/api/shopping/lists/${listId}/items`, { name, categoryId: 'other' });
+    await api.delete(`/api/shopping/lists/${listId}/items/${body.data.id}`);
+  }
+
+  const trash = (await api.get(`/api/shopping/trash?listId=${list.data.id}`)).body.data;
+  assert.deepEqual(trash.map(entry => entry.item.name), ['Dübel', 'Schrauben'], 'newest first');
+
+  assert.equal((await api.delete(`/api/shopping/trash/${trash[0].id}`)).status, 200);
+  assert.equal((await api.delete(`/api/shopping/trash/${trash[0].id}`)).status, 404);
+
+  const perList = await api.delete(`/api/shopping/trash?listId=${list.data.id}`);
+  assert.equal(perList.body.data.purgedCount, 1);
+  assert.ok((await api.get('/api/shopping/trash')).body.data.some(entry => entry.item.name === 'Zwiebeln'));
+
+  const all = await api.delete('/api/shopping/trash');
+  assert.ok(all.body.data.purgedCount >= 1);
+  assert.deepEqual((await api.get('/api/shopping/trash')).body.data, []);
+  assert.deepEqual(await readDocument(server, 'trash'), []);
+});
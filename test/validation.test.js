@@ -0,0 +1,219 @@
+// Input validation of the settings routes (API keys, webhooks, pantry, staples, budget, categories, stores):
+// every problem is reported per field, unknown fields are rejected, server-managed fields sent back are ignored
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createAdmin, client } = require('./helpers');
+
+let server;
+let api;
+
+before(async () => {
+  server = await startServer();
+  api = client(server, (await createAdmin(server)).token);
+});
+
+after(() => server.stop());
+
+// Helper: Expect a 400 validation-failed answer with exactly these details
+async function assertInvalid(request, details) {
+  const { status, body } = await request;
+  assert.equal(status, 400, JSON.stringify(body));
+  assert.equal(body.code, 'validation-failed');
+  assert.deepEqual(body.details, details);
+  assert.equal(body.error, details.map(({ field, error }) => `${field} ${error}`).join(', '));
+}
+
+test('API keys: all problems are listed, null removes list restriction and rate limit', async () => {
+  await assertInvalid(api.post('/api/admin/api-keys', { scope: 'admin', listIds: [], rateLimit: 0, owner: 'Ben' }), [
+    { field: 'name', error: 'is required' },
+    { field: 'scope', error: 'must be one of: add-only, read-list, full' },
+    { field: 'listIds', error: 'must have at least 1 entry' },
+    { field: 'rateLimit', error: 'must be at least 1' },
+    { field: 'owner', error: 'is not allowed' }
+  ]);
+
+  const { status, body } = await api.post('/api/admin/api-keys', {
+    name: ' Kurzbefehle ', scope: 'add-only', listIds: ['default', 'default'], rateLimit: 10
+  });
+  assert.equal(status, 201);
+  assert.deepEqual([body.data.name, body.data.listIds, body.data.rateLimit], ['Kurzbefehle', ['default'], 10]);
+
+  // The create answer can be sent back as it is, its server fields are ignored
+  const { key, ...created } = body.data;
+  const patched = await api.patch(`/api/admin/api-keys/${created.id}`, { ...created, key, id: 'other', listIds: null, rateLimit: null });
+  assert.equal(patched.status, 200, JSON.stringify(patched.body));
+  assert.equal(patched.body.data.id, created.id);
+  assert.equal(patched.body.data.createdAt, created.createdAt);
+  assert.ok(!('listIds' in patched.body.data));
+  assert.ok(!('rateLimit' in patched.body.data));
+
+  await assertInvalid(api.patch(`/api/admin/api-keys/${created.id}`, { scope: null, keyHash: 'x' }), [
+    { field: 'scope', error: 'must not be null' },
+    { field: 'keyHash', error: 'is not allowed' }
+  ]);
+});
+
+test('webhooks: URL, events and list filter are checked', async () => {
+  await assertInvalid(api.post('/api/admin/webhooks', { name: 'Bot', url: 'ftp://example.com', events: ['item.added', 'item.eaten'] }), [
+    { field: 'url', error: 'must be an http(s) URL' },
+    { field: 'events', error: 'entry 1 must be one of: item.added, item.checked, list.cleared, category.changed' }
+  ]);
+  await assertInvalid(api.post('/api/admin/webhooks', { name: 'Bot', url: 'not a url', events: [], retries: 3 }), [
+    { field: 'url', error: 'must be an http(s) URL' },
+    { field: 'events', error: 'must have at least 1 entry' },
+    { field: 'retries', error: 'is not allowed' }
+  ]);
+
+  const { status, body } = await api.post('/api/admin/webhooks', {
+    name: 'Bot', url: ' https://example.com/hook ', events: ['item.added', 'item.added', 'list.cleared'], listIds: ['default']
+  });
+  assert.equal(status, 201);
+  assert.equal(body.data.url, 'https://example.com/hook');
+  assert.deepEqual(body.data.events, ['item.added', 'list.cleared']);
+
+  const patched = await api.patch(`/api/admin/webhooks/${body.data.id}`, { ...body.data, active: false, listIds: null });
+  assert.equal(patched.status, 200, JSON.stringify(patched.body));
+  assert.equal(patched.body.data.active, false);
+  assert.ok(!('listIds' in patched.body.data));
+
+  await assertInvalid(api.patch(`/api/admin/webhooks/${body.data.id}`, { active: 'yes' }), [{ field: 'active', error: 'must be a boolean' }]);
+});
+
+test('pantry: quantity gives amount and unit, null removes quantity and expiry', async () => {
+  await assertInvalid(api.post('/api/shopping/pantry', { quantity: ['1'], categoryId: 'nope', expiresAt: 'soon', location: 'Keller' }), [
+    { field: 'name', error: 'is required' },
+    { field: 'quantity', error: 'must be a string' },
+    { field: 'categoryId', error: 'unknown category: nope' },
+    { field: 'expiresAt', error: 'must be a date (ISO 8601)' },
+    { field: 'location', error: 'is not allowed' }
+  ]);
+
+  const { status, body } = await api.post('/api/shopping/pantry', { name: 'Reis', quantity: '1 kg', categoryId: 'pantry' });
+  assert.equal(status, 201);
+  assert.deepEqual([body.data.amount, body.data.unit], [1000, 'g']);
+  assert.ok(body.data.expiresAt, 'estimated from the category');
+
+  const patched = await api.patch(`/api/shopping/pantry/${body.data.id}`, { ...body.data, quantity: null, expiresAt: null });
+  assert.equal(patched.status, 200, JSON.stringify(patched.body));
+  assert.equal(patched.body.data.name, 'Reis');
+  assert.deepEqual([patched.body.data.quantity, patched.body.data.amount, patched.body.data.unit, patched.body.data.expiresAt],
+    [undefined, undefined, undefined, undefined]);
+  assert.equal(patched.body.data.daysLeft, null);
+
+  await assertInvalid(api.patch(`/api/shopping/pantry/${body.data.id}`, { name: '' }), [{ field: 'name', error: 'is required' }]);
+});
+
+test('staples: the list must exist, unknown fields are rejected', async () => {
+  await assertInvalid(api.put('/api/shopping/pantry/staples/Milch', { autoAdd: 'ja', listId: 'nope', minimum: 2 }), [
+    { field: 'autoAdd', error: 'must be a boolean' },
+    { field: 'minimum', error: 'is not allowed' }
+  ]);
+  await assertInvalid(api.put('/api/shopping/pantry/staples/Milch', { listId: 'nope' }), [{ field: 'listId', error: 'unknown list: nope' }]);
+
+  const { status, body } = await api.put('/api/shopping/pantry/staples/Milch', { quantity: '2L', categoryId: 'dairy-cheese' });
+  assert.equal(status, 200, JSON.stringify(body));
+  const staple = (await api.get('/api/shopping/pantry/staples')).body.data.find(entry => entry.name === 'Milch');
+  assert.equal(staple.quantity, '2L');
+
+  // Sent back from the staples listing, with quantity removed
+  const changed = await api.put('/api/shopping/pantry/staples/Milch', { ...staple, quantity: null });
+  assert.equal(changed.status, 200, JSON.stringify(changed.body));
+  const after = (await api.get('/api/shopping/pantry/staples')).body.data.find(entry => entry.name === 'Milch');
+  assert.equal(after.quantity, undefined);
+  assert.equal(after.categoryId, 'dairy-cheese');
+});
+
+test('budget: amounts per known category, null means no budget', async () => {
+  await assertInvalid(api.put('/api/shopping/budget', { monthly: -5, categories: [], period: 'week' }), [
+    { field: 'monthly', error: 'must be an amount between 0 and 100000' },
+    { field: 'categories', error: 'must be an object' },
+    { field: 'period', error: 'is not allowed' }
+  ]);
+  await assertInvalid(api.put('/api/shopping/budget', { monthly: 400, categories: { bakery: 'viel', nope: 10 } }), [
+    { field: 'categories.bakery', error: 'must be an amount between 0 and 100000' },
+    { field: 'categories.nope', error: 'is not allowed' }
+  ]);
+
+  const { status, body } = await api.put('/api/shopping/budget', { monthly: '400,50', categories: { bakery: 30, snacks: null } });
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.equal(body.data.monthly, 400.5);
+  assert.deepEqual(body.data.categories, { bakery: 30 });
+
+  // The budget as returned can be sent back
+  const again = await api.put('/api/shopping/budget', { ...body.data, monthly: null });
+  assert.equal(again.status, 200, JSON.stringify(again.body));
+  assert.equal(again.body.data.monthly, null);
+  assert.deepEqual(again.body.data.categories, { bakery: 30 });
+});
+
+test('categories: id format, colors and keywords, also for every entry of the legacy bulk replace', async () => {
+  await assertInvalid(api.post('/api/shopping/categories', { id: 'Bio Markt', color: 'green', shelfLifeDays: 0, emoji: '🌱' }), [
+    { field: 'id', error: 'must be 1-40 lower-case letters, digits or dashes' },
+    { field: 'name', error: 'is required' },
+    { field: 'color', error: 'must be a hex color like #4caf50' },
+    { field: 'shelfLifeDays', error: 'must be at least 1' },
+    { field: 'emoji', error: 'is not allowed' }
+  ]);
+
+  const { status, body } = await api.post('/api/shopping/categories', {
+    id: 'bio', name: 'Bio', color: '#4CAF50', icon: '🌱', keywords: [' Demeter ', 'BIOLAND']
+  });
+  assert.equal(status, 201, JSON.stringify(body));
+  assert.equal(body.data.color, '#4caf50');
+  assert.deepEqual(body.data.keywords, ['demeter', 'bioland']);
+
+  // PATCH ignores id and builtIn sent back, null resets the icon
+  const patched = await api.patch('/api/shopping/categories/bio', { ...body.data, id: 'other-id', name: 'Bioladen', icon: null });
+  assert.equal(patched.status, 200, JSON.stringify(patched.body));
+  assert.deepEqual([patched.body.data.id, patched.body.data.name, patched.body.data.icon], ['bio', 'Bioladen', undefined]);
+
+  // Built-in overrides: shelfLifeDays null means "does not expire"
+  const override = await api.patch('/api/shopping/categories/bakery', { shelfLifeDays: null });
+  assert.equal(override.body.data.shelfLifeDays, null);
+  assert.equal(override.body.data.builtIn, true);
+
+  await assertInvalid(api.post('/api/shopping/categories', {
+    categories: [{ id: 'bio', name: 'Bio' }, { id: 'drogerie', keywords: ['seife', ''] }, { id: 'bio', name: 'Doppelt' }]
+  }), [
+    { field: 'categories.1.name', error: 'is required' },
+    { field: 'categories.1.keywords', error: 'entry 1 must not be empty' }
+  ]);
+  await assertInvalid(api.post('/api/shopping/categories', { categories: [{ id: 'bio', name: 'Bio' }, { id: 'bio', name: 'Doppelt' }] }), [
+    { field: 'categories.1.id', error: 'duplicate id: bio' }
+  ]);
+  await assertInvalid(api.post('/api/shopping/categories', { categories: [], replace: true }), [
+    { field: 'replace', error: 'is not allowed' }
+  ]);
+
+  const replaced = await api.post('/api/shopping/categories', { categories: [{ id: 'bio', name: 'Bio', builtIn: false }] });
+  assert.equal(replaced.status, 200, JSON.stringify(replaced.body));
+  assert.ok(replaced.body.data.some(category => category.id === 'bio'));
+});
+
+test('stores: category order and item overrides use known categories', async () => {
+  await assertInvalid(api.post('/api/shopping/stores', {
+    name: ' ', categoryOrder: ['bakery', 'nope'], itemOverrides: [{ name: 'Eier' }], address: 'Hauptstraße'
+  }), [
+    { field: 'name', error: 'is required' },
+    { field: 'categoryOrder', error: 'entry 1 unknown category: nope' },
+    { field: 'itemOverrides', error: 'entry 0 categoryId is required' },
+    { field: 'address', error: 'is not allowed' }
+  ]);
+  await assertInvalid(api.post('/api/shopping/stores', { name: 'Rewe', itemOverrides: [{ name: 'Eier', categoryId: 'dairy-cheese', aisle: 3 }] }), [
+    { field: 'itemOverrides', error: 'entry 0 aisle is not allowed' }
+  ]);
+
+  const { status, body } = await api.post('/api/shopping/stores', {
+    name: 'Rewe',
+    categoryOrder: ['bakery', 'fruits-vegetables', 'bakery'],
+    itemOverrides: [{ name: ' Eier ', categoryId: 'dairy-cheese' }]
+  });
+  assert.equal(status, 201, JSON.stringify(body));
+  assert.deepEqual(body.data.categoryOrder, ['bakery', 'fruits-vegetables']);
+  assert.deepEqual(body.data.itemOverrides, [{ name: 'Eier', categoryId: 'dairy-cheese' }]);
+
+  const patched = await api.patch(`/api/shopping/stores/${body.data.id}`, { ...body.data, name: 'Rewe City' });
+  assert.equal(patched.status, 200, JSON.stringify(patched.body));
+  assert.equal(patched.body.data.name, 'Rewe City');
+  assert.equal(patched.body.data.id, body.data.id);
+});
@@ -0,0 +1,214 @@
+// Webhooks: signed deliveries, retries with backoff, the persistent queue and closing answer bodies
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const fs = require('node:fs').promises;
+const http = require('node:http');
+const path = require('node:path');
+const { startServer, createAdmin, client, waitFor, readDocument } = require('./helpers');
+
+let server;
+let api;
+let receiver;
+
+// Helper: Local HTTP server standing in for the webhook receiver
+// Records { headers, body } of every request; respond(req, res) decides the answer (default 204)
+function startReceiver() {
+  const state = {
+    requests: [],
+    respond: (req, res) => res.writeHead(204).end()
+  };
+
+  state.server = http.createServer((req, res) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      state.requests.push({ headers: req.headers, body });
+      state.respond(req, res);
+    });
+  });
+
+  return new Promise(resolve => {
+    state.server.listen(0, '127.0.0.1', () => {
+      state.url = `http://127.0.0.1:${state.server.address().port}/hook`;
+      resolve(state);
+    });
+  });
+}
+
+before(async () => {
+  receiver = await startReceiver();
+  // Short retry tick, so due retries are picked up right away
+  server = await startServer({ env: { WEBHOOK_RETRY_INTERVAL: '200' } });
+  api = client(server, (await createAdmin(server)).token);
+});
+
+after(async () => {
+  await server.stop();
+  receiver.server.closeAllConnections();
+  await new Promise(resolve => receiver.server.close(resolve));
+});
+
+// Helper: Register a webhook, returns it with its secret
+async function createWebhook(fields) {
+  const { status, body } = await api.post('/api/admin/webhooks', { name: 'Empfänger', url: receiver.url, ...fields });
+  assert.equal(status, 201, JSON.stringify(body));
+  return body.data;
+}
+
+// Helper: Wait until the receiver got its count-th request, returns it
+function received(count) {
+  return waitFor(() => receiver.requests[count - 1], { message: `webhook request ${count}` });
+}
+
+// Helper: Log entries of a webhook, oldest first
+async function deliveryLog(webhookId) {
+  const { body } = await api.get(`/api/admin/webhooks/deliveries?webhookId=${webhookId}`);
+  return { pending: body.data.pending, entries: body.data.entries.reverse() };
+}
+
+// Helper: Make the queued deliveries due now (the JSON backend reads the file on every access)
+async function makeQueueDue() {
+  const queue = await readDocument(server, 'webhook-queue');
+  for (const delivery of queue) {
+    delivery.nextAttemptAt = new Date(Date.now() - 1000).toISOString();
+  }
+  await fs.writeFile(path.join(server.dataDir, 'webhook-queue.json'), JSON.stringify(queue));
+}
+
+test('deliveries are signed with HMAC-SHA256 over timestamp and body', async () => {
+  const webhook = await createWebhook({ events: ['item.added'] });
+  assert.match(webhook.secret, /^[0-9a-f]{64}$/);
+  assert.ok(!('secret' in (await api.get('/api/admin/webhooks')).body.data[0]));
+
+  const { body: added } = await api.post('/api/shopping/items', { name: 'Milch', categoryId: 'dairy-cheese' });
+  const { headers, body } = await received(1);
+
+  const payload = JSON.parse(body);
+  assert.equal(payload.event, 'item.added');
+  assert.equal(payload.data.item.id, added.data.id);
+  assert.equal(payload.data.listId, 'default');
+  assert.equal(headers['x-hangry-event'], 'item.added');
+  assert.equal(headers['x-hangry-delivery'], payload.id);
+
+  const timestamp = headers['x-hangry-timestamp'];
+  assert.ok(Math.abs(Number(timestamp) - Date.now() / 1000) < 60);
+  const expected = 'sha256=' + crypto.createHmac('sha256', webhook.secret).update(`${timestamp}.${body}`).digest('hex');
+  assert.equal(headers['x-hangry-signature'], expected);
+
+  // A rotated secret signs from the next delivery on
+  const { body: rotated } = await api.post(`/api/admin/webhooks/${webhook.id}/rotate-secret`);
+  await api.post(`/api/admin/webhooks/${webhook.id}/test`);
+  const ping = await received(2);
+  assert.equal(JSON.parse(ping.body).event, 'ping');
+  const pingSignature = crypto.createHmac('sha256', rotated.data.secret)
+    .update(`${ping.headers['x-hangry-timestamp']}.${ping.body}`).digest('hex');
+  assert.equal(ping.headers['x-hangry-signature'], `sha256=${pingSignature}`);
+
+  await waitFor(async () => (await deliveryLog(webhook.id)).entries.length === 2, { message: 'delivery log' });
+  assert.deepEqual((await deliveryLog(webhook.id)).entries.map(entry => [entry.event, entry.status, entry.statusCode]),
+    [['item.added', 'delivered', 204], ['ping', 'delivered', 204]]);
+  await api.delete(`/api/admin/webhooks/${webhook.id}`);
+});
+
+test('failed deliveries are retried with growing backoff and given up after the last attempt', async () => {
+  const webhook = await createWebhook({ events: ['item.checked'] });
+  receiver.requests = [];
+  receiver.respond = (req, res) => res.writeHead(503).end('busy');
+
+  const { body: brot } = await api.post('/api/shopping/items', { name: 'Brot', categoryId: 'bakery' });
+  await api.patch(`/api/shopping/items/${brot.data.id}`, { checked: true });
+  await received(1);
+
+  // 30 s after the first failure, 60 s after the second
+  for (const [attempt, backoff] of [[1, 30000], [2, 60000]]) {
+    const { pending, entries } = await waitFor(async () => {
+      const log = await deliveryLog(webhook.id);
+      return log.entries.length === attempt && log;
+    }, { message: `attempt ${attempt}` });
+    const entry = entries[attempt - 1];
+    assert.deepEqual([entry.status, entry.statusCode, entry.attempt], ['failed', 503, attempt]);
+    assert.equal(pending[0].attempts, attempt);
+    assert.equal(pending[0].nextAttemptAt, entry.nextAttemptAt);
+    const delay = new Date(entry.nextAttemptAt).getTime() - new Date(entry.at).getTime();
+    assert.ok(Math.abs(delay - backoff) < 1000, `attempt ${attempt}: ${delay} ms`);
+
+    // Not retried before it is due
+    await new Promise(resolve => setTimeout(resolve, 500));
+    assert.equal(receiver.requests.length, attempt);
+    await makeQueueDue();
+  }
+
+  // The same delivery is sent again each time
+  await received(3);
+  const deliveryIds = new Set(receiver.requests.map(request => request.headers['x-hangry-delivery']));
+  assert.equal(deliveryIds.size, 1);
+
+  // After the 8th failed attempt the delivery is dropped from the queue
+  await waitFor(async () => (await deliveryLog(webhook.id)).entries.length === 3, { message: 'attempt 3' });
+  const queue = await readDocument(server, 'webhook-queue');
+  queue[0].attempts = 7;
+  queue[0].nextAttemptAt = new Date().toISOString();
+  await fs.writeFile(path.join(server.dataDir, 'webhook-queue.json'), JSON.stringify(queue));
+
+  const { pending, entries } = await waitFor(async () => {
+    const log = await deliveryLog(webhook.id);
+    return log.entries.length === 4 && log;
+  }, { message: 'last attempt' });
+  assert.deepEqual([entries[3].status, entries[3].attempt, entries[3].nextAttemptAt], ['gave-up', 8, undefined]);
+  assert.deepEqual(pending, []);
+
+  receiver.respond = (req, res) => res.writeHead(204).end();
+  await api.delete(`/api/admin/webhooks/${webhook.id}`);
+});
+
+test('queued deliveries survive a restart and are sent once after it', async () => {
+  const webhook = await createWebhook({ events: ['list.cleared'] });
+  receiver.requests = [];
+  receiver.respond = (req, res) => res.writeHead(500).end();
+
+  const { body: eier } = await api.post('/api/shopping/items', { name: 'Eier', categoryId: 'other' });
+  await api.patch(`/api/shopping/items/${eier.data.id}`, { checked: true });
+  await api.delete('/api/shopping/items');
+  await received(1);
+  await waitFor(async () => (await deliveryLog(webhook.id)).pending[0]?.attempts === 1, { message: 'first attempt' });
+
+  await server.kill('SIGKILL');
+  receiver.respond = (req, res) => res.writeHead(200).end('ok');
+  await makeQueueDue();
+  await server.restart();
+
+  const retried = await received(2);
+  assert.equal(retried.headers['x-hangry-delivery'], receiver.requests[0].headers['x-hangry-delivery']);
+  assert.ok(JSON.parse(retried.body).data.itemIds.includes(eier.data.id));
+
+  await waitFor(async () => (await deliveryLog(webhook.id)).pending.length === 0, { message: 'empty queue' });
+  await new Promise(resolve => setTimeout(resolve, 500));
+  assert.equal(receiver.requests.length, 2, 'not sent again');
+  await api.delete(`/api/admin/webhooks/${webhook.id}`);
+});
+
+test('answer bodies are not left open', async () => {
+  const webhook = await createWebhook({ events: ['item.added'] });
+  receiver.requests = [];
+
+  // A receiver that sends the headers and then never finishes its body
+  let closed = false;
+  receiver.respond = (req, res) => {
+    res.on('close', () => { closed = true; });
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.write('still writing');
+  };
+
+  await api.post('/api/shopping/items', { name: 'Käse', categoryId: 'dairy-cheese' });
+  await received(1);
+
+  // Well before the delivery timeout
+  await waitFor(() => closed, { timeout: 3000, message: 'closed connection' });
+  const { entries } = await deliveryLog(webhook.id);
+  assert.deepEqual(entries.map(entry => [entry.status, entry.statusCode]), [['delivered', 200]]);
+
+  receiver.respond = (req, res) => res.writeHead(204).end();
+  await api.delete(`/api/admin/webhooks/${webhook.id}`);
+});